@@ -0,0 +1,249 @@
+/**
+ * Auto-Storyboard — builds a storyboard from the story's key beats.
+ *
+ * Beats come from the comprehension chunk summaries (lore-comprehension.js): the
+ * scene LLM picks which chunks are worth a panel, then each beat runs through the
+ * v2 scene pipeline on the story text up to the end of its chunk, gets an image,
+ * and is committed in story order. Committed scenes carry their chunk hash as
+ * beatId, so a cancelled or repeated run skips beats that are already on the board,
+ * and the end of their chunk as storyPosition, so a resumed run slots the missing
+ * beats in among the existing scenes rather than after them.
+ *
+ * Generation and committing are passed in by the caller; this module only decides
+ * what to generate and in which order.
+ */
+
+const { chunkStory } = require('./lore-comprehension');
+const { generateJSON } = require('./structured-output');
+
+const LOG_PREFIX = '[AutoStoryboard]';
+const DEFAULT_MAX_BEATS = 8;
+const MAX_BEATS_LIMIT = 30;
+const PAUSE_POLL_MS = 500;
+const MAX_SUMMARY_CHARS = 400;
+
+const BEATS_SCHEMA = {
+  type: 'object',
+  required: ['beats'],
+  properties: {
+    beats: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['chunk', 'title'],
+        properties: {
+          chunk: { type: 'integer' },
+          title: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function clampBeats(maxBeats) {
+  const n = parseInt(maxBeats, 10);
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_MAX_BEATS;
+  return Math.min(n, MAX_BEATS_LIMIT);
+}
+
+// ============================================================================
+// BEAT SELECTION
+// ============================================================================
+
+/**
+ * Chunks of the current story text that have a comprehension summary.
+ * Summaries are matched by chunk hash, so text edited since the last scan drops out.
+ * @returns {Array<{position: number, hash: string, summary: string, start: number, end: number}>}
+ */
+function findBeatCandidates(storyText, comprehension) {
+  const summaries = new Map();
+  for (const c of comprehension?.chunks || []) {
+    if (c.hash && c.summary) summaries.set(c.hash, c.summary);
+  }
+
+  return chunkStory(storyText)
+    .filter(chunk => summaries.has(chunk.hash))
+    .map((chunk, position) => ({
+      position,
+      hash: chunk.hash,
+      summary: summaries.get(chunk.hash),
+      start: chunk.start,
+      end: chunk.end,
+    }));
+}
+
+// Evenly spaced candidates, used when the LLM gives nothing usable
+function sampleEvenly(candidates, count) {
+  if (candidates.length <= count) return candidates.slice();
+  const step = candidates.length / count;
+  const picked = [];
+  for (let i = 0; i < count; i++) {
+    picked.push(candidates[Math.min(candidates.length - 1, Math.floor(i * step + step / 2))]);
+  }
+  return picked;
+}
+
+/**
+ * Ask the scene LLM which chunks hold the story's key visual beats.
+ * @returns {Promise<Array>} candidates with a title, in story order
+ */
+async function selectBeats(candidates, generateTextFn, { maxBeats, masterSummary } = {}) {
+  const limit = clampBeats(maxBeats);
+  if (candidates.length <= limit) {
+    return candidates.map(c => ({ ...c, title: '' }));
+  }
+
+  const list = candidates
+    .map(c => `[${c.position}] ${c.summary.slice(0, MAX_SUMMARY_CHARS)}`)
+    .join('\n');
+
+  const messages = [
+    {
+      role: 'system',
+      content: `You pick the key beats of a story for an illustrated storyboard. You are given numbered summaries of consecutive story sections.
+Choose up to ${limit} sections that each show a distinct, visually strong moment: turning points, arrivals, confrontations, reveals. Spread them across the whole story and avoid near-duplicate moments.
+
+Output ONLY a JSON object:
+{"beats": [{"chunk": <section number>, "title": "short panel title (max 8 words)"}]}`,
+    },
+    {
+      role: 'user',
+      content: (masterSummary ? `STORY SO FAR:\n${masterSummary.slice(0, 1500)}\n\n` : '') +
+        `SECTIONS:\n${list}\n\nReturn the beats in story order.`,
+    },
+  ];
+
+  let picked = [];
+  try {
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 600, temperature: 0.4 }, {
+      schema: BEATS_SCHEMA,
+      label: 'scene:beats',
+    });
+    const seen = new Set();
+    for (const beat of parsed?.beats || []) {
+      const candidate = candidates[beat?.chunk];
+      if (!candidate || seen.has(candidate.position)) continue;
+      seen.add(candidate.position);
+      picked.push({ ...candidate, title: typeof beat.title === 'string' ? beat.title.trim() : '' });
+    }
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Beat selection failed:`, err.message);
+  }
+
+  if (picked.length === 0) {
+    console.warn(`${LOG_PREFIX} No beats from the LLM — sampling sections evenly`);
+    picked = sampleEvenly(candidates, limit).map(c => ({ ...c, title: '' }));
+  }
+
+  return picked.slice(0, limit).sort((a, b) => a.position - b.position);
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+/**
+ * Generate and commit one storyboard scene per beat, in story order.
+ *
+ * @param {object} params
+ * @param {string} params.storyText - Full story text
+ * @param {object} params.comprehension - Comprehension state (chunks with summaries)
+ * @param {number} [params.maxBeats] - Upper bound on beats (1-30)
+ * @param {Set<string>} [params.existingBeatIds] - Beats already on the board
+ * @param {object} deps
+ * @param {function} deps.generateTextFn - LLM used to pick beats
+ * @param {function} deps.generateScene - async (textUpToBeat) => v2 scene prompt result
+ * @param {function} deps.generateImage - async (sceneResult) => { success, imageData, meta, error }
+ * @param {function} deps.commitBeat - async (beat, sceneResult, imageResult) => { success, sceneId, error }
+ * @param {function} [onProgress] - Progress callback
+ * @param {{shouldCancel?: function, isPaused?: function, budgetExceeded?: function}} [control] -
+ *   budgetExceeded returns a reason string once the usage budget is reached, which stops the run
+ * @returns {Promise<{committed: number, skipped: number, failed: number, beatsTotal: number, cancelled: boolean, budgetStop: string|null}>}
+ */
+async function runAutoStoryboard(params, deps, onProgress, control = {}) {
+  const { storyText, comprehension, maxBeats, existingBeatIds = new Set() } = params;
+  const shouldCancel = control.shouldCancel || (() => false);
+  const isPaused = control.isPaused || (() => false);
+  const budgetExceeded = control.budgetExceeded || (() => null);
+  const report = (progress) => { if (onProgress) onProgress(progress); };
+
+  const candidates = findBeatCandidates(storyText, comprehension);
+  if (candidates.length === 0) {
+    throw new Error('No story knowledge for this text yet — run Build Story Knowledge first');
+  }
+
+  report({ phase: 'selecting', beatsDone: 0, beatsTotal: 0 });
+  const beats = await selectBeats(candidates, deps.generateTextFn, {
+    maxBeats,
+    masterSummary: comprehension.masterSummary,
+  });
+  console.log(`${LOG_PREFIX} ${beats.length} beats from ${candidates.length} summarized sections`);
+
+  const totals = { committed: 0, skipped: 0, failed: 0, beatsTotal: beats.length, cancelled: false, budgetStop: null };
+
+  for (let i = 0; i < beats.length; i++) {
+    const beat = beats[i];
+
+    while (isPaused() && !shouldCancel()) {
+      await delay(PAUSE_POLL_MS);
+    }
+    if (shouldCancel()) {
+      console.log(`${LOG_PREFIX} Cancelled at beat ${i}/${beats.length}`);
+      totals.cancelled = true;
+      break;
+    }
+
+    if (existingBeatIds.has(beat.hash)) {
+      totals.skipped++;
+      continue;
+    }
+
+    const budgetReason = budgetExceeded();
+    if (budgetReason) {
+      console.log(`${LOG_PREFIX} Stopped at beat ${i}/${beats.length}: usage budget reached (${budgetReason})`);
+      totals.cancelled = true;
+      totals.budgetStop = budgetReason;
+      break;
+    }
+
+    report({ phase: 'generating', beatsDone: i, beatsTotal: beats.length, beatTitle: beat.title });
+
+    try {
+      const scene = await deps.generateScene(storyText.slice(0, beat.end));
+      if (!scene?.success) throw new Error(scene?.error || 'Scene prompt failed');
+
+      const image = await deps.generateImage(scene);
+      if (!image?.success) throw new Error(image?.error || 'Image generation failed');
+
+      const committed = await deps.commitBeat(beat, scene, image);
+      if (!committed?.success) throw new Error(committed?.error || 'Commit failed');
+
+      totals.committed++;
+      report({ phase: 'committed', beatsDone: i + 1, beatsTotal: beats.length, beatTitle: beat.title, sceneId: committed.sceneId });
+    } catch (err) {
+      console.error(`${LOG_PREFIX} Beat ${i + 1}/${beats.length} failed:`, err.message);
+      totals.failed++;
+      report({ phase: 'beat-failed', beatsDone: i + 1, beatsTotal: beats.length, beatTitle: beat.title, error: err.message });
+    }
+  }
+
+  report({
+    phase: totals.budgetStop ? 'budget' : totals.cancelled ? 'cancelled' : 'complete',
+    beatsDone: totals.committed + totals.skipped + totals.failed,
+    beatsTotal: beats.length,
+  });
+  console.log(`${LOG_PREFIX} Done: ${totals.committed} committed, ${totals.skipped} already on board, ${totals.failed} failed`);
+  return totals;
+}
+
+module.exports = {
+  DEFAULT_MAX_BEATS,
+  MAX_BEATS_LIMIT,
+  findBeatCandidates,
+  selectBeats,
+  runAutoStoryboard,
+};
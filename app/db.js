@@ -15,6 +15,7 @@ function init(userDataPath) {
   db.pragma('journal_mode = WAL');
   db.pragma('foreign_keys = ON');
   createTables();
+  runMigrations();
   return db;
 }
 
@@ -102,6 +103,197 @@ function createTables() {
   console.log(`${LOG_PREFIX} Tables verified`);
 }
 
+// --- Schema migrations ---
+// Each entry runs once (tracked in the migrations table). Keep them additive:
+// CREATE TABLE IF NOT EXISTS above stays frozen at the v0 schema and new columns land here.
+
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'media_items: seed + generation params',
+    up() {
+      addColumnIfMissing('media_items', 'seed', 'INTEGER');
+      addColumnIfMissing('media_items', 'params', "TEXT DEFAULT '{}'");
+    },
+  },
+  {
+    version: 2,
+    description: 'generation_jobs: persistent image generation queue',
+    up() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS generation_jobs (
+          id TEXT PRIMARY KEY,
+          story_id TEXT,
+          batch_id TEXT,
+          variation INTEGER NOT NULL DEFAULT 0,
+          variation_count INTEGER NOT NULL DEFAULT 1,
+          provider TEXT NOT NULL DEFAULT 'novelai',
+          status TEXT NOT NULL DEFAULT 'pending',
+          priority INTEGER NOT NULL DEFAULT 0,
+          position REAL NOT NULL DEFAULT 0,
+          request TEXT NOT NULL DEFAULT '{}',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          media_id TEXT,
+          created_at INTEGER NOT NULL,
+          started_at INTEGER,
+          finished_at INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON generation_jobs(status, priority, position);
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'llm_usage: token, latency and cost ledger',
+    up() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS llm_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          story_id TEXT,
+          kind TEXT NOT NULL DEFAULT 'text',
+          subsystem TEXT NOT NULL DEFAULT '',
+          provider TEXT NOT NULL DEFAULT '',
+          model TEXT NOT NULL DEFAULT '',
+          prompt_tokens INTEGER NOT NULL DEFAULT 0,
+          response_tokens INTEGER NOT NULL DEFAULT 0,
+          latency_ms INTEGER NOT NULL DEFAULT 0,
+          success INTEGER NOT NULL DEFAULT 1,
+          cost REAL NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_usage_story ON llm_usage(story_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_usage_created ON llm_usage(created_at);
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'media_items: story excerpt, characters, tags, favorites + full-text index',
+    up() {
+      addColumnIfMissing('media_items', 'story_excerpt', "TEXT DEFAULT ''");
+      addColumnIfMissing('media_items', 'characters', "TEXT DEFAULT '[]'");
+      addColumnIfMissing('media_items', 'tags', "TEXT DEFAULT '[]'");
+      addColumnIfMissing('media_items', 'favorite', 'INTEGER NOT NULL DEFAULT 0');
+      // External-content FTS5 index over media_items, kept in sync by triggers
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS media_fts USING fts5(
+          prompt, negative_prompt, story_excerpt, characters, tags,
+          content='media_items', content_rowid='rowid'
+        );
+        CREATE TRIGGER IF NOT EXISTS media_fts_insert AFTER INSERT ON media_items BEGIN
+          INSERT INTO media_fts(rowid, prompt, negative_prompt, story_excerpt, characters, tags)
+          VALUES (new.rowid, new.prompt, new.negative_prompt, new.story_excerpt, new.characters, new.tags);
+        END;
+        CREATE TRIGGER IF NOT EXISTS media_fts_delete AFTER DELETE ON media_items BEGIN
+          INSERT INTO media_fts(media_fts, rowid, prompt, negative_prompt, story_excerpt, characters, tags)
+          VALUES ('delete', old.rowid, old.prompt, old.negative_prompt, old.story_excerpt, old.characters, old.tags);
+        END;
+        CREATE TRIGGER IF NOT EXISTS media_fts_update AFTER UPDATE ON media_items BEGIN
+          INSERT INTO media_fts(media_fts, rowid, prompt, negative_prompt, story_excerpt, characters, tags)
+          VALUES ('delete', old.rowid, old.prompt, old.negative_prompt, old.story_excerpt, old.characters, old.tags);
+          INSERT INTO media_fts(rowid, prompt, negative_prompt, story_excerpt, characters, tags)
+          VALUES (new.rowid, new.prompt, new.negative_prompt, new.story_excerpt, new.characters, new.tags);
+        END;
+        INSERT INTO media_fts(media_fts) VALUES ('rebuild');
+        CREATE INDEX IF NOT EXISTS idx_media_favorite ON media_items(story_id, favorite);
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'media_items: trash + storyboard-committed flag for retention rules',
+    up() {
+      addColumnIfMissing('media_items', 'trashed_at', 'INTEGER');
+      addColumnIfMissing('media_items', 'committed', 'INTEGER NOT NULL DEFAULT 0');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_media_trash ON media_items(story_id, trashed_at)');
+    },
+  },
+  {
+    version: 6,
+    description: 'video_jobs: provider-side video generations tracked across restarts',
+    up() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS video_jobs (
+          id TEXT PRIMARY KEY,
+          story_id TEXT,
+          provider TEXT NOT NULL DEFAULT 'venice',
+          model TEXT NOT NULL DEFAULT '',
+          queue_id TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'processing',
+          prompt TEXT NOT NULL DEFAULT '',
+          negative_prompt TEXT DEFAULT '',
+          opts TEXT NOT NULL DEFAULT '{}',
+          quote REAL,
+          polls INTEGER NOT NULL DEFAULT 0,
+          poll_errors INTEGER NOT NULL DEFAULT 0,
+          next_poll_at INTEGER,
+          eta_ms INTEGER,
+          error TEXT,
+          media_id TEXT,
+          created_at INTEGER NOT NULL,
+          finished_at INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_video_jobs_status ON video_jobs(status, next_poll_at);
+        CREATE INDEX IF NOT EXISTS idx_video_jobs_story ON video_jobs(story_id, created_at);
+      `);
+    },
+  },
+  {
+    version: 7,
+    description: 'video_jobs: storyboard scene a finished clip attaches to',
+    up() {
+      addColumnIfMissing('video_jobs', 'storyboard_id', 'TEXT');
+      addColumnIfMissing('video_jobs', 'scene_id', 'TEXT');
+    },
+  },
+  {
+    version: 8,
+    description: 'litrpg_ledger: inventory and currency transactions per character',
+    up() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS litrpg_ledger (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          story_id TEXT NOT NULL,
+          character_id TEXT NOT NULL,
+          owner_name TEXT NOT NULL DEFAULT '',
+          kind TEXT NOT NULL,
+          name TEXT NOT NULL,
+          delta INTEGER NOT NULL,
+          reason TEXT NOT NULL DEFAULT '',
+          position INTEGER NOT NULL DEFAULT 0,
+          excerpt TEXT NOT NULL DEFAULT '',
+          source TEXT NOT NULL DEFAULT 'scan',
+          reverses INTEGER,
+          reversed_by INTEGER,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_ledger_holding ON litrpg_ledger(story_id, character_id, kind, name);
+      `);
+    },
+  },
+];
+
+function runMigrations() {
+  const applied = new Set(db.prepare('SELECT version FROM migrations').all().map(r => r.version));
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    db.transaction(() => {
+      migration.up();
+      db.prepare('INSERT INTO migrations (version, applied_at) VALUES (?, ?)').run(migration.version, Date.now());
+    })();
+    console.log(`${LOG_PREFIX} Applied migration ${migration.version}: ${migration.description}`);
+  }
+}
+
 // --- Stories ---
 
 function upsertStory(id, title) {
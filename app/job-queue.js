@@ -0,0 +1,326 @@
+/**
+ * Generation Job Queue — persistent image-generation queue backed by the
+ * generation_jobs table. Supports priorities, N variations per prompt,
+ * cancel / retry / reorder, and per-provider concurrency limits.
+ * Jobs left "running" by a crash or restart go back to pending on init.
+ */
+
+const LOG_PREFIX = '[JobQueue]';
+
+const DEFAULT_CONCURRENCY = { novelai: 1, venice: 2, perchance: 1, puter: 1, local: 1 };
+const PRIORITIES = { low: -10, normal: 0, high: 10, interactive: 100 };
+const MAX_VARIATIONS = 8;
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Request fields too large to send back in list() summaries
+const HEAVY_REQUEST_FIELDS = ['sourceImage', 'mask'];
+
+let dbInstance = null;
+let hooks = {
+  runJob: null,          // async (job) => generation result ({ success, imageData, meta, error })
+  saveResult: null,      // (job, result) => mediaId | null
+  notify: () => {},      // (channel, payload) => void
+  getConcurrency: () => DEFAULT_CONCURRENCY,
+};
+const running = new Map(); // jobId -> provider
+
+function init(db, jobHooks) {
+  dbInstance = db;
+  hooks = { ...hooks, ...jobHooks };
+
+  const recovered = dbInstance.prepare(
+    "UPDATE generation_jobs SET status = 'pending', started_at = NULL WHERE status = 'running'"
+  ).run().changes;
+  if (recovered > 0) console.log(`${LOG_PREFIX} Re-queued ${recovered} interrupted job(s)`);
+
+  pump();
+}
+
+function generateId(prefix) {
+  return prefix + '_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967295);
+}
+
+function nextPosition() {
+  return dbInstance.prepare('SELECT COALESCE(MAX(position), 0) + 1 AS pos FROM generation_jobs').get().pos;
+}
+
+function resolvePriority(priority) {
+  if (typeof priority === 'number') return priority;
+  return PRIORITIES[priority] ?? PRIORITIES.normal;
+}
+
+function getRow(jobId) {
+  return dbInstance.prepare('SELECT * FROM generation_jobs WHERE id = ?').get(jobId) || null;
+}
+
+function parseJob(row, { full = false } = {}) {
+  let request = {};
+  try { request = JSON.parse(row.request || '{}'); } catch { /* corrupt — treat as empty */ }
+  if (!full) {
+    for (const field of HEAVY_REQUEST_FIELDS) {
+      if (request[field]) request[field] = true;
+    }
+  }
+  return {
+    id: row.id,
+    storyId: row.story_id,
+    batchId: row.batch_id,
+    variation: row.variation,
+    variationCount: row.variation_count,
+    provider: row.provider,
+    status: row.status,
+    priority: row.priority,
+    position: row.position,
+    request,
+    attempts: row.attempts,
+    error: row.error,
+    mediaId: row.media_id,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+function changed(storyId) {
+  hooks.notify('jobs:changed', { storyId: storyId || null });
+}
+
+// ---------------------------------------------------------------------------
+// Enqueue
+// ---------------------------------------------------------------------------
+
+/**
+ * Add a prompt to the queue, optionally as several variations.
+ * Variations get distinct explicit seeds (request.seed + i, or random) so each
+ * result is reproducible even when the story has a locked seed.
+ * @returns {Array<Object>} the created jobs
+ */
+function enqueue(storyId, request, opts = {}) {
+  const variations = Math.max(1, Math.min(MAX_VARIATIONS, parseInt(opts.variations, 10) || 1));
+  const priority = resolvePriority(opts.priority);
+  const provider = opts.provider || 'novelai';
+  const batchId = generateId('batch');
+  const now = Date.now();
+  let position = nextPosition();
+
+  const insert = dbInstance.prepare(`
+    INSERT INTO generation_jobs (id, story_id, batch_id, variation, variation_count, provider, status, priority, position, request, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)
+  `);
+
+  const ids = [];
+  dbInstance.transaction(() => {
+    for (let i = 0; i < variations; i++) {
+      const jobRequest = { ...request };
+      if (variations > 1) {
+        jobRequest.seed = Number.isInteger(request.seed) ? request.seed + i : randomSeed();
+      }
+      const id = generateId('job');
+      insert.run(id, storyId || null, batchId, i, variations, provider, priority, position++, JSON.stringify(jobRequest), now);
+      ids.push(id);
+    }
+  })();
+
+  console.log(`${LOG_PREFIX} Queued ${variations} job(s) on ${provider} (priority ${priority})`);
+  changed(storyId);
+  pump();
+  return ids.map(id => parseJob(getRow(id)));
+}
+
+// ---------------------------------------------------------------------------
+// Scheduling
+// ---------------------------------------------------------------------------
+
+function pump() {
+  if (!dbInstance || !hooks.runJob) return;
+
+  const limits = { ...DEFAULT_CONCURRENCY, ...(hooks.getConcurrency() || {}) };
+  const counts = {};
+  for (const provider of running.values()) counts[provider] = (counts[provider] || 0) + 1;
+
+  const pending = dbInstance.prepare(
+    "SELECT * FROM generation_jobs WHERE status = 'pending' ORDER BY priority DESC, position ASC"
+  ).all();
+
+  for (const row of pending) {
+    const limit = Math.max(1, limits[row.provider] || 1);
+    if ((counts[row.provider] || 0) >= limit) continue;
+    counts[row.provider] = (counts[row.provider] || 0) + 1;
+    startJob(row);
+  }
+}
+
+function startJob(row) {
+  const now = Date.now();
+  dbInstance.prepare(
+    "UPDATE generation_jobs SET status = 'running', started_at = ?, attempts = attempts + 1, error = NULL WHERE id = ?"
+  ).run(now, row.id);
+  running.set(row.id, row.provider);
+  changed(row.story_id);
+
+  const job = parseJob({ ...row, status: 'running', started_at: now }, { full: true });
+  console.log(`${LOG_PREFIX} Starting job ${job.id} (${job.provider}, variation ${job.variation + 1}/${job.variationCount})`);
+
+  Promise.resolve()
+    .then(() => hooks.runJob(job))
+    .catch(err => ({ success: false, error: err.message }))
+    .then(result => finishJob(job, result || { success: false, error: 'No result' }));
+}
+
+function finishJob(job, result) {
+  running.delete(job.id);
+  const row = getRow(job.id);
+
+  // Deleted or cancelled while running — the provider call can't be aborted, drop the result
+  if (!row || row.status === 'cancelled') {
+    console.log(`${LOG_PREFIX} Discarding result of cancelled job ${job.id}`);
+    changed(job.storyId);
+    pump();
+    return;
+  }
+
+  const now = Date.now();
+  let mediaId = null;
+  if (result.success) {
+    try {
+      mediaId = hooks.saveResult ? hooks.saveResult(job, result) : null;
+    } catch (err) {
+      console.error(`${LOG_PREFIX} Saving result of ${job.id} failed:`, err.message);
+    }
+    dbInstance.prepare(
+      "UPDATE generation_jobs SET status = 'done', media_id = ?, finished_at = ? WHERE id = ?"
+    ).run(mediaId, now, job.id);
+  } else {
+    dbInstance.prepare(
+      "UPDATE generation_jobs SET status = 'failed', error = ?, finished_at = ? WHERE id = ?"
+    ).run(result.error || 'Generation failed', now, job.id);
+    console.warn(`${LOG_PREFIX} Job ${job.id} failed: ${result.error}`);
+  }
+
+  hooks.notify('jobs:finished', {
+    jobId: job.id,
+    batchId: job.batchId,
+    storyId: job.storyId,
+    variation: job.variation,
+    variationCount: job.variationCount,
+    ...result,
+    ...(result.success ? { meta: { ...(result.meta || {}), mediaId } } : {}),
+  });
+  changed(job.storyId);
+  pump();
+}
+
+// ---------------------------------------------------------------------------
+// Queue management
+// ---------------------------------------------------------------------------
+
+function list(storyId, opts = {}) {
+  let sql = 'SELECT * FROM generation_jobs';
+  const params = [];
+  if (storyId !== undefined) {
+    sql += ' WHERE story_id IS ?';
+    params.push(storyId || null);
+  }
+  sql += " ORDER BY CASE status WHEN 'running' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END, priority DESC, position ASC";
+  if (opts.limit) {
+    sql += ' LIMIT ?';
+    params.push(opts.limit);
+  }
+  return dbInstance.prepare(sql).all(...params).map(row => parseJob(row));
+}
+
+function getCounts(storyId) {
+  const rows = dbInstance.prepare(
+    'SELECT status, COUNT(*) AS cnt FROM generation_jobs WHERE story_id IS ? GROUP BY status'
+  ).all(storyId || null);
+  const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const r of rows) counts[r.status] = r.cnt;
+  return counts;
+}
+
+function cancel(jobId) {
+  const row = getRow(jobId);
+  if (!row) return { success: false, error: 'Job not found' };
+  if (row.status !== 'pending' && row.status !== 'running') {
+    return { success: false, error: `Job is already ${row.status}` };
+  }
+  dbInstance.prepare(
+    "UPDATE generation_jobs SET status = 'cancelled', finished_at = ? WHERE id = ?"
+  ).run(Date.now(), jobId);
+  changed(row.story_id);
+  return { success: true };
+}
+
+function retry(jobId) {
+  const row = getRow(jobId);
+  if (!row) return { success: false, error: 'Job not found' };
+  if (row.status !== 'failed' && row.status !== 'cancelled') {
+    return { success: false, error: 'Only failed or cancelled jobs can be retried' };
+  }
+  dbInstance.prepare(
+    "UPDATE generation_jobs SET status = 'pending', error = NULL, started_at = NULL, finished_at = NULL, position = ? WHERE id = ?"
+  ).run(nextPosition(), jobId);
+  changed(row.story_id);
+  pump();
+  return { success: true };
+}
+
+// Swap a pending job with its neighbour in run order ('up' runs sooner)
+function move(jobId, direction) {
+  const row = getRow(jobId);
+  if (!row || row.status !== 'pending') return { success: false, error: 'Only pending jobs can be moved' };
+
+  const pending = dbInstance.prepare(
+    "SELECT id, priority, position FROM generation_jobs WHERE status = 'pending' ORDER BY priority DESC, position ASC"
+  ).all();
+  const idx = pending.findIndex(j => j.id === jobId);
+  const neighbour = pending[direction === 'up' ? idx - 1 : idx + 1];
+  if (!neighbour) return { success: true };
+
+  // Take over the neighbour's slot (priority included, so the move is never undone by sorting)
+  const update = dbInstance.prepare('UPDATE generation_jobs SET priority = ?, position = ? WHERE id = ?');
+  dbInstance.transaction(() => {
+    update.run(neighbour.priority, neighbour.position, jobId);
+    update.run(row.priority, row.position, neighbour.id);
+  })();
+  changed(row.story_id);
+  return { success: true };
+}
+
+function setPriority(jobId, priority) {
+  const row = getRow(jobId);
+  if (!row || row.status !== 'pending') return { success: false, error: 'Only pending jobs can be re-prioritised' };
+  dbInstance.prepare('UPDATE generation_jobs SET priority = ? WHERE id = ?').run(resolvePriority(priority), jobId);
+  changed(row.story_id);
+  pump();
+  return { success: true };
+}
+
+function clearFinished(storyId) {
+  const placeholders = FINISHED_STATUSES.map(() => '?').join(', ');
+  const removed = dbInstance.prepare(
+    `DELETE FROM generation_jobs WHERE story_id IS ? AND status IN (${placeholders})`
+  ).run(storyId || null, ...FINISHED_STATUSES).changes;
+  changed(storyId);
+  return { success: true, removed };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  PRIORITIES,
+  MAX_VARIATIONS,
+  init,
+  enqueue,
+  pump,
+  list,
+  getCounts,
+  cancel,
+  retry,
+  move,
+  setPriority,
+  clearFinished,
+};
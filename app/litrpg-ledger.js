@@ -0,0 +1,238 @@
+/**
+ * LitRPG Ledger — inventory and currency changes as transactions in the litrpg_ledger
+ * table (owner, item or currency unit, signed delta, story offset, source excerpt).
+ *
+ * The tracker queues transactions on the state it returns (state._ledgerTransactions);
+ * commit() writes them and re-derives each affected character's inventory quantities
+ * and currency from the ledger sums. A character's first transactions are preceded by
+ * an opening balance, so sheets tracked before the ledger existed keep their holdings.
+ * A bad transaction is undone by a reversing entry rather than by deleting it.
+ */
+
+const LOG_PREFIX = '[LitRPGLedger]';
+const MAX_EXCERPT_LENGTH = 400;
+
+let dbInstance = null;
+
+function init(db) {
+  dbInstance = db;
+}
+
+function parseRow(row) {
+  return {
+    id: row.id,
+    characterId: row.character_id,
+    ownerName: row.owner_name,
+    kind: row.kind,
+    name: row.name,
+    delta: row.delta,
+    reason: row.reason,
+    position: row.position,
+    excerpt: row.excerpt,
+    source: row.source,
+    reverses: row.reverses,
+    reversedBy: row.reversed_by,
+    createdAt: row.created_at,
+  };
+}
+
+function insert(storyId, tx) {
+  return dbInstance.prepare(`
+    INSERT INTO litrpg_ledger (story_id, character_id, owner_name, kind, name, delta, reason, position, excerpt, source, reverses, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    storyId, tx.characterId, tx.ownerName || '', tx.kind, tx.name, Math.round(tx.delta),
+    tx.reason || '', Math.max(0, Math.round(tx.position || 0)), String(tx.excerpt || '').slice(0, MAX_EXCERPT_LENGTH),
+    tx.source || 'scan', tx.reverses ?? null, Date.now()
+  ).lastInsertRowid;
+}
+
+function hasEntries(storyId, characterId) {
+  return !!dbInstance.prepare('SELECT 1 FROM litrpg_ledger WHERE story_id = ? AND character_id = ? LIMIT 1').get(storyId, characterId);
+}
+
+// ---------------------------------------------------------------------------
+// Derivation
+// ---------------------------------------------------------------------------
+
+/**
+ * Current holdings from the ledger sums.
+ * @returns {{items: Map<string, {name: string, quantity: number}>, currency: Object}} items keyed by lowercased name
+ */
+function deriveHoldings(storyId, characterId) {
+  const rows = dbInstance.prepare(`
+    SELECT kind, name, SUM(delta) AS total, MIN(id) AS first FROM litrpg_ledger
+    WHERE story_id = ? AND character_id = ? GROUP BY kind, name ORDER BY first
+  `).all(storyId, characterId);
+  const items = new Map();
+  const currency = {};
+  for (const row of rows) {
+    if (row.kind === 'currency') {
+      currency[row.name] = (currency[row.name] || 0) + row.total;
+    } else {
+      const key = row.name.toLowerCase();
+      items.set(key, { name: items.get(key)?.name || row.name, quantity: (items.get(key)?.quantity || 0) + row.total });
+    }
+  }
+  return { items, currency };
+}
+
+/** Set a character's inventory quantities and currency from the ledger; item details (type, rarity) are kept. */
+function applyHoldings(storyId, char) {
+  const { items, currency } = deriveHoldings(storyId, char.id);
+  const details = new Map((char.inventory || []).map(i => [i.name.toLowerCase(), i]));
+  char.inventory = [...items.entries()]
+    .filter(([, item]) => item.quantity > 0)
+    .map(([key, item]) => ({ type: 'other', rarity: null, ...details.get(key), name: item.name, quantity: item.quantity }));
+  char.currency = currency;
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+/**
+ * Write the transactions queued on a LitRPG state and re-derive the holdings of every
+ * character they touch. Removes state._ledgerTransactions. Never throws — a ledger
+ * failure leaves the sheet as the tracker produced it.
+ * @returns {number} transactions written
+ */
+function commit(storyId, state) {
+  const queued = state._ledgerTransactions || [];
+  delete state._ledgerTransactions;
+  if (!dbInstance || !storyId || queued.length === 0) return 0;
+
+  try {
+    const byCharacter = new Map();
+    for (const tx of queued) {
+      if (!tx.characterId || !tx.name || !Number.isFinite(tx.delta) || tx.delta === 0) continue;
+      if (!byCharacter.has(tx.characterId)) byCharacter.set(tx.characterId, []);
+      byCharacter.get(tx.characterId).push(tx);
+    }
+
+    let written = 0;
+    dbInstance.transaction(() => {
+      for (const [characterId, transactions] of byCharacter) {
+        const char = state.characters?.[characterId];
+        if (!char) continue;
+        if (!hasEntries(storyId, characterId)) {
+          for (const tx of openingBalance(char, transactions)) insert(storyId, tx);
+        }
+        for (const tx of transactions) {
+          insert(storyId, tx);
+          written++;
+        }
+        applyHoldings(storyId, char);
+      }
+    })();
+    if (written > 0) console.log(`${LOG_PREFIX} Recorded ${written} transaction(s) for ${byCharacter.size} character(s)`);
+    return written;
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Could not record transactions:`, err.message);
+    return 0;
+  }
+}
+
+// What the character held before this batch: current holdings minus the batch's deltas
+function openingBalance(char, transactions) {
+  const totals = new Map();
+  const add = (kind, name, amount) => {
+    const key = `${kind}:${kind === 'item' ? name.toLowerCase() : name}`;
+    totals.set(key, { kind, name: totals.get(key)?.name || name, amount: (totals.get(key)?.amount || 0) + amount });
+  };
+  for (const item of (char.inventory || [])) add('item', item.name, item.quantity ?? 1);
+  for (const [unit, amount] of Object.entries(char.currency || {})) add('currency', unit, amount);
+  for (const tx of transactions) add(tx.kind, tx.name, -tx.delta);
+
+  return [...totals.values()].filter(t => t.amount !== 0).map(t => ({
+    characterId: char.id,
+    ownerName: char.name,
+    kind: t.kind,
+    name: t.name,
+    delta: t.amount,
+    reason: 'opening',
+    position: 0,
+    excerpt: '',
+    source: 'opening',
+  }));
+}
+
+/**
+ * Undo one transaction with a reversing entry and re-derive the owner's holdings.
+ * @returns {{success: boolean, error?: string, transaction?: Object}} the reversing entry
+ */
+function reverse(storyId, transactionId, state) {
+  const row = dbInstance.prepare('SELECT * FROM litrpg_ledger WHERE id = ? AND story_id = ?').get(transactionId, storyId);
+  if (!row) return { success: false, error: 'Transaction not found' };
+  if (row.reversed_by != null) return { success: false, error: 'Transaction already reversed' };
+  if (row.reverses != null) return { success: false, error: 'A reversal cannot be reversed' };
+  const char = state.characters?.[row.character_id];
+  if (!char) return { success: false, error: 'Character no longer tracked' };
+
+  let reversalId;
+  dbInstance.transaction(() => {
+    reversalId = insert(storyId, {
+      characterId: row.character_id,
+      ownerName: char.name,
+      kind: row.kind,
+      name: row.name,
+      delta: -row.delta,
+      reason: 'reversal',
+      position: row.position,
+      excerpt: row.excerpt,
+      source: 'reversal',
+      reverses: row.id,
+    });
+    dbInstance.prepare('UPDATE litrpg_ledger SET reversed_by = ? WHERE id = ?').run(reversalId, row.id);
+  })();
+  applyHoldings(storyId, char);
+  console.log(`${LOG_PREFIX} Reversed transaction ${row.id} (${row.delta > 0 ? '+' : ''}${row.delta} ${row.name})`);
+  return { success: true, transaction: parseRow(dbInstance.prepare('SELECT * FROM litrpg_ledger WHERE id = ?').get(reversalId)) };
+}
+
+// ---------------------------------------------------------------------------
+// Reading / clearing
+// ---------------------------------------------------------------------------
+
+/**
+ * Transactions in story order. Item names match case-insensitively.
+ * @param {{characterId?: string, kind?: 'item'|'currency', name?: string}} [filter]
+ */
+function list(storyId, { characterId, kind, name } = {}) {
+  let sql = 'SELECT * FROM litrpg_ledger WHERE story_id = ?';
+  const params = [storyId];
+  if (characterId) {
+    sql += ' AND character_id = ?';
+    params.push(characterId);
+  }
+  if (kind) {
+    sql += ' AND kind = ?';
+    params.push(kind);
+  }
+  if (name) {
+    sql += kind === 'currency' ? ' AND name = ?' : ' AND name = ? COLLATE NOCASE';
+    params.push(name);
+  }
+  sql += ' ORDER BY position, id';
+  return dbInstance.prepare(sql).all(...params).map(parseRow);
+}
+
+function clearCharacter(storyId, characterId) {
+  return dbInstance.prepare('DELETE FROM litrpg_ledger WHERE story_id = ? AND character_id = ?').run(storyId, characterId).changes;
+}
+
+function clearStory(storyId) {
+  const removed = dbInstance.prepare('DELETE FROM litrpg_ledger WHERE story_id = ?').run(storyId).changes;
+  if (removed > 0) console.log(`${LOG_PREFIX} Cleared ${removed} transaction(s)`);
+  return removed;
+}
+
+module.exports = {
+  init,
+  commit,
+  reverse,
+  list,
+  deriveHoldings,
+  clearCharacter,
+  clearStory,
+};
@@ -0,0 +1,223 @@
+/**
+ * LitRPG Parsers — user-defined rules for a story's own system messages and status windows
+ * (boxed stat tables, "<Skill Acquired: X>" notifications, bracketed level-ups, ...).
+ *
+ * A rule is a regex plus a mapping from capture groups (number or name) to the fields of
+ * one target (stat, skill, item, quest, ...); fields can also take a fixed value. Matches
+ * feed the tracker's pre-extracted hints and detection score, and rules marked
+ * applyToState update characters and quests directly (litrpg-tracker applyParsedMatches).
+ * Rules are saved globally or per story; story rules shadow global ones with the same id.
+ */
+
+const LOG_PREFIX = '[LitRPGParsers]';
+
+// Fields each target understands; every target also accepts `character` (for quests, who gets the rewards)
+const TARGETS = {
+  stat: { label: 'Stat', fields: ['name', 'value', 'modifier'], required: ['name', 'value'] },
+  level: { label: 'Level', fields: ['level', 'class'], required: ['level'] },
+  xp: { label: 'XP', fields: ['current', 'needed'], required: ['current'] },
+  skill: { label: 'Skill / ability', fields: ['name', 'level', 'description'], required: ['name'] },
+  item: { label: 'Item gained', fields: ['name', 'quantity'], required: ['name'] },
+  equipment: { label: 'Equipment', fields: ['name', 'slot'], required: ['name'] },
+  currency: { label: 'Currency gained', fields: ['amount', 'unit'], required: ['amount', 'unit'] },
+  status: { label: 'Status effect', fields: ['name', 'type', 'duration'], required: ['name'] },
+  realm: { label: 'Realm / rank', fields: ['realm', 'stage'], required: ['realm'] },
+  quest: { label: 'Quest', fields: ['title', 'status', 'giver', 'parent', 'deadline'], required: ['title'] },
+};
+
+const NUMERIC_FIELDS = new Set(['value', 'modifier', 'level', 'current', 'needed', 'quantity', 'amount']);
+
+const QUEST_STATUSES = {
+  received: 'active', accepted: 'active', new: 'active', started: 'active', updated: 'active', active: 'active',
+  completed: 'completed', complete: 'completed', done: 'completed', cleared: 'completed',
+  failed: 'failed', abandoned: 'abandoned',
+};
+
+const MAX_RULES = 100;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_MATCHES_PER_RULE = 200;
+const MAX_FIELD_LENGTH = 120;
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+
+function generateRuleId() {
+  return 'rule_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+}
+
+function fieldsOf(target) {
+  return [...(TARGETS[target]?.fields || []), 'character'];
+}
+
+/**
+ * Clean one rule. The pattern must compile; flags always include 'g'.
+ * @returns {{rule: Object|null, error: string|null}}
+ */
+function normalizeRule(def) {
+  if (!def || typeof def !== 'object') return { rule: null, error: 'Not an object' };
+  if (!TARGETS[def.target]) return { rule: null, error: `Unknown target "${def.target}"` };
+  const pattern = typeof def.pattern === 'string' ? def.pattern : '';
+  if (!pattern.trim()) return { rule: null, error: 'Empty pattern' };
+  if (pattern.length > MAX_PATTERN_LENGTH) return { rule: null, error: `Pattern longer than ${MAX_PATTERN_LENGTH} characters` };
+  const flags = [...new Set(('g' + (typeof def.flags === 'string' ? def.flags : 'i')).replace(/[^gimsu]/g, ''))].join('');
+  try {
+    new RegExp(pattern, flags);
+  } catch (err) {
+    return { rule: null, error: err.message };
+  }
+
+  const groups = {};
+  const defaults = {};
+  for (const field of fieldsOf(def.target)) {
+    const group = def.groups?.[field];
+    if (group != null && String(group).trim()) groups[field] = String(group).trim();
+    const fixed = def.defaults?.[field];
+    if (fixed != null && String(fixed).trim()) defaults[field] = String(fixed).trim().slice(0, MAX_FIELD_LENGTH);
+  }
+  const missing = TARGETS[def.target].required.filter(f => !groups[f] && !defaults[f]);
+  if (missing.length > 0) return { rule: null, error: `Map a group or fixed value for: ${missing.join(', ')}` };
+
+  const weight = parseInt(def.signalWeight, 10);
+  return {
+    rule: {
+      id: typeof def.id === 'string' && def.id ? def.id : generateRuleId(),
+      name: (typeof def.name === 'string' && def.name.trim() ? def.name.trim() : TARGETS[def.target].label).slice(0, 60),
+      enabled: def.enabled !== false,
+      target: def.target,
+      pattern,
+      flags,
+      groups,
+      defaults,
+      applyToState: !!def.applyToState,
+      signalWeight: Number.isInteger(weight) ? Math.max(0, Math.min(5, weight)) : 3,
+      updatedAt: Number.isFinite(def.updatedAt) ? def.updatedAt : Date.now(),
+    },
+    error: null,
+  };
+}
+
+function normalizeRules(list) {
+  const out = [];
+  const ids = new Set();
+  for (const def of (Array.isArray(list) ? list : []).slice(0, MAX_RULES)) {
+    const { rule } = normalizeRule(def);
+    if (!rule || ids.has(rule.id)) continue;
+    ids.add(rule.id);
+    out.push(rule);
+  }
+  return out;
+}
+
+function upsertRule(list, rule) {
+  const out = normalizeRules(list).filter(r => r.id !== rule.id);
+  out.push(rule);
+  return out;
+}
+
+/** Rules that apply to a story: global ones not shadowed by a story rule, then the story's own. */
+function mergeRuleLayers({ global = [], story = [] } = {}) {
+  const storyRules = normalizeRules(story);
+  const storyIds = new Set(storyRules.map(r => r.id));
+  return [...normalizeRules(global).filter(r => !storyIds.has(r.id)), ...storyRules];
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+function readGroup(m, ref) {
+  if (/^\d+$/.test(ref)) return m[parseInt(ref, 10)];
+  return m.groups?.[ref];
+}
+
+function coerceField(field, raw) {
+  const text = String(raw).trim().slice(0, MAX_FIELD_LENGTH);
+  if (NUMERIC_FIELDS.has(field)) {
+    const n = parseInt(text.replace(/[,\s+]/g, ''), 10);
+    return Number.isFinite(n) ? n : null;
+  }
+  if (field === 'status') return QUEST_STATUSES[text.toLowerCase()] || null;
+  if (field === 'type') return ['buff', 'debuff', 'condition'].includes(text.toLowerCase()) ? text.toLowerCase() : null;
+  return text || null;
+}
+
+/**
+ * Run rules against text.
+ * @param {string} text
+ * @param {Object[]} rules - normalized rules; disabled ones are skipped unless `includeDisabled`
+ * @param {{offset?: number, includeDisabled?: boolean}} [opts] - offset is added to match positions
+ * @returns {{matches: Object[], errors: Array<{ruleId: string, error: string}>}}
+ *   matches: { ruleId, ruleName, target, position, text, fields, applyToState } in story order
+ */
+function runParserRules(text, rules, { offset = 0, includeDisabled = false } = {}) {
+  const matches = [];
+  const errors = [];
+  for (const rule of (rules || [])) {
+    if (!rule.enabled && !includeDisabled) continue;
+    let re;
+    try {
+      re = new RegExp(rule.pattern, rule.flags);
+    } catch (err) {
+      errors.push({ ruleId: rule.id, error: err.message });
+      continue;
+    }
+
+    let count = 0;
+    for (const m of String(text || '').matchAll(re)) {
+      if (m[0] === '') continue;
+      const fields = {};
+      for (const field of fieldsOf(rule.target)) {
+        const raw = rule.groups[field] != null ? readGroup(m, rule.groups[field]) : undefined;
+        const value = raw != null && String(raw).trim() !== '' ? raw : rule.defaults[field];
+        if (value != null) {
+          const coerced = coerceField(field, value);
+          if (coerced != null) fields[field] = coerced;
+        }
+      }
+      if (TARGETS[rule.target].required.some(f => fields[f] == null)) continue;
+
+      matches.push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        target: rule.target,
+        position: offset + m.index,
+        text: m[0].trim().slice(0, 200),
+        fields,
+        applyToState: rule.applyToState,
+      });
+      if (++count >= MAX_MATCHES_PER_RULE) {
+        console.warn(`${LOG_PREFIX} Rule "${rule.name}" stopped at ${MAX_MATCHES_PER_RULE} matches`);
+        break;
+      }
+    }
+  }
+  matches.sort((a, b) => a.position - b.position);
+  return { matches, errors };
+}
+
+/**
+ * Detection signals from rules that match (same scoring as the built-in patterns).
+ * @returns {Array<{name: string, count: number, contribution: number}>}
+ */
+function scoreRuleSignals(text, rules) {
+  const signals = [];
+  const { matches } = runParserRules(text, (rules || []).filter(r => r.signalWeight > 0));
+  const counts = new Map();
+  for (const m of matches) counts.set(m.ruleId, (counts.get(m.ruleId) || 0) + 1);
+  for (const rule of rules || []) {
+    const count = counts.get(rule.id);
+    if (count) signals.push({ name: `rule:${rule.name}`, count, contribution: Math.min(count, 3) * rule.signalWeight });
+  }
+  return signals;
+}
+
+module.exports = {
+  normalizeRule,
+  normalizeRules,
+  upsertRule,
+  mergeRuleLayers,
+  runParserRules,
+  scoreRuleSignals,
+  TARGETS,
+};
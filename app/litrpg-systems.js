@@ -0,0 +1,255 @@
+/**
+ * LitRPG Systems — user-defined system types alongside the built-in SYSTEM_TYPE_PROMPTS.
+ * A definition lists its stats, equipment slots, class examples, realms/ranks, currencies,
+ * prompt hints and extra regex patterns. Definitions are saved globally or per story
+ * (story definitions shadow global ones with the same id) and resolve into the config
+ * the tracker's LLM passes and regex pre-extraction read.
+ */
+
+const { SYSTEM_TYPE_PROMPTS } = require('./litrpg-tracker');
+
+const LOG_PREFIX = '[LitRPGSystems]';
+
+const EXPORT_FORMAT = 'litrpg-systems';
+const EXPORT_VERSION = 1;
+
+const BUILTIN_LABELS = {
+  generic: 'Generic RPG',
+  dnd: 'D&D Style',
+  cultivation: 'Cultivation',
+  gamelit: 'GameLit',
+  mmorpg: 'MMORPG',
+  survival: 'Survival',
+};
+
+// Pre-extraction buckets an extra pattern can feed (see regexPreExtract)
+const PATTERN_TARGETS = {
+  stats: 'group 1 = stat name, group 2 = value',
+  levels: 'group 1 = level, group 2 = class (optional)',
+  xp: 'group 1 = amount, group 2 = needed (optional)',
+  currency: 'group 1 = amount, group 2 = unit',
+  cultivation: 'group 1 = realm / rank',
+  skills: 'group 1 = skill name',
+  statusEffects: 'group 1 = effect name',
+  quests: 'group 1 = quest title',
+  inventory: 'group 1 = item name, group 2 = quantity (optional)',
+};
+
+const MAX_LIST_ITEMS = 60;
+const MAX_ITEM_LENGTH = 60;
+const MAX_HINT_LENGTH = 1000;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 300;
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+
+function slugify(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+/** Accepts an array or a comma/newline separated string; trims, dedupes (case-insensitive) and caps. */
+function normalizeList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  const seen = new Set();
+  const out = [];
+  for (const item of items) {
+    const text = String(item ?? '').trim().slice(0, MAX_ITEM_LENGTH);
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    out.push(text);
+    if (out.length >= MAX_LIST_ITEMS) break;
+  }
+  return out;
+}
+
+function normalizeHint(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_HINT_LENGTH) : '';
+}
+
+/**
+ * Clean one extra pattern. Flags always include 'g' (the tracker uses matchAll).
+ * @returns {{pattern: Object|null, error: string|null}}
+ */
+function normalizePattern(p) {
+  if (!p || typeof p !== 'object') return { pattern: null, error: 'Not an object' };
+  if (!PATTERN_TARGETS[p.target]) return { pattern: null, error: `Unknown target "${p.target}"` };
+  const regex = typeof p.regex === 'string' ? p.regex.trim() : '';
+  if (!regex) return { pattern: null, error: 'Empty regex' };
+  if (regex.length > MAX_PATTERN_LENGTH) return { pattern: null, error: `Regex longer than ${MAX_PATTERN_LENGTH} characters` };
+  const flags = [...new Set(('g' + (typeof p.flags === 'string' ? p.flags : 'i')).replace(/[^gimsu]/g, ''))].join('');
+  try {
+    new RegExp(regex, flags);
+  } catch (err) {
+    return { pattern: null, error: err.message };
+  }
+  return { pattern: { target: p.target, regex, flags }, error: null };
+}
+
+/**
+ * Clean a system definition. Invalid patterns are dropped and reported in `errors`.
+ * @returns {{system: Object|null, errors: string[]}}
+ */
+function normalizeSystem(def) {
+  if (!def || typeof def !== 'object') return { system: null, errors: ['Not an object'] };
+  const name = typeof def.name === 'string' ? def.name.trim().slice(0, MAX_ITEM_LENGTH) : '';
+  if (!name) return { system: null, errors: ['A system needs a name'] };
+
+  let id = slugify(def.id) || slugify(name);
+  if (!id) return { system: null, errors: ['A system needs a name with letters or digits'] };
+  if (BUILTIN_LABELS[id]) id = `custom-${id}`;
+
+  const errors = [];
+  const patterns = [];
+  for (const p of (Array.isArray(def.patterns) ? def.patterns : []).slice(0, MAX_PATTERNS)) {
+    const { pattern, error } = normalizePattern(p);
+    if (pattern) patterns.push(pattern);
+    else errors.push(`Pattern ${JSON.stringify(p?.regex || '')}: ${error}`);
+  }
+
+  return {
+    system: {
+      id,
+      name,
+      baseType: BUILTIN_LABELS[def.baseType] ? def.baseType : 'generic',
+      stats: normalizeList(def.stats),
+      equipmentSlots: normalizeList(def.equipmentSlots).map(s => s.toLowerCase()),
+      classExamples: normalizeList(def.classExamples),
+      realms: normalizeList(def.realms),
+      currencies: normalizeList(def.currencies),
+      contextHint: normalizeHint(def.contextHint),
+      questHint: normalizeHint(def.questHint),
+      patterns,
+      updatedAt: Number.isFinite(def.updatedAt) ? def.updatedAt : Date.now(),
+    },
+    errors,
+  };
+}
+
+/** Clean a stored list, dropping anything invalid and later duplicates of an id. */
+function normalizeSystems(list) {
+  const out = [];
+  const ids = new Set();
+  for (const def of (Array.isArray(list) ? list : [])) {
+    const { system } = normalizeSystem(def);
+    if (!system || ids.has(system.id)) continue;
+    ids.add(system.id);
+    out.push(system);
+  }
+  return out;
+}
+
+/** Insert or replace a definition by id. Returns a new list. */
+function upsertSystem(list, system) {
+  const out = normalizeSystems(list).filter(s => s.id !== system.id);
+  out.push(system);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Resolution
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve a story's system type to the config the tracker reads.
+ * Built-in ids return their SYSTEM_TYPE_PROMPTS entry. Custom ids are looked up
+ * story → global; unset prompt fields fall back to the definition's base type.
+ * @param {string} systemType
+ * @param {{global?: Object[], story?: Object[]}} layers
+ * @returns {Object} { expectedStats, equipmentSlots, classExamples, contextHint, questHint, custom? }
+ */
+function resolveSystem(systemType, { global = [], story = [] } = {}) {
+  if (SYSTEM_TYPE_PROMPTS[systemType]) return SYSTEM_TYPE_PROMPTS[systemType];
+
+  const def = normalizeSystems(story).find(s => s.id === systemType)
+    || normalizeSystems(global).find(s => s.id === systemType);
+  if (!def) {
+    if (systemType) console.warn(`${LOG_PREFIX} Unknown system "${systemType}" — using generic`);
+    return SYSTEM_TYPE_PROMPTS.generic;
+  }
+
+  const base = SYSTEM_TYPE_PROMPTS[def.baseType] || SYSTEM_TYPE_PROMPTS.generic;
+  const contextParts = [def.contextHint || base.contextHint];
+  if (def.realms.length > 0) contextParts.push(`Realms/ranks in ascending order: ${def.realms.join(', ')}. Report the current one as cultivationRealm.`);
+  if (def.currencies.length > 0) contextParts.push(`Currencies: ${def.currencies.join(', ')}.`);
+
+  return {
+    id: def.id,
+    name: def.name,
+    expectedStats: def.stats.length > 0 ? def.stats.join(', ') : base.expectedStats,
+    equipmentSlots: def.equipmentSlots.length > 0 ? def.equipmentSlots.join(', ') : base.equipmentSlots,
+    classExamples: def.classExamples.length > 0 ? def.classExamples.join(', ') : base.classExamples,
+    contextHint: contextParts.join(' '),
+    questHint: def.questHint || base.questHint,
+    custom: {
+      stats: def.stats,
+      slots: def.equipmentSlots,
+      realms: def.realms,
+      currencies: def.currencies,
+      patterns: def.patterns,
+    },
+  };
+}
+
+/** Built-ins plus custom definitions (story ones shadowing global) for a system picker. */
+function listSystemOptions({ global = [], story = [] } = {}) {
+  const storySystems = normalizeSystems(story);
+  const storyIds = new Set(storySystems.map(s => s.id));
+  return [
+    ...Object.entries(BUILTIN_LABELS).map(([id, name]) => ({ id, name, scope: 'builtin' })),
+    ...normalizeSystems(global).filter(s => !storyIds.has(s.id)).map(s => ({ id: s.id, name: s.name, scope: 'global' })),
+    ...storySystems.map(s => ({ id: s.id, name: s.name, scope: 'story' })),
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Import / export
+// ---------------------------------------------------------------------------
+
+function buildExport(systems) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    systems: normalizeSystems(systems),
+  };
+}
+
+/**
+ * Parse an export file (or a bare definition / array of definitions).
+ * @returns {{systems: Object[], errors: string[]}}
+ */
+function parseImport(json) {
+  let data;
+  try {
+    data = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (err) {
+    return { systems: [], errors: [`Not valid JSON: ${err.message}`] };
+  }
+  const defs = Array.isArray(data) ? data
+    : Array.isArray(data?.systems) ? data.systems
+      : data ? [data] : [];
+
+  const systems = [];
+  const errors = [];
+  for (const def of defs) {
+    const { system, errors: defErrors } = normalizeSystem(def);
+    const label = system?.name || def?.name || '(unnamed)';
+    errors.push(...defErrors.map(e => `${label}: ${e}`));
+    if (system) systems.push(system);
+  }
+  return { systems, errors };
+}
+
+module.exports = {
+  normalizeSystem,
+  normalizeSystems,
+  upsertSystem,
+  resolveSystem,
+  listSystemOptions,
+  buildExport,
+  parseImport,
+  BUILTIN_LABELS,
+  PATTERN_TARGETS,
+};
@@ -4,9 +4,15 @@
  * Detects LitRPG stories via regex + LLM, then extracts structured RPG data
  * (classes, levels, stats, abilities, quests, party, NPCs) from story text.
  * Data stored as structured JSON in SQLite, synced to lorebook text entries.
+ * Character sheets are snapshotted by story position as they change (stat history).
+ * User parser rules (litrpg-parsers) add to the regex hints and can update state without an LLM call.
+ * Inventory and currency changes are queued as transactions for the holdings ledger (litrpg-ledger).
+ * Quests link into chains (parent quest) and to giver/target characters; completed quests pay out their rewards.
  */
 
-const { fuzzyNameScore, recoverJSON, extractField, parseMetadata, setMetadata, getEntryType, getTemplateForType, METADATA_VERSION, retryLLM } = require('./lore-creator');
+const { fuzzyNameScore, extractField, parseMetadata, setMetadata, getEntryType, getTemplateForType, METADATA_VERSION, retryLLM } = require('./lore-creator');
+const { generateJSON } = require('./structured-output');
+const { runParserRules, scoreRuleSignals } = require('./litrpg-parsers');
 
 const LOG_PREFIX = '[LitRPG]';
 
@@ -108,6 +114,15 @@ const SYSTEM_TYPE_PROMPTS = {
   },
 };
 
+/**
+ * Prompt config for a system type: a built-in id, or a config already resolved by
+ * litrpg-systems (custom definitions carry a `custom` block for pre-extraction and slots).
+ */
+function resolveTypeConfig(systemType) {
+  if (systemType && typeof systemType === 'object') return systemType;
+  return SYSTEM_TYPE_PROMPTS[systemType] || SYSTEM_TYPE_PROMPTS.generic;
+}
+
 // --- Utility ---
 
 function delay(ms) {
@@ -176,10 +191,11 @@ function normalizeStatName(name) {
   return String(name).toUpperCase().trim();
 }
 
-function normalizeSlot(slot) {
+function normalizeSlot(slot, extraSlots) {
   if (!slot) return 'other';
   const lower = String(slot).toLowerCase().trim();
   if (VALID_EQUIPMENT_SLOTS.has(lower)) return lower;
+  if (extraSlots && extraSlots.includes(lower)) return lower;
   // Common aliases
   const aliases = {
     'main hand': 'weapon', 'mainhand': 'weapon', 'main-hand': 'weapon',
@@ -205,7 +221,7 @@ function clampConfidence(val) {
   return Math.max(1, Math.min(5, Math.round(n)));
 }
 
-function validateCharacterRPG(data) {
+function validateCharacterRPG(data, extraSlots) {
   if (!data || typeof data !== 'object') return null;
   const cleaned = {
     class: typeof data.class === 'string' ? data.class : null,
@@ -263,7 +279,7 @@ function validateCharacterRPG(data) {
       if (!e || typeof e !== 'object' || !e.name) continue;
       cleaned.equipment.push({
         name: String(e.name),
-        slot: normalizeSlot(e.slot),
+        slot: normalizeSlot(e.slot, extraSlots),
         description: typeof e.description === 'string' ? e.description : '',
         rarity: VALID_RARITY.has(e.rarity) ? e.rarity : 'unknown',
         bonuses: typeof e.bonuses === 'string' ? e.bonuses : null,
@@ -315,6 +331,34 @@ function validateCharacterRPG(data) {
   return cleaned;
 }
 
+function validateObjective(o) {
+  if (!o || !o.text) return null;
+  const current = typeof o.progress?.current === 'number' ? o.progress.current : null;
+  const target = typeof o.progress?.target === 'number' && o.progress.target > 0 ? o.progress.target : null;
+  return {
+    text: String(o.text),
+    completed: !!o.completed,
+    optional: !!o.optional,
+    progress: target != null ? { current: current ?? 0, target } : null,
+  };
+}
+
+function validateRewardItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter(r => r && r.name && typeof r.quantity === 'number' && r.quantity > 0)
+    .map(r => ({
+      name: String(r.name),
+      quantity: Math.round(r.quantity),
+      kind: ['item', 'currency', 'xp'].includes(r.kind) ? r.kind : 'item',
+    }));
+}
+
+// LLMs write "null" as a string often enough to filter it
+function optionalString(v) {
+  return typeof v === 'string' && v.trim() && v !== 'null' ? v.trim() : null;
+}
+
 function validateQuestResult(data) {
   if (!data || typeof data !== 'object') return null;
   const cleaned = { newQuests: [], questUpdates: [] };
@@ -322,15 +366,19 @@ function validateQuestResult(data) {
   if (Array.isArray(data.newQuests)) {
     for (const q of data.newQuests) {
       if (!q || !q.title) continue;
+      const targets = Array.isArray(q.targets) ? q.targets : [q.target ?? q.targets];
       cleaned.newQuests.push({
         title: String(q.title),
         description: typeof q.description === 'string' ? q.description : '',
         type: ['main', 'side', 'personal'].includes(q.type) ? q.type : 'side',
-        objectives: Array.isArray(q.objectives)
-          ? q.objectives.filter(o => o && o.text).map(o => ({ text: String(o.text), completed: !!o.completed }))
-          : [],
+        objectives: Array.isArray(q.objectives) ? q.objectives.map(validateObjective).filter(Boolean) : [],
         rewards: typeof q.rewards === 'string' ? q.rewards : null,
+        rewardItems: validateRewardItems(q.rewardItems),
         giver: typeof q.giver === 'string' ? q.giver : null,
+        targets: targets.map(optionalString).filter(Boolean),
+        recipient: optionalString(q.recipient),
+        parent: optionalString(q.parent),
+        deadline: optionalString(q.deadline),
       });
     }
   }
@@ -341,9 +389,9 @@ function validateQuestResult(data) {
       cleaned.questUpdates.push({
         title: String(u.title),
         statusChange: ['completed', 'failed', 'abandoned'].includes(u.statusChange) ? u.statusChange : null,
-        objectiveUpdates: Array.isArray(u.objectiveUpdates)
-          ? u.objectiveUpdates.filter(o => o && o.text).map(o => ({ text: String(o.text), completed: !!o.completed }))
-          : [],
+        objectiveUpdates: Array.isArray(u.objectiveUpdates) ? u.objectiveUpdates.map(validateObjective).filter(Boolean) : [],
+        newObjectives: Array.isArray(u.newObjectives) ? u.newObjectives.map(validateObjective).filter(Boolean) : [],
+        deadline: optionalString(u.deadline),
       });
     }
   }
@@ -402,7 +450,19 @@ async function callWithFallback(providers, index, asyncFn) {
 
 // --- Regex Pre-Extraction Pipeline (Phase 1D) ---
 
-function regexPreExtract(storyText) {
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toInt(value) {
+  return value != null ? parseInt(String(value).replace(/,/g, ''), 10) : NaN;
+}
+
+/**
+ * @param {string} storyText
+ * @param {Object} [custom] - `custom` block of a user-defined system (stats, currencies, realms, patterns)
+ */
+function regexPreExtract(storyText, custom) {
   const result = {
     stats: {},
     levels: [],
@@ -419,6 +479,7 @@ function regexPreExtract(storyText) {
     raceMentions: [],
     cooldowns: [],
     proficiencies: [],
+    equipment: [],
   };
 
   // Stat blocks: STR: 18, HP = 500, DEX 14
@@ -526,9 +587,73 @@ function regexPreExtract(storyText) {
     result.proficiencies.push(m[1].trim());
   }
 
+  if (custom) applyCustomPreExtract(storyText, custom, result);
+
   return result;
 }
 
+// User-defined system: its own stat names, currencies and realms, plus extra patterns per bucket
+function applyCustomPreExtract(storyText, custom, result) {
+  const alternation = names => names.map(escapeRegex).sort((a, b) => b.length - a.length).join('|');
+  const canonical = (names, found) => names.find(n => n.toLowerCase() === found.toLowerCase()) || found;
+
+  if (custom.stats?.length > 0) {
+    const re = new RegExp(`(?:^|[^\\w])(${alternation(custom.stats)})\\s*[:=]\\s*(\\d[\\d,]*)`, 'gi');
+    for (const m of storyText.matchAll(re)) {
+      result.stats[normalizeStatName(canonical(custom.stats, m[1]))] = toInt(m[2]);
+    }
+  }
+
+  if (custom.currencies?.length > 0) {
+    const re = new RegExp(`(\\d[\\d,]*)\\s+(${alternation(custom.currencies)})\\b`, 'gi');
+    for (const m of storyText.matchAll(re)) {
+      result.currency.push({ amount: toInt(m[1]), unit: canonical(custom.currencies, m[2]).toLowerCase().replace(/\s+/g, '_') });
+    }
+  }
+
+  if (custom.realms?.length > 0) {
+    const re = new RegExp(`\\b(${alternation(custom.realms)})\\b`, 'gi');
+    for (const m of storyText.matchAll(re)) {
+      const realm = canonical(custom.realms, m[1]);
+      if (!result.cultivation.includes(realm)) result.cultivation.push(realm);
+    }
+  }
+
+  for (const p of (custom.patterns || [])) {
+    let re;
+    try {
+      re = new RegExp(p.regex, p.flags.includes('g') ? p.flags : p.flags + 'g');
+    } catch (err) {
+      console.warn(`${LOG_PREFIX} Skipping custom pattern ${p.regex}: ${err.message}`);
+      continue;
+    }
+    for (const m of storyText.matchAll(re)) {
+      const g1 = m[1] != null ? m[1].trim() : '';
+      const g2 = m[2] != null ? m[2].trim() : '';
+      if (!g1) continue;
+      switch (p.target) {
+        case 'stats':
+          if (Number.isFinite(toInt(g2))) result.stats[normalizeStatName(g1)] = toInt(g2);
+          break;
+        case 'levels':
+          if (Number.isFinite(toInt(g1))) result.levels.push({ level: toInt(g1), classHint: g2 || null });
+          break;
+        case 'xp':
+          if (toInt(g1) > 0) result.xp.push({ amount: toInt(g1), needed: Number.isFinite(toInt(g2)) ? toInt(g2) : null });
+          break;
+        case 'currency':
+          if (Number.isFinite(toInt(g1)) && g2) result.currency.push({ amount: toInt(g1), unit: g2.toLowerCase().replace(/\s+/g, '_') });
+          break;
+        case 'inventory':
+          result.inventory.push({ name: g1, quantity: Number.isFinite(toInt(g2)) ? toInt(g2) : 1 });
+          break;
+        default:
+          if (Array.isArray(result[p.target]) && !result[p.target].includes(g1)) result[p.target].push(g1);
+      }
+    }
+  }
+}
+
 function formatPreExtractedHints(preExtracted) {
   const parts = [];
 
@@ -574,6 +699,12 @@ function formatPreExtractedHints(preExtracted) {
   if (preExtracted.proficiencies.length > 0) {
     parts.push('Proficiency Levels: ' + preExtracted.proficiencies.join(', '));
   }
+  if (preExtracted.equipment.length > 0) {
+    parts.push('Equipment: ' + preExtracted.equipment.map(e => e.slot ? `${e.name} [${e.slot}]` : e.name).join(', '));
+  }
+  if (preExtracted.quests.length > 0) {
+    parts.push('Quests: ' + preExtracted.quests.join(', '));
+  }
 
   if (parts.length === 0) return '';
   return `PRE-EXTRACTED DATA (verified from regex):\n${parts.join('\n')}`;
@@ -583,7 +714,11 @@ function formatPreExtractedHints(preExtracted) {
 // DETECTION
 // ============================================================================
 
-function detectLitRPGSignals(storyText) {
+/**
+ * @param {string} storyText
+ * @param {Object[]} [parserRules] - user parser rules; matching ones add their signalWeight
+ */
+function detectLitRPGSignals(storyText, parserRules) {
   const text = storyText.slice(-MAX_STORY_CONTEXT);
   const patterns = [
     { name: 'stat_blocks', re: /\b(HP|MP|SP|STR|DEX|CON|INT|WIS|CHA|VIT|AGI|LCK|END|PER|ATK|DEF|MAG|RES)\s*[:=]\s*\d+/gi, weight: 3 },
@@ -607,6 +742,10 @@ function detectLitRPGSignals(storyText) {
       signals.push({ name, count: matches.length, contribution });
     }
   }
+  for (const signal of scoreRuleSignals(text, parserRules)) {
+    score += signal.contribution;
+    signals.push(signal);
+  }
 
   return { score, signals, meetsThreshold: score >= DETECTION_THRESHOLD };
 }
@@ -630,8 +769,7 @@ Output: {"isLitRPG": true/false, "systemType": "generic|dnd|cultivation|gamelit|
   ];
 
   try {
-    const result = await generateTextFn(messages, { max_tokens: 100, temperature: 0.2 });
-    const parsed = recoverJSON(result.output);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 100, temperature: 0.2 }, { label: 'litrpg:confirm' });
     if (!parsed) return null;
     return {
       isLitRPG: !!parsed.isLitRPG,
@@ -644,8 +782,8 @@ Output: {"isLitRPG": true/false, "systemType": "generic|dnd|cultivation|gamelit|
   }
 }
 
-async function detectLitRPG(storyText, generateTextFn) {
-  const signals = detectLitRPGSignals(storyText);
+async function detectLitRPG(storyText, generateTextFn, parserRules) {
+  const signals = detectLitRPGSignals(storyText, parserRules);
   console.log(`${LOG_PREFIX} Detection score: ${signals.score} (threshold: ${DETECTION_THRESHOLD})`);
 
   if (!signals.meetsThreshold) {
@@ -670,7 +808,7 @@ async function detectLitRPG(storyText, generateTextFn) {
 // ============================================================================
 
 async function extractCharacterRPG(characterName, characterEntryText, storyText, generateTextFn, comprehensionContext, systemType, preExtractedHints) {
-  const typeConfig = SYSTEM_TYPE_PROMPTS[systemType] || SYSTEM_TYPE_PROMPTS.generic;
+  const typeConfig = resolveTypeConfig(systemType);
   const recentText = storyText.slice(-MAX_STORY_CONTEXT);
   const contextBlock = comprehensionContext ? `${comprehensionContext}\n` : '';
   const hintsBlock = preExtractedHints ? `\n${preExtractedHints}\n` : '';
@@ -699,9 +837,8 @@ Extract ONLY information explicitly stated. Use null for unknown fields. Output
   ];
 
   return retryLLM(async () => {
-    const result = await generateTextFn(messages, { max_tokens: 800, temperature: 0.3 });
-    const parsed = recoverJSON(result.output);
-    const validated = validateCharacterRPG(parsed);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 800, temperature: 0.3 }, { label: 'litrpg:character', maxRetries: 0 });
+    const validated = validateCharacterRPG(parsed, typeConfig.custom?.slots);
     if (!validated || validated.confidence < CONFIDENCE_GATE) return null;
     return validated;
   });
@@ -712,7 +849,7 @@ Extract ONLY information explicitly stated. Use null for unknown fields. Output
  * Focused schema for better extraction quality.
  */
 async function extractCharacterCore(characterName, characterEntryText, storyText, generateTextFn, comprehensionContext, systemType, preExtractedHints) {
-  const typeConfig = SYSTEM_TYPE_PROMPTS[systemType] || SYSTEM_TYPE_PROMPTS.generic;
+  const typeConfig = resolveTypeConfig(systemType);
   const recentText = storyText.slice(-MAX_STORY_CONTEXT);
   const contextBlock = comprehensionContext ? `${comprehensionContext}\n` : '';
   const hintsBlock = preExtractedHints ? `\n${preExtractedHints}\n` : '';
@@ -740,8 +877,7 @@ Extract ONLY explicitly stated information. Output JSON:
   ];
 
   return retryLLM(async () => {
-    const result = await generateTextFn(messages, { max_tokens: 500, temperature: 0.3 });
-    const parsed = recoverJSON(result.output);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 500, temperature: 0.3 }, { label: 'litrpg:character-core', maxRetries: 0 });
     if (!parsed || clampConfidence(parsed.confidence) < CONFIDENCE_GATE) return null;
     // Validate core fields only
     const cleaned = {
@@ -781,7 +917,7 @@ Extract ONLY explicitly stated information. Output JSON:
  * Focused schema for better extraction quality.
  */
 async function extractCharacterGear(characterName, characterEntryText, storyText, generateTextFn, comprehensionContext, systemType, preExtractedHints) {
-  const typeConfig = SYSTEM_TYPE_PROMPTS[systemType] || SYSTEM_TYPE_PROMPTS.generic;
+  const typeConfig = resolveTypeConfig(systemType);
   const recentText = storyText.slice(-MAX_STORY_CONTEXT);
   const contextBlock = comprehensionContext ? `${comprehensionContext}\n` : '';
   const hintsBlock = preExtractedHints ? `\n${preExtractedHints}\n` : '';
@@ -802,14 +938,14 @@ VALID EQUIPMENT SLOTS: ${typeConfig.equipmentSlots}
 RECENT STORY TEXT:
 ${recentText}
 
+For inventory quantities and currency amounts, give what the character holds at the end of the text, not the amount gained or spent.
 Extract ONLY explicitly stated information. Output JSON:
 {"abilities":[{"name":"...","description":"...","level":number or null,"type":"active|passive","cost":"cost or null","category":"combat|magic|crafting|social|utility|other|null","cooldown":"cooldown string or null","proficiency":"proficiency level or null"}],"equipment":[{"name":"...","slot":"slot","description":"...","rarity":"common|uncommon|rare|epic|legendary|unknown","bonuses":"bonus string like +5 STR or null","setName":"equipment set name or null"}],"inventory":[{"name":"...","quantity":number,"type":"consumable|material|quest_item|other","rarity":"common|uncommon|rare|epic|legendary|null"}],"currency":{"unit_name":amount},"statusEffects":[{"name":"...","type":"buff|debuff|condition","duration":"duration or null"}],"confidence":1-5}`
     }
   ];
 
   return retryLLM(async () => {
-    const result = await generateTextFn(messages, { max_tokens: 600, temperature: 0.3 });
-    const parsed = recoverJSON(result.output);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 600, temperature: 0.3 }, { label: 'litrpg:character-gear', maxRetries: 0 });
     if (!parsed || clampConfidence(parsed.confidence) < CONFIDENCE_GATE) return null;
     // Validate gear fields only
     const cleaned = { abilities: [], equipment: [], inventory: [], currency: {}, statusEffects: [], confidence: clampConfidence(parsed.confidence) };
@@ -831,7 +967,7 @@ Extract ONLY explicitly stated information. Output JSON:
       for (const e of parsed.equipment) {
         if (!e || typeof e !== 'object' || !e.name) continue;
         cleaned.equipment.push({
-          name: String(e.name), slot: normalizeSlot(e.slot),
+          name: String(e.name), slot: normalizeSlot(e.slot, typeConfig.custom?.slots),
           description: typeof e.description === 'string' ? e.description : '',
           rarity: VALID_RARITY.has(e.rarity) ? e.rarity : 'unknown',
           bonuses: typeof e.bonuses === 'string' ? e.bonuses : null,
@@ -868,13 +1004,13 @@ Extract ONLY explicitly stated information. Output JSON:
 }
 
 async function extractQuests(storyText, existingQuests, generateTextFn, comprehensionContext, systemType, preExtractedHints) {
-  const typeConfig = SYSTEM_TYPE_PROMPTS[systemType] || SYSTEM_TYPE_PROMPTS.generic;
+  const typeConfig = resolveTypeConfig(systemType);
   const recentText = storyText.slice(-MAX_STORY_CONTEXT);
   const contextBlock = comprehensionContext ? `${comprehensionContext}\n` : '';
   const hintsBlock = preExtractedHints ? `\n${preExtractedHints}\n` : '';
 
   const existingQuestSummary = existingQuests.length > 0
-    ? `KNOWN QUESTS:\n${existingQuests.map(q => `- "${q.title}" (${q.status}): ${q.objectives.map(o => o.text).join(', ')}`).join('\n')}\n`
+    ? `KNOWN QUESTS:\n${existingQuests.map(q => `- "${q.title}" (${q.status}): ${q.objectives.map(o => `${o.completed ? '[x]' : '[ ]'} ${o.text}`).join(', ')}`).join('\n')}\n`
     : '';
 
   const messages = [
@@ -890,16 +1026,15 @@ RECENT STORY TEXT:
 ${recentText}
 
 Example output format:
-{"newQuests":[{"title":"The Dragon's Hoard","description":"Slay the dragon and claim its treasure","type":"main","objectives":[{"text":"Find the dragon's lair","completed":false},{"text":"Defeat the dragon","completed":false}],"rewards":"500 gold, Dragon Scale Armor","giver":"Village Elder"}],"questUpdates":[{"title":"Rat Problem","statusChange":"completed","objectiveUpdates":[{"text":"Kill 10 rats","completed":true}]}]}
+{"newQuests":[{"title":"The Dragon's Hoard","description":"Slay the dragon and claim its treasure","type":"main","objectives":[{"text":"Find the dragon's lair","completed":false},{"text":"Collect dragon scales","completed":false,"progress":{"current":2,"target":5}},{"text":"Spare the hatchlings","completed":false,"optional":true}],"rewards":"500 gold, Dragon Scale Armor","rewardItems":[{"name":"gold","quantity":500,"kind":"currency"},{"name":"Dragon Scale Armor","quantity":1,"kind":"item"}],"giver":"Village Elder","targets":["Ignar the Red"],"recipient":"Kael","parent":"Rat Problem","deadline":"before the next full moon"}],"questUpdates":[{"title":"Rat Problem","statusChange":"completed","objectiveUpdates":[{"text":"Kill 10 rats","completed":true,"progress":{"current":10,"target":10}}],"newObjectives":[{"text":"Report back to the innkeeper","completed":false}],"deadline":null}]}
 
-Find new quests AND status changes to known quests. Output:
-{"newQuests":[{"title":"...","description":"...","type":"main|side|personal","objectives":[{"text":"...","completed":false}],"rewards":"reward text or null","giver":"character name or null"}],"questUpdates":[{"title":"existing quest title matching known quests above","statusChange":"completed|failed|abandoned|null","objectiveUpdates":[{"text":"objective text","completed":true}]}]}`
+Find new quests AND status changes to known quests. A quest that continues or is unlocked by another quest names it as "parent". "targets" are the characters the quest is about (to defeat, rescue, escort, deliver to). "rewardItems" lists only concrete promised rewards (items, currency units, XP). Output:
+{"newQuests":[{"title":"...","description":"...","type":"main|side|personal","objectives":[{"text":"...","completed":false,"optional":false,"progress":{"current":number,"target":number} or null}],"rewards":"reward text or null","rewardItems":[{"name":"item or currency unit","quantity":number,"kind":"item|currency|xp"}],"giver":"character name or null","targets":["character name"],"recipient":"who receives the rewards or null","parent":"title of the quest this continues or null","deadline":"deadline as stated or null"}],"questUpdates":[{"title":"existing quest title matching known quests above","statusChange":"completed|failed|abandoned|null","objectiveUpdates":[{"text":"objective text","completed":true,"progress":{"current":number,"target":number} or null}],"newObjectives":[{"text":"...","completed":false}],"deadline":"changed deadline or null"}]}`
     }
   ];
 
   return retryLLM(async () => {
-    const result = await generateTextFn(messages, { max_tokens: 400, temperature: 0.3 });
-    const parsed = recoverJSON(result.output);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 800, temperature: 0.3 }, { label: 'litrpg:quests', maxRetries: 0 });
     return validateQuestResult(parsed);
   });
 }
@@ -907,7 +1042,7 @@ Find new quests AND status changes to known quests. Output:
 async function classifyPartyAndNPCs(characters, storyText, generateTextFn, comprehensionContext, systemType) {
   if (characters.length === 0) return { partyMembers: [], npcs: [] };
 
-  const typeConfig = SYSTEM_TYPE_PROMPTS[systemType] || SYSTEM_TYPE_PROMPTS.generic;
+  const typeConfig = resolveTypeConfig(systemType);
   const recentText = storyText.slice(-6000);
   const contextBlock = comprehensionContext ? `${comprehensionContext}\n` : '';
 
@@ -955,8 +1090,7 @@ Output JSON — every character MUST appear in exactly one list:
   ];
 
   return retryLLM(async () => {
-    const result = await generateTextFn(messages, { max_tokens: 500, temperature: 0.3 });
-    const parsed = recoverJSON(result.output);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 500, temperature: 0.3 }, { label: 'litrpg:party', maxRetries: 0 });
     return validateClassification(parsed);
   });
 }
@@ -1012,6 +1146,316 @@ function mergeCurrency(existing, incoming) {
   return merged;
 }
 
+// ============================================================================
+// HOLDINGS LEDGER — inventory/currency changes as transactions (litrpg-ledger)
+// ============================================================================
+
+const LEDGER_EXCERPT_RADIUS = 100;
+
+/**
+ * Scan output is what a character holds now, not what they gained: items it names take
+ * the reported quantity (matched to existing names so the ledger keys stay stable),
+ * unmentioned items are kept.
+ */
+function observeInventory(existing, observed) {
+  const merged = (existing || []).map(i => ({ ...i }));
+  for (const item of (observed || [])) {
+    const match = merged.find(i => fuzzyNameScore(i.name, item.name) >= 0.8);
+    if (match) Object.assign(match, { ...item, name: match.name });
+    else merged.push({ ...item });
+  }
+  return merged;
+}
+
+function observeCurrency(existing, observed) {
+  return { ...(existing || {}), ...(observed || {}) };
+}
+
+/**
+ * Quantity changes between two versions of a character's holdings.
+ * Item names compare case-insensitively; currency units as stored.
+ * @returns {Array<{kind: 'item'|'currency', name: string, delta: number}>}
+ */
+function diffHoldings(before, after) {
+  const changes = [];
+  const quantities = list => {
+    const map = new Map();
+    for (const item of (list || [])) {
+      const key = item.name.toLowerCase();
+      const prev = map.get(key);
+      map.set(key, { name: prev?.name || item.name, quantity: (prev?.quantity || 0) + (item.quantity ?? 1) });
+    }
+    return map;
+  };
+  const beforeItems = quantities(before?.inventory);
+  const afterItems = quantities(after?.inventory);
+  for (const key of new Set([...beforeItems.keys(), ...afterItems.keys()])) {
+    const delta = (afterItems.get(key)?.quantity || 0) - (beforeItems.get(key)?.quantity || 0);
+    if (delta !== 0) changes.push({ kind: 'item', name: (beforeItems.get(key) || afterItems.get(key)).name, delta });
+  }
+
+  const beforeCurrency = before?.currency || {};
+  const afterCurrency = after?.currency || {};
+  for (const unit of new Set([...Object.keys(beforeCurrency), ...Object.keys(afterCurrency)])) {
+    const delta = (afterCurrency[unit] || 0) - (beforeCurrency[unit] || 0);
+    if (delta !== 0) changes.push({ kind: 'currency', name: unit, delta });
+  }
+  return changes;
+}
+
+/** Last mention of `name` in text, with surrounding context. Currency units also match with spaces. */
+function findMention(text, name, offset = 0) {
+  const lower = text.toLowerCase();
+  const needles = [name.toLowerCase(), name.toLowerCase().replace(/_/g, ' ')];
+  const index = Math.max(...needles.map(n => lower.lastIndexOf(n)));
+  if (index < 0) return null;
+  const start = Math.max(0, index - LEDGER_EXCERPT_RADIUS);
+  const end = Math.min(text.length, index + name.length + LEDGER_EXCERPT_RADIUS);
+  return {
+    position: offset + index,
+    excerpt: (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : ''),
+  };
+}
+
+/** Best guess at why holdings changed, from the wording around the mention. */
+function classifyHoldingChange(kind, delta, excerpt) {
+  const text = (excerpt || '').toLowerCase();
+  if (delta > 0) {
+    if (/\b(bought|buys?|purchas\w*)\b/.test(text)) return 'bought';
+    if (kind === 'currency' && /\b(sold|sells?)\b/.test(text)) return 'sold';
+    return 'gained';
+  }
+  if (/\b(sold|sells?|traded)\b/.test(text)) return 'sold';
+  if (/\b(lost|stolen|broke|broken|destroyed|dropped|shattered)\b/.test(text)) return 'lost';
+  if (kind === 'currency') return 'spent';
+  if (/\b(used|uses|drank|drinks|ate|eats|consumed?|quaffed|applied|threw)\b/.test(text)) return 'used';
+  return 'removed';
+}
+
+/**
+ * Ledger transactions for a holdings change. Positions/excerpts come from the last mention
+ * in `text` (or `sources`, keyed "kind:name"); unmentioned changes sit at `position`.
+ * @returns {Object[]} { characterId, ownerName, kind, name, delta, reason, position, excerpt, source }
+ */
+function buildHoldingTransactions(before, after, { source, position, text = '', textOffset = 0, sources = {} }) {
+  return diffHoldings(before, after).map(change => {
+    const mention = sources[`${change.kind}:${change.name.toLowerCase()}`]
+      || (text ? findMention(text, change.name, textOffset) : null);
+    return {
+      characterId: after.id,
+      ownerName: after.name,
+      ...change,
+      reason: classifyHoldingChange(change.kind, change.delta, mention?.excerpt),
+      position: mention?.position ?? position,
+      excerpt: mention?.excerpt || '',
+      source,
+    };
+  });
+}
+
+// Transactions wait on the state until main.js writes them to the ledger table
+function queueLedgerTransactions(state, transactions) {
+  if (transactions.length === 0) return;
+  state._ledgerTransactions = [...(state._ledgerTransactions || []), ...transactions];
+}
+
+// ============================================================================
+// QUEST CHAINS — objectives, chain links, NPC links, rewards, quest log text
+// ============================================================================
+
+const QUEST_LOG_SECTIONS = ['Active Quests', 'Completed Quests', 'Failed Quests'];
+
+function buildObjective(o) {
+  return {
+    id: o.id || generateRpgId('obj'),
+    text: o.text,
+    completed: !!o.completed,
+    optional: !!o.optional,
+    progress: o.progress || null,
+    completedAt: o.completed ? (o.completedAt || Date.now()) : null,
+  };
+}
+
+/** A quest record from validated (or parser) fields. Call linkQuest to resolve its references. */
+function buildQuest(fields, status = 'active') {
+  const now = Date.now();
+  return {
+    id: generateRpgId('quest'),
+    title: fields.title,
+    description: fields.description || '',
+    status,
+    type: fields.type || 'side',
+    objectives: (fields.objectives || []).map(buildObjective),
+    rewards: fields.rewards || null,
+    rewardItems: fields.rewardItems || [],
+    rewardsGranted: false,
+    rewardRecipientId: null,
+    giver: fields.giver || null,
+    giverId: null,
+    targets: fields.targets || [],
+    targetIds: [],
+    recipient: fields.recipient || null,
+    recipientId: null,
+    parentTitle: fields.parent || null,
+    parentId: null,
+    deadline: fields.deadline || null,
+    location: null,
+    discoveredAt: now,
+    completedAt: status === 'completed' ? now : null,
+    lastUpdated: now,
+  };
+}
+
+// True when following parent links up from parentId reaches questId
+function wouldCycle(quests, questId, parentId) {
+  const seen = new Set();
+  for (let id = parentId; id; id = quests[id]?.parentId) {
+    if (id === questId || seen.has(id)) return true;
+    seen.add(id);
+  }
+  return false;
+}
+
+/**
+ * Resolve a quest's giver/target/recipient names to tracked characters and its parent
+ * title to a quest. Names that match nothing stay on the quest and are retried on the
+ * next scan; links to deleted characters or quests are dropped.
+ */
+function linkQuest(state, quest) {
+  const characters = state.characters || {};
+  const quests = state.quests || {};
+  const resolve = (name, id) => (id && characters[id] ? id : (name ? fuzzyMatchCharacter(name, characters) : null));
+
+  quest.giverId = resolve(quest.giver, quest.giverId);
+  quest.recipientId = resolve(quest.recipient, quest.recipientId);
+  // Parallel to targets; null where a name matches no tracked character
+  quest.targetIds = (quest.targets || []).map(name => fuzzyMatchCharacter(name, characters));
+
+  if (quest.parentId && !quests[quest.parentId]) quest.parentId = null;
+  if (!quest.parentId && quest.parentTitle) {
+    const parent = fuzzyMatchQuest(quest.parentTitle, Object.values(quests).filter(q => q.id !== quest.id), 0.8);
+    if (parent && !wouldCycle(quests, quest.id, parent.id)) quest.parentId = parent.id;
+  }
+}
+
+function linkAllQuests(state) {
+  for (const quest of Object.values(state.quests || {})) linkQuest(state, quest);
+}
+
+// The named recipient, else the only tracked character, else the first party member
+function questRewardRecipient(state, quest) {
+  const characters = state.characters || {};
+  if (quest.recipientId && characters[quest.recipientId]) return characters[quest.recipientId];
+  const all = Object.values(characters);
+  if (all.length === 1) return all[0];
+  return all.find(c => c.isPartyMember && c.partyRole === 'party-member') || null;
+}
+
+/**
+ * Add a completed quest's reward items, currency and XP to a character and queue the
+ * holdings change for the ledger. Rewards are granted once per quest.
+ * @param {Object} state - LitRPG state (mutated)
+ * @param {string} questId
+ * @param {{characterId?: string, position?: number}} [opts] - characterId overrides the recipient
+ * @returns {Object|null} the character that received the rewards
+ */
+function grantQuestRewards(state, questId, { characterId, position } = {}) {
+  const quest = state.quests?.[questId];
+  if (!quest || quest.rewardsGranted || !(quest.rewardItems || []).length) return null;
+  const char = characterId ? state.characters?.[characterId] : questRewardRecipient(state, quest);
+  if (!char) {
+    console.log(`${LOG_PREFIX} No recipient for the rewards of "${quest.title}"`);
+    return null;
+  }
+
+  const at = position ?? state.lastProcessedLength ?? 0;
+  // mergeInventory updates matching items in place, so diff against copies
+  const before = { inventory: (char.inventory || []).map(i => ({ ...i })), currency: { ...char.currency } };
+  for (const reward of quest.rewardItems) {
+    if (reward.kind === 'currency') {
+      char.currency = mergeCurrency(char.currency, { [reward.name]: reward.quantity });
+    } else if (reward.kind === 'xp') {
+      char.xp = { needed: null, ...char.xp, current: (char.xp?.current || 0) + reward.quantity };
+    } else {
+      char.inventory = mergeInventory(char.inventory, [{ name: reward.name, quantity: reward.quantity, type: 'other', rarity: null }]);
+    }
+  }
+  queueLedgerTransactions(state, buildHoldingTransactions(before, char, { source: 'quest', position: at })
+    .map(tx => ({ ...tx, reason: 'reward', excerpt: `Reward for "${quest.title}"` })));
+  recordCharacterSnapshot(state, char, at, 'update');
+
+  quest.rewardsGranted = true;
+  quest.rewardRecipientId = char.id;
+  quest.lastUpdated = Date.now();
+  console.log(`${LOG_PREFIX} Granted rewards of "${quest.title}" to ${char.name}`);
+  return char;
+}
+
+// Status change from an accepted update or a parser rule; completion grants the rewards
+function setQuestStatus(state, quest, status, position) {
+  quest.status = status;
+  quest.lastUpdated = Date.now();
+  if (status === 'completed') {
+    quest.completedAt = Date.now();
+    grantQuestRewards(state, quest.id, { position });
+  }
+}
+
+function formatRewardItems(rewardItems) {
+  return (rewardItems || []).map(r => (r.kind === 'item' ? `${r.name}${r.quantity > 1 ? ` x${r.quantity}` : ''}` : `${r.quantity} ${r.name}`)).join(', ');
+}
+
+function questLogLines(quest, state) {
+  const characters = state.characters || {};
+  const nameOf = (id, fallback) => characters[id]?.name || fallback;
+  const details = [];
+  if (quest.description) details.push(quest.description.replace(/[.\s]+$/, ''));
+  const giver = nameOf(quest.giverId, quest.giver);
+  if (giver) details.push(`Given by ${giver}`);
+  const targets = (quest.targets || []).map((name, i) => nameOf(quest.targetIds?.[i], name));
+  if (targets.length > 0) details.push(`Target: ${targets.join(', ')}`);
+  const parent = state.quests?.[quest.parentId];
+  if (parent) details.push(`Follows: ${parent.title}`);
+  if (quest.deadline && quest.status === 'active') details.push(`Deadline: ${quest.deadline}`);
+  const rewards = quest.rewards || formatRewardItems(quest.rewardItems);
+  if (rewards) details.push(`Reward: ${rewards}`);
+
+  const status = quest.status === 'abandoned' ? ', abandoned' : '';
+  const lines = [`- ${quest.title} (${quest.type || 'side'}${status})${details.length > 0 ? `: ${details.join('. ')}` : ''}`];
+  for (const o of (quest.objectives || [])) {
+    const progress = o.progress ? ` (${o.progress.current}/${o.progress.target})` : '';
+    lines.push(`  - [${o.completed ? 'x' : ' '}] ${o.text}${progress}${o.optional ? ' (optional)' : ''}`);
+  }
+  return lines;
+}
+
+/**
+ * Quest log lorebook text: Active / Completed / Failed sections spliced into the existing
+ * entry text (other text is kept). Without entry text a new entry is started.
+ */
+function buildQuestLogText(entryText, rpgState) {
+  const quests = Object.values(rpgState.quests || {}).sort((a, b) => (a.discoveredAt || 0) - (b.discoveredAt || 0));
+  const bySection = {
+    'Active Quests': quests.filter(q => q.status === 'active'),
+    'Completed Quests': quests.filter(q => q.status === 'completed'),
+    'Failed Quests': quests.filter(q => q.status === 'failed' || q.status === 'abandoned'),
+  };
+
+  let text = entryText || setMetadata('Quests and objectives tracked in the story.', {
+    type: 'concept',
+    version: METADATA_VERSION,
+    updated: new Date().toISOString().slice(0, 10),
+    source: 'litrpg-quests',
+  });
+  for (const section of QUEST_LOG_SECTIONS) {
+    const lines = bySection[section].flatMap(q => questLogLines(q, rpgState));
+    const hasSection = new RegExp(`^${section}:`, 'm').test(text);
+    if (lines.length === 0 && !hasSection) continue;
+    text = spliceSection(text, section, lines.length > 0 ? lines.join('\n') : '- None', QUEST_LOG_SECTIONS);
+  }
+  return text;
+}
+
 // ============================================================================
 // CHANGE DETECTION (Phase 4E)
 // ============================================================================
@@ -1122,6 +1566,278 @@ function describeChanges(before, after) {
   return changes;
 }
 
+// ============================================================================
+// STAT HISTORY — per-character snapshots keyed to story position
+// ============================================================================
+
+const MAX_SNAPSHOTS_PER_CHARACTER = 100;
+const MAX_CHAPTER_MARKERS = 500;
+
+// Sheet fields kept in a snapshot (identity, portrait and party flags stay on the live character)
+const SNAPSHOT_FIELDS = [
+  'name', 'class', 'subclass', 'level', 'race', 'xp', 'stats', 'abilities', 'equipment',
+  'inventory', 'currency', 'statusEffects', 'cultivationRealm', 'cultivationStage', 'role',
+];
+
+// "Chapter 12", "CHAPTER TWELVE: The Gate", "## Ch. 3", "Prologue" — one heading per line
+const CHAPTER_HEADING_RE = /^[ \t#*_]*((?:chapter|ch\.)[ \t]+[\w-]+[^\n]{0,80}|(?:prologue|epilogue|interlude)\b[^\n]{0,40})$/gim;
+
+/**
+ * Find chapter headings in the story text.
+ * @returns {Array<{title: string, position: number}>} in story order
+ */
+function findChapterMarkers(storyText) {
+  const markers = [];
+  CHAPTER_HEADING_RE.lastIndex = 0;
+  let m;
+  while ((m = CHAPTER_HEADING_RE.exec(storyText || '')) !== null && markers.length < MAX_CHAPTER_MARKERS) {
+    const title = m[1].replace(/[*_#]+\s*$/, '').trim();
+    markers.push({ title, position: m.index });
+  }
+  return markers;
+}
+
+function chapterAt(markers, position) {
+  let current = null;
+  for (const marker of (markers || [])) {
+    if (marker.position > position) break;
+    current = marker.title;
+  }
+  return current;
+}
+
+/**
+ * Record what a character's sheet looks like at a story position.
+ * Snapshots are kept sorted by position; one that matches the sheet before it is skipped,
+ * and a second change at the same position replaces the first.
+ * @param {Object} state - LitRPG state (mutated)
+ * @param {Object} char - character to snapshot
+ * @param {number} position - story length the sheet reflects
+ * @param {string} source - 'scan' | 'update' | 'edit' | 'sync'
+ */
+function recordCharacterSnapshot(state, char, position, source) {
+  if (!char?.id) return;
+  if (!state.statHistory) state.statHistory = {};
+  const history = state.statHistory[char.id] || [];
+
+  const snapshot = JSON.parse(JSON.stringify(
+    Object.fromEntries(SNAPSHOT_FIELDS.filter(f => char[f] !== undefined).map(f => [f, char[f]]))
+  ));
+  snapshot.position = position || 0;
+  snapshot.chapter = chapterAt(state.chapterMarkers, snapshot.position);
+  snapshot.source = source;
+  snapshot.timestamp = Date.now();
+
+  let idx = history.findIndex(s => s.position >= snapshot.position);
+  if (idx < 0) idx = history.length;
+  const replaces = history[idx]?.position === snapshot.position;
+  const previous = history[idx - 1];
+  if (previous && !hasCharacterChanged(previous, snapshot)) {
+    if (replaces) history.splice(idx, 1); // back to how it was before this position
+  } else {
+    history.splice(idx, replaces ? 1 : 0, snapshot);
+  }
+
+  // Keep the first snapshot as the baseline and drop the oldest after it
+  while (history.length > MAX_SNAPSHOTS_PER_CHARACTER) history.splice(1, 1);
+  state.statHistory[char.id] = history;
+}
+
+/**
+ * The snapshot in effect at a story position (the last one recorded at or before it).
+ * @returns {Object|null}
+ */
+function getCharacterSnapshotAt(rpgState, charId, position) {
+  let found = null;
+  for (const snapshot of (rpgState?.statHistory?.[charId] || [])) {
+    if (snapshot.position > position) break;
+    found = snapshot;
+  }
+  return found;
+}
+
+/**
+ * What changed on a character's sheet since a story position (e.g. the start of a chapter).
+ * Compares the snapshot in effect at `since` with the snapshot at `until`, or with the live
+ * character when `until` is omitted. When nothing was tracked yet at `since`, the character's
+ * first snapshot is used and `fromFirst` is set.
+ * @returns {{baseline: Object|null, changes: Array, fromFirst: boolean}}
+ */
+function diffCharacterSince(rpgState, charId, since, until) {
+  const history = rpgState?.statHistory?.[charId] || [];
+  let baseline = getCharacterSnapshotAt(rpgState, charId, since);
+  const fromFirst = !baseline && history.length > 0;
+  if (fromFirst) baseline = history[0];
+  const target = until != null
+    ? getCharacterSnapshotAt(rpgState, charId, until)
+    : rpgState?.characters?.[charId];
+  if (!baseline || !target) return { baseline, changes: [], fromFirst };
+  return { baseline, changes: describeChanges(baseline, target), fromFirst };
+}
+
+// ============================================================================
+// PARSER RULES — user-defined system-message parsers (litrpg-parsers)
+// ============================================================================
+
+/** Add parser-rule matches to the regex pre-extraction buckets (and so to the LLM hints). */
+function mergeParsedMatches(preExtracted, matches) {
+  const pushUnique = (list, value) => { if (value && !list.includes(value)) list.push(value); };
+  for (const { target, fields: f } of (matches || [])) {
+    switch (target) {
+      case 'stat': preExtracted.stats[normalizeStatName(f.name)] = f.value; break;
+      case 'level': preExtracted.levels.push({ level: f.level, classHint: f.class || null }); break;
+      case 'xp': preExtracted.xp.push({ amount: f.current, needed: f.needed ?? null }); break;
+      case 'skill': pushUnique(preExtracted.skills, f.name); break;
+      case 'item': preExtracted.inventory.push({ name: f.name, quantity: f.quantity || 1 }); break;
+      case 'equipment': preExtracted.equipment.push({ name: f.name, slot: f.slot || null }); break;
+      case 'currency': preExtracted.currency.push({ amount: f.amount, unit: String(f.unit).toLowerCase().replace(/\s+/g, '_') }); break;
+      case 'status': pushUnique(preExtracted.statusEffects, f.name); break;
+      case 'realm': pushUnique(preExtracted.cultivation, f.stage ? `${f.realm} (${f.stage})` : f.realm); break;
+      case 'quest': pushUnique(preExtracted.quests, f.title); break;
+    }
+  }
+}
+
+// A parser match is its own source: exact position and matched text
+function queueParsedTransactions(state, char, before, match) {
+  const field = match.target === 'item' ? 'inventory' : 'currency';
+  const after = { id: char.id, name: char.name, [field]: char[field] };
+  queueLedgerTransactions(state, buildHoldingTransactions(before, after, { source: 'parser', position: match.position }).map(tx => ({
+    ...tx, position: match.position, excerpt: match.text, reason: classifyHoldingChange(tx.kind, tx.delta, match.text),
+  })));
+}
+
+// Entry for a merge helper: captured fields only when the name is already listed, so a
+// partial match doesn't blank what the LLM filled in; defaults as well when it is new
+function parsedEntry(list, name, fields, defaults) {
+  const entry = { name };
+  for (const [k, v] of Object.entries(fields)) if (v != null) entry[k] = v;
+  const known = (list || []).some(e => fuzzyNameScore(e.name, name) >= 0.8);
+  return known ? entry : { ...defaults, ...entry };
+}
+
+/**
+ * Apply parser-rule matches straight to state (no LLM, no pending update).
+ * Only matches from rules with applyToState count. Character targets need a character
+ * name (captured or fixed) that matches a tracked character; quests are matched by title
+ * and created when new. Changed characters get a stat-history snapshot at `position`.
+ * @param {Object} state - LitRPG state (mutated)
+ * @param {Object[]} matches - from runParserRules
+ * @param {number} position - story length the matches were read up to
+ * @returns {{applied: number, skipped: Array<{rule: string, text: string, reason: string}>}}
+ */
+function applyParsedMatches(state, matches, position) {
+  let applied = 0;
+  const skipped = [];
+  const changedChars = new Map();
+
+  for (const match of (matches || [])) {
+    if (!match.applyToState) continue;
+    const f = match.fields;
+
+    if (match.target === 'quest') {
+      const existing = fuzzyMatchQuest(f.title, Object.values(state.quests || {}), 0.8);
+      const status = f.status || 'active';
+      const quest = existing || buildQuest({ title: f.title }, status);
+      if (!existing) state.quests[quest.id] = quest;
+      // A changed name drops the old link so linkQuest resolves the new one
+      if (f.giver && f.giver !== quest.giver) Object.assign(quest, { giver: f.giver, giverId: null });
+      if (f.character && f.character !== quest.recipient) Object.assign(quest, { recipient: f.character, recipientId: null });
+      if (f.parent && f.parent !== quest.parentTitle) Object.assign(quest, { parentTitle: f.parent, parentId: null });
+      if (f.deadline) quest.deadline = f.deadline;
+      linkQuest(state, quest);
+      if (existing && existing.status !== status) setQuestStatus(state, existing, status, position);
+      applied++;
+      continue;
+    }
+
+    const charId = f.character ? fuzzyMatchCharacter(f.character, state.characters || {}) : null;
+    const char = charId ? state.characters[charId] : null;
+    if (!char) {
+      skipped.push({
+        rule: match.ruleName,
+        text: match.text,
+        reason: f.character ? `No tracked character matches "${f.character}"` : 'No character captured or set on the rule',
+      });
+      continue;
+    }
+
+    switch (match.target) {
+      case 'stat': {
+        const key = normalizeStatName(f.name);
+        const prev = char.stats?.[key];
+        char.stats = { ...(char.stats || {}), [key]: { value: f.value, modifier: f.modifier ?? prev?.modifier ?? null } };
+        break;
+      }
+      case 'level':
+        if (char.level !== f.level) {
+          char.levelHistory = [...(char.levelHistory || []), { level: f.level, timestamp: Date.now() }];
+          char.level = f.level;
+        }
+        if (f.class) char.class = f.class;
+        break;
+      case 'xp':
+        char.xp = { current: f.current, needed: f.needed ?? char.xp?.needed ?? null };
+        break;
+      case 'skill':
+        char.abilities = mergeAbilities(char.abilities, [parsedEntry(char.abilities, f.name,
+          { level: f.level, description: f.description },
+          { description: '', level: null, type: 'active', cost: null })]);
+        break;
+      case 'item': {
+        const before = { inventory: char.inventory };
+        char.inventory = mergeInventory(char.inventory, [{ name: f.name, quantity: f.quantity || 1, type: 'other', rarity: null }]);
+        queueParsedTransactions(state, char, before, match);
+        break;
+      }
+      case 'equipment':
+        char.equipment = mergeEquipment(char.equipment, [parsedEntry(char.equipment, f.name,
+          { slot: f.slot ? normalizeSlot(f.slot) : undefined },
+          { slot: 'other', description: '', rarity: 'unknown' })]);
+        break;
+      case 'currency': {
+        const before = { currency: char.currency };
+        char.currency = mergeCurrency(char.currency, { [String(f.unit).toLowerCase().replace(/\s+/g, '_')]: f.amount });
+        queueParsedTransactions(state, char, before, match);
+        break;
+      }
+      case 'status':
+        if (!(char.statusEffects || []).some(s => s.name.toLowerCase() === f.name.toLowerCase())) {
+          char.statusEffects = [...(char.statusEffects || []), { name: f.name, type: f.type || 'buff', duration: f.duration || null }];
+        }
+        break;
+      case 'realm':
+        char.cultivationRealm = f.realm;
+        if (f.stage) char.cultivationStage = f.stage;
+        break;
+    }
+    char.lastUpdated = Date.now();
+    changedChars.set(char.id, char);
+    applied++;
+  }
+
+  for (const char of changedChars.values()) {
+    recordCharacterSnapshot(state, char, position, 'parser');
+  }
+  if (applied > 0 || skipped.length > 0) {
+    console.log(`${LOG_PREFIX} Parser rules: applied ${applied} match(es)${skipped.length ? `, skipped ${skipped.length}` : ''}`);
+  }
+  return { applied, skipped };
+}
+
+/**
+ * Run parser rules over the story text added since they last ran and apply the
+ * applyToState matches. Used by scans and by the parser editor's Apply button.
+ * @returns {{applied: number, skipped: Array, matches: number}}
+ */
+function applyParserRulesSince(state, storyText, parserRules) {
+  const from = Math.min(state.parserAppliedLength || 0, storyText.length);
+  const { matches } = runParserRules(storyText.slice(from), parserRules, { offset: from });
+  const result = applyParsedMatches(state, matches, storyText.length);
+  state.parserAppliedLength = storyText.length;
+  return { ...result, matches: matches.length };
+}
+
 // ============================================================================
 // R4: LORE ELEMENT EXTRACTION
 // ============================================================================
@@ -1229,7 +1945,7 @@ function formatR4ElementContext(element, index) {
 async function generateLoreElementEntries(elements, storyText, generateTextFn, comprehensionContext, systemType) {
   if (!elements || elements.length === 0) return [];
 
-  const typeConfig = SYSTEM_TYPE_PROMPTS[systemType] || SYSTEM_TYPE_PROMPTS.generic;
+  const typeConfig = resolveTypeConfig(systemType);
   const elementDescriptions = elements.map((el, i) => formatR4ElementContext(el, i)).join('\n');
 
   // Build template instructions for each category present
@@ -1269,9 +1985,7 @@ Rules:
     { role: 'user', content: userPrompt },
   ];
   const result = await retryLLM(async () => {
-    const raw = await generateTextFn(messages, { max_tokens: 1200, temperature: 0.3 });
-    if (!raw) return null;
-    const parsed = recoverJSON(raw.output);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 1200, temperature: 0.3 }, { label: 'litrpg:lore-entries', maxRetries: 0 });
     if (!parsed || !parsed.entries) return null;
     return parsed;
   });
@@ -1350,6 +2064,22 @@ function migrateLitrpgState(state) {
       if (i.rarity === undefined) i.rarity = null;
     }
   }
+
+  // Quests: objective ids, chain/NPC links, structured rewards, deadline
+  for (const quest of Object.values(state.quests || {})) {
+    quest.objectives = (quest.objectives || []).map(o => (o.id ? o : buildObjective({ ...o, completedAt: o.completed ? quest.completedAt : null })));
+    if (quest.rewardItems === undefined) quest.rewardItems = [];
+    if (quest.rewardsGranted === undefined) quest.rewardsGranted = false;
+    if (quest.rewardRecipientId === undefined) quest.rewardRecipientId = null;
+    if (quest.giverId === undefined) quest.giverId = null;
+    if (quest.targets === undefined) quest.targets = [];
+    if (quest.targetIds === undefined) quest.targetIds = [];
+    if (quest.recipient === undefined) quest.recipient = null;
+    if (quest.recipientId === undefined) quest.recipientId = null;
+    if (quest.parentTitle === undefined) quest.parentTitle = null;
+    if (quest.parentId === undefined) quest.parentId = null;
+    if (quest.deadline === undefined) quest.deadline = null;
+  }
 }
 
 // ============================================================================
@@ -1497,7 +2227,7 @@ function consolidateFactions(state) {
  * Skips if all entities already have descriptions.
  */
 async function enrichEntityDescriptions(state, storyText, generateTextFn, comprehensionContext, systemType) {
-  const typeConfig = SYSTEM_TYPE_PROMPTS[systemType] || SYSTEM_TYPE_PROMPTS.generic;
+  const typeConfig = resolveTypeConfig(systemType);
   const toEnrich = [];
 
   for (const fac of Object.values(state.factions || {})) {
@@ -1545,9 +2275,7 @@ Only include entities from the list above. Keep descriptions concise (1-2 senten
   ];
 
   const result = await retryLLM(async () => {
-    const raw = await generateTextFn(messages, { max_tokens: 800, temperature: 0.3 });
-    if (!raw) return null;
-    return recoverJSON(raw.output);
+    return generateJSON(generateTextFn, messages, { max_tokens: 800, temperature: 0.3 }, { label: 'litrpg:enrichment', maxRetries: 0 });
   }, { maxRetries: 1, passName: 'R5-enrichment' });
 
   if (!result) return;
@@ -1605,10 +2333,17 @@ Only include entities from the list above. Keep descriptions concise (1-2 senten
 // SCAN ORCHESTRATOR (Phase 2 — Incremental Scanning)
 // ============================================================================
 
-async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn, onProgress, comprehensionContext, secondaryGenerateTextFn) {
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.systemConfig] - resolved config for a user-defined system (litrpg-systems);
+ *   built-in system types are looked up from state.systemType when omitted
+ * @param {Object[]} [options.parserRules] - user parser rules (litrpg-parsers): matches join the
+ *   pre-extracted hints, and applyToState rules update state directly after the LLM passes
+ */
+async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn, onProgress, comprehensionContext, secondaryGenerateTextFn, { systemConfig, parserRules } = {}) {
   const state = { ...LITRPG_STATE_DEFAULTS, ...rpgState };
   migrateLitrpgState(state);
-  const systemType = state.systemType || 'generic';
+  const systemType = systemConfig || state.systemType || 'generic';
 
   // --- Incremental scanning (Phase 2) ---
   const newTextLength = storyText.length - (state.lastProcessedLength || 0);
@@ -1618,6 +2353,8 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
     return { state };
   }
 
+  state.chapterMarkers = findChapterMarkers(storyText);
+
   // Dynamic context: overlap for continuity + new text
   const contextSize = Math.min(8000, Math.max(MAX_STORY_CONTEXT, newTextLength + 2000));
   const contextStart = state.lastProcessedLength > 0
@@ -1626,7 +2363,10 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
   const scanText = storyText.slice(contextStart);
 
   // --- Regex pre-extraction (Phase 1D) ---
-  const preExtracted = regexPreExtract(scanText);
+  const preExtracted = regexPreExtract(scanText, resolveTypeConfig(systemType).custom);
+  if (parserRules?.length > 0) {
+    mergeParsedMatches(preExtracted, runParserRules(scanText, parserRules, { offset: contextStart }).matches);
+  }
   const preExtractedHints = formatPreExtractedHints(preExtracted);
   if (preExtractedHints) {
     console.log(`${LOG_PREFIX} Pre-extracted:`, Object.entries(preExtracted).filter(([, v]) => Array.isArray(v) ? v.length > 0 : Object.keys(v).length > 0).map(([k]) => k).join(', '));
@@ -1741,11 +2481,11 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
           : (existingChar && existingChar.equipment) || [],
         xp: rpgData.xp || (existingChar && existingChar.xp) || { current: null, needed: null },
         currency: rpgData.currency && Object.keys(rpgData.currency).length > 0
-          ? (existingChar ? mergeCurrency(existingChar.currency, rpgData.currency) : rpgData.currency)
+          ? (existingChar ? observeCurrency(existingChar.currency, rpgData.currency) : rpgData.currency)
           : (existingChar && existingChar.currency) || {},
         statusEffects: rpgData.statusEffects && rpgData.statusEffects.length > 0 ? rpgData.statusEffects : (existingChar && existingChar.statusEffects) || [],
         inventory: rpgData.inventory && rpgData.inventory.length > 0
-          ? (existingChar ? mergeInventory(existingChar.inventory, rpgData.inventory) : rpgData.inventory)
+          ? (existingChar ? observeInventory(existingChar.inventory, rpgData.inventory) : rpgData.inventory)
           : (existingChar && existingChar.inventory) || [],
         cultivationRealm: rpgData.cultivationRealm || (existingChar && existingChar.cultivationRealm) || null,
         cultivationStage: rpgData.cultivationStage || (existingChar && existingChar.cultivationStage) || null,
@@ -1756,6 +2496,7 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
         faction: existingChar ? existingChar.faction : null,
         disposition: existingChar ? existingChar.disposition : null,
         portraitPath: existingChar ? existingChar.portraitPath : null,
+        referenceStrength: existingChar ? existingChar.referenceStrength : null,
         levelHistory: existingChar ? existingChar.levelHistory : [],
         lastUpdated: Date.now(),
       };
@@ -1767,8 +2508,18 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
         updatedChar.levelHistory = [{ level: rpgData.level, timestamp: Date.now() }];
       }
 
+      // Characters tracked before stat history existed get their current sheet as a baseline
+      if (existingChar && !state.statHistory?.[existingChar.id]?.length) {
+        recordCharacterSnapshot(state, existingChar, state.lastProcessedLength || 0, 'scan');
+      }
+
       // Generate pending update if character changed
       if (existingChar && hasCharacterChanged(existingChar, updatedChar)) {
+        // Where each holdings change shows up in the text; the ledger entries are written on accept
+        const holdingSources = {};
+        for (const tx of buildHoldingTransactions(existingChar, updatedChar, { source: 'scan', position: storyText.length, text: scanText, textOffset: contextStart })) {
+          if (tx.excerpt) holdingSources[`${tx.kind}:${tx.name.toLowerCase()}`] = { position: tx.position, excerpt: tx.excerpt };
+        }
         state.pendingUpdates.push({
           id: generateRpgId('rpg_update'),
           type: 'character',
@@ -1777,10 +2528,16 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
           before: existingChar,
           after: updatedChar,
           changes: describeChanges(existingChar, updatedChar),
+          storyPosition: storyText.length,
+          holdingSources,
           createdAt: Date.now(),
         });
       } else if (!existingChar) {
         state.characters[updatedChar.id] = updatedChar;
+        recordCharacterSnapshot(state, updatedChar, storyText.length, 'scan');
+        queueLedgerTransactions(state, buildHoldingTransactions({}, updatedChar, {
+          source: 'scan', position: storyText.length, text: scanText, textOffset: contextStart,
+        }));
       }
     }
 
@@ -1816,21 +2573,8 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
         const isDuplicate = fuzzyMatchQuest(q.title, existingQuests, 0.8);
         if (isDuplicate) continue;
 
-        const questId = generateRpgId('quest');
-        state.quests[questId] = {
-          id: questId,
-          title: q.title,
-          description: q.description || '',
-          status: 'active',
-          type: q.type || 'side',
-          objectives: (q.objectives || []).map(o => ({ text: o.text, completed: !!o.completed })),
-          rewards: q.rewards || null,
-          giver: q.giver || null,
-          location: null,
-          discoveredAt: Date.now(),
-          completedAt: null,
-          lastUpdated: Date.now(),
-        };
+        const quest = buildQuest(q);
+        state.quests[quest.id] = quest;
       }
     }
 
@@ -1854,27 +2598,46 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
           });
         }
 
-        if (update.objectiveUpdates) {
-          for (const objUpdate of update.objectiveUpdates) {
-            const matchingObj = matchingQuest.objectives.find(o =>
-              fuzzyNameScore(o.text, objUpdate.text) >= 0.7
-            );
-            if (matchingObj && !matchingObj.completed && objUpdate.completed) {
-              state.pendingUpdates.push({
-                id: generateRpgId('rpg_update'),
-                type: 'quest_objective',
-                questId: matchingQuest.id,
-                questTitle: matchingQuest.title,
-                objectiveText: matchingObj.text,
-                createdAt: Date.now(),
-              });
-            }
+        // Progress, new objectives and deadlines are added directly; completions need review
+        for (const objUpdate of update.objectiveUpdates) {
+          const matchingObj = matchingQuest.objectives.find(o =>
+            fuzzyNameScore(o.text, objUpdate.text) >= 0.7
+          );
+          if (!matchingObj) continue;
+          if (objUpdate.progress) {
+            matchingObj.progress = objUpdate.progress;
+            matchingQuest.lastUpdated = Date.now();
+          }
+          if (!matchingObj.completed && objUpdate.completed) {
+            state.pendingUpdates.push({
+              id: generateRpgId('rpg_update'),
+              type: 'quest_objective',
+              questId: matchingQuest.id,
+              questTitle: matchingQuest.title,
+              objectiveId: matchingObj.id,
+              objectiveText: matchingObj.text,
+              createdAt: Date.now(),
+            });
           }
         }
+
+        for (const objective of update.newObjectives) {
+          if (matchingQuest.objectives.some(o => fuzzyNameScore(o.text, objective.text) >= 0.7)) continue;
+          matchingQuest.objectives.push(buildObjective(objective));
+          matchingQuest.lastUpdated = Date.now();
+        }
+
+        if (update.deadline && update.deadline !== matchingQuest.deadline) {
+          matchingQuest.deadline = update.deadline;
+          matchingQuest.lastUpdated = Date.now();
+        }
       }
     }
   }
 
+  // Chain and NPC links, including names that only now match a tracked quest or character
+  linkAllQuests(state);
+
   if (onProgress) onProgress({ phase: 'quests', current: 1, total: 1 });
   await delay(INTER_CALL_DELAY);
 
@@ -2040,6 +2803,11 @@ async function scanForRPGData(storyText, rpgState, loreEntries, generateTextFn,
   await enrichEntityDescriptions(state, scanText, generateTextFn, comprehensionContext, systemType);
   if (onProgress) onProgress({ phase: 'enrichment', current: 1, total: 1 });
 
+  // Deterministic parser values go in last so they win over the LLM's reading
+  if (parserRules?.some(r => r.enabled && r.applyToState)) {
+    applyParserRulesSince(state, storyText, parserRules);
+  }
+
   state.lastProcessedLength = storyText.length;
   state.lastScanAt = Date.now();
   state.charsSinceLastScan = 0;
@@ -2062,19 +2830,24 @@ function acceptPendingUpdate(rpgState, updateId) {
   const update = state.pendingUpdates[updateIdx];
 
   if (update.type === 'character') {
+    // Deltas against the sheet as it is now, which may have moved since the scan
+    queueLedgerTransactions(state, buildHoldingTransactions(state.characters[update.characterId] || {}, update.after, {
+      source: 'scan', position: update.storyPosition ?? state.lastProcessedLength, sources: update.holdingSources || {},
+    }));
     state.characters[update.characterId] = update.after;
+    recordCharacterSnapshot(state, update.after, update.storyPosition ?? state.lastProcessedLength, 'update');
   } else if (update.type === 'quest_status') {
     const quest = state.quests[update.questId];
-    if (quest) {
-      quest.status = update.newStatus;
-      quest.lastUpdated = Date.now();
-      if (update.newStatus === 'completed') quest.completedAt = Date.now();
-    }
+    if (quest) setQuestStatus(state, quest, update.newStatus);
   } else if (update.type === 'quest_objective') {
     const quest = state.quests[update.questId];
     if (quest) {
-      const obj = quest.objectives.find(o => o.text === update.objectiveText);
-      if (obj) obj.completed = true;
+      const obj = quest.objectives.find(o => (update.objectiveId && o.id === update.objectiveId) || o.text === update.objectiveText);
+      if (obj) {
+        obj.completed = true;
+        obj.completedAt = Date.now();
+        if (obj.progress) obj.progress = { ...obj.progress, current: Math.max(obj.progress.current, obj.progress.target) };
+      }
       quest.lastUpdated = Date.now();
     }
   }
@@ -2138,6 +2911,15 @@ Family:
 Background: [History and backstory]
 Additional notes: [Any other relevant details]`;
 
+// Field order of the character template above; spliced fields are inserted in this order
+const CHARACTER_TEMPLATE_ORDER = [
+  'Name', 'Race', 'Class', 'Level', 'XP', 'Cultivation Realm',
+  'Age', 'Gender', 'Physical Appearance', 'Sexuality', 'Description', 'Self-Image',
+  'Motivations/Goals', 'Secrets', 'Stats', 'Abilities', 'Equipment',
+  'Inventory', 'Currency', 'Status Effects',
+  'Relationships', 'Family', 'Background', 'Additional notes',
+];
+
 function spliceField(text, fieldName, value) {
   if (value === null || value === undefined || value === '') return text;
   const fieldPattern = new RegExp(`^${fieldName}:.*$`, 'm');
@@ -2147,21 +2929,13 @@ function spliceField(text, fieldName, value) {
     return text.replace(fieldPattern, replacement);
   }
 
-  const templateOrder = [
-    'Name', 'Race', 'Class', 'Level', 'XP', 'Cultivation Realm',
-    'Age', 'Gender', 'Physical Appearance', 'Sexuality', 'Description', 'Self-Image',
-    'Motivations/Goals', 'Secrets', 'Stats', 'Abilities', 'Equipment',
-    'Inventory', 'Currency', 'Status Effects',
-    'Relationships', 'Family', 'Background', 'Additional notes',
-  ];
-
-  const targetIdx = templateOrder.indexOf(fieldName);
+  const targetIdx = CHARACTER_TEMPLATE_ORDER.indexOf(fieldName);
   if (targetIdx < 0) {
     return text.trimEnd() + `\n${replacement}`;
   }
 
-  for (let i = targetIdx + 1; i < templateOrder.length; i++) {
-    const nextField = templateOrder[i];
+  for (let i = targetIdx + 1; i < CHARACTER_TEMPLATE_ORDER.length; i++) {
+    const nextField = CHARACTER_TEMPLATE_ORDER[i];
     const nextPattern = new RegExp(`^${nextField.replace('/', '\\/')}:`, 'm');
     const match = text.match(nextPattern);
     if (match) {
@@ -2173,7 +2947,7 @@ function spliceField(text, fieldName, value) {
   return text.trimEnd() + `\n${replacement}`;
 }
 
-function spliceSection(text, sectionName, content) {
+function spliceSection(text, sectionName, content, templateOrder = CHARACTER_TEMPLATE_ORDER) {
   if (!content) return text;
   const sectionPattern = new RegExp(`^${sectionName}:.*(?:\\n(?:\\s*-\\s+.*|\\s*))*$`, 'm');
 
@@ -2181,14 +2955,6 @@ function spliceSection(text, sectionName, content) {
     return text.replace(sectionPattern, `${sectionName}:\n${content}`);
   }
 
-  const templateOrder = [
-    'Name', 'Race', 'Class', 'Level', 'XP', 'Cultivation Realm',
-    'Age', 'Gender', 'Physical Appearance', 'Sexuality', 'Description', 'Self-Image',
-    'Motivations/Goals', 'Secrets', 'Stats', 'Abilities', 'Equipment',
-    'Inventory', 'Currency', 'Status Effects',
-    'Relationships', 'Family', 'Background', 'Additional notes',
-  ];
-
   const targetIdx = templateOrder.indexOf(sectionName);
   for (let i = targetIdx + 1; i < templateOrder.length; i++) {
     const nextField = templateOrder[i];
@@ -2653,7 +3419,29 @@ module.exports = {
   reverseSyncCharacter,
   buildRoleUpdatePayload,
 
+  // Stat history
+  findChapterMarkers,
+  recordCharacterSnapshot,
+  getCharacterSnapshotAt,
+  diffCharacterSince,
+
+  // Holdings ledger
+  diffHoldings,
+  buildHoldingTransactions,
+  classifyHoldingChange,
+
+  // Quest chains
+  linkAllQuests,
+  grantQuestRewards,
+  buildQuestLogText,
+
+  // Parser rules
+  mergeParsedMatches,
+  applyParsedMatches,
+  applyParserRulesSince,
+
   // Helpers
+  resolveTypeConfig,
   fuzzyMatchCharacter,
   fuzzyMatchQuest,
   describeChanges,
@@ -0,0 +1,158 @@
+/**
+ * LLM Router — per-subsystem text LLM routing.
+ * Each subsystem (lore, comprehension, memory, LitRPG, scene, suggestions,
+ * portraits) can pick its own provider, model, temperature and max tokens,
+ * plus a fallback chain tried in order when the provider errors.
+ * Routes resolve story → global → default; unset fields inherit from the layer below.
+ */
+
+const LOG_PREFIX = '[LLMRouter]';
+
+const SUBSYSTEMS = {
+  lore: 'Lore entries',
+  comprehension: 'Comprehension',
+  memory: 'Memory',
+  litrpg: 'LitRPG scans',
+  portrait: 'Portrait prompts',
+  scene: 'Scene analysis',
+  suggestions: 'Suggestions',
+};
+
+const MAX_FALLBACKS = 4;
+const MAX_TOKENS_LIMIT = 32000;
+
+/**
+ * Parse a fallback entry. Strings are "provider" or "provider:model" — split on the
+ * first colon only, since Ollama model names contain colons ("ollama:mistral:7b").
+ */
+function parseFallback(entry) {
+  if (typeof entry === 'string') {
+    const idx = entry.indexOf(':');
+    const provider = (idx === -1 ? entry : entry.slice(0, idx)).trim();
+    const model = idx === -1 ? '' : entry.slice(idx + 1).trim();
+    return provider ? { provider, model } : null;
+  }
+  if (entry && typeof entry.provider === 'string' && entry.provider) {
+    return { provider: entry.provider, model: typeof entry.model === 'string' ? entry.model.trim() : '' };
+  }
+  return null;
+}
+
+/**
+ * Clean a single route, dropping unknown providers and out-of-range values.
+ * @returns {Object|null} null when nothing is set
+ */
+function normalizeRoute(route, validProviders) {
+  if (!route || typeof route !== 'object') return null;
+  const isValid = (p) => !validProviders || validProviders.includes(p);
+  const out = {};
+
+  if (typeof route.provider === 'string' && route.provider && isValid(route.provider)) {
+    out.provider = route.provider;
+  }
+  if (typeof route.model === 'string' && route.model.trim()) {
+    out.model = route.model.trim();
+  }
+  const temperature = parseFloat(route.temperature);
+  if (Number.isFinite(temperature)) {
+    out.temperature = Math.max(0, Math.min(2, temperature));
+  }
+  const maxTokens = parseInt(route.maxTokens, 10);
+  if (Number.isInteger(maxTokens) && maxTokens > 0) {
+    out.maxTokens = Math.min(MAX_TOKENS_LIMIT, maxTokens);
+  }
+  if (Array.isArray(route.fallbacks)) {
+    const fallbacks = route.fallbacks
+      .map(parseFallback)
+      .filter(f => f && isValid(f.provider))
+      .slice(0, MAX_FALLBACKS);
+    if (fallbacks.length > 0) out.fallbacks = fallbacks;
+  }
+
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+/**
+ * Clean a whole routing table ({ subsystem: route }), keeping only known subsystems.
+ */
+function normalizeRouting(routing, validProviders) {
+  const out = {};
+  if (!routing || typeof routing !== 'object') return out;
+  for (const subsystem of Object.keys(SUBSYSTEMS)) {
+    const route = normalizeRoute(routing[subsystem], validProviders);
+    if (route) out[subsystem] = route;
+  }
+  return out;
+}
+
+/**
+ * Resolve the effective route for a subsystem.
+ * A model only applies to the provider it was set with, so a layer that switches
+ * provider also replaces the model (with its own, or the provider's default).
+ * @param {string} subsystem
+ * @param {{global?: Object, story?: Object, defaultProvider: string}} layers
+ * @returns {{provider: string, model: string, temperature: number|null, maxTokens: number|null, fallbacks: Array<{provider: string, model: string}>}}
+ */
+function resolveRoute(subsystem, { global, story, defaultProvider }) {
+  const route = { provider: defaultProvider, model: '', temperature: null, maxTokens: null, fallbacks: [] };
+
+  for (const layer of [global?.[subsystem], story?.[subsystem]]) {
+    if (!layer) continue;
+    if (layer.provider && layer.provider !== route.provider) {
+      route.provider = layer.provider;
+      route.model = layer.model || '';
+    } else if (layer.model) {
+      route.model = layer.model;
+    }
+    if (layer.temperature != null) route.temperature = layer.temperature;
+    if (layer.maxTokens != null) route.maxTokens = layer.maxTokens;
+    if (layer.fallbacks?.length) route.fallbacks = layer.fallbacks;
+  }
+
+  return route;
+}
+
+/**
+ * Build a generateTextFn that follows a resolved route.
+ * Route temperature / max tokens override what the caller asked for; on error the
+ * next provider in the fallback chain is tried and the last error is rethrown.
+ * @param {Object} route - from resolveRoute()
+ * @param {(providerId: string, model: string) => Function} makeProviderFn - builds a generateTextFn
+ * @param {string} label - subsystem name for logs
+ * @returns {(messages: Array, options?: Object) => Promise<{output: string}>}
+ */
+function createRoutedFn(route, makeProviderFn, label) {
+  const chain = [{ provider: route.provider, model: route.model }];
+  for (const fallback of route.fallbacks) {
+    if (!chain.some(c => c.provider === fallback.provider && c.model === fallback.model)) chain.push(fallback);
+  }
+
+  return async (messages, options = {}) => {
+    const callOptions = { ...options };
+    if (route.temperature != null) callOptions.temperature = route.temperature;
+    if (route.maxTokens != null) callOptions.max_tokens = route.maxTokens;
+
+    let lastError;
+    for (let i = 0; i < chain.length; i++) {
+      const { provider, model } = chain[i];
+      try {
+        return await makeProviderFn(provider, model)(messages, callOptions);
+      } catch (err) {
+        lastError = err;
+        const next = chain[i + 1];
+        if (next) {
+          console.warn(`${LOG_PREFIX} ${label}: ${provider} failed (${err.message}) — falling back to ${next.provider}`);
+        }
+      }
+    }
+    throw lastError;
+  };
+}
+
+module.exports = {
+  SUBSYSTEMS,
+  normalizeRoute,
+  normalizeRouting,
+  resolveRoute,
+  createRoutedFn,
+};
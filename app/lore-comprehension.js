@@ -11,6 +11,8 @@
  * category registry.
  */
 
+const { generateJSON } = require('./structured-output');
+
 const LOG_PREFIX = '[LoreComprehension]';
 
 // ============================================================================
@@ -27,6 +29,32 @@ const MAX_ENTITIES_IN_CONTEXT = 30;
 const SCHEMA_VERSION = 2;
 const INTER_CALL_DELAY = 500;
 
+// Structured output schema for processChunk (see structured-output.js)
+const CHUNK_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    entities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          category: { type: 'string' },
+          traits: { type: 'string' },
+          relationships: { type: 'string' },
+          status: { type: 'string' },
+          role: { type: 'string' },
+          partyMember: { type: 'boolean' },
+          rpgData: { type: 'string' },
+        },
+        required: ['name', 'category'],
+      },
+    },
+  },
+  required: ['summary', 'entities'],
+};
+
 // ============================================================================
 // UTILITIES
 // ============================================================================
@@ -44,45 +72,6 @@ function hashString(str) {
   return hash.toString(36);
 }
 
-/**
- * Attempt to recover valid JSON from potentially truncated LLM output.
- */
-function recoverJSON(raw) {
-  const jsonMatch = raw.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) return null;
-
-  let jsonStr = jsonMatch[0];
-
-  try {
-    return JSON.parse(jsonStr);
-  } catch (_) {
-    // Continue with recovery
-  }
-
-  const openBraces = (jsonStr.match(/\{/g) || []).length;
-  const closeBraces = (jsonStr.match(/\}/g) || []).length;
-  const openBrackets = (jsonStr.match(/\[/g) || []).length;
-  const closeBrackets = (jsonStr.match(/\]/g) || []).length;
-
-  const quoteCount = (jsonStr.match(/"/g) || []).length;
-  if (quoteCount % 2 !== 0) {
-    jsonStr += '"';
-  }
-
-  for (let i = 0; i < openBrackets - closeBrackets; i++) {
-    jsonStr += ']';
-  }
-  for (let i = 0; i < openBraces - closeBraces; i++) {
-    jsonStr += '}';
-  }
-
-  try {
-    return JSON.parse(jsonStr);
-  } catch (_) {
-    return null;
-  }
-}
-
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -93,7 +82,7 @@ function delay(ms) {
 
 /**
  * Split story text into ~CHUNK_SIZE segments at paragraph boundaries.
- * Returns [{index, text, hash}].
+ * Returns [{index, text, hash, start, end}] — start/end are offsets into storyText.
  */
 function chunkStory(storyText) {
   if (!storyText || storyText.length === 0) return [];
@@ -136,6 +125,8 @@ function chunkStory(storyText) {
       index,
       text,
       hash: hashString(text),
+      start: pos,
+      end,
     });
 
     // Advance with overlap
@@ -256,13 +247,10 @@ Output ONLY this JSON:
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 600,
       temperature: 0.3,
-    });
-
-    const content = response.output || '';
-    const parsed = recoverJSON(content);
+    }, { schema: CHUNK_SCHEMA, label: 'comprehension:chunk' });
 
     if (parsed && typeof parsed.summary === 'string') {
       const summary = parsed.summary.slice(0, MAX_SUMMARY_LENGTH);
@@ -8,6 +8,8 @@
  * callback for testability and provider swapping.
  */
 
+const { recoverJSON, generateJSON } = require('./structured-output');
+
 const LOG_PREFIX = '[LoreCreator]';
 
 // ============================================================================
@@ -63,47 +65,31 @@ const DEFAULT_SETTINGS = {
 };
 
 // ============================================================================
-// JSON RECOVERY
+// JSON SCHEMAS (structured output — see structured-output.js)
 // ============================================================================
 
-/**
- * Attempts to recover valid JSON from a potentially truncated LLM response.
- */
-function recoverJSON(raw) {
-  const jsonMatch = raw.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) return null;
-
-  let jsonStr = jsonMatch[0];
-
-  try {
-    return JSON.parse(jsonStr);
-  } catch (_) {
-    // Continue with recovery
-  }
-
-  const openBraces = (jsonStr.match(/\{/g) || []).length;
-  const closeBraces = (jsonStr.match(/\}/g) || []).length;
-  const openBrackets = (jsonStr.match(/\[/g) || []).length;
-  const closeBrackets = (jsonStr.match(/\]/g) || []).length;
-
-  const quoteCount = (jsonStr.match(/"/g) || []).length;
-  if (quoteCount % 2 !== 0) {
-    jsonStr += '"';
-  }
-
-  for (let i = 0; i < openBrackets - closeBrackets; i++) {
-    jsonStr += ']';
-  }
-  for (let i = 0; i < openBraces - closeBraces; i++) {
-    jsonStr += '}';
-  }
-
-  try {
-    return JSON.parse(jsonStr);
-  } catch (_) {
-    return null;
-  }
-}
+const str = { type: 'string' };
+const num = { type: 'number' };
+const int = { type: 'integer' };
+const bool = { type: 'boolean' };
+const strList = { type: 'array', items: str };
+const obj = (properties, required = []) => ({ type: 'object', properties, required });
+const list = (items) => ({ type: 'array', items });
+
+const SCHEMAS = {
+  elements: obj({ elements: list(obj({ name: str, category: str, mergesWith: { type: ['string', 'null'] } }, ['name', 'category'])) }, ['elements']),
+  entry: obj({ displayName: str, keys: strList, text: str, confidence: num }, ['displayName', 'keys', 'text']),
+  entryUpdate: obj({ updatedText: str, noUpdate: bool }),
+  targetMatch: obj({ index: int, confidence: num }, ['index']),
+  entries: obj({ entries: list(obj({ displayName: str, category: str, keys: strList, text: str }, ['displayName', 'category', 'keys', 'text'])) }, ['entries']),
+  nameProposals: obj({ proposals: list(obj({ currentName: str, proposedName: str, reason: str }, ['currentName', 'proposedName'])) }, ['proposals']),
+  duplicateGroup: obj({ isDuplicate: bool, keepIndex: int, mergedText: str, mergedKeys: strList, reason: str }, ['isDuplicate']),
+  duplicatePairs: obj({
+    results: list(obj({ pair: int, isDuplicate: bool, keepIndex: { type: 'string', enum: ['A', 'B'] }, mergedText: str, mergedKeys: strList, reason: str }, ['pair', 'isDuplicate'])),
+  }, ['results']),
+  classifications: obj({ classifications: list(obj({ index: int, type: str, confidence: num }, ['index', 'type'])) }, ['classifications']),
+  relationships: obj({ family: str, relationships: str, noUpdate: bool }),
+};
 
 function generateId() {
   return `lore_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -188,13 +174,10 @@ Output ONLY this JSON format, no other text:
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 450,
       temperature: settings.temperature,
-    });
-
-    const content = response.output || '';
-    const parsed = recoverJSON(content);
+    }, { schema: SCHEMAS.elements, label: 'lore:identify' });
 
     if (parsed && Array.isArray(parsed.elements)) {
       return parsed.elements
@@ -286,13 +269,10 @@ Output ONLY this JSON format, no other text:
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: maxTokens,
       temperature: settings.temperature,
-    });
-
-    const content = response.output || '';
-    const parsed = recoverJSON(content);
+    }, { schema: SCHEMAS.entry, label: 'lore:generate-entry' });
 
     if (parsed && typeof parsed.displayName === 'string') {
       const confidence = typeof parsed.confidence === 'number' ? Math.min(5, Math.max(1, parsed.confidence)) : 3;
@@ -361,13 +341,10 @@ Output ONLY one of these JSON formats:
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 600,
       temperature: settings.temperature,
-    });
-
-    const content = response.output || '';
-    const parsed = recoverJSON(content);
+    }, { schema: SCHEMAS.entryUpdate, label: 'lore:detect-update' });
 
     if (parsed) {
       if (parsed.noUpdate === true) return null;
@@ -433,13 +410,10 @@ Output ONLY this JSON: {"index":0,"confidence":4}
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 100,
       temperature: 0.2,
-    });
-
-    const content = response.output || '';
-    const parsed = recoverJSON(content);
+    }, { schema: SCHEMAS.targetMatch, label: 'lore:identify-target' });
 
     if (parsed && typeof parsed.index === 'number') {
       const idx = parsed.index;
@@ -725,13 +699,10 @@ Output ONLY this JSON format, no other text:
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 800,
       temperature: settings.temperature,
-    });
-
-    const content = response.output || '';
-    const parsed = recoverJSON(content);
+    }, { schema: SCHEMAS.entries, label: 'lore:create-from-prompt' });
 
     if (parsed && Array.isArray(parsed.entries)) {
       return parsed.entries
@@ -1067,13 +1038,10 @@ If none needed: {"proposals":[]}`,
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 300,
       temperature: 0.3,
-    });
-
-    const content = response.output || '';
-    const parsed = recoverJSON(content);
+    }, { schema: SCHEMAS.nameProposals, label: 'lore:family-names' });
 
     if (parsed && Array.isArray(parsed.proposals)) {
       return parsed.proposals.filter(p => {
@@ -1430,12 +1398,10 @@ If NOT duplicates: {"isDuplicate":false,"reason":"why not"}`,
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 800,
       temperature: 0.3,
-    });
-
-    const parsed = recoverJSON(response.output || '');
+    }, { schema: SCHEMAS.duplicateGroup, label: 'lore:merge-duplicates' });
     if (!parsed || !parsed.isDuplicate) return null;
 
     const keepIdx = Math.max(0, Math.min((parsed.keepIndex || 1) - 1, entries.length - 1));
@@ -1506,12 +1472,10 @@ Use keepIndex "A" or "B". For non-duplicates: {"pair":1,"isDuplicate":false}`,
     ];
 
     try {
-      const response = await generateTextFn(messages, {
+      const parsed = await generateJSON(generateTextFn, messages, {
         max_tokens: 600,
         temperature: 0.3,
-      });
-
-      const parsed = recoverJSON(response.output || '');
+      }, { schema: SCHEMAS.duplicatePairs, label: 'lore:merge-duplicates' });
       if (parsed && Array.isArray(parsed.results)) {
         for (const r of parsed.results) {
           if (!r.isDuplicate) continue;
@@ -1578,12 +1542,10 @@ Output ONLY this JSON:
     ];
 
     try {
-      const response = await generateTextFn(messages, {
+      const parsed = await generateJSON(generateTextFn, messages, {
         max_tokens: 300,
         temperature: 0.2,
-      });
-
-      const parsed = recoverJSON(response.output || '');
+      }, { schema: SCHEMAS.classifications, label: 'lore:classify' });
       if (parsed && Array.isArray(parsed.classifications)) {
         for (const c of parsed.classifications) {
           const idx = (c.index || 1) - 1;
@@ -1659,12 +1621,10 @@ Include ALL existing entries plus new ones. Use "- Name: detail" format, one per
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 400,
       temperature: 0.35,
-    });
-
-    const parsed = recoverJSON(response.output || '');
+    }, { schema: SCHEMAS.relationships, label: 'lore:relationships' });
     if (!parsed) return { noUpdate: true };
     if (parsed.noUpdate === true) return { noUpdate: true };
 
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, session, globalShortcut, webContents } = require('electron');
+const { app, BrowserWindow, ipcMain, session, globalShortcut, webContents, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const Store = require('electron-store');
@@ -12,17 +12,30 @@ const novelaiProvider = require('./providers/novelai');
 const perchanceProvider = require('./providers/perchance');
 const veniceProvider = require('./providers/venice');
 const puterProvider = require('./providers/puter');
+const localSdProvider = require('./providers/local-sd');
+const { getCapabilities } = require('./providers/contract');
 const openaiTextProvider = require('./providers/openai-text');
 const anthropicTextProvider = require('./providers/anthropic-text');
+const compatibleTextProvider = require('./providers/openai-compatible-text');
 const { extractPerchanceKey, verifyPerchanceKey } = require('./perchance-key');
 const storyboard = require('./storyboard');
+const storyboardExport = require('./storyboard-export');
+const autoStoryboard = require('./auto-storyboard');
 const loreCreator = require('./lore-creator');
 const scenePromptPipeline = require('./scene-prompt-pipeline');
 const loreComprehension = require('./lore-comprehension');
 const memoryManager = require('./memory-manager');
 const litrpgTracker = require('./litrpg-tracker');
+const litrpgSystems = require('./litrpg-systems');
+const litrpgParsers = require('./litrpg-parsers');
+const litrpgLedger = require('./litrpg-ledger');
 const portraitManager = require('./portrait-manager');
 const mediaGallery = require('./media-gallery');
+const jobQueue = require('./job-queue');
+const videoJobs = require('./video-jobs');
+const llmRouter = require('./llm-router');
+const usageLedger = require('./usage-ledger');
+const structuredOutput = require('./structured-output');
 const db = require('./db');
 
 const PROVIDERS = {
@@ -30,6 +43,7 @@ const PROVIDERS = {
   [perchanceProvider.id]: perchanceProvider,
   [veniceProvider.id]: veniceProvider,
   [puterProvider.id]: puterProvider,
+  [localSdProvider.id]: localSdProvider,
 };
 
 // Text-only LLM providers (for lore, comprehension, scene analysis, etc.)
@@ -38,6 +52,7 @@ const TEXT_PROVIDERS = {
   ollama: { id: 'ollama', name: 'Ollama (Local)' },
   openai: { id: 'openai', name: 'OpenAI', provider: openaiTextProvider },
   anthropic: { id: 'anthropic', name: 'Anthropic', provider: anthropicTextProvider },
+  'openai-compatible': { id: 'openai-compatible', name: 'OpenAI-Compatible (custom URL)', provider: compatibleTextProvider },
 };
 
 // Secure storage for API token and settings
@@ -63,6 +78,13 @@ const store = new Store({
     veniceVideoModel: { type: 'string', default: '' },
     veniceVideoDuration: { type: 'string', default: '5s' },
     veniceVideoResolution: { type: 'string', default: '720p' },
+    localSdBackend: { type: 'string', default: 'a1111' },
+    localSdUrl: { type: 'string', default: 'http://127.0.0.1:7860' },
+    localSdModel: { type: 'string', default: '' },
+    localSdSampler: { type: 'string', default: '' },
+    localSdSteps: { type: 'number', default: 28 },
+    localSdCfgScale: { type: 'number', default: 6 },
+    localSdWorkflow: { type: 'string', default: '' },
     imageSettings: {
       type: 'object',
       default: {
@@ -97,6 +119,11 @@ const store = new Store({
     loreLlmProvider: { type: 'string', default: 'novelai' },
     loreOllamaModel: { type: 'string', default: 'mistral:7b' },
     loreOllamaUrl: { type: 'string', default: 'http://localhost:11434' },
+    llmRouting: { type: 'object', default: {} },
+    litrpgSystems: { type: 'array', default: [] },
+    litrpgParsers: { type: 'array', default: [] },
+    usagePricing: { type: 'object', default: {} },
+    usageBudgets: { type: 'object', default: {} },
     loreComprehension: { type: 'object', default: {} },
     memorySettings: { type: 'object', default: {} },
     memoryState: { type: 'object', default: {} },
@@ -316,22 +343,74 @@ function isContentRestrictionError(errorMessage) {
   return CONTENT_RESTRICTION_KEYWORDS.some(kw => lower.includes(kw));
 }
 
+// ---------------------------------------------------------------------------
+// Store view for a single generation
+// ---------------------------------------------------------------------------
+
+// Read-through view of the electron-store with per-generation overrides. Reads see
+// the overrides first; override() only touches this view, while set() still persists
+// (providers use it for things like refreshed Perchance keys).
+function makeStoreView(overrides = {}) {
+  const overlay = { ...overrides };
+  return {
+    get: (key, defaultValue) => (Object.prototype.hasOwnProperty.call(overlay, key) ? overlay[key] : store.get(key, defaultValue)),
+    set: (key, value) => store.set(key, value),
+    override: (key, value) => { overlay[key] = value; },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Usage-tracked image generation
+// ---------------------------------------------------------------------------
+
+// provider.generate() with the call (success, blank or error) recorded in the usage ledger
+async function generateImageTracked(provider, prompt, negativePrompt, genStore, genOpts = {}, usage = {}) {
+  const started = Date.now();
+  let usedParams = null;
+  const opts = {
+    ...genOpts,
+    onParams: (params) => {
+      usedParams = params;
+      if (genOpts.onParams) genOpts.onParams(params);
+    },
+  };
+  const entry = () => ({
+    storyId: usage.storyId,
+    kind: 'image',
+    subsystem: usage.subsystem || 'image',
+    provider: provider.id,
+    model: usedParams?.model || genStore.get('imageSettings')?.model || '',
+    promptTokens: usageLedger.estimateTokens(prompt) + usageLedger.estimateTokens(negativePrompt),
+    latencyMs: Date.now() - started,
+  });
+
+  try {
+    const imageData = await provider.generate(prompt, negativePrompt, genStore, opts);
+    const blank = isBlankImage(imageData);
+    usageLedger.record({ ...entry(), success: !blank, ...(blank ? { error: 'Blank image' } : {}) });
+    return imageData;
+  } catch (err) {
+    usageLedger.record({ ...entry(), success: false, error: err.message });
+    throw err;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Model fallback helper (Venice only)
 // ---------------------------------------------------------------------------
 
-async function tryModelFallback(provider, providerId, prompt, negativePrompt, genOpts = {}) {
+async function tryModelFallback(provider, providerId, prompt, negativePrompt, genStore, genOpts = {}, usage = {}) {
   // NovelAI model fallback via provider's fallback chain
   if (providerId === 'novelai' && typeof provider.getModelFallbackOrder === 'function') {
-    const settings = store.get('imageSettings');
+    const settings = genStore.get('imageSettings');
     const currentModel = settings.model || 'nai-diffusion-4-5-full';
     const fallbacks = provider.getModelFallbackOrder(currentModel);
 
     for (const fallbackModel of fallbacks) {
       console.log(`[Main] NovelAI fallback: trying ${fallbackModel} (was: ${currentModel})`);
-      store.set('imageSettings', { ...settings, model: fallbackModel });
+      genStore.override('imageSettings', { ...settings, model: fallbackModel });
       try {
-        const imageData = await provider.generate(prompt, negativePrompt, store, genOpts);
+        const imageData = await generateImageTracked(provider, prompt, negativePrompt, genStore, genOpts, usage);
         if (!isBlankImage(imageData)) {
           return { imageData, fallbackModel };
         }
@@ -339,7 +418,7 @@ async function tryModelFallback(provider, providerId, prompt, negativePrompt, ge
       } catch (e) {
         console.log(`[Main] Fallback ${fallbackModel} failed: ${e.message}`);
       } finally {
-        store.set('imageSettings', settings);
+        genStore.override('imageSettings', settings);
       }
     }
     return null;
@@ -349,13 +428,13 @@ async function tryModelFallback(provider, providerId, prompt, negativePrompt, ge
   const modelStoreKey = { venice: 'veniceModel' }[providerId];
   if (!modelStoreKey) return null;
 
-  const currentModel = store.get(modelStoreKey);
+  const currentModel = genStore.get(modelStoreKey);
 
   // Use cached models; if cache is empty, fetch fresh list
   let models = provider.getModels();
   if (!models || models.length === 0) {
     try {
-      models = await provider.fetchModelsForUI(store);
+      models = await provider.fetchModelsForUI(genStore);
     } catch {
       return null;
     }
@@ -367,9 +446,9 @@ async function tryModelFallback(provider, providerId, prompt, negativePrompt, ge
 
   console.log(`[Main] Trying fallback model: ${fallback.id} (was: ${currentModel})`);
 
-  store.set(modelStoreKey, fallback.id);
+  genStore.override(modelStoreKey, fallback.id);
   try {
-    const imageData = await provider.generate(prompt, negativePrompt, store, genOpts);
+    const imageData = await generateImageTracked(provider, prompt, negativePrompt, genStore, genOpts, usage);
     if (!isBlankImage(imageData)) {
       return { imageData, fallbackModel: fallback.id };
     }
@@ -377,7 +456,7 @@ async function tryModelFallback(provider, providerId, prompt, negativePrompt, ge
   } catch (e) {
     console.log(`[Main] Fallback model failed: ${e.message}`);
   } finally {
-    store.set(modelStoreKey, currentModel);
+    genStore.override(modelStoreKey, currentModel);
   }
 
   return null;
@@ -404,33 +483,140 @@ ipcMain.handle('get-negative-prompt-suffix', () => {
   return { styleNegative: '', ucPresetNegative: '', combined: '' };
 });
 
-ipcMain.handle('generate-image', async (event, { prompt, negativePrompt, rawPrompt, rawNegativePrompt, storyId }) => {
-  // Apply per-story settings temporarily for this generation
+// IPC Handler — What a provider (default: the active one) can do under the current settings
+ipcMain.handle('get-provider-capabilities', (event, providerId) => {
+  const provider = (providerId && PROVIDERS[providerId]) || getActiveProvider();
+  return { providerName: provider.name, ...getCapabilities(provider, store) };
+});
+
+const MODE_LABELS = { img2img: 'image-to-image', inpaint: 'inpainting' };
+
+// Character references: a LitRPG character's active portrait is sent as a vibe-transfer
+// reference whenever they appear in a scene. referenceStrength on the character
+// overrides the default; 0 turns it off.
+const DEFAULT_REFERENCE_STRENGTH = 0.6;
+
+function findRpgCharacterId(rpgCharacters, name) {
+  if (!rpgCharacters || !name) return null;
+  const target = name.trim().toLowerCase();
+  const entries = Object.entries(rpgCharacters);
+  const exact = entries.find(([, c]) => (c.name || '').trim().toLowerCase() === target);
+  if (exact) return exact[0];
+  // "Aria" in the scene vs "Aria Stormwind" in the tracker (and vice versa)
+  const firstToken = (str) => str.split(/\s+/)[0];
+  const partial = entries.find(([, c]) => {
+    const n = (c.name || '').trim().toLowerCase();
+    return n && firstToken(n) === firstToken(target);
+  });
+  return partial ? partial[0] : null;
+}
+
+// Tag scene captions with the LitRPG character id of anyone who has an active portrait
+function annotateCaptionReferences(storyId, captions) {
+  if (!storyId || !Array.isArray(captions) || captions.length === 0) return captions;
+  const rpg = db.getLitrpgState(storyId);
+  if (!rpg?.enabled || !rpg.characters) return captions;
+  return captions.map(c => {
+    const characterId = findRpgCharacterId(rpg.characters, c.name);
+    return characterId && portraitManager.hasPortrait(storyId, characterId)
+      ? { ...c, characterId }
+      : c;
+  });
+}
+
+// Load portrait images + current strengths for captions tagged by annotateCaptionReferences
+function resolveCharacterReferences(storyId, captions) {
+  const tagged = (captions || []).filter(c => c.characterId);
+  if (!storyId || tagged.length === 0) return [];
+  const rpg = db.getLitrpgState(storyId);
+  const refs = [];
+  for (const c of tagged) {
+    const char = rpg?.characters?.[c.characterId];
+    const strength = typeof char?.referenceStrength === 'number' ? char.referenceStrength : DEFAULT_REFERENCE_STRENGTH;
+    if (!char || strength <= 0) continue;
+    const image = portraitManager.getPortraitAsBase64(storyId, c.characterId, false);
+    if (image) refs.push({ name: char.name || c.name, characterId: c.characterId, image, strength });
+  }
+  return refs;
+}
+
+// Source images for img2img/inpaint must match the request size; NovelAI wants multiples of 64
+function getSourceImageSize(dataUrl) {
+  const size = nativeImage.createFromDataURL(dataUrl).getSize();
+  if (!size.width || !size.height) return null;
+  return {
+    width: Math.max(64, Math.round(size.width / 64) * 64),
+    height: Math.max(64, Math.round(size.height / 64) * 64),
+  };
+}
+
+async function runImageGeneration({ prompt, negativePrompt, rawPrompt, rawNegativePrompt, storyId, characterCaptions, seed, mode, sourceImage, mask, strength, noise, providerId: forcedProviderId }) {
+  // Per-story settings (and a forced provider, for queued jobs) apply through a store
+  // view rather than by mutating the global store, so concurrent generations stay isolated
   const ss = storyId ? db.getStorySettings(storyId) : null;
-  const savedStoreValues = {};
+  const overrides = {};
   if (ss) {
-    const overrides = {
+    const storyOverrides = {
       provider: ss.imageProvider,
       imageSettings: ss.imageSettings,
       novelaiArtStyle: ss.novelaiArtStyle,
     };
-    for (const [k, v] of Object.entries(overrides)) {
-      if (v !== undefined) { savedStoreValues[k] = store.get(k); store.set(k, v); }
+    for (const [k, v] of Object.entries(storyOverrides)) {
+      if (v !== undefined) overrides[k] = v;
     }
   }
-  const restoreStore = () => {
-    for (const [k, v] of Object.entries(savedStoreValues)) store.set(k, v);
-  };
+  if (forcedProviderId) overrides.provider = forcedProviderId;
+  const genStore = makeStoreView(overrides);
 
-  try {
-  const provider = getActiveProvider();
-  const providerId = store.get('provider') || 'novelai';
-  const settings = store.get('imageSettings');
+  const providerId = genStore.get('provider') || 'novelai';
+  const provider = PROVIDERS[providerId] || PROVIDERS.novelai;
+  const settings = genStore.get('imageSettings');
+  const capabilities = getCapabilities(provider, genStore);
+
+  // img2img / inpaint: refuse up front if the provider can't do it
+  const genMode = mode || 'generate';
+  let sourceSize = null;
+  if (genMode !== 'generate') {
+    if (!capabilities[genMode]) {
+      return { success: false, error: `${provider.name} does not support ${MODE_LABELS[genMode] || genMode}`, unsupported: true };
+    }
+    if (!sourceImage) return { success: false, error: 'No source image selected' };
+    if (genMode === 'inpaint' && !mask) return { success: false, error: 'Paint a mask over the area to change first' };
+    sourceSize = getSourceImageSize(sourceImage);
+    if (!sourceSize) return { success: false, error: 'Could not read the source image' };
+  }
+
+  // Per-character captions go through as-is only when the provider understands them
+  // (NovelAI V4); everything else gets them folded into the prompt text.
+  const captions = Array.isArray(characterCaptions) ? characterCaptions.filter(c => c && c.caption) : [];
+  const nativeCaptions = captions.length > 0 && !!provider.supportsCharacterCaptions?.(genStore);
+  if (captions.length > 0 && !nativeCaptions) {
+    prompt = scenePromptPipeline.flattenCharacterCaptions(prompt, captions);
+  }
+
+  // Active portraits of characters in the scene, for providers that take reference images
+  const referenceImages = capabilities.referenceImages
+    ? resolveCharacterReferences(storyId, captions)
+    : [];
+
+  // Seed: explicit request (re-roll / vary) wins over the story's locked seed;
+  // otherwise the provider picks a random one. Providers report what they actually
+  // sent through onParams so the exact generation can be reproduced later.
+  const requestedSeed = Number.isInteger(seed) ? seed
+    : (Number.isInteger(ss?.lockedSeed) ? ss.lockedSeed : undefined);
+  let usedParams = null;
 
   const makeMeta = (extra = {}) => ({
     provider: providerId,
-    model: settings.model || '',
-    resolution: { width: settings.width || 832, height: settings.height || 1216 },
+    model: usedParams?.model || settings.model || '',
+    resolution: {
+      width: usedParams?.width || settings.width || 832,
+      height: usedParams?.height || settings.height || 1216,
+    },
+    seed: Number.isInteger(usedParams?.seed) ? usedParams.seed : null,
+    params: usedParams || {},
+    ...(genMode !== 'generate' ? { mode: genMode } : {}),
+    ...(captions.length > 0 ? { characterCaptions: captions } : {}),
     ...extra,
   });
 
@@ -445,13 +631,24 @@ ipcMain.handle('generate-image', async (event, { prompt, negativePrompt, rawProm
   const genOpts = {
     ...(rawPrompt ? { rawPrompt: true } : {}),
     ...(rawNegativePrompt ? { rawNegativePrompt: true } : {}),
+    ...(nativeCaptions ? { characterCaptions: captions } : {}),
+    ...(requestedSeed !== undefined ? { seed: requestedSeed } : {}),
+    ...(referenceImages.length > 0 ? { referenceImages } : {}),
+    ...(genMode !== 'generate' ? {
+      mode: genMode, sourceImage, ...sourceSize,
+      ...(genMode === 'inpaint' ? { mask } : {}),
+      ...(typeof strength === 'number' ? { strength } : {}),
+      ...(typeof noise === 'number' ? { noise } : {}),
+    } : {}),
+    onParams: (params) => { usedParams = params; },
   };
+  const usage = { storyId, subsystem: 'image' };
   let lastError = null;
 
   // --- Attempt 1: normal generation ---
   try {
-    console.log(`[Main] Generating via ${provider.name}...${rawPrompt ? ' (raw prompt, no suffix)' : ''}`);
-    const imageData = await provider.generate(prompt, negativePrompt, store, genOpts);
+    console.log(`[Main] Generating via ${provider.name}...${rawPrompt ? ' (raw prompt, no suffix)' : ''}${requestedSeed !== undefined ? ` (seed ${requestedSeed})` : ''}`);
+    const imageData = await generateImageTracked(provider, prompt, negativePrompt, genStore, genOpts, usage);
     if (!isBlankImage(imageData)) {
       broadcastVeniceBalance();
       return { success: true, imageData, meta: makeMeta() };
@@ -462,7 +659,7 @@ ipcMain.handle('generate-image', async (event, { prompt, negativePrompt, rawProm
     console.error('[Main] Generation attempt 1 failed:', e.message);
     broadcastVeniceBalance();
     if (isContentRestrictionError(e.message)) {
-      const fb = await tryModelFallback(provider, providerId, prompt, negativePrompt, genOpts);
+      const fb = await tryModelFallback(provider, providerId, prompt, negativePrompt, genStore, genOpts, usage);
       if (fb) {
         broadcastVeniceBalance();
         return {
@@ -477,7 +674,7 @@ ipcMain.handle('generate-image', async (event, { prompt, negativePrompt, rawProm
 
   // --- Attempt 2: retry (blank image or transient error) ---
   try {
-    const imageData = await provider.generate(prompt, negativePrompt, store, genOpts);
+    const imageData = await generateImageTracked(provider, prompt, negativePrompt, genStore, genOpts, usage);
     if (!isBlankImage(imageData)) {
       broadcastVeniceBalance();
       return { success: true, imageData, meta: makeMeta({ retried: true }) };
@@ -488,7 +685,7 @@ ipcMain.handle('generate-image', async (event, { prompt, negativePrompt, rawProm
     console.error('[Main] Generation attempt 2 failed:', e.message);
     broadcastVeniceBalance();
     if (isContentRestrictionError(e.message)) {
-      const fb = await tryModelFallback(provider, providerId, prompt, negativePrompt, genOpts);
+      const fb = await tryModelFallback(provider, providerId, prompt, negativePrompt, genStore, genOpts, usage);
       if (fb) {
         broadcastVeniceBalance();
         return {
@@ -502,7 +699,7 @@ ipcMain.handle('generate-image', async (event, { prompt, negativePrompt, rawProm
   }
 
   // --- Attempt 3: model fallback ---
-  const fb = await tryModelFallback(provider, providerId, prompt, negativePrompt, genOpts);
+  const fb = await tryModelFallback(provider, providerId, prompt, negativePrompt, genStore, genOpts, usage);
   if (fb) {
     broadcastVeniceBalance();
     return {
@@ -519,10 +716,9 @@ ipcMain.handle('generate-image', async (event, { prompt, negativePrompt, rawProm
     error: lastError?.message || 'Image generation failed (blank image detected)',
     blankDetected: !lastError,
   };
-  } finally {
-    restoreStore();
-  }
-});
+}
+
+ipcMain.handle('generate-image', (event, params) => runImageGeneration(params));
 
 // IPC Handlers — Models (delegates to active provider)
 ipcMain.handle('get-models', () => {
@@ -543,7 +739,7 @@ ipcMain.handle('set-provider', (event, providerId) => {
 });
 
 ipcMain.handle('get-providers', () => {
-  return Object.values(PROVIDERS).map(p => ({ id: p.id, name: p.name }));
+  return Object.values(PROVIDERS).map(p => ({ id: p.id, name: p.name, capabilities: getCapabilities(p, store) }));
 });
 
 // IPC Handlers — Perchance key extraction
@@ -677,16 +873,32 @@ ipcMain.handle('venice:quote-video', async (event, { prompt, opts }) => {
 ipcMain.handle('venice:queue-video', async (event, { prompt, imageData, opts }) => {
   const result = await veniceProvider.queueVideo(prompt, imageData, store, opts || {});
   // Broadcast updated balance after queueing
+  broadcastVeniceBalance();
+  return result;
+});
+
+ipcMain.handle('venice:retrieve-video', async (event, { queueId, model }) => {
+  return veniceProvider.retrieveVideo(queueId, model, store);
+});
+
+// Video jobs — queued once, then polled in the main process until the video is saved
+function broadcastVeniceBalance() {
   if (mainWindow && !mainWindow.isDestroyed()) {
     const balance = veniceProvider.getBalance();
     if (balance) mainWindow.webContents.send('venice:balance-update', balance);
   }
+}
+
+ipcMain.handle('video-jobs:start', async (event, { storyId, prompt, negativePrompt, imageData, opts, quote }) => {
+  const result = await videoJobs.start(storyId, { prompt, negativePrompt, imageData, opts: opts || {} }, { quote });
+  broadcastVeniceBalance();
   return result;
 });
 
-ipcMain.handle('venice:retrieve-video', async (event, { queueId, model }) => {
-  return veniceProvider.retrieveVideo(queueId, model, store);
-});
+ipcMain.handle('video-jobs:list', (event, { storyId, limit, storyboardId } = {}) => videoJobs.list(storyId, { limit, storyboardId }));
+ipcMain.handle('video-jobs:active-count', (event, { storyId } = {}) => videoJobs.getActiveCount(storyId));
+ipcMain.handle('video-jobs:cancel', (event, { jobId }) => videoJobs.cancel(jobId));
+ipcMain.handle('video-jobs:clear-finished', (event, { storyId } = {}) => videoJobs.clearFinished(storyId));
 
 // IPC Handlers — Puter.js
 ipcMain.handle('get-puter-settings', () => {
@@ -706,6 +918,53 @@ ipcMain.handle('get-puter-models', () => {
   return puterProvider.getModels();
 });
 
+// IPC Handlers — Local Stable Diffusion (A1111 / ComfyUI)
+ipcMain.handle('get-local-sd-settings', () => {
+  return {
+    backend: store.get('localSdBackend') || 'a1111',
+    url: store.get('localSdUrl') || '',
+    model: store.get('localSdModel') || '',
+    sampler: store.get('localSdSampler') || '',
+    steps: store.get('localSdSteps') || 28,
+    cfgScale: store.get('localSdCfgScale') || 6,
+    workflow: store.get('localSdWorkflow') || '',
+    defaultUrls: localSdProvider.DEFAULT_URLS,
+    defaultSamplers: localSdProvider.DEFAULT_SAMPLERS,
+    defaultWorkflow: JSON.stringify(localSdProvider.DEFAULT_COMFY_WORKFLOW, null, 2),
+  };
+});
+
+ipcMain.handle('set-local-sd-settings', (event, settings) => {
+  if (settings.workflow) {
+    try {
+      JSON.parse(settings.workflow);
+    } catch (e) {
+      return { success: false, error: `Workflow is not valid JSON: ${e.message}` };
+    }
+  }
+  if (settings.backend !== undefined) store.set('localSdBackend', settings.backend);
+  if (settings.url !== undefined) store.set('localSdUrl', settings.url);
+  if (settings.model !== undefined) store.set('localSdModel', settings.model);
+  if (settings.sampler !== undefined) store.set('localSdSampler', settings.sampler);
+  if (settings.steps !== undefined) store.set('localSdSteps', settings.steps);
+  if (settings.cfgScale !== undefined) store.set('localSdCfgScale', settings.cfgScale);
+  if (settings.workflow !== undefined) store.set('localSdWorkflow', settings.workflow);
+  return { success: true };
+});
+
+// Probe a server before saving: the settings form passes its unsaved backend/URL
+ipcMain.handle('local-sd:test-connection', (event, { backend, url } = {}) => {
+  const view = makeStoreView({
+    ...(backend ? { localSdBackend: backend } : {}),
+    ...(url ? { localSdUrl: url } : {}),
+  });
+  return localSdProvider.testConnection(view);
+});
+
+ipcMain.handle('get-local-sd-models', () => {
+  return localSdProvider.fetchModelsForUI(store);
+});
+
 // ---------------------------------------------------------------------------
 // TTS — Text-to-Speech
 // ---------------------------------------------------------------------------
@@ -1016,6 +1275,15 @@ ipcMain.handle('story-settings:set', (_, { storyId, settings }) => {
   return { success: true };
 });
 
+// Lock (seed = integer) or unlock (seed = null) the image seed for a story
+ipcMain.handle('story-settings:set-locked-seed', (_, { storyId, seed }) => {
+  if (!storyId) return { success: false, error: 'No story selected' };
+  const settings = getStorySettingsOrSnapshot(storyId);
+  settings.lockedSeed = Number.isInteger(seed) ? seed : null;
+  db.setStorySettings(storyId, settings);
+  return { success: true, lockedSeed: settings.lockedSeed };
+});
+
 // Scene settings (prompt generation, suggestions)
 const SCENE_SETTINGS_DEFAULTS = {
   autoGeneratePrompts: true,
@@ -1052,7 +1320,6 @@ ipcMain.handle('generate-suggestions-direct', async (event, data) => {
       console.log(`[Main] Suggestions: injecting narrative context (${narrativeContext.length} chars)`);
     }
 
-    const provider = PROVIDERS.novelai;
     const ss2 = storyId ? db.getStorySettings(storyId) : null;
     const sceneSettings = { ...SCENE_SETTINGS_DEFAULTS, ...store.get('sceneSettings'), ...(ss2?.sceneSettings || {}) };
     const narrativeBlock = narrativeContext
@@ -1091,11 +1358,11 @@ Types: "action" for physical actions, "dialogue" for speech, "narrative" for des
     ];
 
     console.log('[Main] Generating suggestions via direct API call...');
-    const response = await provider.generateText(messages, {
-      model: 'glm-4-6',
+    const generateTextFn = makeRoutedGenerateTextFn('suggestions', storyId, 'novelai');
+    const response = await generateTextFn(messages, {
       max_tokens: 300,
       temperature: sceneSettings.suggestionTemperature,
-    }, store);
+    });
 
     let content = '';
     if (response.output) {
@@ -1139,12 +1406,13 @@ Types: "action" for physical actions, "dialogue" for speech, "narrative" for des
   }
 });
 
-// IPC Handler — Electron-side scene prompt generation (v1 classic + v2 enhanced pipeline)
-ipcMain.handle('generate-scene-prompt', async (event, { storyText, entries, artStyle, storyId }) => {
+// Electron-side scene prompt generation (v1 classic + v2 enhanced pipeline).
+// pipelineVersion overrides the scene setting (auto-storyboard always asks for v2).
+async function generateScenePrompt({ storyText, entries, storyId, pipelineVersion: forcedVersion }) {
   try {
     const ss = storyId ? db.getStorySettings(storyId) : null;
     const sceneSettings = { ...SCENE_SETTINGS_DEFAULTS, ...store.get('sceneSettings'), ...(ss?.sceneSettings || {}) };
-    const pipelineVersion = sceneSettings.pipelineVersion || 1;
+    const pipelineVersion = forcedVersion || sceneSettings.pipelineVersion || 1;
 
     // Resolve art style (shared by v1 and v2)
     const provider = PROVIDERS.novelai;
@@ -1161,14 +1429,14 @@ ipcMain.handle('generate-scene-prompt', async (event, { storyText, entries, artS
     // --- V2 Enhanced Pipeline ---
     if (pipelineVersion === 2) {
       console.log('[Main] Using v2 enhanced pipeline');
-      const primaryProvider = store.get('loreLlmProvider') || 'novelai';
+      const primaryProvider = getLlmRoute('scene', storyId).provider;
       const secondaryProvider = sceneSettings.secondaryLlm || 'none';
 
-      const primaryGenFn = makeGenerateTextFn(primaryProvider);
+      const primaryGenFn = makeRoutedGenerateTextFn('scene', storyId);
       let secondaryGenFn = null;
 
       if (secondaryProvider !== 'none' && secondaryProvider !== primaryProvider) {
-        secondaryGenFn = makeGenerateTextFn(secondaryProvider);
+        secondaryGenFn = makeGenerateTextFn(secondaryProvider, '', { subsystem: 'scene', storyId });
       }
 
       // Force sequential if both are novelai (429 guard)
@@ -1194,6 +1462,11 @@ ipcMain.handle('generate-scene-prompt', async (event, { storyText, entries, artS
         forceSequential,
       });
 
+      // Link detected characters to their LitRPG portraits (used as image references)
+      if (result.success && result.characterCaptions) {
+        result.characterCaptions = annotateCaptionReferences(storyId, result.characterCaptions);
+      }
+
       // Persist updated visual profiles
       if (result.success && result.updatedProfiles && storyId) {
         for (const [charName, profile] of Object.entries(result.updatedProfiles)) {
@@ -1297,13 +1570,13 @@ Guidelines:
       { role: 'user', content: userContent }
     ];
 
-    // 5. Call GLM-4-6
+    // 5. Call the scene LLM (GLM-4-6 unless routed elsewhere)
     console.log('[Main] Generating scene prompt via direct API call...');
-    const response = await provider.generateText(messages, {
-      model: 'glm-4-6',
+    const generateTextFn = makeRoutedGenerateTextFn('scene', storyId, 'novelai');
+    const response = await generateTextFn(messages, {
       max_tokens: 400,
       temperature: sceneSettings.promptTemperature,
-    }, store);
+    });
 
     let content = '';
     if (response.output) {
@@ -1341,7 +1614,11 @@ Guidelines:
     console.error('[Main] Scene prompt generation failed:', e.message);
     return { success: false, error: e.message };
   }
-});
+}
+
+// IPC Handler — scene prompt for the renderer's Generate button
+ipcMain.handle('generate-scene-prompt', (event, { storyText, entries, storyId }) =>
+  generateScenePrompt({ storyText, entries, storyId }));
 
 // IPC Handlers — Per-story scene prompt state persistence
 ipcMain.handle('scene:get-state', (event, storyId) => {
@@ -1366,6 +1643,11 @@ ipcMain.handle('text-llm:get-settings', () => {
     openaiModel: store.get('openaiModel') || openaiTextProvider.defaultModel,
     anthropicApiKey: store.get('anthropicApiKey') ? '••••' : '',
     anthropicModel: store.get('anthropicModel') || anthropicTextProvider.defaultModel,
+    compatBaseUrl: store.get('compatBaseUrl') || compatibleTextProvider.defaultBaseUrl,
+    compatApiKey: store.get('compatApiKey') ? '••••' : '',
+    compatModel: store.get('compatModel') || '',
+    compatHeaders: store.get('compatHeaders') || {},
+    compatStream: store.get('compatStream') !== false,
     secondaryLlm: store.get('sceneSettings')?.secondaryLlm || 'none',
     pipelineVersion: store.get('sceneSettings')?.pipelineVersion || 1,
   };
@@ -1380,6 +1662,13 @@ ipcMain.handle('text-llm:set-settings', (event, settings) => {
     store.set('anthropicApiKey', settings.anthropicApiKey);
   }
   if (settings.anthropicModel !== undefined) store.set('anthropicModel', settings.anthropicModel);
+  if (settings.compatBaseUrl !== undefined) store.set('compatBaseUrl', settings.compatBaseUrl);
+  if (settings.compatApiKey && settings.compatApiKey !== '••••') {
+    store.set('compatApiKey', settings.compatApiKey);
+  }
+  if (settings.compatModel !== undefined) store.set('compatModel', settings.compatModel);
+  if (settings.compatHeaders !== undefined) store.set('compatHeaders', settings.compatHeaders || {});
+  if (settings.compatStream !== undefined) store.set('compatStream', !!settings.compatStream);
   // secondaryLlm and pipelineVersion are saved as part of sceneSettings
   if (settings.secondaryLlm !== undefined || settings.pipelineVersion !== undefined) {
     const sceneSettings = store.get('sceneSettings') || {};
@@ -1408,6 +1697,40 @@ ipcMain.handle('text-llm:list-ollama-models', async () => {
   }
 });
 
+ipcMain.handle('text-llm:list-compatible-models', async (event, overrides = {}) => {
+  // The settings form passes its unsaved URL/key so the list can be refreshed before saving
+  const view = makeStoreView(Object.fromEntries(
+    Object.entries({ compatBaseUrl: overrides.baseUrl, compatApiKey: overrides.apiKey, compatHeaders: overrides.headers })
+      .filter(([, v]) => v !== undefined && v !== '••••')
+  ));
+  try {
+    return { success: true, models: await compatibleTextProvider.listModels(view) };
+  } catch (err) {
+    console.error('[Main] OpenAI-compatible model list failed:', err.message || err);
+    return { success: false, error: err.message, models: [] };
+  }
+});
+
+// ---------------------------------------------------------------------------
+// LLM Routing — per-subsystem provider/model overrides with fallback chains
+// ---------------------------------------------------------------------------
+
+ipcMain.handle('llm-routing:get', (event, storyId) => {
+  const validProviders = Object.keys(TEXT_PROVIDERS);
+  return {
+    subsystems: llmRouter.SUBSYSTEMS,
+    providers: Object.values(TEXT_PROVIDERS).map(p => ({ id: p.id, name: p.name })),
+    global: llmRouter.normalizeRouting(store.get('llmRouting'), validProviders),
+    story: storyId ? llmRouter.normalizeRouting(db.getStorySettings(storyId)?.llmRouting, validProviders) : {},
+  };
+});
+
+// Global table only — per-story routes are saved with the rest of the story settings
+ipcMain.handle('llm-routing:set', (event, routing) => {
+  store.set('llmRouting', llmRouter.normalizeRouting(routing, Object.keys(TEXT_PROVIDERS)));
+  return { success: true };
+});
+
 // ---------------------------------------------------------------------------
 // Visual Profiles
 // ---------------------------------------------------------------------------
@@ -1431,21 +1754,21 @@ const progressiveScans = new Map(); // storyId → {cancel: false, pause: false}
 // Lore Creator — LLM provider factory
 // ---------------------------------------------------------------------------
 
-function makeNovelaiGenerateTextFn() {
+function makeNovelaiGenerateTextFn(model) {
   return async (messages, options) => {
     return novelaiProvider.generateText(messages, {
-      model: 'glm-4-6',
+      model: model || 'glm-4-6',
       max_tokens: options.max_tokens || 300,
       temperature: options.temperature || 0.4,
     }, store);
   };
 }
 
-function makeOllamaGenerateTextFn() {
+function makeOllamaGenerateTextFn(model) {
   return async (messages, options) => {
     // Read URL and model at call time so settings changes take effect immediately
     const ollamaUrl = getOllamaUrl();
-    const ollamaModel = store.get('loreOllamaModel') || 'mistral:7b';
+    const ollamaModel = model || store.get('loreOllamaModel') || 'mistral:7b';
 
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 120000);
@@ -1463,6 +1786,8 @@ function makeOllamaGenerateTextFn() {
             num_predict: options.max_tokens || 300,
             temperature: options.temperature || 0.4,
           },
+          // Structured outputs: Ollama constrains generation to the schema
+          ...(options.jsonSchema ? { format: options.jsonSchema } : {}),
         }),
         signal: controller.signal,
       });
@@ -1484,36 +1809,106 @@ function makeOllamaGenerateTextFn() {
   };
 }
 
-function makeOpenaiGenerateTextFn() {
+function makeOpenaiGenerateTextFn(model) {
   return async (messages, options) => {
     return openaiTextProvider.generateText(messages, {
+      model: model || undefined,
       max_tokens: options.max_tokens || 300,
       temperature: options.temperature || 0.4,
+      jsonSchema: options.jsonSchema,
     }, store);
   };
 }
 
-function makeAnthropicGenerateTextFn() {
+function makeAnthropicGenerateTextFn(model) {
   return async (messages, options) => {
     return anthropicTextProvider.generateText(messages, {
+      model: model || undefined,
+      max_tokens: options.max_tokens || 300,
+      temperature: options.temperature || 0.4,
+      jsonSchema: options.jsonSchema,
+    }, store);
+  };
+}
+
+function makeCompatibleGenerateTextFn(model) {
+  return async (messages, options) => {
+    return compatibleTextProvider.generateText(messages, {
+      model: model || undefined,
       max_tokens: options.max_tokens || 300,
       temperature: options.temperature || 0.4,
+      jsonSchema: options.jsonSchema,
     }, store);
   };
 }
 
-function makeGenerateTextFn(providerName) {
+function makeProviderGenerateTextFn(providerName, model) {
   switch (providerName) {
-    case 'ollama': return makeOllamaGenerateTextFn();
-    case 'openai': return makeOpenaiGenerateTextFn();
-    case 'anthropic': return makeAnthropicGenerateTextFn();
-    default: return makeNovelaiGenerateTextFn();
+    case 'ollama': return makeOllamaGenerateTextFn(model);
+    case 'openai': return makeOpenaiGenerateTextFn(model);
+    case 'anthropic': return makeAnthropicGenerateTextFn(model);
+    case 'openai-compatible': return makeCompatibleGenerateTextFn(model);
+    default: return makeNovelaiGenerateTextFn(model);
   }
 }
 
-function makeLoreGenerateTextFn() {
-  const llmProvider = store.get('loreLlmProvider') || 'novelai';
-  return makeGenerateTextFn(llmProvider);
+// Model name for the usage ledger (mirrors each factory's default)
+function describeTextModel(providerName, model) {
+  if (model) return model;
+  switch (providerName) {
+    case 'ollama': return store.get('loreOllamaModel') || 'mistral:7b';
+    case 'openai': return store.get('openaiModel') || openaiTextProvider.defaultModel;
+    case 'anthropic': return store.get('anthropicModel') || anthropicTextProvider.defaultModel;
+    case 'openai-compatible': return store.get('compatModel') || 'auto';
+    default: return 'glm-4-6';
+  }
+}
+
+/**
+ * generateTextFn for a provider, with every call recorded in the usage ledger.
+ * @param {string} providerName - TEXT_PROVIDERS id
+ * @param {string} [model] - overrides the provider's configured model
+ * @param {{subsystem?: string, storyId?: string}} [usage] - attribution for the ledger
+ */
+function makeGenerateTextFn(providerName, model, usage = {}) {
+  const generateTextFn = makeProviderGenerateTextFn(providerName, model);
+  return async (messages, options) => {
+    const started = Date.now();
+    const entry = {
+      storyId: usage.storyId,
+      kind: 'text',
+      subsystem: usage.subsystem,
+      provider: providerName || 'novelai',
+      model: describeTextModel(providerName, model),
+      promptTokens: usageLedger.estimateMessageTokens(messages),
+    };
+    try {
+      const result = await generateTextFn(messages, options);
+      usageLedger.record({ ...entry, responseTokens: usageLedger.estimateTokens(result?.output), latencyMs: Date.now() - started, success: true });
+      return result;
+    } catch (err) {
+      usageLedger.record({ ...entry, latencyMs: Date.now() - started, success: false, error: err.message });
+      throw err;
+    }
+  };
+}
+
+// Effective LLM route for a subsystem: story override → global table → default provider
+// (the lore LLM provider unless the caller historically used something else)
+function getLlmRoute(subsystem, storyId, defaultProvider) {
+  const validProviders = Object.keys(TEXT_PROVIDERS);
+  const storyRouting = storyId ? db.getStorySettings(storyId)?.llmRouting : null;
+  return llmRouter.resolveRoute(subsystem, {
+    global: llmRouter.normalizeRouting(store.get('llmRouting'), validProviders),
+    story: llmRouter.normalizeRouting(storyRouting, validProviders),
+    defaultProvider: defaultProvider || store.get('loreLlmProvider') || 'novelai',
+  });
+}
+
+function makeRoutedGenerateTextFn(subsystem, storyId, defaultProvider) {
+  const route = getLlmRoute(subsystem, storyId, defaultProvider);
+  const usage = { subsystem, storyId };
+  return llmRouter.createRoutedFn(route, (providerId, model) => makeGenerateTextFn(providerId, model, usage), subsystem);
 }
 
 async function isOllamaAvailable() {
@@ -1577,20 +1972,20 @@ ipcMain.handle('lore:scan', async (event, { storyText, existingEntries, storyId,
       pendingCleanups: [], dismissedCleanupIds: [],
     };
 
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('lore', storyId);
 
     // Check if secondary provider is available for hybrid scanning
     let secondaryGenerateTextFn = null;
     if (settings.hybridEnabled !== false) {
-      const primaryProvider = store.get('loreLlmProvider') || 'novelai';
+      const primaryProvider = getLlmRoute('lore', storyId).provider;
       if (primaryProvider === 'novelai') {
         if (await isOllamaAvailable()) {
-          secondaryGenerateTextFn = makeOllamaGenerateTextFn();
+          secondaryGenerateTextFn = makeGenerateTextFn('ollama', '', { subsystem: 'lore', storyId });
           console.log('[Main] Hybrid scan: NovelAI (primary) + Ollama (secondary)');
         }
       } else {
-        secondaryGenerateTextFn = makeNovelaiGenerateTextFn();
-        console.log('[Main] Hybrid scan: Ollama (primary) + NovelAI (secondary)');
+        secondaryGenerateTextFn = makeGenerateTextFn('novelai', '', { subsystem: 'lore', storyId });
+        console.log(`[Main] Hybrid scan: ${primaryProvider} (primary) + NovelAI (secondary)`);
       }
     }
 
@@ -1650,7 +2045,10 @@ ipcMain.handle('lore:scan', async (event, { storyText, existingEntries, storyId,
 
     // Chain LitRPG scan asynchronously — don't block lore scan return
     const rpgState = db.getLitrpgState(storyId);
-    if (rpgState && rpgState.enabled && rpgState.autoScan !== false) {
+    const budget = usageLedger.getBudgetStatus(storyId);
+    if (budget.exceeded) {
+      console.log(`[Main] Skipping chained LitRPG scan — usage budget reached (${budget.reasons.join('; ')})`);
+    } else if (rpgState && rpgState.enabled && rpgState.autoScan !== false) {
       console.log('[Main] Chaining LitRPG scan after lore scan (async)');
       // Fire-and-forget — lore scan result returns immediately
       (async () => {
@@ -1663,7 +2061,11 @@ ipcMain.handle('lore:scan', async (event, { storyText, existingEntries, storyId,
               }
             },
             comprehensionContext || undefined,
-            secondaryGenerateTextFn
+            secondaryGenerateTextFn,
+            {
+              systemConfig: resolveLitrpgSystem(storyId, rpgState.systemType),
+              parserRules: getLitrpgParserRules(storyId),
+            }
           );
           // Extract transient fields before saving (not persisted in DB)
           const roleUpdates = rpgResult.state._pendingRoleUpdates || [];
@@ -1672,6 +2074,7 @@ ipcMain.handle('lore:scan', async (event, { storyText, existingEntries, storyId,
           delete rpgResult.state._pendingLoreEntries;
           delete rpgResult.state._r4Skipped;
 
+          litrpgLedger.commit(storyId, rpgResult.state);
           db.setLitrpgState(storyId, rpgResult.state);
           if (mainWindow && !mainWindow.isDestroyed()) {
             mainWindow.webContents.send('litrpg:state-updated', {
@@ -1687,7 +2090,7 @@ ipcMain.handle('lore:scan', async (event, { storyText, existingEntries, storyId,
     } else if (!rpgState || rpgState.detected === null || rpgState.detected === false) {
       // First scan — run LitRPG detection (lightweight, keep synchronous)
       try {
-        const detection = await litrpgTracker.detectLitRPG(storyText, generateTextFn);
+        const detection = await litrpgTracker.detectLitRPG(storyText, generateTextFn, getLitrpgParserRules(storyId));
         const newRpgState = rpgState || { ...db.LITRPG_STATE_DEFAULTS };
         newRpgState.detected = detection.detected;
         newRpgState.systemType = detection.systemType;
@@ -1710,7 +2113,7 @@ ipcMain.handle('lore:scan', async (event, { storyText, existingEntries, storyId,
 ipcMain.handle('lore:organize', async (event, { entries, storyText, storyId, categoryMap }) => {
   try {
     const settings = store.get('loreSettings') || loreCreator.DEFAULT_SETTINGS;
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('lore', storyId);
 
     // Build comprehension context if available
     let comprehensionContext = '';
@@ -1745,9 +2148,9 @@ ipcMain.handle('lore:organize', async (event, { entries, storyText, storyId, cat
   }
 });
 
-ipcMain.handle('lore:identify-target', async (event, { prompt, entries }) => {
+ipcMain.handle('lore:identify-target', async (event, { prompt, entries, storyId }) => {
   try {
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('lore', storyId);
     const result = await loreCreator.identifyTargetEntry(prompt, entries, generateTextFn);
     return { success: true, result };
   } catch (e) {
@@ -1756,9 +2159,9 @@ ipcMain.handle('lore:identify-target', async (event, { prompt, entries }) => {
   }
 });
 
-ipcMain.handle('lore:generate-enriched', async (event, { prompt, currentText, displayName }) => {
+ipcMain.handle('lore:generate-enriched', async (event, { prompt, currentText, displayName, storyId }) => {
   try {
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('lore', storyId);
     const result = await loreCreator.generateEnrichedText(prompt, currentText, displayName, generateTextFn);
     return { success: true, result };
   } catch (e) {
@@ -1772,7 +2175,7 @@ ipcMain.handle('lore:create-from-prompt', async (event, { prompt, category, stor
     const settings = store.get('loreSettings') || loreCreator.DEFAULT_SETTINGS;
     const loreStateCfp = db.getLoreState(storyId) || {};
     settings.customCategories = loreStateCfp.customCategories || [];
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('lore', storyId);
 
     // Build comprehension context if available
     let comprehensionContext = '';
@@ -1801,7 +2204,7 @@ ipcMain.handle('lore:create-from-prompt', async (event, { prompt, category, stor
 
 ipcMain.handle('lore:reformat-entry', async (event, { displayName, currentText, storyText, storyId, entryType }) => {
   try {
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('lore', storyId);
 
     // Build comprehension context if available
     let comprehensionContext = '';
@@ -1957,22 +2360,22 @@ ipcMain.handle('lore:start-progressive-scan', async (event, { storyId, storyText
     const scanControl = { cancel: false, pause: false };
     progressiveScans.set(storyId, scanControl);
 
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('comprehension', storyId);
     const existingState = db.getComprehension(storyId) || null;
 
     // Set up hybrid provider for parallel chunk processing
     let secondaryGenerateTextFn = null;
     const settings = store.get('loreSettings') || loreCreator.DEFAULT_SETTINGS;
     if (settings.hybridEnabled !== false) {
-      const primaryProvider = store.get('loreLlmProvider') || 'novelai';
+      const primaryProvider = getLlmRoute('comprehension', storyId).provider;
       if (primaryProvider === 'novelai') {
         if (await isOllamaAvailable()) {
-          secondaryGenerateTextFn = makeOllamaGenerateTextFn();
+          secondaryGenerateTextFn = makeGenerateTextFn('ollama', '', { subsystem: 'comprehension', storyId });
           console.log('[Main] Hybrid comprehension scan: NovelAI (primary) + Ollama (secondary)');
         }
       } else if (primaryProvider === 'ollama') {
-        secondaryGenerateTextFn = makeNovelaiGenerateTextFn();
-        console.log('[Main] Hybrid comprehension scan: Ollama (primary) + NovelAI (secondary)');
+        secondaryGenerateTextFn = makeGenerateTextFn('novelai', '', { subsystem: 'comprehension', storyId });
+        console.log(`[Main] Hybrid comprehension scan: ${primaryProvider} (primary) + NovelAI (secondary)`);
       }
     }
 
@@ -2051,18 +2454,18 @@ ipcMain.handle('lore:get-comprehension', (event, storyId) => {
 
 ipcMain.handle('lore:incremental-update', async (event, { storyId, storyText, existingEntries }) => {
   try {
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('comprehension', storyId);
     const existingState = db.getComprehension(storyId) || null;
 
     // Set up hybrid for incremental updates too
     let secondaryGenerateTextFn = null;
     const settings = store.get('loreSettings') || loreCreator.DEFAULT_SETTINGS;
     if (settings.hybridEnabled !== false) {
-      const primaryProvider = store.get('loreLlmProvider') || 'novelai';
+      const primaryProvider = getLlmRoute('comprehension', storyId).provider;
       if (primaryProvider === 'novelai') {
-        if (await isOllamaAvailable()) secondaryGenerateTextFn = makeOllamaGenerateTextFn();
+        if (await isOllamaAvailable()) secondaryGenerateTextFn = makeGenerateTextFn('ollama', '', { subsystem: 'comprehension', storyId });
       } else if (primaryProvider === 'ollama') {
-        secondaryGenerateTextFn = makeNovelaiGenerateTextFn();
+        secondaryGenerateTextFn = makeGenerateTextFn('novelai', '', { subsystem: 'comprehension', storyId });
       }
     }
 
@@ -2100,7 +2503,7 @@ ipcMain.handle('memory:process', async (event, { storyText, storyId }) => {
   try {
     const settings = { ...memoryManager.DEFAULT_SETTINGS, ...store.get('memorySettings') };
     const state = db.getMemoryState(storyId) || memoryManager.createEmptyState();
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('memory', storyId);
 
     // Build comprehension context if available
     let comprehensionContext = '';
@@ -2133,21 +2536,21 @@ ipcMain.handle('memory:force-refresh', async (event, { storyText, storyId }) =>
   memoryProcessingLock.add(storyId);
   try {
     const settings = { ...memoryManager.DEFAULT_SETTINGS, ...store.get('memorySettings') };
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('memory', storyId);
 
     // Check for secondary provider (hybrid) — respects lore settings toggle
     let secondaryGenerateTextFn = null;
     const loreSettings = store.get('loreSettings') || {};
     if (loreSettings.hybridEnabled !== false) {
-      const primaryProvider = store.get('loreLlmProvider') || 'novelai';
+      const primaryProvider = getLlmRoute('memory', storyId).provider;
       if (primaryProvider === 'novelai') {
         if (await isOllamaAvailable()) {
-          secondaryGenerateTextFn = makeOllamaGenerateTextFn();
+          secondaryGenerateTextFn = makeGenerateTextFn('ollama', '', { subsystem: 'memory', storyId });
           console.log('[Main] Memory refresh: hybrid mode (NovelAI + Ollama)');
         }
       } else {
-        secondaryGenerateTextFn = makeNovelaiGenerateTextFn();
-        console.log('[Main] Memory refresh: hybrid mode (Ollama + NovelAI)');
+        secondaryGenerateTextFn = makeGenerateTextFn('novelai', '', { subsystem: 'memory', storyId });
+        console.log(`[Main] Memory refresh: hybrid mode (${primaryProvider} + NovelAI)`);
       }
     }
 
@@ -2208,8 +2611,8 @@ ipcMain.handle('memory:set-settings', (event, settings) => {
 
 ipcMain.handle('litrpg:detect', async (event, { storyText, storyId }) => {
   try {
-    const generateTextFn = makeLoreGenerateTextFn();
-    const result = await litrpgTracker.detectLitRPG(storyText, generateTextFn);
+    const generateTextFn = makeRoutedGenerateTextFn('litrpg', storyId);
+    const result = await litrpgTracker.detectLitRPG(storyText, generateTextFn, getLitrpgParserRules(storyId));
     // Save detection result
     const rpgState = db.getLitrpgState(storyId) || { ...db.LITRPG_STATE_DEFAULTS };
     rpgState.detected = result.detected;
@@ -2227,17 +2630,17 @@ ipcMain.handle('litrpg:scan', async (event, { storyText, storyId, loreEntries })
     const rpgState = db.getLitrpgState(storyId) || { ...db.LITRPG_STATE_DEFAULTS };
     if (!rpgState.enabled) return { success: false, error: 'LitRPG mode not enabled' };
 
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('litrpg', storyId);
 
     // Check for secondary provider
     let secondaryGenerateTextFn = null;
     const loreSettings = store.get('loreSettings') || {};
     if (loreSettings.hybridEnabled !== false) {
-      const primaryProvider = store.get('loreLlmProvider') || 'novelai';
+      const primaryProvider = getLlmRoute('litrpg', storyId).provider;
       if (primaryProvider === 'novelai') {
-        if (await isOllamaAvailable()) secondaryGenerateTextFn = makeOllamaGenerateTextFn();
+        if (await isOllamaAvailable()) secondaryGenerateTextFn = makeGenerateTextFn('ollama', '', { subsystem: 'litrpg', storyId });
       } else {
-        secondaryGenerateTextFn = makeNovelaiGenerateTextFn();
+        secondaryGenerateTextFn = makeGenerateTextFn('novelai', '', { subsystem: 'litrpg', storyId });
       }
     }
 
@@ -2258,7 +2661,11 @@ ipcMain.handle('litrpg:scan', async (event, { storyText, storyId, loreEntries })
         }
       },
       comprehensionContext || undefined,
-      secondaryGenerateTextFn
+      secondaryGenerateTextFn,
+      {
+        systemConfig: resolveLitrpgSystem(storyId, rpgState.systemType),
+        parserRules: getLitrpgParserRules(storyId),
+      }
     );
 
     // Extract transient fields before saving (not persisted in DB)
@@ -2269,6 +2676,7 @@ ipcMain.handle('litrpg:scan', async (event, { storyText, storyId, loreEntries })
     const r4Skipped = result.state._r4Skipped || 0;
     delete result.state._r4Skipped;
 
+    litrpgLedger.commit(storyId, result.state);
     db.setLitrpgState(storyId, result.state);
     return { success: true, state: result.state, roleUpdates, pendingLoreEntries, r4Skipped };
   } catch (e) {
@@ -2297,6 +2705,7 @@ ipcMain.handle('litrpg:accept-update', (event, { storyId, updateId }) => {
   const rpgState = db.getLitrpgState(storyId);
   if (!rpgState) return { success: false, error: 'No LitRPG state' };
   const updated = litrpgTracker.acceptPendingUpdate(rpgState, updateId);
+  litrpgLedger.commit(storyId, updated);
   db.setLitrpgState(storyId, updated);
   return { success: true, state: updated };
 });
@@ -2313,13 +2722,17 @@ ipcMain.handle('litrpg:build-lorebook-text', (event, { entryText, rpgData }) =>
   return litrpgTracker.buildLitRPGCharacterText(entryText, rpgData);
 });
 
+ipcMain.handle('litrpg:build-quest-log-text', (event, { entryText, rpgState }) => {
+  return litrpgTracker.buildQuestLogText(entryText, rpgState);
+});
+
 ipcMain.handle('litrpg:build-role-update', (event, { entryText, role }) => {
   return litrpgTracker.buildRoleUpdatePayload(entryText, role);
 });
 
 ipcMain.handle('litrpg:generate-portrait-prompt', async (event, { characterEntryText, rpgData }) => {
   try {
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('portrait', null);
     const prompt = await litrpgTracker.generatePortraitPrompt(characterEntryText, rpgData, generateTextFn);
     return { success: true, prompt };
   } catch (e) {
@@ -2331,6 +2744,7 @@ ipcMain.handle('litrpg:accept-all-updates', (event, { storyId }) => {
   const rpgState = db.getLitrpgState(storyId);
   if (!rpgState) return { success: false, error: 'No LitRPG state' };
   const updated = litrpgTracker.acceptAllPendingUpdates(rpgState);
+  litrpgLedger.commit(storyId, updated);
   db.setLitrpgState(storyId, updated);
   return { success: true, state: updated };
 });
@@ -2348,7 +2762,11 @@ ipcMain.handle('litrpg:update-character', (event, { storyId, characterId, update
   if (!rpgState) return { success: false, error: 'No LitRPG state' };
   const char = rpgState.characters[characterId];
   if (!char) return { success: false, error: 'Character not found' };
+  const holdings = { inventory: char.inventory, currency: char.currency };
   Object.assign(char, updates, { lastUpdated: Date.now() });
+  queueHoldingEdits(rpgState, holdings, char, 'edit');
+  litrpgLedger.commit(storyId, rpgState);
+  litrpgTracker.recordCharacterSnapshot(rpgState, char, rpgState.lastProcessedLength || 0, 'edit');
   db.setLitrpgState(storyId, rpgState);
   return { success: true, state: rpgState };
 });
@@ -2357,14 +2775,25 @@ ipcMain.handle('litrpg:delete-character', (event, { storyId, characterId }) => {
   const rpgState = db.getLitrpgState(storyId);
   if (!rpgState) return { success: false, error: 'No LitRPG state' };
   delete rpgState.characters[characterId];
+  if (rpgState.statHistory) delete rpgState.statHistory[characterId];
+  litrpgLedger.clearCharacter(storyId, characterId);
   rpgState.party.members = rpgState.party.members.filter(id => id !== characterId);
   rpgState.pendingUpdates = rpgState.pendingUpdates.filter(u => u.characterId !== characterId);
+  litrpgTracker.linkAllQuests(rpgState);
   db.setLitrpgState(storyId, rpgState);
   return { success: true, state: rpgState };
 });
 
+ipcMain.handle('litrpg:character-diff', (event, { storyId, characterId, since, until }) => {
+  const rpgState = db.getLitrpgState(storyId);
+  if (!rpgState) return { success: false, error: 'No LitRPG state' };
+  if (!rpgState.characters[characterId]) return { success: false, error: 'Character not found' };
+  return { success: true, ...litrpgTracker.diffCharacterSince(rpgState, characterId, since || 0, until) };
+});
+
 ipcMain.handle('litrpg:reset-state', (event, { storyId }) => {
   const freshState = { ...db.LITRPG_STATE_DEFAULTS };
+  litrpgLedger.clearStory(storyId);
   db.setLitrpgState(storyId, freshState);
   return { success: true, state: freshState };
 });
@@ -2386,6 +2815,7 @@ ipcMain.handle('litrpg:reverse-sync-all', (event, { entries, storyId }) => {
       // Apply parsed data to character
       const char = rpgState.characters[result.charId];
       const parsed = result.parsed;
+      const holdings = { inventory: char.inventory, currency: char.currency };
       if (parsed.class) char.class = parsed.class;
       if (parsed.subclass) char.subclass = parsed.subclass;
       if (parsed.level != null) char.level = parsed.level;
@@ -2399,24 +2829,267 @@ ipcMain.handle('litrpg:reverse-sync-all', (event, { entries, storyId }) => {
       if (parsed.equipment && parsed.equipment.length > 0) char.equipment = parsed.equipment;
       if (parsed.inventory && parsed.inventory.length > 0) char.inventory = parsed.inventory;
       if (parsed.statusEffects && parsed.statusEffects.length > 0) char.statusEffects = parsed.statusEffects;
+      queueHoldingEdits(rpgState, holdings, char, 'sync');
+      litrpgTracker.recordCharacterSnapshot(rpgState, char, rpgState.lastProcessedLength || 0, 'sync');
       updatedCount++;
     }
     results.push({ entryName: entry.displayName, ...result });
   }
 
   if (updatedCount > 0) {
+    litrpgLedger.commit(storyId, rpgState);
     db.setLitrpgState(storyId, rpgState);
   }
 
   return { success: true, results, updatedCount, state: rpgState };
 });
 
+// Hand edits and lorebook syncs go into the ledger like scan changes, at the last scanned position
+function queueHoldingEdits(rpgState, before, char, source) {
+  const transactions = litrpgTracker.buildHoldingTransactions(before, char, {
+    source, position: rpgState.lastProcessedLength || 0,
+  }).map(tx => ({ ...tx, reason: source }));
+  rpgState._ledgerTransactions = [...(rpgState._ledgerTransactions || []), ...transactions];
+}
+
+ipcMain.handle('litrpg:ledger', (event, { storyId, characterId, kind, name }) => {
+  try {
+    return { success: true, transactions: litrpgLedger.list(storyId, { characterId, kind, name }) };
+  } catch (e) {
+    console.error('[Main] LitRPG ledger read failed:', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('litrpg:ledger-reverse', (event, { storyId, transactionId }) => {
+  const rpgState = db.getLitrpgState(storyId);
+  if (!rpgState) return { success: false, error: 'No LitRPG state' };
+  const result = litrpgLedger.reverse(storyId, transactionId, rpgState);
+  if (!result.success) return result;
+  const char = rpgState.characters[result.transaction.characterId];
+  char.lastUpdated = Date.now();
+  litrpgTracker.recordCharacterSnapshot(rpgState, char, rpgState.lastProcessedLength || 0, 'edit');
+  db.setLitrpgState(storyId, rpgState);
+  return { success: true, state: rpgState, transaction: result.transaction };
+});
+
+// Manual payout for a completed quest whose rewards had no recipient when it completed
+ipcMain.handle('litrpg:grant-quest-rewards', (event, { storyId, questId, characterId }) => {
+  const rpgState = db.getLitrpgState(storyId);
+  if (!rpgState) return { success: false, error: 'No LitRPG state' };
+  const quest = rpgState.quests?.[questId];
+  if (!quest) return { success: false, error: 'Quest not found' };
+  if (quest.status !== 'completed') return { success: false, error: 'Only a completed quest can pay out its rewards' };
+  if (quest.rewardsGranted) return { success: false, error: 'Rewards already granted' };
+  const char = litrpgTracker.grantQuestRewards(rpgState, questId, { characterId });
+  if (!char) return { success: false, error: 'No character to receive the rewards' };
+  char.lastUpdated = Date.now();
+  litrpgLedger.commit(storyId, rpgState);
+  db.setLitrpgState(storyId, rpgState);
+  return { success: true, state: rpgState };
+});
+
+// ---------------------------------------------------------------------------
+// LitRPG custom systems — global definitions in the store, per-story ones in story settings
+// ---------------------------------------------------------------------------
+
+function getLitrpgSystemLayers(storyId) {
+  return {
+    global: litrpgSystems.normalizeSystems(store.get('litrpgSystems')),
+    story: storyId ? litrpgSystems.normalizeSystems(db.getStorySettings(storyId)?.litrpgSystems) : [],
+  };
+}
+
+function resolveLitrpgSystem(storyId, systemType) {
+  return litrpgSystems.resolveSystem(systemType || 'generic', getLitrpgSystemLayers(storyId));
+}
+
+function setLitrpgSystems(scope, storyId, list) {
+  if (scope === 'story') {
+    const settings = getStorySettingsOrSnapshot(storyId);
+    settings.litrpgSystems = list;
+    db.setStorySettings(storyId, settings);
+  } else {
+    store.set('litrpgSystems', list);
+  }
+}
+
+function checkSystemScope(scope, storyId) {
+  if (scope !== 'global' && scope !== 'story') return `Unknown scope: ${scope}`;
+  if (scope === 'story' && !storyId) return 'No story open';
+  return null;
+}
+
+ipcMain.handle('litrpg-systems:get', (event, storyId) => {
+  const layers = getLitrpgSystemLayers(storyId);
+  return {
+    ...layers,
+    options: litrpgSystems.listSystemOptions(layers),
+    builtins: litrpgSystems.BUILTIN_LABELS,
+    patternTargets: litrpgSystems.PATTERN_TARGETS,
+  };
+});
+
+ipcMain.handle('litrpg-systems:save', (event, { storyId, scope, system, previousId }) => {
+  const scopeError = checkSystemScope(scope, storyId);
+  if (scopeError) return { success: false, error: scopeError };
+  const { system: cleaned, errors } = litrpgSystems.normalizeSystem({ ...system, updatedAt: Date.now() });
+  if (!cleaned) return { success: false, error: errors.join('; ') };
+
+  let list = getLitrpgSystemLayers(storyId)[scope];
+  if (previousId && previousId !== cleaned.id) list = list.filter(s => s.id !== previousId);
+  setLitrpgSystems(scope, storyId, litrpgSystems.upsertSystem(list, cleaned));
+  return { success: true, system: cleaned, warnings: errors };
+});
+
+ipcMain.handle('litrpg-systems:delete', (event, { storyId, scope, systemId }) => {
+  const scopeError = checkSystemScope(scope, storyId);
+  if (scopeError) return { success: false, error: scopeError };
+  const list = getLitrpgSystemLayers(storyId)[scope];
+  if (!list.some(s => s.id === systemId)) return { success: false, error: 'System not found' };
+  setLitrpgSystems(scope, storyId, list.filter(s => s.id !== systemId));
+  return { success: true };
+});
+
+ipcMain.handle('litrpg-systems:export', async (event, { storyId, scope, systemIds }) => {
+  const scopeError = checkSystemScope(scope, storyId);
+  if (scopeError) return { success: false, error: scopeError };
+  let systems = getLitrpgSystemLayers(storyId)[scope];
+  if (Array.isArray(systemIds)) systems = systems.filter(s => systemIds.includes(s.id));
+  if (systems.length === 0) return { success: false, error: 'No systems to export' };
+
+  const { dialog } = require('electron');
+  const baseName = systems.length === 1 ? systems[0].id : 'litrpg-systems';
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    defaultPath: path.join(app.getPath('documents'), `${baseName}.json`),
+    filters: [{ name: 'LitRPG systems', extensions: ['json'] }],
+  });
+  if (canceled || !filePath) return { success: false, canceled: true };
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(litrpgSystems.buildExport(systems), null, 2));
+    return { success: true, count: systems.length, filePath };
+  } catch (e) {
+    console.error('[Main] LitRPG system export failed:', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('litrpg-systems:import', async (event, { storyId, scope }) => {
+  const scopeError = checkSystemScope(scope, storyId);
+  if (scopeError) return { success: false, error: scopeError };
+  const { dialog } = require('electron');
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    filters: [{ name: 'LitRPG systems', extensions: ['json'] }],
+    properties: ['openFile'],
+  });
+  if (canceled || filePaths.length === 0) return { success: false, canceled: true };
+
+  let parsed;
+  try {
+    parsed = litrpgSystems.parseImport(fs.readFileSync(filePaths[0], 'utf8'));
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+  if (parsed.systems.length === 0) {
+    return { success: false, error: parsed.errors[0] || 'No systems found in file', warnings: parsed.errors };
+  }
+  // Imported definitions replace existing ones with the same id
+  let list = getLitrpgSystemLayers(storyId)[scope];
+  for (const system of parsed.systems) list = litrpgSystems.upsertSystem(list, system);
+  setLitrpgSystems(scope, storyId, list);
+  return { success: true, imported: parsed.systems.length, warnings: parsed.errors };
+});
+
+// ---------------------------------------------------------------------------
+// LitRPG parser rules — global rules in the store, per-story ones in story settings
+// ---------------------------------------------------------------------------
+
+const MAX_PARSER_TEST_CHARS = 200000;
+
+function getLitrpgParserLayers(storyId) {
+  return {
+    global: litrpgParsers.normalizeRules(store.get('litrpgParsers')),
+    story: storyId ? litrpgParsers.normalizeRules(db.getStorySettings(storyId)?.litrpgParsers) : [],
+  };
+}
+
+function getLitrpgParserRules(storyId) {
+  return litrpgParsers.mergeRuleLayers(getLitrpgParserLayers(storyId));
+}
+
+function setLitrpgParsers(scope, storyId, list) {
+  if (scope === 'story') {
+    const settings = getStorySettingsOrSnapshot(storyId);
+    settings.litrpgParsers = list;
+    db.setStorySettings(storyId, settings);
+  } else {
+    store.set('litrpgParsers', list);
+  }
+}
+
+ipcMain.handle('litrpg-parsers:get', (event, storyId) => {
+  return { ...getLitrpgParserLayers(storyId), targets: litrpgParsers.TARGETS };
+});
+
+ipcMain.handle('litrpg-parsers:save', (event, { storyId, scope, rule, previousScope }) => {
+  const scopeError = checkSystemScope(scope, storyId);
+  if (scopeError) return { success: false, error: scopeError };
+  const { rule: cleaned, error } = litrpgParsers.normalizeRule({ ...rule, updatedAt: Date.now() });
+  if (!cleaned) return { success: false, error };
+
+  setLitrpgParsers(scope, storyId, litrpgParsers.upsertRule(getLitrpgParserLayers(storyId)[scope], cleaned));
+  // Moving a rule between scopes removes the old copy
+  if (previousScope && previousScope !== scope && !checkSystemScope(previousScope, storyId)) {
+    const old = getLitrpgParserLayers(storyId)[previousScope];
+    setLitrpgParsers(previousScope, storyId, old.filter(r => r.id !== cleaned.id));
+  }
+  return { success: true, rule: cleaned };
+});
+
+ipcMain.handle('litrpg-parsers:delete', (event, { storyId, scope, ruleId }) => {
+  const scopeError = checkSystemScope(scope, storyId);
+  if (scopeError) return { success: false, error: scopeError };
+  const list = getLitrpgParserLayers(storyId)[scope];
+  if (!list.some(r => r.id === ruleId)) return { success: false, error: 'Rule not found' };
+  setLitrpgParsers(scope, storyId, list.filter(r => r.id !== ruleId));
+  return { success: true };
+});
+
+// Dry run of one (unsaved) rule for the editor's test pane
+ipcMain.handle('litrpg-parsers:test', (event, { rule, text }) => {
+  const { rule: cleaned, error } = litrpgParsers.normalizeRule(rule);
+  if (!cleaned) return { success: false, error };
+  const started = Date.now();
+  const { matches, errors } = litrpgParsers.runParserRules(String(text || '').slice(-MAX_PARSER_TEST_CHARS), [cleaned], { includeDisabled: true });
+  if (errors.length > 0) return { success: false, error: errors[0].error };
+  return { success: true, matches, ms: Date.now() - started };
+});
+
+// Apply rules to story text not yet parsed, without an LLM scan
+ipcMain.handle('litrpg-parsers:apply', (event, { storyId, storyText }) => {
+  try {
+    const rpgState = db.getLitrpgState(storyId);
+    if (!rpgState || !rpgState.enabled) return { success: false, error: 'LitRPG mode not enabled' };
+    const rules = getLitrpgParserRules(storyId);
+    if (!rules.some(r => r.enabled && r.applyToState)) return { success: false, error: 'No enabled rules update state' };
+
+    const state = { ...db.LITRPG_STATE_DEFAULTS, ...rpgState };
+    const result = litrpgTracker.applyParserRulesSince(state, storyText || '', rules);
+    litrpgLedger.commit(storyId, state);
+    db.setLitrpgState(storyId, state);
+    return { success: true, state, ...result };
+  } catch (e) {
+    console.error('[Main] LitRPG parser apply failed:', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
 // IPC Handlers — Portraits
 
 ipcMain.handle('portrait:generate', async (event, { storyId, characterId, characterEntry, rpgData }) => {
   try {
     // Generate prompt from character data
-    const generateTextFn = makeLoreGenerateTextFn();
+    const generateTextFn = makeRoutedGenerateTextFn('portrait', storyId);
     const prompt = await litrpgTracker.generatePortraitPrompt(
       typeof characterEntry === 'string' ? characterEntry : (characterEntry || ''),
       rpgData || {},
@@ -2429,7 +3102,7 @@ ipcMain.handle('portrait:generate', async (event, { storyId, characterId, charac
     const provider = PROVIDERS[providerId];
     if (!provider) return { success: false, error: 'No active image provider' };
 
-    const imageData = await provider.generate(prompt, '', store);
+    const imageData = await generateImageTracked(provider, prompt, '', store, {}, { storyId, subsystem: 'portrait' });
     const base64 = imageData.replace(/^data:image\/[^;]+;base64,/, '');
     const buffer = Buffer.from(base64, 'base64');
 
@@ -2522,6 +3195,203 @@ ipcMain.handle('media:delete', (event, { storyId, mediaId }) => {
 ipcMain.handle('media:get-count', (event, { storyId }) => {
   return mediaGallery.getMediaCount(storyId);
 });
+ipcMain.handle('media:filter-options', (event, { storyId }) => {
+  return mediaGallery.getFilterOptions(storyId);
+});
+ipcMain.handle('media:set-favorite', (event, { storyId, mediaId, favorite }) => {
+  return mediaGallery.setFavorite(storyId, mediaId, favorite);
+});
+ipcMain.handle('media:set-tags', (event, { storyId, mediaId, tags }) => {
+  return mediaGallery.setTags(storyId, mediaId, tags);
+});
+ipcMain.handle('media:restore', (event, { storyId, mediaId }) => {
+  return mediaGallery.restoreMedia(storyId, mediaId);
+});
+ipcMain.handle('media:purge', (event, { storyId, mediaId }) => {
+  return mediaGallery.purgeMedia(storyId, mediaId);
+});
+ipcMain.handle('media:empty-trash', (event, { storyId }) => {
+  return mediaGallery.emptyTrash(storyId);
+});
+ipcMain.handle('media:get-retention', (event, { storyId }) => {
+  return { rules: mediaGallery.getRetention(storyId), defaults: mediaGallery.DEFAULT_RETENTION };
+});
+ipcMain.handle('media:apply-retention', (event, { storyId }) => {
+  return mediaGallery.enforceRetention(storyId);
+});
+ipcMain.handle('media:disk-usage', () => {
+  return mediaGallery.getDiskUsage();
+});
+ipcMain.handle('media:import-images', async (event, { storyId }) => {
+  if (!storyId) return { success: false, error: 'No story open' };
+  const { dialog } = require('electron');
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Import images',
+    filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'webp'] }],
+    properties: ['openFile', 'multiSelections'],
+  });
+  if (canceled || filePaths.length === 0) return { success: false, canceled: true };
+
+  const imported = [];
+  const errors = [];
+  for (const filePath of filePaths) {
+    try {
+      const result = mediaGallery.importImage(storyId, fs.readFileSync(filePath), path.basename(filePath));
+      if (result.success) imported.push({ id: result.id, source: result.source });
+      else errors.push(result.error);
+    } catch (e) {
+      console.error('[Main] Image import failed:', e.message);
+      errors.push(`${path.basename(filePath)}: ${e.message}`);
+    }
+  }
+  return { success: imported.length > 0, imported, errors };
+});
+
+// IPC Handlers — Media library (all stories)
+ipcMain.handle('media:library-list', (event, { opts } = {}) => {
+  return mediaGallery.listLibrary(opts);
+});
+ipcMain.handle('media:library-stories', () => {
+  return mediaGallery.listLibraryStories();
+});
+ipcMain.handle('media:bulk-delete', (event, { mediaIds }) => {
+  return mediaGallery.bulkDelete(mediaIds);
+});
+ipcMain.handle('media:bulk-move', (event, { mediaIds, targetStoryId }) => {
+  try {
+    return mediaGallery.moveMedia(mediaIds, targetStoryId);
+  } catch (e) {
+    console.error('[Main] Media move failed:', e.message);
+    return { success: false, error: e.message };
+  }
+});
+ipcMain.handle('media:bulk-export', async (event, { mediaIds }) => {
+  const { dialog } = require('electron');
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Export media to folder',
+    properties: ['openDirectory', 'createDirectory'],
+  });
+  if (canceled || filePaths.length === 0) return { success: false, canceled: true };
+  try {
+    return { ...mediaGallery.exportMedia(mediaIds, filePaths[0]), folder: filePaths[0] };
+  } catch (e) {
+    console.error('[Main] Media export failed:', e.message);
+    return { success: false, error: e.message };
+  }
+});
+// Commits images in the order they were generated; videos are skipped
+ipcMain.handle('media:bulk-commit', (event, { mediaIds, storyboardId }) => {
+  const items = mediaGallery.getItems(mediaIds).sort((a, b) => a.created_at - b.created_at);
+  let committed = 0;
+  let skipped = 0;
+  for (const item of items) {
+    const imageData = item.type === 'image' ? mediaGallery.getFullImage(item.story_id, item.id) : null;
+    if (!imageData) {
+      skipped++;
+      continue;
+    }
+    const result = storyboard.commitScene(storyboardId, {
+      imageData,
+      prompt: item.prompt || '',
+      negativePrompt: item.negative_prompt || '',
+      provider: item.provider || '',
+      model: item.model || '',
+      resolution: item.width ? { width: item.width, height: item.height } : {},
+      seed: Number.isInteger(item.seed) ? item.seed : null,
+      params: item.params || {},
+      storyExcerpt: item.story_excerpt || '',
+      characters: item.characters || [],
+      mediaId: item.id,
+    });
+    if (!result.success) return { success: false, error: result.error, committed, skipped };
+    mediaGallery.markCommitted(item.id);
+    committed++;
+  }
+  return { success: true, committed, skipped };
+});
+
+// IPC Handlers — Generation job queue
+function saveJobResult(job, result) {
+  if (!job.storyId) return null;
+  const meta = result.meta || {};
+  const saved = mediaGallery.saveImage(job.storyId, result.imageData, {
+    prompt: job.request.prompt,
+    negativePrompt: job.request.negativePrompt,
+    provider: meta.provider,
+    model: meta.model,
+    width: meta.resolution?.width,
+    height: meta.resolution?.height,
+    seed: meta.seed,
+    params: meta.params,
+    storyExcerpt: job.request.storyExcerpt,
+    characterCaptions: meta.characterCaptions,
+  });
+  return saved.id;
+}
+
+function getJobConcurrency() {
+  return { ...jobQueue.DEFAULT_CONCURRENCY, ...(store.get('jobConcurrency') || {}) };
+}
+
+ipcMain.handle('jobs:enqueue', (event, { storyId, request, options = {} }) => {
+  if (!request || !request.prompt) return { success: false, error: 'No prompt' };
+  const ss = storyId ? db.getStorySettings(storyId) : null;
+  const provider = options.provider || ss?.imageProvider || store.get('provider') || 'novelai';
+  if (!PROVIDERS[provider]) return { success: false, error: `Unknown provider: ${provider}` };
+  const jobs = jobQueue.enqueue(storyId, request, { ...options, provider });
+  return { success: true, jobs };
+});
+ipcMain.handle('jobs:list', (event, { storyId, limit } = {}) => jobQueue.list(storyId, { limit }));
+ipcMain.handle('jobs:counts', (event, { storyId } = {}) => jobQueue.getCounts(storyId));
+ipcMain.handle('jobs:cancel', (event, { jobId }) => jobQueue.cancel(jobId));
+ipcMain.handle('jobs:retry', (event, { jobId }) => jobQueue.retry(jobId));
+ipcMain.handle('jobs:move', (event, { jobId, direction }) => jobQueue.move(jobId, direction));
+ipcMain.handle('jobs:set-priority', (event, { jobId, priority }) => jobQueue.setPriority(jobId, priority));
+ipcMain.handle('jobs:clear-finished', (event, { storyId } = {}) => jobQueue.clearFinished(storyId));
+ipcMain.handle('jobs:get-concurrency', () => getJobConcurrency());
+ipcMain.handle('jobs:set-concurrency', (event, limits = {}) => {
+  const clean = {};
+  for (const [provider, value] of Object.entries(limits)) {
+    const n = parseInt(value, 10);
+    if (PROVIDERS[provider] && n >= 1) clean[provider] = Math.min(n, 8);
+  }
+  store.set('jobConcurrency', clean);
+  jobQueue.pump();
+  return { success: true, concurrency: getJobConcurrency() };
+});
+
+// IPC Handlers — Usage ledger (calls, token estimates, cost, budgets)
+ipcMain.handle('usage:summary', (event, { storyId, days } = {}) => usageLedger.getSummary({ storyId, days }));
+ipcMain.handle('usage:budget-status', (event, { storyId } = {}) => usageLedger.getBudgetStatus(storyId));
+ipcMain.handle('usage:get-settings', () => ({
+  pricing: usageLedger.getPricing(),
+  budgets: usageLedger.getBudgets(),
+}));
+ipcMain.handle('usage:set-settings', (event, { pricing, budgets } = {}) => {
+  const toRate = (v) => Math.max(0, parseFloat(v) || 0);
+  if (pricing) {
+    const clean = { text: {}, image: {} };
+    for (const [provider, rate] of Object.entries(pricing.text || {})) {
+      if (TEXT_PROVIDERS[provider]) clean.text[provider] = { input: toRate(rate?.input), output: toRate(rate?.output) };
+    }
+    for (const [provider, rate] of Object.entries(pricing.image || {})) {
+      if (PROVIDERS[provider]) clean.image[provider] = toRate(rate);
+    }
+    store.set('usagePricing', clean);
+  }
+  if (budgets) {
+    store.set('usageBudgets', {
+      dailyCost: toRate(budgets.dailyCost),
+      dailyTokens: Math.round(toRate(budgets.dailyTokens)),
+      storyCost: toRate(budgets.storyCost),
+    });
+  }
+  return { success: true, pricing: usageLedger.getPricing(), budgets: usageLedger.getBudgets() };
+});
+ipcMain.handle('usage:clear', (event, { storyId } = {}) => ({ success: true, removed: usageLedger.clear(storyId) }));
+
+// IPC Handlers — Structured output (JSON parse/repair outcomes per subsystem, this session)
+ipcMain.handle('structured-output:stats', () => structuredOutput.getStats());
 
 // IPC Handlers — Story bulk load (SQLite)
 ipcMain.handle('story:load-all', (event, { storyId, storyTitle }) => {
@@ -2551,14 +3421,235 @@ ipcMain.handle('storyboard:delete', (event, id) => storyboard.delete(id));
 ipcMain.handle('storyboard:rename', (event, { id, name }) => storyboard.rename(id, name));
 ipcMain.handle('storyboard:set-active', (event, id) => storyboard.setActive(id));
 ipcMain.handle('storyboard:get-scenes', (event, id) => storyboard.getScenes(id));
-ipcMain.handle('storyboard:commit-scene', (event, { storyboardId, sceneData }) => storyboard.commitScene(storyboardId, sceneData));
+ipcMain.handle('storyboard:commit-scene', (event, { storyboardId, sceneData }) => {
+  const result = storyboard.commitScene(storyboardId, sceneData);
+  if (result.success) mediaGallery.markCommitted(sceneData.mediaId);
+  return result;
+});
 ipcMain.handle('storyboard:delete-scene', (event, { storyboardId, sceneId }) => storyboard.deleteScene(storyboardId, sceneId));
 ipcMain.handle('storyboard:reorder-scenes', (event, { storyboardId, sceneIds }) => storyboard.reorderScenes(storyboardId, sceneIds));
 ipcMain.handle('storyboard:update-scene-note', (event, { storyboardId, sceneId, note }) => storyboard.updateSceneNote(storyboardId, sceneId, note));
 ipcMain.handle('storyboard:get-scene-image', (event, { storyboardId, sceneId }) => storyboard.getSceneImage(storyboardId, sceneId));
+ipcMain.handle('storyboard:get', (event, id) => storyboard.getStoryboard(id));
+ipcMain.handle('storyboard:update-scene-text', (event, { storyboardId, sceneId, fields }) => storyboard.updateSceneText(storyboardId, sceneId, fields));
+ipcMain.handle('storyboard:replace-scene-image', (event, { storyboardId, sceneId, imageData }) => {
+  const result = storyboard.replaceSceneImage(storyboardId, sceneId, imageData);
+  if (result.success) mediaGallery.markCommitted(imageData.mediaId);
+  return result;
+});
+ipcMain.handle('storyboard:restore-scene-image', (event, { storyboardId, sceneId, historyIndex }) => storyboard.restoreSceneImage(storyboardId, sceneId, historyIndex));
+ipcMain.handle('storyboard:get-scene-history-image', (event, { storyboardId, sceneId, historyIndex }) => storyboard.getSceneHistoryImage(storyboardId, sceneId, historyIndex));
+ipcMain.handle('storyboard:get-scene-video', (event, { storyboardId, sceneId }) => storyboard.getSceneVideo(storyboardId, sceneId));
+ipcMain.handle('storyboard:remove-scene-video', (event, { storyboardId, sceneId }) => storyboard.removeSceneVideo(storyboardId, sceneId));
+
+// Image-to-video for storyboard scenes: each scene's image is the first frame and its
+// prompt guides the motion. Clips attach to the scenes when their video jobs finish.
+ipcMain.handle('storyboard:animate-scenes', async (event, { storyboardId, sceneIds, quote }) => {
+  const sb = storyboard.getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+  const storyId = storyboard.list().storyboards.find(s => s.id === storyboardId)?.storyId || null;
+
+  const wanted = new Set(sceneIds || []);
+  const errors = [];
+  let queued = 0;
+  for (const scene of sb.scenes.filter(sc => wanted.has(sc.id))) {
+    const prompt = scene.prompt || scene.caption;
+    const imageData = storyboard.getSceneImage(storyboardId, scene.id);
+    if (!prompt || !imageData) {
+      errors.push(`${scene.id}: ${prompt ? 'image missing' : 'no prompt'}`);
+      continue;
+    }
+    const result = await videoJobs.start(storyId, {
+      prompt,
+      negativePrompt: scene.negativePrompt || '',
+      imageData,
+    }, { quote, storyboardId, sceneId: scene.id });
+    if (result.success) queued++;
+    else errors.push(`${scene.id}: ${result.error}`);
+  }
+  broadcastVeniceBalance();
+
+  if (queued === 0 && errors.length > 0) return { success: false, error: errors[0], errors };
+  return { success: true, queued, failed: errors.length, errors };
+});
+
+ipcMain.handle('storyboard:create-chapter', (event, { storyboardId, title, fromSceneId }) => storyboard.createChapter(storyboardId, title, fromSceneId));
+ipcMain.handle('storyboard:rename-chapter', (event, { storyboardId, chapterId, title }) => storyboard.renameChapter(storyboardId, chapterId, title));
+ipcMain.handle('storyboard:delete-chapter', (event, { storyboardId, chapterId }) => storyboard.deleteChapter(storyboardId, chapterId));
+ipcMain.handle('storyboard:move-chapter', (event, { storyboardId, chapterId, direction }) => storyboard.moveChapter(storyboardId, chapterId, direction));
+ipcMain.handle('storyboard:set-scene-chapter', (event, { storyboardId, sceneId, chapterId }) => storyboard.setSceneChapter(storyboardId, sceneId, chapterId));
 ipcMain.handle('storyboard:get-or-create-for-story', (event, { storyId, storyTitle }) => storyboard.getOrCreateForStory(storyId, storyTitle));
 ipcMain.handle('storyboard:associate-with-story', (event, { storyboardId, storyId, storyTitle }) => storyboard.associateWithStory(storyboardId, storyId, storyTitle));
 ipcMain.handle('storyboard:dissociate-from-story', (event, { storyboardId }) => storyboard.dissociateFromStory(storyboardId));
+ipcMain.handle('storyboard:export', async (event, { storyboardId, format, layout }) => {
+  const target = storyboardExport.FORMATS[format];
+  if (!target) return { success: false, error: `Unknown export format: ${format}` };
+  const sb = storyboard.getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+
+  const { dialog } = require('electron');
+  const baseName = (sb.name || 'storyboard').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'storyboard';
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    defaultPath: path.join(app.getPath('documents'), `${baseName}.${target.extensions[0]}`),
+    filters: [target],
+  });
+  if (canceled || !filePath) return { success: false, canceled: true };
+  return storyboardExport.exportStoryboard(storyboardId, format, filePath, { layout });
+});
+ipcMain.handle('storyboard:export-bundle', async (event, { storyboardId }) => {
+  const sb = storyboard.getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+
+  const { dialog } = require('electron');
+  const baseName = (sb.name || 'storyboard').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'storyboard';
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    defaultPath: path.join(app.getPath('documents'), `${baseName}.storyboard.zip`),
+    filters: [{ name: 'Storyboard bundle', extensions: ['zip'] }],
+  });
+  if (canceled || !filePath) return { success: false, canceled: true };
+  try {
+    return storyboard.exportBundle(storyboardId, filePath);
+  } catch (e) {
+    console.error('[Main] Storyboard bundle export failed:', e.message);
+    return { success: false, error: e.message };
+  }
+});
+ipcMain.handle('storyboard:import-bundle', async (event, { storyId, storyTitle } = {}) => {
+  const { dialog } = require('electron');
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    filters: [{ name: 'Storyboard bundle', extensions: ['zip'] }],
+    properties: ['openFile'],
+  });
+  if (canceled || filePaths.length === 0) return { success: false, canceled: true };
+  try {
+    return storyboard.importBundle(filePaths[0], { storyId, storyTitle });
+  } catch (e) {
+    console.error('[Main] Storyboard bundle import failed:', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+// ---------------------------------------------------------------------------
+// IPC Handlers — Auto-storyboard (one scene per story beat)
+// ---------------------------------------------------------------------------
+
+const autoStoryboards = new Map(); // storyId → {cancel: false, pause: false}
+
+ipcMain.handle('storyboard:start-auto', async (event, { storyId, storyTitle, storyboardId, storyText, entries, maxBeats }) => {
+  if (!storyId) return { success: false, error: 'No story open' };
+  const budget = usageLedger.getBudgetStatus(storyId);
+  if (budget.exceeded) return { success: false, error: `Usage budget reached (${budget.reasons.join('; ')})` };
+  // Replacing the map entry also stops an earlier run for this story
+  if (autoStoryboards.has(storyId)) {
+    autoStoryboards.get(storyId).cancel = true;
+  }
+  const control = { cancel: false, pause: false };
+  autoStoryboards.set(storyId, control);
+
+  try {
+    const comprehension = db.getComprehension(storyId);
+    const targetId = storyboardId || storyboard.getOrCreateForStory(storyId, storyTitle).id;
+    const existingBeatIds = new Set(storyboard.getScenes(targetId).map(sc => sc.beatId).filter(Boolean));
+
+    const sendProgress = (progress) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('storyboard:auto-progress', { storyId, storyboardId: targetId, ...progress });
+      }
+    };
+
+    const totals = await autoStoryboard.runAutoStoryboard(
+      { storyText, comprehension, maxBeats, existingBeatIds },
+      {
+        generateTextFn: makeRoutedGenerateTextFn('scene', storyId),
+        generateScene: (textUpToBeat) => generateScenePrompt({ storyText: textUpToBeat, entries, storyId, pipelineVersion: 2 }),
+        generateImage: (scene) => {
+          // Same prompt choice as the Generate button: captions carry the characters when present
+          const captions = scene.characterCaptions || [];
+          return runImageGeneration({
+            prompt: captions.length > 0 && scene.basePrompt ? scene.basePrompt : scene.prompt,
+            negativePrompt: scene.negativePrompt,
+            storyId,
+            characterCaptions: captions,
+          });
+        },
+        commitBeat: (beat, scene, image) => {
+          const meta = image.meta || {};
+          const storyExcerpt = storyText.slice(Math.max(beat.start, beat.end - 600), beat.end).trim();
+          const saved = mediaGallery.saveImage(storyId, image.imageData, {
+            prompt: scene.prompt,
+            negativePrompt: scene.negativePrompt,
+            provider: meta.provider,
+            model: meta.model,
+            width: meta.resolution?.width,
+            height: meta.resolution?.height,
+            seed: meta.seed,
+            params: meta.params,
+            storyExcerpt,
+            characterCaptions: meta.characterCaptions,
+          });
+          const captions = meta.characterCaptions || [];
+          const result = storyboard.commitScene(targetId, {
+            imageData: image.imageData,
+            prompt: scene.prompt,
+            negativePrompt: scene.negativePrompt,
+            provider: meta.provider,
+            model: meta.model,
+            resolution: meta.resolution,
+            seed: meta.seed,
+            params: meta.params,
+            storyExcerpt,
+            caption: beat.title,
+            note: beat.summary,
+            characters: captions.map(c => c.name),
+            characterCaptions: captions,
+            beatId: beat.hash,
+            storyPosition: beat.end,
+            mediaId: saved.id,
+          });
+          if (result.success) mediaGallery.markCommitted(saved.id);
+          return result;
+        },
+      },
+      sendProgress,
+      {
+        shouldCancel: () => control.cancel,
+        isPaused: () => control.pause,
+        budgetExceeded: () => {
+          const status = usageLedger.getBudgetStatus(storyId);
+          return status.exceeded ? status.reasons.join('; ') : null;
+        },
+      }
+    );
+
+    if (autoStoryboards.get(storyId) === control) autoStoryboards.delete(storyId);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('storyboard:auto-complete', { storyId, storyboardId: targetId, ...totals });
+    }
+    return { success: true, storyboardId: targetId, ...totals };
+  } catch (e) {
+    console.error('[Main] Auto-storyboard failed:', e.message);
+    if (autoStoryboards.get(storyId) === control) autoStoryboards.delete(storyId);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('storyboard:pause-auto', (event, { storyId }) => {
+  const ctrl = autoStoryboards.get(storyId);
+  if (ctrl) ctrl.pause = true;
+  return { success: !!ctrl };
+});
+
+ipcMain.handle('storyboard:resume-auto', (event, { storyId }) => {
+  const ctrl = autoStoryboards.get(storyId);
+  if (ctrl) ctrl.pause = false;
+  return { success: !!ctrl };
+});
+
+ipcMain.handle('storyboard:cancel-auto', (event, { storyId }) => {
+  const ctrl = autoStoryboards.get(storyId);
+  if (ctrl) ctrl.cancel = true;
+  return { success: !!ctrl };
+});
 
 app.whenReady().then(() => {
   // Initialize SQLite database
@@ -2568,7 +3659,62 @@ app.whenReady().then(() => {
   portraitManager.init(app.getPath('userData'));
 
   // Initialize media gallery
-  mediaGallery.init(app.getPath('userData'), db.getDb());
+  mediaGallery.init(app.getPath('userData'), db.getDb(), {
+    getRetention: (storyId) => (storyId ? db.getStorySettings(storyId)?.galleryRetention : null),
+  });
+  mediaGallery.purgeExpiredTrash();
+
+  // Initialize generation job queue (resumes jobs interrupted by the last shutdown)
+  jobQueue.init(db.getDb(), {
+    runJob: (job) => runImageGeneration({ ...job.request, storyId: job.storyId, providerId: job.provider }),
+    saveResult: saveJobResult,
+    notify: (channel, payload) => {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send(channel, payload);
+    },
+    getConcurrency: getJobConcurrency,
+  });
+
+  // Video jobs (resumes polling for videos still processing at the last shutdown)
+  videoJobs.init(db.getDb(), {
+    queueVideo: ({ prompt, negativePrompt, imageData, opts }) =>
+      veniceProvider.queueVideo(prompt, imageData || null, store, { ...opts, negative_prompt: negativePrompt || '' }),
+    retrieveVideo: (queueId, model) => veniceProvider.retrieveVideo(queueId, model, store),
+    saveVideo: (job, videoDataUrl) => {
+      const saved = job.storyId
+        ? mediaGallery.saveVideo(job.storyId, videoDataUrl, {
+          prompt: job.prompt,
+          negativePrompt: job.negativePrompt,
+          provider: job.provider,
+          model: job.model,
+          params: { ...job.opts, quote: job.quote },
+        })
+        : null;
+      // Clips animated from the storyboard also attach to their scene
+      if (job.storyboardId && job.sceneId) {
+        const attached = storyboard.attachSceneVideo(job.storyboardId, job.sceneId, videoDataUrl, {
+          mediaId: saved?.id, model: job.model, prompt: job.prompt,
+        });
+        if (!attached.success) console.warn(`[Main] Could not attach clip to scene ${job.sceneId}: ${attached.error}`);
+        else if (saved) mediaGallery.markCommitted(saved.id);
+      }
+      return saved?.id || null;
+    },
+    notify: (channel, payload) => {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send(channel, payload);
+    },
+  });
+
+  // LitRPG inventory/currency ledger
+  litrpgLedger.init(db.getDb());
+
+  // Usage ledger (pricing and budgets are read at call time so edits apply immediately)
+  usageLedger.init(db.getDb(), {
+    getPricing: () => store.get('usagePricing'),
+    getBudgets: () => store.get('usageBudgets'),
+    notify: (channel, payload) => {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send(channel, payload);
+    },
+  });
 
   // One-time migration from electron-store to SQLite
   if (!store.get('migratedToSqlite')) {
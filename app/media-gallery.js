@@ -1,24 +1,46 @@
 /**
  * Media Gallery — auto-save generated images/videos to disk with browsable history.
  * Uses Electron nativeImage for thumbnail generation (same pattern as portrait-manager).
+ * Prompts, story excerpts, characters and tags are full-text indexed (media_fts, see db.js).
+ * Saved PNGs also carry the generation parameters in text chunks (png-metadata.js).
+ *
+ * Retention rules are per story (story settings → galleryRetention). Items they prune,
+ * and items the user deletes, go to the trash first; the trash is purged after
+ * trashDays or when emptied.
  */
 
 const { nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const pngMetadata = require('./png-metadata');
 
 const LOG_PREFIX = '[MediaGallery]';
-const IMAGE_CAP = 100;
-const VIDEO_CAP = 20;
 const THUMB_WIDTH = 160;
 const THUMB_HEIGHT = 120;
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 0 = no limit (trashDays: 0 keeps trashed items until the trash is emptied)
+const DEFAULT_RETENTION = {
+  maxImages: 100,
+  maxVideos: 20,
+  maxDiskMB: 0,
+  maxAgeDays: 0,
+  keepFavorites: true,
+  keepCommitted: true,
+  trashDays: 30,
+};
+
 let galleryBaseDir = null;
 let dbInstance = null;
+let hooks = {
+  getRetention: () => null, // (storyId) => partial retention rules | null
+};
 
-function init(userDataPath, db) {
+function init(userDataPath, db, galleryHooks = {}) {
   galleryBaseDir = path.join(userDataPath, 'gallery');
   dbInstance = db;
+  hooks = { ...hooks, ...galleryHooks };
   if (!fs.existsSync(galleryBaseDir)) {
     fs.mkdirSync(galleryBaseDir, { recursive: true });
   }
@@ -37,6 +59,28 @@ function generateId() {
   return 'mi_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
 }
 
+const MAX_TAG_LENGTH = 40;
+const MAX_EXCERPT_LENGTH = 2000;
+
+// Trimmed, de-duplicated (case-insensitive) list of short strings
+function cleanNames(names, maxLength = MAX_TAG_LENGTH) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of Array.isArray(names) ? names : []) {
+    const name = String(raw || '').trim().slice(0, maxLength);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    out.push(name);
+  }
+  return out;
+}
+
+// Character names from metadata.characters, or from the caption list the image was generated with
+function characterNames(metadata) {
+  if (Array.isArray(metadata.characters)) return cleanNames(metadata.characters, 100);
+  return cleanNames((metadata.characterCaptions || []).map(c => c && c.name), 100);
+}
+
 // ---------------------------------------------------------------------------
 // Save image
 // ---------------------------------------------------------------------------
@@ -51,7 +95,14 @@ function saveImage(storyId, imageDataUrl, metadata = {}) {
 
   // Decode base64 data URL to buffer
   const base64Data = imageDataUrl.replace(/^data:image\/\w+;base64,/, '');
-  const imageBuffer = Buffer.from(base64Data, 'base64');
+  const characters = characterNames(metadata);
+  const tags = cleanNames(metadata.tags);
+  const imageBuffer = pngMetadata.embedGenerationMetadata(Buffer.from(base64Data, 'base64'), {
+    ...metadata,
+    storyExcerpt: String(metadata.storyExcerpt || '').slice(-MAX_EXCERPT_LENGTH),
+    characters,
+    tags,
+  });
 
   // Write full image
   fs.writeFileSync(path.join(dir, filename), imageBuffer);
@@ -73,23 +124,55 @@ function saveImage(storyId, imageDataUrl, metadata = {}) {
 
   // Insert row
   dbInstance.prepare(`
-    INSERT INTO media_items (id, story_id, type, filename, thumb_filename, prompt, negative_prompt, provider, model, width, height, file_size, created_at)
-    VALUES (?, ?, 'image', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO media_items (id, story_id, type, filename, thumb_filename, prompt, negative_prompt, provider, model, width, height, file_size, created_at, seed, params, story_excerpt, characters, tags)
+    VALUES (?, ?, 'image', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     id, storyId, filename, thumbCreated ? thumbFilename : null,
     metadata.prompt || '', metadata.negativePrompt || '',
     metadata.provider || '', metadata.model || '',
     metadata.width || 0, metadata.height || 0,
-    fileSize, timestamp
+    fileSize, timestamp,
+    Number.isInteger(metadata.seed) ? metadata.seed : null,
+    JSON.stringify(metadata.params || {}),
+    String(metadata.storyExcerpt || '').slice(-MAX_EXCERPT_LENGTH),
+    JSON.stringify(characters),
+    JSON.stringify(tags)
   );
 
-  // Enforce cap
-  enforceCap(storyId, 'image', IMAGE_CAP);
+  enforceRetention(storyId);
 
   console.log(`${LOG_PREFIX} Saved image ${id} for story ${storyId}`);
   return { id, filename };
 }
 
+// ---------------------------------------------------------------------------
+// Import image
+// ---------------------------------------------------------------------------
+
+/**
+ * Add an image file from outside the app to a story's gallery. Generation metadata
+ * embedded by this app, NovelAI or A1111 fills in the prompt, seed and model.
+ * Non-PNG images are converted to PNG.
+ * @returns {{success: boolean, id?: string, source?: string|null, error?: string}}
+ */
+function importImage(storyId, buffer, fileName = '') {
+  const embedded = pngMetadata.readGenerationMetadata(buffer);
+  const image = nativeImage.createFromBuffer(buffer);
+  if (image.isEmpty()) return { success: false, error: `${fileName || 'File'} is not a readable image` };
+
+  const size = image.getSize();
+  const png = pngMetadata.isPng(buffer) ? buffer : image.toPNG();
+  const metadata = embedded || {};
+  const saved = saveImage(storyId, 'data:image/png;base64,' + png.toString('base64'), {
+    ...metadata,
+    width: metadata.width || size.width,
+    height: metadata.height || size.height,
+    tags: [...(metadata.tags || []), 'imported'],
+  });
+  console.log(`${LOG_PREFIX} Imported ${fileName || 'image'} (${embedded ? embedded.source + ' metadata' : 'no metadata'})`);
+  return { success: true, id: saved.id, source: embedded ? embedded.source : null };
+}
+
 // ---------------------------------------------------------------------------
 // Save video
 // ---------------------------------------------------------------------------
@@ -109,69 +192,323 @@ function saveVideo(storyId, videoDataUrl, metadata = {}) {
   const fileSize = videoBuffer.length;
 
   dbInstance.prepare(`
-    INSERT INTO media_items (id, story_id, type, filename, thumb_filename, prompt, negative_prompt, provider, model, width, height, file_size, created_at)
-    VALUES (?, ?, 'video', ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO media_items (id, story_id, type, filename, thumb_filename, prompt, negative_prompt, provider, model, width, height, file_size, created_at, seed, params, story_excerpt, characters, tags)
+    VALUES (?, ?, 'video', ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     id, storyId, filename,
     metadata.prompt || '', metadata.negativePrompt || '',
     metadata.provider || '', metadata.model || '',
     metadata.width || 0, metadata.height || 0,
-    fileSize, timestamp
+    fileSize, timestamp,
+    Number.isInteger(metadata.seed) ? metadata.seed : null,
+    JSON.stringify(metadata.params || {}),
+    String(metadata.storyExcerpt || '').slice(-MAX_EXCERPT_LENGTH),
+    JSON.stringify(characterNames(metadata)),
+    JSON.stringify(cleanNames(metadata.tags))
   );
 
-  enforceCap(storyId, 'video', VIDEO_CAP);
+  enforceRetention(storyId);
 
   console.log(`${LOG_PREFIX} Saved video ${id} for story ${storyId}`);
   return { id, filename };
 }
 
 // ---------------------------------------------------------------------------
-// Cap enforcement
+// Retention
 // ---------------------------------------------------------------------------
 
-function enforceCap(storyId, type, cap) {
-  const count = dbInstance.prepare(
-    'SELECT COUNT(*) as cnt FROM media_items WHERE story_id = ? AND type = ?'
-  ).get(storyId, type).cnt;
+function normalizeRetention(rules) {
+  const r = { ...DEFAULT_RETENTION, ...(rules || {}) };
+  const whole = (v) => Math.max(0, parseInt(v, 10) || 0);
+  return {
+    maxImages: whole(r.maxImages),
+    maxVideos: whole(r.maxVideos),
+    maxDiskMB: Math.max(0, Number(r.maxDiskMB) || 0),
+    maxAgeDays: whole(r.maxAgeDays),
+    keepFavorites: r.keepFavorites !== false,
+    keepCommitted: r.keepCommitted !== false,
+    trashDays: whole(r.trashDays),
+  };
+}
 
-  if (count <= cap) return;
+function getRetention(storyId) {
+  return normalizeRetention(hooks.getRetention(storyId));
+}
 
-  const excess = count - cap;
-  const oldest = dbInstance.prepare(
-    'SELECT id, filename, thumb_filename FROM media_items WHERE story_id = ? AND type = ? ORDER BY created_at ASC LIMIT ?'
-  ).all(storyId, type, excess);
+function trashRows(ids, now) {
+  const stmt = dbInstance.prepare('UPDATE media_items SET trashed_at = ? WHERE id = ?');
+  for (const id of ids) stmt.run(now, id);
+}
 
-  const dir = getStoryDir(storyId);
-  for (const item of oldest) {
-    // Delete files
-    const filePath = path.join(dir, item.filename);
-    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    if (item.thumb_filename) {
-      const thumbPath = path.join(dir, item.thumb_filename);
-      if (fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath);
+/**
+ * Apply the story's retention rules: age limit, per-type count caps, then the disk cap.
+ * Pruned items go to the trash (oldest first); favorites and storyboard-committed
+ * images are never pruned when the rules protect them, even if a cap stays exceeded.
+ * @returns {{trashed: number, purged: number}}
+ */
+function enforceRetention(storyId) {
+  const rules = getRetention(storyId);
+  const now = Date.now();
+  let prunable = 'story_id = ? AND trashed_at IS NULL';
+  if (rules.keepFavorites) prunable += ' AND favorite = 0';
+  if (rules.keepCommitted) prunable += ' AND committed = 0';
+
+  let trashed = 0;
+  dbInstance.transaction(() => {
+    if (rules.maxAgeDays > 0) {
+      const old = dbInstance.prepare(`SELECT id FROM media_items WHERE ${prunable} AND created_at < ?`)
+        .all(storyId, now - rules.maxAgeDays * DAY_MS);
+      trashRows(old.map(r => r.id), now);
+      trashed += old.length;
+    }
+
+    for (const [type, cap] of [['image', rules.maxImages], ['video', rules.maxVideos]]) {
+      if (cap === 0) continue;
+      const count = dbInstance.prepare(
+        'SELECT COUNT(*) AS cnt FROM media_items WHERE story_id = ? AND type = ? AND trashed_at IS NULL'
+      ).get(storyId, type).cnt;
+      if (count <= cap) continue;
+      const oldest = dbInstance.prepare(`SELECT id FROM media_items WHERE ${prunable} AND type = ? ORDER BY created_at ASC LIMIT ?`)
+        .all(storyId, type, count - cap);
+      trashRows(oldest.map(r => r.id), now);
+      trashed += oldest.length;
     }
-    // Delete row
-    dbInstance.prepare('DELETE FROM media_items WHERE id = ?').run(item.id);
+
+    if (rules.maxDiskMB > 0) {
+      const limit = rules.maxDiskMB * 1024 * 1024;
+      let total = dbInstance.prepare(
+        'SELECT COALESCE(SUM(file_size), 0) AS bytes FROM media_items WHERE story_id = ? AND trashed_at IS NULL'
+      ).get(storyId).bytes;
+      if (total > limit) {
+        const ids = [];
+        for (const row of dbInstance.prepare(`SELECT id, file_size FROM media_items WHERE ${prunable} ORDER BY created_at ASC`).all(storyId)) {
+          if (total <= limit) break;
+          ids.push(row.id);
+          total -= row.file_size || 0;
+        }
+        trashRows(ids, now);
+        trashed += ids.length;
+      }
+    }
+  })();
+
+  const purged = purgeExpiredTrash(storyId, rules.trashDays);
+  if (trashed > 0) console.log(`${LOG_PREFIX} Retention moved ${trashed} item(s) of story ${storyId} to the trash`);
+  return { trashed, purged };
+}
+
+// ---------------------------------------------------------------------------
+// Trash
+// ---------------------------------------------------------------------------
+
+function removeFiles(storyId, row) {
+  const dir = getStoryDir(storyId);
+  const filePath = path.join(dir, row.filename);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  if (row.thumb_filename) {
+    const thumbPath = path.join(dir, row.thumb_filename);
+    if (fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath);
+  }
+}
+
+function purgeRows(storyId, rows) {
+  for (const row of rows) {
+    removeFiles(storyId, row);
+    dbInstance.prepare('DELETE FROM media_items WHERE id = ?').run(row.id);
+  }
+  return rows.length;
+}
+
+/**
+ * Permanently delete trashed items older than `days` (0 = keep until emptied).
+ * Without a storyId, every story is checked with its own trashDays — run at startup.
+ */
+function purgeExpiredTrash(storyId, days) {
+  if (!storyId) {
+    const stories = dbInstance.prepare('SELECT DISTINCT story_id FROM media_items WHERE trashed_at IS NOT NULL').all();
+    return stories.reduce((sum, r) => sum + purgeExpiredTrash(r.story_id, getRetention(r.story_id).trashDays), 0);
   }
+  if (!days) return 0;
+  const expired = dbInstance.prepare(
+    'SELECT id, filename, thumb_filename FROM media_items WHERE story_id = ? AND trashed_at IS NOT NULL AND trashed_at < ?'
+  ).all(storyId, Date.now() - days * DAY_MS);
+  const purged = purgeRows(storyId, expired);
+  if (purged > 0) console.log(`${LOG_PREFIX} Purged ${purged} expired trash item(s) of story ${storyId}`);
+  return purged;
+}
+
+function restoreMedia(storyId, mediaId) {
+  const changes = dbInstance.prepare('UPDATE media_items SET trashed_at = NULL WHERE id = ? AND story_id = ? AND trashed_at IS NOT NULL')
+    .run(mediaId, storyId).changes;
+  return { success: changes > 0 };
+}
+
+function purgeMedia(storyId, mediaId) {
+  const row = dbInstance.prepare('SELECT id, filename, thumb_filename FROM media_items WHERE id = ? AND story_id = ?').get(mediaId, storyId);
+  if (!row) return { success: false };
+  purgeRows(storyId, [row]);
+  console.log(`${LOG_PREFIX} Permanently deleted media ${mediaId}`);
+  return { success: true };
+}
+
+function emptyTrash(storyId) {
+  const rows = dbInstance.prepare('SELECT id, filename, thumb_filename FROM media_items WHERE story_id = ? AND trashed_at IS NOT NULL').all(storyId);
+  const purged = purgeRows(storyId, rows);
+  console.log(`${LOG_PREFIX} Emptied trash of story ${storyId} (${purged} items)`);
+  return { success: true, purged };
+}
+
+// Mark a gallery image as used on a storyboard, so retention keeps it
+function markCommitted(mediaId) {
+  if (!mediaId) return;
+  dbInstance.prepare('UPDATE media_items SET committed = 1 WHERE id = ?').run(mediaId);
+}
 
-  console.log(`${LOG_PREFIX} Enforced ${type} cap: removed ${excess} oldest items`);
+/**
+ * Gallery disk usage per story (file sizes as saved; thumbnails not counted).
+ * @returns {Array<{storyId: string, title: string, count: number, bytes: number, trashCount: number, trashBytes: number}>}
+ */
+function getDiskUsage() {
+  return dbInstance.prepare(`
+    SELECT m.story_id AS storyId, COALESCE(s.title, '') AS title,
+      SUM(CASE WHEN m.trashed_at IS NULL THEN 1 ELSE 0 END) AS count,
+      SUM(CASE WHEN m.trashed_at IS NULL THEN m.file_size ELSE 0 END) AS bytes,
+      SUM(CASE WHEN m.trashed_at IS NOT NULL THEN 1 ELSE 0 END) AS trashCount,
+      SUM(CASE WHEN m.trashed_at IS NOT NULL THEN m.file_size ELSE 0 END) AS trashBytes
+    FROM media_items m LEFT JOIN stories s ON s.id = m.story_id
+    GROUP BY m.story_id
+    ORDER BY bytes DESC
+  `).all();
 }
 
 // ---------------------------------------------------------------------------
 // Query
 // ---------------------------------------------------------------------------
 
+function parseJSONColumn(value, fallback) {
+  try { return JSON.parse(value || 'null') ?? fallback; } catch { return fallback; } // corrupt — treat as empty
+}
+
+function parseRow(row) {
+  return {
+    ...row,
+    params: parseJSONColumn(row.params, {}),
+    characters: parseJSONColumn(row.characters, []),
+    tags: parseJSONColumn(row.tags, []),
+    favorite: !!row.favorite,
+    committed: !!row.committed,
+  };
+}
+
+/**
+ * Turn free text into an FTS5 MATCH expression: every word must appear, as a prefix.
+ * Quoting each term keeps FTS operators and punctuation in user input inert.
+ */
+function toMatchQuery(text) {
+  const terms = String(text || '').match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms.map(t => `"${t}"*`).join(' ');
+}
+
+const MEDIA_COLUMNS = 'id, story_id, type, filename, thumb_filename, prompt, negative_prompt, provider, model, width, height, file_size, created_at, seed, params, story_excerpt, characters, tags, favorite, committed, trashed_at';
+
+/**
+ * List a story's media, newest first.
+ * @param {string} storyId
+ * @param {{type?: string, query?: string, provider?: string, model?: string, resolution?: string,
+ *          dateFrom?: number, dateTo?: number, character?: string, tag?: string, favorite?: boolean, trashed?: boolean}} opts
+ *   trashed lists the trash instead of the gallery; query is full-text over prompt, negative prompt, story excerpt, characters and tags;
+ *   resolution is "WIDTHxHEIGHT"; dateFrom/dateTo are epoch ms (inclusive)
+ */
 function listMedia(storyId, opts = {}) {
-  let sql = 'SELECT id, story_id, type, filename, thumb_filename, prompt, negative_prompt, provider, model, width, height, file_size, created_at FROM media_items WHERE story_id = ?';
-  const params = [storyId];
+  return queryMedia('story_id = ?', [storyId], opts);
+}
+
+/**
+ * List media across every story, newest first, with each item's story title.
+ * Same filters as listMedia; opts.storyId narrows the library to one story.
+ */
+function listLibrary(opts = {}) {
+  return opts.storyId ? queryMedia('story_id = ?', [opts.storyId], opts) : queryMedia('1 = 1', [], opts);
+}
+
+function queryMedia(scope, scopeParams, opts) {
+  let sql = `SELECT ${MEDIA_COLUMNS}, (SELECT title FROM stories WHERE stories.id = media_items.story_id) AS story_title FROM media_items WHERE ${scope}`;
+  const params = [...scopeParams];
+  sql += opts.trashed ? ' AND trashed_at IS NOT NULL' : ' AND trashed_at IS NULL';
 
   if (opts.type && opts.type !== 'all') {
     sql += ' AND type = ?';
     params.push(opts.type);
   }
 
+  const match = toMatchQuery(opts.query);
+  if (match) {
+    sql += ' AND rowid IN (SELECT rowid FROM media_fts WHERE media_fts MATCH ?)';
+    params.push(match);
+  }
+  if (opts.provider) {
+    sql += ' AND provider = ?';
+    params.push(opts.provider);
+  }
+  if (opts.model) {
+    sql += ' AND model = ?';
+    params.push(opts.model);
+  }
+  const res = String(opts.resolution || '').match(/^(\d+)x(\d+)$/);
+  if (res) {
+    sql += ' AND width = ? AND height = ?';
+    params.push(Number(res[1]), Number(res[2]));
+  }
+  if (Number.isFinite(opts.dateFrom)) {
+    sql += ' AND created_at >= ?';
+    params.push(opts.dateFrom);
+  }
+  if (Number.isFinite(opts.dateTo)) {
+    sql += ' AND created_at <= ?';
+    params.push(opts.dateTo);
+  }
+  if (opts.character) {
+    sql += ' AND EXISTS (SELECT 1 FROM json_each(media_items.characters) WHERE value = ? COLLATE NOCASE)';
+    params.push(opts.character);
+  }
+  if (opts.tag) {
+    sql += ' AND EXISTS (SELECT 1 FROM json_each(media_items.tags) WHERE value = ? COLLATE NOCASE)';
+    params.push(opts.tag);
+  }
+  if (opts.favorite) {
+    sql += ' AND favorite = 1';
+  }
+
   sql += ' ORDER BY created_at DESC';
-  return dbInstance.prepare(sql).all(...params);
+  return dbInstance.prepare(sql).all(...params).map(parseRow);
+}
+
+/**
+ * Distinct values present in a story's media, for the gallery filter dropdowns.
+ * @returns {{providers: string[], models: string[], resolutions: string[], characters: string[], tags: string[]}}
+ */
+function getFilterOptions(storyId) {
+  const column = (sql) => dbInstance.prepare(sql).all(storyId).map(r => r.value);
+  return {
+    providers: column("SELECT DISTINCT provider AS value FROM media_items WHERE story_id = ? AND trashed_at IS NULL AND provider != '' ORDER BY provider"),
+    models: column("SELECT DISTINCT model AS value FROM media_items WHERE story_id = ? AND trashed_at IS NULL AND model != '' ORDER BY model"),
+    resolutions: column("SELECT DISTINCT width || 'x' || height AS value FROM media_items WHERE story_id = ? AND trashed_at IS NULL AND width > 0 AND height > 0 ORDER BY width * height DESC"),
+    characters: column('SELECT DISTINCT j.value AS value FROM media_items, json_each(media_items.characters) j WHERE story_id = ? AND trashed_at IS NULL ORDER BY j.value COLLATE NOCASE'),
+    tags: column('SELECT DISTINCT j.value AS value FROM media_items, json_each(media_items.tags) j WHERE story_id = ? AND trashed_at IS NULL ORDER BY j.value COLLATE NOCASE'),
+  };
+}
+
+function setFavorite(storyId, mediaId, favorite) {
+  const changes = dbInstance.prepare('UPDATE media_items SET favorite = ? WHERE id = ? AND story_id = ?')
+    .run(favorite ? 1 : 0, mediaId, storyId).changes;
+  return { success: changes > 0, favorite: !!favorite };
+}
+
+function setTags(storyId, mediaId, tags) {
+  const clean = cleanNames(tags);
+  const changes = dbInstance.prepare('UPDATE media_items SET tags = ? WHERE id = ? AND story_id = ?')
+    .run(JSON.stringify(clean), mediaId, storyId).changes;
+  return { success: changes > 0, tags: clean };
 }
 
 function getFullImage(storyId, mediaId) {
@@ -201,41 +538,160 @@ function getVideo(storyId, mediaId) {
   return 'data:video/mp4;base64,' + buf.toString('base64');
 }
 
+// Deleting from the gallery moves the item to the trash; purgeMedia removes it for good
 function deleteMedia(storyId, mediaId) {
-  const row = dbInstance.prepare('SELECT filename, thumb_filename FROM media_items WHERE id = ? AND story_id = ?').get(mediaId, storyId);
-  if (!row) return { success: false };
+  const changes = dbInstance.prepare('UPDATE media_items SET trashed_at = ? WHERE id = ? AND story_id = ? AND trashed_at IS NULL')
+    .run(Date.now(), mediaId, storyId).changes;
+  if (changes === 0) return { success: false };
+  console.log(`${LOG_PREFIX} Moved media ${mediaId} to the trash`);
+  return { success: true, trashed: true };
+}
 
-  const dir = getStoryDir(storyId);
-  const filePath = path.join(dir, row.filename);
-  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-  if (row.thumb_filename) {
-    const thumbPath = path.join(dir, row.thumb_filename);
-    if (fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath);
-  }
+function getMediaCount(storyId) {
+  const count = (type) => dbInstance.prepare(
+    'SELECT COUNT(*) as cnt FROM media_items WHERE story_id = ? AND type = ? AND trashed_at IS NULL'
+  ).get(storyId, type).cnt;
+  const trash = dbInstance.prepare(
+    'SELECT COUNT(*) as cnt FROM media_items WHERE story_id = ? AND trashed_at IS NOT NULL'
+  ).get(storyId).cnt;
+  return { images: count('image'), videos: count('video'), trash };
+}
 
-  dbInstance.prepare('DELETE FROM media_items WHERE id = ?').run(mediaId);
-  console.log(`${LOG_PREFIX} Deleted media ${mediaId}`);
-  return { success: true };
+// ---------------------------------------------------------------------------
+// Library (all stories) — bulk operations take media ids, which are unique across stories
+// ---------------------------------------------------------------------------
+
+// Stories known to the app, with their gallery size, for the library's story pickers
+function listLibraryStories() {
+  return dbInstance.prepare(`
+    SELECT s.id, s.title, COUNT(m.id) AS count
+    FROM stories s LEFT JOIN media_items m ON m.story_id = s.id AND m.trashed_at IS NULL
+    GROUP BY s.id
+    ORDER BY s.last_accessed_at DESC
+  `).all();
 }
 
-function getMediaCount(storyId) {
-  const images = dbInstance.prepare(
-    'SELECT COUNT(*) as cnt FROM media_items WHERE story_id = ? AND type = ?'
-  ).get(storyId, 'image').cnt;
-  const videos = dbInstance.prepare(
-    'SELECT COUNT(*) as cnt FROM media_items WHERE story_id = ? AND type = ?'
-  ).get(storyId, 'video').cnt;
-  return { images, videos };
+function getItems(mediaIds) {
+  const ids = Array.isArray(mediaIds) ? mediaIds.filter(Boolean) : [];
+  if (ids.length === 0) return [];
+  return dbInstance.prepare(
+    `SELECT ${MEDIA_COLUMNS}, (SELECT title FROM stories WHERE stories.id = media_items.story_id) AS story_title FROM media_items WHERE id IN (${ids.map(() => '?').join(', ')})`
+  ).all(...ids).map(parseRow);
+}
+
+function bulkDelete(mediaIds) {
+  const stmt = dbInstance.prepare('UPDATE media_items SET trashed_at = ? WHERE id = ? AND trashed_at IS NULL');
+  const now = Date.now();
+  let trashed = 0;
+  dbInstance.transaction(() => {
+    for (const id of mediaIds || []) trashed += stmt.run(now, id).changes;
+  })();
+  console.log(`${LOG_PREFIX} Moved ${trashed} item(s) to the trash`);
+  return { success: true, trashed };
+}
+
+// Metadata written next to each exported file
+function sidecarFor(item) {
+  return {
+    id: item.id,
+    storyId: item.story_id,
+    storyTitle: item.story_title || '',
+    type: item.type,
+    prompt: item.prompt,
+    negativePrompt: item.negative_prompt,
+    provider: item.provider,
+    model: item.model,
+    width: item.width,
+    height: item.height,
+    seed: item.seed,
+    params: item.params,
+    storyExcerpt: item.story_excerpt,
+    characters: item.characters,
+    tags: item.tags,
+    favorite: item.favorite,
+    createdAt: new Date(item.created_at).toISOString(),
+  };
+}
+
+/**
+ * Copy media files into a folder, each with a <name>.json sidecar holding its metadata.
+ * Missing files are skipped and counted.
+ * @returns {{success: boolean, exported: number, missing: number}}
+ */
+function exportMedia(mediaIds, destDir) {
+  if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
+  let exported = 0;
+  let missing = 0;
+  for (const item of getItems(mediaIds)) {
+    const src = path.join(getStoryDir(item.story_id), item.filename);
+    if (!fs.existsSync(src)) {
+      missing++;
+      continue;
+    }
+    fs.copyFileSync(src, path.join(destDir, item.filename));
+    const base = item.filename.replace(/\.[^.]+$/, '');
+    fs.writeFileSync(path.join(destDir, base + '.json'), JSON.stringify(sidecarFor(item), null, 2));
+    exported++;
+  }
+  console.log(`${LOG_PREFIX} Exported ${exported} item(s) to ${destDir}${missing ? ` (${missing} missing)` : ''}`);
+  return { success: true, exported, missing };
+}
+
+/**
+ * Move media (files and rows) to another story's gallery.
+ * @returns {{success: boolean, moved?: number, error?: string}}
+ */
+function moveMedia(mediaIds, targetStoryId) {
+  if (!dbInstance.prepare('SELECT 1 FROM stories WHERE id = ?').get(targetStoryId)) {
+    return { success: false, error: 'Unknown story' };
+  }
+  const targetDir = getStoryDir(targetStoryId);
+  const update = dbInstance.prepare('UPDATE media_items SET story_id = ? WHERE id = ?');
+  let moved = 0;
+  for (const item of getItems(mediaIds)) {
+    if (item.story_id === targetStoryId) continue;
+    const sourceDir = getStoryDir(item.story_id);
+    for (const file of [item.filename, item.thumb_filename]) {
+      if (file && fs.existsSync(path.join(sourceDir, file))) {
+        fs.renameSync(path.join(sourceDir, file), path.join(targetDir, file));
+      }
+    }
+    update.run(targetStoryId, item.id);
+    moved++;
+  }
+  if (moved > 0) enforceRetention(targetStoryId);
+  console.log(`${LOG_PREFIX} Moved ${moved} item(s) to story ${targetStoryId}`);
+  return { success: true, moved };
 }
 
 module.exports = {
+  DEFAULT_RETENTION,
   init,
   saveImage,
   saveVideo,
+  importImage,
   listMedia,
+  listLibrary,
+  getFilterOptions,
+  setFavorite,
+  setTags,
   getFullImage,
   getThumbnail,
   getVideo,
   deleteMedia,
   getMediaCount,
+  normalizeRetention,
+  getRetention,
+  enforceRetention,
+  restoreMedia,
+  purgeMedia,
+  emptyTrash,
+  purgeExpiredTrash,
+  markCommitted,
+  getDiskUsage,
+  listLibraryStories,
+  getItems,
+  bulkDelete,
+  exportMedia,
+  moveMedia,
 };
@@ -7,6 +7,8 @@
  * `generateTextFn(messages, options)` callback (same pattern as lore-creator.js).
  */
 
+const { recoverJSON, generateJSON } = require('./structured-output');
+
 const LOG_PREFIX = '[MemoryManager]';
 
 // ============================================================================
@@ -51,44 +53,18 @@ function createEmptyState() {
 }
 
 // ============================================================================
-// JSON RECOVERY
+// JSON SCHEMA (structured output — see structured-output.js)
 // ============================================================================
 
-function recoverJSON(raw) {
-  const jsonMatch = raw.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) return null;
-
-  let jsonStr = jsonMatch[0];
-
-  try {
-    return JSON.parse(jsonStr);
-  } catch (_) {
-    // Continue with recovery
-  }
-
-  const openBraces = (jsonStr.match(/\{/g) || []).length;
-  const closeBraces = (jsonStr.match(/\}/g) || []).length;
-  const openBrackets = (jsonStr.match(/\[/g) || []).length;
-  const closeBrackets = (jsonStr.match(/\]/g) || []).length;
-
-  const quoteCount = (jsonStr.match(/"/g) || []).length;
-  if (quoteCount % 2 !== 0) {
-    jsonStr += '"';
-  }
-
-  for (let i = 0; i < openBrackets - closeBrackets; i++) {
-    jsonStr += ']';
-  }
-  for (let i = 0; i < openBraces - closeBraces; i++) {
-    jsonStr += '}';
-  }
-
-  try {
-    return JSON.parse(jsonStr);
-  } catch (_) {
-    return null;
-  }
-}
+const EVENTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    events: { type: 'array', items: { type: 'string' } },
+    characters: { type: 'object' },
+    situation: { type: 'string' },
+  },
+  required: ['events', 'characters', 'situation'],
+};
 
 // ============================================================================
 // FORMATTING
@@ -181,13 +157,10 @@ Respond with ONLY this JSON format, no other text:
   ];
 
   try {
-    const response = await generateTextFn(messages, {
+    const parsed = await generateJSON(generateTextFn, messages, {
       max_tokens: 150,
       temperature: 0.3,
-    });
-
-    const content = response.output || '';
-    const parsed = recoverJSON(content);
+    }, { schema: EVENTS_SCHEMA, label: 'memory:extract-events' });
 
     if (parsed) {
       return {
@@ -0,0 +1,373 @@
+/**
+ * PNG Metadata — generation parameters in PNG text chunks.
+ *
+ * Saved images carry three layouts so other tools can read them:
+ *   - NovelAI: Title / Description / Software / Source / Comment (JSON)
+ *   - A1111:   parameters ("prompt\nNegative prompt: ...\nSteps: 28, Sampler: ..., Seed: ...")
+ *   - ours:    scene-visualizer (JSON, including story excerpt, characters and tags)
+ * Chunks an image already has (e.g. NovelAI's own, or A1111's from a local backend)
+ * are kept; only ours is always rewritten. Text that isn't Latin-1 goes in iTXt.
+ *
+ * readGenerationMetadata() reads any of the three back, preferring ours.
+ */
+
+const zlib = require('zlib');
+
+const LOG_PREFIX = '[PngMetadata]';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const APP_KEYWORD = 'scene-visualizer';
+const SOFTWARE = 'Scene Visualizer';
+
+// ============================================================================
+// CHUNKS
+// ============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function isPng(buf) {
+  return Buffer.isBuffer(buf) && buf.length > PNG_SIGNATURE.length && buf.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Split a PNG into its chunks. Stops at IEND or at the first truncated chunk.
+ * @returns {Array<{type: string, data: Buffer, start: number, end: number}>} start/end span the whole chunk
+ */
+function readChunks(buf) {
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > buf.length) break;
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    chunks.push({ type, data: buf.subarray(offset + 8, offset + 8 + length), start: offset, end });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function makeChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+function isLatin1(text) {
+  return !/[^\x00-\xff]/.test(text);
+}
+
+// tEXt when the text fits Latin-1, otherwise uncompressed iTXt (UTF-8)
+function makeTextChunk(keyword, text) {
+  const key = Buffer.from(keyword, 'latin1');
+  if (isLatin1(text)) {
+    return makeChunk('tEXt', Buffer.concat([key, Buffer.from([0]), Buffer.from(text, 'latin1')]));
+  }
+  // keyword \0 compression-flag compression-method language \0 translated-keyword \0 text
+  return makeChunk('iTXt', Buffer.concat([key, Buffer.from([0, 0, 0, 0, 0]), Buffer.from(text, 'utf8')]));
+}
+
+function parseTextChunk(chunk) {
+  const data = chunk.data;
+  const nul = data.indexOf(0);
+  if (nul <= 0) return null;
+  const keyword = data.toString('latin1', 0, nul);
+
+  if (chunk.type === 'tEXt') {
+    return { keyword, text: data.toString('latin1', nul + 1) };
+  }
+  if (chunk.type === 'zTXt') {
+    return { keyword, text: zlib.inflateSync(data.subarray(nul + 2)).toString('latin1') };
+  }
+  // iTXt
+  const compressed = data[nul + 1] === 1;
+  const langEnd = data.indexOf(0, nul + 3);
+  const transEnd = langEnd < 0 ? -1 : data.indexOf(0, langEnd + 1);
+  if (transEnd < 0) return null;
+  const body = data.subarray(transEnd + 1);
+  return { keyword, text: (compressed ? zlib.inflateSync(body) : body).toString('utf8') };
+}
+
+/**
+ * All text chunks of a PNG as keyword → text (first occurrence wins).
+ * @returns {Object<string, string>}
+ */
+function readTextChunks(buf) {
+  const texts = {};
+  if (!isPng(buf)) return texts;
+  for (const chunk of readChunks(buf)) {
+    if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt' && chunk.type !== 'zTXt') continue;
+    try {
+      const entry = parseTextChunk(chunk);
+      if (entry && !(entry.keyword in texts)) texts[entry.keyword] = entry.text;
+    } catch (err) {
+      console.warn(`${LOG_PREFIX} Unreadable ${chunk.type} chunk:`, err.message);
+    }
+  }
+  return texts;
+}
+
+/**
+ * Add text chunks right after IHDR.
+ * @param {Buffer} buf - PNG
+ * @param {Object<string, string>} entries - keyword → text
+ * @param {{replace?: string[]}} [opts] - keywords to rewrite; other keywords the image already has are left alone
+ * @returns {Buffer}
+ */
+function writeTextChunks(buf, entries, { replace = [] } = {}) {
+  const existing = readTextChunks(buf);
+  const replaced = new Set(replace);
+  const chunks = readChunks(buf);
+  const ihdr = chunks.find(c => c.type === 'IHDR');
+  if (!ihdr) return buf;
+
+  const parts = [buf.subarray(0, ihdr.end)];
+  for (const [keyword, text] of Object.entries(entries)) {
+    if (text == null || text === '') continue;
+    if (keyword in existing && !replaced.has(keyword)) continue;
+    parts.push(makeTextChunk(keyword, String(text)));
+  }
+  for (const chunk of chunks) {
+    if (chunk.type === 'IHDR') continue;
+    if ((chunk.type === 'tEXt' || chunk.type === 'iTXt' || chunk.type === 'zTXt') && replaced.has(keywordOf(chunk))) continue;
+    parts.push(buf.subarray(chunk.start, chunk.end));
+  }
+  return Buffer.concat(parts);
+}
+
+function keywordOf(chunk) {
+  const nul = chunk.data.indexOf(0);
+  return nul > 0 ? chunk.data.toString('latin1', 0, nul) : '';
+}
+
+// ============================================================================
+// LAYOUTS
+// ============================================================================
+
+// "prompt\nNegative prompt: ...\nSteps: 28, Sampler: k_euler, CFG scale: 5, Seed: 1, Size: 832x1216, Model: ..."
+function formatA1111Parameters(meta) {
+  const p = meta.params || {};
+  const settings = [
+    ['Steps', p.steps],
+    ['Sampler', p.sampler],
+    ['CFG scale', p.scale],
+    ['Seed', meta.seed],
+    ['Size', meta.width && meta.height ? `${meta.width}x${meta.height}` : null],
+    ['Model', meta.model],
+    ['Denoising strength', p.strength],
+  ]
+    .filter(([, v]) => v != null && v !== '')
+    .map(([k, v]) => `${k}: ${/[,:"]/.test(String(v)) ? JSON.stringify(String(v)) : v}`)
+    .join(', ');
+  return [
+    meta.prompt || '',
+    ...(meta.negativePrompt ? [`Negative prompt: ${meta.negativePrompt}`] : []),
+    ...(settings ? [settings] : []),
+  ].join('\n');
+}
+
+function parseA1111Parameters(text) {
+  const lines = String(text || '').trim().split('\n');
+  let settingsLine = '';
+  if (lines.length > 0 && (lines[lines.length - 1].match(/\b[\w ]+: /g) || []).length >= 3) {
+    settingsLine = lines.pop();
+  }
+
+  const promptLines = [];
+  const negativeLines = [];
+  let inNegative = false;
+  for (const line of lines) {
+    if (!inNegative && line.startsWith('Negative prompt:')) {
+      inNegative = true;
+      negativeLines.push(line.slice('Negative prompt:'.length).trim());
+    } else {
+      (inNegative ? negativeLines : promptLines).push(line);
+    }
+  }
+
+  const settings = {};
+  for (const m of settingsLine.matchAll(/\s*([\w ]+):\s*("(?:\\.|[^\\"])*"|[^,]*)(?:,|$)/g)) {
+    const raw = m[2].trim();
+    let value = raw;
+    if (raw.startsWith('"')) {
+      try { value = JSON.parse(raw); } catch { /* keep quoted text */ }
+    }
+    settings[m[1].trim()] = value;
+  }
+
+  const num = (v) => (v != null && v !== '' && Number.isFinite(Number(v)) ? Number(v) : undefined);
+  const size = String(settings.Size || '').match(/^(\d+)x(\d+)$/);
+  const params = {
+    steps: num(settings.Steps),
+    sampler: settings.Sampler || undefined,
+    scale: num(settings['CFG scale']),
+    strength: num(settings['Denoising strength']),
+  };
+  return {
+    prompt: promptLines.join('\n').trim(),
+    negativePrompt: negativeLines.join('\n').trim(),
+    seed: Number.isInteger(num(settings.Seed)) ? num(settings.Seed) : null,
+    model: settings.Model || '',
+    width: size ? Number(size[1]) : 0,
+    height: size ? Number(size[2]) : 0,
+    params: Object.fromEntries(Object.entries(params).filter(([, v]) => v !== undefined)),
+  };
+}
+
+// NovelAI's Comment JSON (v3 fields, plus v4_prompt when there are character captions)
+function formatNovelAIComment(meta) {
+  const p = meta.params || {};
+  const comment = {
+    prompt: meta.prompt || '',
+    uc: meta.negativePrompt || '',
+    seed: meta.seed,
+    steps: p.steps,
+    scale: p.scale,
+    sampler: p.sampler,
+    noise_schedule: p.noiseSchedule,
+    cfg_rescale: p.cfgRescale,
+    width: meta.width || undefined,
+    height: meta.height || undefined,
+  };
+  const captions = (meta.characterCaptions || []).filter(c => c && c.caption);
+  if (captions.length > 0) {
+    comment.v4_prompt = {
+      caption: {
+        base_caption: meta.prompt || '',
+        char_captions: captions.map(c => ({ char_caption: c.caption, centers: [c.center || { x: 0.5, y: 0.5 }] })),
+      },
+    };
+  }
+  return JSON.stringify(comment);
+}
+
+function parseNovelAIComment(comment, texts) {
+  const base = comment.v4_prompt?.caption?.base_caption;
+  const negBase = comment.v4_negative_prompt?.caption?.base_caption;
+  const charCaptions = comment.v4_prompt?.caption?.char_captions || [];
+  const params = {
+    steps: comment.steps,
+    scale: comment.scale,
+    sampler: comment.sampler,
+    noiseSchedule: comment.noise_schedule,
+    cfgRescale: comment.cfg_rescale,
+    strength: comment.strength,
+  };
+  return {
+    prompt: base || comment.prompt || texts.Description || '',
+    negativePrompt: negBase || comment.uc || '',
+    seed: Number.isInteger(comment.seed) ? comment.seed : null,
+    model: texts.Source || '',
+    width: comment.width || 0,
+    height: comment.height || 0,
+    params: Object.fromEntries(Object.entries(params).filter(([, v]) => v != null)),
+    characterCaptions: charCaptions
+      .filter(c => c && c.char_caption)
+      .map(c => ({ caption: c.char_caption, ...(c.centers?.[0] ? { center: c.centers[0] } : {}) })),
+  };
+}
+
+// ============================================================================
+// PUBLIC
+// ============================================================================
+
+/**
+ * Write generation metadata into a PNG. Non-PNG buffers are returned unchanged.
+ * @param {Buffer} buf
+ * @param {{prompt?: string, negativePrompt?: string, provider?: string, model?: string, width?: number, height?: number,
+ *          seed?: number, params?: Object, storyExcerpt?: string, characters?: string[], tags?: string[], characterCaptions?: Array}} meta
+ * @returns {Buffer}
+ */
+function embedGenerationMetadata(buf, meta = {}) {
+  if (!isPng(buf)) return buf;
+  try {
+    const ours = {
+      version: 1,
+      prompt: meta.prompt || '',
+      negativePrompt: meta.negativePrompt || '',
+      provider: meta.provider || '',
+      model: meta.model || '',
+      width: meta.width || 0,
+      height: meta.height || 0,
+      seed: Number.isInteger(meta.seed) ? meta.seed : null,
+      params: meta.params || {},
+      storyExcerpt: meta.storyExcerpt || '',
+      characters: meta.characters || [],
+      tags: meta.tags || [],
+      characterCaptions: meta.characterCaptions || [],
+    };
+    return writeTextChunks(buf, {
+      Title: 'AI generated image',
+      Description: meta.prompt || '',
+      Software: SOFTWARE,
+      Source: [meta.provider, meta.model].filter(Boolean).join(' '),
+      Comment: formatNovelAIComment(meta),
+      parameters: formatA1111Parameters(meta),
+      [APP_KEYWORD]: JSON.stringify(ours),
+    }, { replace: [APP_KEYWORD] });
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Could not embed metadata:`, err.message);
+    return buf;
+  }
+}
+
+/**
+ * Read generation metadata from a PNG written by this app, NovelAI or A1111.
+ * @returns {{source: 'scene-visualizer'|'novelai'|'a1111', prompt: string, negativePrompt: string, provider: string,
+ *            model: string, width: number, height: number, seed: number|null, params: Object,
+ *            storyExcerpt?: string, characters?: string[], tags?: string[], characterCaptions?: Array}|null}
+ */
+function readGenerationMetadata(buf) {
+  const texts = readTextChunks(buf);
+
+  if (texts[APP_KEYWORD]) {
+    try {
+      const { version, ...ours } = JSON.parse(texts[APP_KEYWORD]);
+      return { source: 'scene-visualizer', ...ours };
+    } catch (err) {
+      console.warn(`${LOG_PREFIX} Unreadable ${APP_KEYWORD} chunk:`, err.message);
+    }
+  }
+
+  if (texts.Comment) {
+    try {
+      const comment = JSON.parse(texts.Comment);
+      if (comment && typeof comment === 'object' && ('uc' in comment || 'v4_prompt' in comment || texts.Software === 'NovelAI')) {
+        return { source: 'novelai', provider: 'novelai', ...parseNovelAIComment(comment, texts) };
+      }
+    } catch { /* not JSON — not NovelAI's */ }
+  }
+
+  if (texts.parameters) {
+    return { source: 'a1111', provider: 'a1111', ...parseA1111Parameters(texts.parameters) };
+  }
+
+  return null;
+}
+
+module.exports = {
+  isPng,
+  readTextChunks,
+  writeTextChunks,
+  formatA1111Parameters,
+  parseA1111Parameters,
+  embedGenerationMetadata,
+  readGenerationMetadata,
+};
@@ -5,6 +5,7 @@ contextBridge.exposeInMainWorld('sceneVisualizer', {
   // Image generation
   generateImage: (prompt, negativePrompt, opts = {}) =>
     ipcRenderer.invoke('generate-image', { prompt, negativePrompt, ...opts }),
+  getProviderCapabilities: (providerId) => ipcRenderer.invoke('get-provider-capabilities', providerId),
 
   // Settings
   getApiToken: () => ipcRenderer.invoke('get-api-token'),
@@ -46,12 +47,36 @@ contextBridge.exposeInMainWorld('sceneVisualizer', {
   veniceQuoteVideo: (prompt, opts) => ipcRenderer.invoke('venice:quote-video', { prompt, opts }),
   veniceQueueVideo: (prompt, imageData, opts) => ipcRenderer.invoke('venice:queue-video', { prompt, imageData, opts }),
   veniceRetrieveVideo: (queueId, model) => ipcRenderer.invoke('venice:retrieve-video', { queueId, model }),
+  videoJobsStart: (storyId, { prompt, negativePrompt, imageData, opts, quote }) =>
+    ipcRenderer.invoke('video-jobs:start', { storyId, prompt, negativePrompt, imageData, opts, quote }),
+  videoJobsList: (storyId, limit) =>
+    ipcRenderer.invoke('video-jobs:list', { storyId, limit }),
+  videoJobsForStoryboard: (storyboardId) =>
+    ipcRenderer.invoke('video-jobs:list', { storyboardId }),
+  videoJobsActiveCount: (storyId) =>
+    ipcRenderer.invoke('video-jobs:active-count', { storyId }),
+  videoJobsCancel: (jobId) =>
+    ipcRenderer.invoke('video-jobs:cancel', { jobId }),
+  videoJobsClearFinished: (storyId) =>
+    ipcRenderer.invoke('video-jobs:clear-finished', { storyId }),
+  onVideoJobsChanged: (callback) => {
+    ipcRenderer.on('video-jobs:changed', (event, data) => callback(data));
+  },
+  onVideoJobsFinished: (callback) => {
+    ipcRenderer.on('video-jobs:finished', (event, data) => callback(data));
+  },
 
   // Puter.js
   getPuterSettings: () => ipcRenderer.invoke('get-puter-settings'),
   setPuterSettings: (settings) => ipcRenderer.invoke('set-puter-settings', settings),
   getPuterModels: () => ipcRenderer.invoke('get-puter-models'),
 
+  // Local Stable Diffusion (A1111 / ComfyUI)
+  getLocalSdSettings: () => ipcRenderer.invoke('get-local-sd-settings'),
+  setLocalSdSettings: (settings) => ipcRenderer.invoke('set-local-sd-settings', settings),
+  getLocalSdModels: () => ipcRenderer.invoke('get-local-sd-models'),
+  localSdTestConnection: (backend, url) => ipcRenderer.invoke('local-sd:test-connection', { backend, url }),
+
   // Token status
   getTokenStatus: () => ipcRenderer.invoke('get-token-status'),
 
@@ -77,9 +102,37 @@ contextBridge.exposeInMainWorld('sceneVisualizer', {
   storyboardReorderScenes: (storyboardId, sceneIds) => ipcRenderer.invoke('storyboard:reorder-scenes', { storyboardId, sceneIds }),
   storyboardUpdateSceneNote: (storyboardId, sceneId, note) => ipcRenderer.invoke('storyboard:update-scene-note', { storyboardId, sceneId, note }),
   storyboardGetSceneImage: (storyboardId, sceneId) => ipcRenderer.invoke('storyboard:get-scene-image', { storyboardId, sceneId }),
+  storyboardGet: (id) => ipcRenderer.invoke('storyboard:get', id),
+  storyboardGetSceneVideo: (storyboardId, sceneId) => ipcRenderer.invoke('storyboard:get-scene-video', { storyboardId, sceneId }),
+  storyboardRemoveSceneVideo: (storyboardId, sceneId) => ipcRenderer.invoke('storyboard:remove-scene-video', { storyboardId, sceneId }),
+  storyboardAnimateScenes: (storyboardId, sceneIds, quote) =>
+    ipcRenderer.invoke('storyboard:animate-scenes', { storyboardId, sceneIds, quote }),
+  storyboardUpdateSceneText: (storyboardId, sceneId, fields) => ipcRenderer.invoke('storyboard:update-scene-text', { storyboardId, sceneId, fields }),
+  storyboardReplaceSceneImage: (storyboardId, sceneId, imageData) => ipcRenderer.invoke('storyboard:replace-scene-image', { storyboardId, sceneId, imageData }),
+  storyboardRestoreSceneImage: (storyboardId, sceneId, historyIndex) => ipcRenderer.invoke('storyboard:restore-scene-image', { storyboardId, sceneId, historyIndex }),
+  storyboardGetSceneHistoryImage: (storyboardId, sceneId, historyIndex) => ipcRenderer.invoke('storyboard:get-scene-history-image', { storyboardId, sceneId, historyIndex }),
+  storyboardCreateChapter: (storyboardId, title, fromSceneId) => ipcRenderer.invoke('storyboard:create-chapter', { storyboardId, title, fromSceneId }),
+  storyboardRenameChapter: (storyboardId, chapterId, title) => ipcRenderer.invoke('storyboard:rename-chapter', { storyboardId, chapterId, title }),
+  storyboardDeleteChapter: (storyboardId, chapterId) => ipcRenderer.invoke('storyboard:delete-chapter', { storyboardId, chapterId }),
+  storyboardMoveChapter: (storyboardId, chapterId, direction) => ipcRenderer.invoke('storyboard:move-chapter', { storyboardId, chapterId, direction }),
+  storyboardSetSceneChapter: (storyboardId, sceneId, chapterId) => ipcRenderer.invoke('storyboard:set-scene-chapter', { storyboardId, sceneId, chapterId }),
   storyboardGetOrCreateForStory: (storyId, storyTitle) => ipcRenderer.invoke('storyboard:get-or-create-for-story', { storyId, storyTitle }),
   storyboardAssociateWithStory: (storyboardId, storyId, storyTitle) => ipcRenderer.invoke('storyboard:associate-with-story', { storyboardId, storyId, storyTitle }),
   storyboardDissociateFromStory: (storyboardId) => ipcRenderer.invoke('storyboard:dissociate-from-story', { storyboardId }),
+  storyboardExport: (storyboardId, format, layout) => ipcRenderer.invoke('storyboard:export', { storyboardId, format, layout }),
+  storyboardExportBundle: (storyboardId) => ipcRenderer.invoke('storyboard:export-bundle', { storyboardId }),
+  storyboardImportBundle: (storyId, storyTitle) => ipcRenderer.invoke('storyboard:import-bundle', { storyId, storyTitle }),
+  storyboardStartAuto: (storyId, storyTitle, storyboardId, storyText, entries, maxBeats) =>
+    ipcRenderer.invoke('storyboard:start-auto', { storyId, storyTitle, storyboardId, storyText, entries, maxBeats }),
+  storyboardPauseAuto: (storyId) => ipcRenderer.invoke('storyboard:pause-auto', { storyId }),
+  storyboardResumeAuto: (storyId) => ipcRenderer.invoke('storyboard:resume-auto', { storyId }),
+  storyboardCancelAuto: (storyId) => ipcRenderer.invoke('storyboard:cancel-auto', { storyId }),
+  onAutoStoryboardProgress: (callback) => {
+    ipcRenderer.on('storyboard:auto-progress', (event, data) => callback(data));
+  },
+  onAutoStoryboardComplete: (callback) => {
+    ipcRenderer.on('storyboard:auto-complete', (event, data) => callback(data));
+  },
 
   // Event listeners
   onTokenStatusChanged: (callback) => {
@@ -110,6 +163,7 @@ contextBridge.exposeInMainWorld('sceneVisualizer', {
   // Per-story settings
   storySettingsGet: (storyId) => ipcRenderer.invoke('story-settings:get', storyId),
   storySettingsSet: (storyId, settings) => ipcRenderer.invoke('story-settings:set', { storyId, settings }),
+  storySettingsSetLockedSeed: (storyId, seed) => ipcRenderer.invoke('story-settings:set-locked-seed', { storyId, seed }),
 
   // Per-story scene state persistence
   sceneGetState: (storyId) => ipcRenderer.invoke('scene:get-state', storyId),
@@ -118,10 +172,10 @@ contextBridge.exposeInMainWorld('sceneVisualizer', {
   // Lore Creator
   loreScan: (storyText, existingEntries, storyId, scanOptions) =>
     ipcRenderer.invoke('lore:scan', { storyText, existingEntries, storyId, scanOptions }),
-  loreIdentifyTarget: (prompt, entries) =>
-    ipcRenderer.invoke('lore:identify-target', { prompt, entries }),
-  loreGenerateEnriched: (prompt, currentText, displayName) =>
-    ipcRenderer.invoke('lore:generate-enriched', { prompt, currentText, displayName }),
+  loreIdentifyTarget: (prompt, entries, storyId) =>
+    ipcRenderer.invoke('lore:identify-target', { prompt, entries, storyId }),
+  loreGenerateEnriched: (prompt, currentText, displayName, storyId) =>
+    ipcRenderer.invoke('lore:generate-enriched', { prompt, currentText, displayName, storyId }),
   loreCreateFromPrompt: (prompt, category, storyText, storyId) =>
     ipcRenderer.invoke('lore:create-from-prompt', { prompt, category, storyText, storyId }),
   loreReformatEntry: (displayName, currentText, storyText, storyId, entryType) =>
@@ -205,6 +259,8 @@ contextBridge.exposeInMainWorld('sceneVisualizer', {
     ipcRenderer.invoke('litrpg:reject-update', { storyId, updateId }),
   litrpgBuildLorebookText: (entryText, rpgData) =>
     ipcRenderer.invoke('litrpg:build-lorebook-text', { entryText, rpgData }),
+  litrpgBuildQuestLogText: (entryText, rpgState) =>
+    ipcRenderer.invoke('litrpg:build-quest-log-text', { entryText, rpgState }),
   litrpgBuildRoleUpdate: (entryText, role) =>
     ipcRenderer.invoke('litrpg:build-role-update', { entryText, role }),
   litrpgGeneratePortraitPrompt: (characterEntryText, rpgData) =>
@@ -217,12 +273,37 @@ contextBridge.exposeInMainWorld('sceneVisualizer', {
     ipcRenderer.invoke('litrpg:update-character', { storyId, characterId, updates }),
   litrpgDeleteCharacter: (storyId, characterId) =>
     ipcRenderer.invoke('litrpg:delete-character', { storyId, characterId }),
+  litrpgCharacterDiff: (storyId, characterId, since, until) =>
+    ipcRenderer.invoke('litrpg:character-diff', { storyId, characterId, since, until }),
+  litrpgLedger: (storyId, filter) =>
+    ipcRenderer.invoke('litrpg:ledger', { storyId, ...filter }),
+  litrpgLedgerReverse: (storyId, transactionId) =>
+    ipcRenderer.invoke('litrpg:ledger-reverse', { storyId, transactionId }),
+  litrpgGrantQuestRewards: (storyId, questId, characterId) =>
+    ipcRenderer.invoke('litrpg:grant-quest-rewards', { storyId, questId, characterId }),
   litrpgResetState: (storyId) =>
     ipcRenderer.invoke('litrpg:reset-state', { storyId }),
   litrpgReverseSync: (entryText, entryName, storyId) =>
     ipcRenderer.invoke('litrpg:reverse-sync', { entryText, entryName, storyId }),
   litrpgReverseSyncAll: (entries, storyId) =>
     ipcRenderer.invoke('litrpg:reverse-sync-all', { entries, storyId }),
+  litrpgSystemsGet: (storyId) => ipcRenderer.invoke('litrpg-systems:get', storyId),
+  litrpgSystemsSave: (storyId, scope, system, previousId) =>
+    ipcRenderer.invoke('litrpg-systems:save', { storyId, scope, system, previousId }),
+  litrpgSystemsDelete: (storyId, scope, systemId) =>
+    ipcRenderer.invoke('litrpg-systems:delete', { storyId, scope, systemId }),
+  litrpgSystemsExport: (storyId, scope, systemIds) =>
+    ipcRenderer.invoke('litrpg-systems:export', { storyId, scope, systemIds }),
+  litrpgSystemsImport: (storyId, scope) =>
+    ipcRenderer.invoke('litrpg-systems:import', { storyId, scope }),
+  litrpgParsersGet: (storyId) => ipcRenderer.invoke('litrpg-parsers:get', storyId),
+  litrpgParsersSave: (storyId, scope, rule, previousScope) =>
+    ipcRenderer.invoke('litrpg-parsers:save', { storyId, scope, rule, previousScope }),
+  litrpgParsersDelete: (storyId, scope, ruleId) =>
+    ipcRenderer.invoke('litrpg-parsers:delete', { storyId, scope, ruleId }),
+  litrpgParsersTest: (rule, text) => ipcRenderer.invoke('litrpg-parsers:test', { rule, text }),
+  litrpgParsersApply: (storyId, storyText) =>
+    ipcRenderer.invoke('litrpg-parsers:apply', { storyId, storyText }),
   onLitrpgScanProgress: (callback) => {
     ipcRenderer.on('litrpg:scan-progress', (event, data) => callback(data));
   },
@@ -263,12 +344,89 @@ contextBridge.exposeInMainWorld('sceneVisualizer', {
     ipcRenderer.invoke('media:delete', { storyId, mediaId }),
   mediaGetCount: (storyId) =>
     ipcRenderer.invoke('media:get-count', { storyId }),
+  mediaFilterOptions: (storyId) =>
+    ipcRenderer.invoke('media:filter-options', { storyId }),
+  mediaSetFavorite: (storyId, mediaId, favorite) =>
+    ipcRenderer.invoke('media:set-favorite', { storyId, mediaId, favorite }),
+  mediaSetTags: (storyId, mediaId, tags) =>
+    ipcRenderer.invoke('media:set-tags', { storyId, mediaId, tags }),
+  mediaRestore: (storyId, mediaId) =>
+    ipcRenderer.invoke('media:restore', { storyId, mediaId }),
+  mediaPurge: (storyId, mediaId) =>
+    ipcRenderer.invoke('media:purge', { storyId, mediaId }),
+  mediaEmptyTrash: (storyId) =>
+    ipcRenderer.invoke('media:empty-trash', { storyId }),
+  mediaGetRetention: (storyId) =>
+    ipcRenderer.invoke('media:get-retention', { storyId }),
+  mediaApplyRetention: (storyId) =>
+    ipcRenderer.invoke('media:apply-retention', { storyId }),
+  mediaDiskUsage: () =>
+    ipcRenderer.invoke('media:disk-usage'),
+  mediaImportImages: (storyId) =>
+    ipcRenderer.invoke('media:import-images', { storyId }),
+
+  // Media Library (all stories)
+  mediaLibraryList: (opts) =>
+    ipcRenderer.invoke('media:library-list', { opts }),
+  mediaLibraryStories: () =>
+    ipcRenderer.invoke('media:library-stories'),
+  mediaBulkDelete: (mediaIds) =>
+    ipcRenderer.invoke('media:bulk-delete', { mediaIds }),
+  mediaBulkMove: (mediaIds, targetStoryId) =>
+    ipcRenderer.invoke('media:bulk-move', { mediaIds, targetStoryId }),
+  mediaBulkExport: (mediaIds) =>
+    ipcRenderer.invoke('media:bulk-export', { mediaIds }),
+  mediaBulkCommit: (mediaIds, storyboardId) =>
+    ipcRenderer.invoke('media:bulk-commit', { mediaIds, storyboardId }),
+
+  // Generation Job Queue
+  jobsEnqueue: (storyId, request, options) =>
+    ipcRenderer.invoke('jobs:enqueue', { storyId, request, options }),
+  jobsList: (storyId, limit) =>
+    ipcRenderer.invoke('jobs:list', { storyId, limit }),
+  jobsCounts: (storyId) =>
+    ipcRenderer.invoke('jobs:counts', { storyId }),
+  jobsCancel: (jobId) =>
+    ipcRenderer.invoke('jobs:cancel', { jobId }),
+  jobsRetry: (jobId) =>
+    ipcRenderer.invoke('jobs:retry', { jobId }),
+  jobsMove: (jobId, direction) =>
+    ipcRenderer.invoke('jobs:move', { jobId, direction }),
+  jobsSetPriority: (jobId, priority) =>
+    ipcRenderer.invoke('jobs:set-priority', { jobId, priority }),
+  jobsClearFinished: (storyId) =>
+    ipcRenderer.invoke('jobs:clear-finished', { storyId }),
+  jobsGetConcurrency: () => ipcRenderer.invoke('jobs:get-concurrency'),
+  jobsSetConcurrency: (limits) => ipcRenderer.invoke('jobs:set-concurrency', limits),
+  onJobsChanged: (callback) => {
+    ipcRenderer.on('jobs:changed', (event, data) => callback(data));
+  },
+  onJobsFinished: (callback) => {
+    ipcRenderer.on('jobs:finished', (event, data) => callback(data));
+  },
+
+  // Usage ledger
+  usageSummary: (storyId, days) =>
+    ipcRenderer.invoke('usage:summary', { storyId, days }),
+  usageBudgetStatus: (storyId) =>
+    ipcRenderer.invoke('usage:budget-status', { storyId }),
+  usageGetSettings: () => ipcRenderer.invoke('usage:get-settings'),
+  usageSetSettings: (settings) => ipcRenderer.invoke('usage:set-settings', settings),
+  usageClear: (storyId) =>
+    ipcRenderer.invoke('usage:clear', { storyId }),
+  onUsageBudgetExceeded: (callback) => {
+    ipcRenderer.on('usage:budget-exceeded', (event, data) => callback(data));
+  },
+  structuredOutputStats: () => ipcRenderer.invoke('structured-output:stats'),
 
   // Text LLM Providers
   textLlmGetSettings: () => ipcRenderer.invoke('text-llm:get-settings'),
   textLlmSetSettings: (settings) => ipcRenderer.invoke('text-llm:set-settings', settings),
   textLlmListProviders: () => ipcRenderer.invoke('text-llm:list-providers'),
   textLlmListOllamaModels: () => ipcRenderer.invoke('text-llm:list-ollama-models'),
+  textLlmListCompatibleModels: (overrides) => ipcRenderer.invoke('text-llm:list-compatible-models', overrides),
+  llmRoutingGet: (storyId) => ipcRenderer.invoke('llm-routing:get', storyId),
+  llmRoutingSet: (routing) => ipcRenderer.invoke('llm-routing:set', routing),
 
   // Visual Profiles
   visualProfilesGet: (storyId) => ipcRenderer.invoke('visual-profiles:get', storyId),
@@ -14,7 +14,9 @@ const defaultModel = 'claude-sonnet-4-20250514';
  * Generate text via Anthropic Messages API.
  * Converts OpenAI-style messages to Anthropic format (system separate from messages).
  * @param {Array<{role: string, content: string}>} messages
- * @param {{max_tokens?: number, temperature?: number, model?: string}} options
+ * @param {{max_tokens?: number, temperature?: number, model?: string, jsonSchema?: Object}} options
+ *   jsonSchema — force a single tool call whose input follows this schema; the tool
+ *   input is returned as the JSON text output
  * @param {import('electron-store')} store
  * @returns {Promise<{output: string}>}
  */
@@ -52,6 +54,10 @@ async function generateText(messages, options, store) {
     messages: userMessages,
   };
   if (system) body.system = system;
+  if (options.jsonSchema) {
+    body.tools = [{ name: 'respond', description: 'Return the answer as structured data.', input_schema: options.jsonSchema }];
+    body.tool_choice = { type: 'tool', name: 'respond' };
+  }
 
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 60000);
@@ -84,7 +90,10 @@ async function generateText(messages, options, store) {
 
   const data = await response.json();
   clearTimeout(timeout);
-  const content = data.content?.[0]?.text || '';
+  const toolUse = (data.content || []).find(block => block.type === 'tool_use');
+  const content = toolUse
+    ? JSON.stringify(toolUse.input || {})
+    : (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
   console.log(`${LOG_PREFIX} Response: ${content.length} chars`);
   return { output: content };
 }
@@ -0,0 +1,67 @@
+// Image Provider Contract
+//
+// Every image backend in main.js's PROVIDERS map is a plain module object with
+// the shape below. Wrap it in defineImageProvider() so a missing member fails at
+// startup instead of on the first generation.
+//
+// Required members:
+//   id            string — stable key used in settings, story overrides and job rows
+//   name          string — label shown in the UI
+//   capabilities  object — what the backend supports (see CAPABILITY_DEFAULTS)
+//   checkReady(store)              -> boolean, true when credentials/URL are configured
+//   getModels()                    -> [{ id, name, ... }] (may be a cached list)
+//   generate(prompt, negativePrompt, store, options) -> Promise<string> image data URL
+//
+// generate() options (all optional):
+//   seed                 integer — reproduce a previous image; omit for random
+//   onParams(params)     called once with the exact parameters sent ({ seed, model, width, height, ... })
+//   rawPrompt / rawNegativePrompt  prompts already include style/quality suffixes
+//   characterCaptions    [{ name, caption, negative, center }] — only when supportsCharacterCaptions()
+//   mode                 'img2img' | 'inpaint' with sourceImage, mask, strength, noise, width, height
+//   referenceImages      [{ name, image, strength }] — only when capabilities.referenceImages
+//
+// Optional members:
+//   getCapabilities(store)       -> partial capabilities that depend on settings (merged over `capabilities`)
+//   supportsCharacterCaptions(store), getArtStyles(), getPromptSuffix(store),
+//   getNegativeSuffix(store), fetchModelsForUI(store)
+
+const CAPABILITY_DEFAULTS = {
+  seed: false,            // honours options.seed and reports it through onParams
+  negativePrompt: false,  // sends the negative prompt to the model
+  img2img: false,         // options.mode === 'img2img'
+  inpaint: false,         // options.mode === 'inpaint'
+  referenceImages: false, // options.referenceImages (character portraits)
+  video: false,           // has a separate image-to-video API
+  maxWidth: 1024,
+  maxHeight: 1024,
+};
+
+const REQUIRED_FUNCTIONS = ['checkReady', 'getModels', 'generate'];
+
+function defineImageProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id) {
+    throw new Error('Image provider is missing an id');
+  }
+  if (typeof provider.name !== 'string') {
+    throw new Error(`Image provider "${provider.id}" is missing a name`);
+  }
+  for (const fn of REQUIRED_FUNCTIONS) {
+    if (typeof provider[fn] !== 'function') {
+      throw new Error(`Image provider "${provider.id}" must implement ${fn}()`);
+    }
+  }
+  provider.capabilities = { ...CAPABILITY_DEFAULTS, ...(provider.capabilities || {}) };
+  return provider;
+}
+
+// Effective capabilities for the provider under the given settings
+function getCapabilities(provider, store) {
+  const dynamic = provider.getCapabilities ? provider.getCapabilities(store) : null;
+  return { ...CAPABILITY_DEFAULTS, ...(provider.capabilities || {}), ...(dynamic || {}) };
+}
+
+module.exports = {
+  CAPABILITY_DEFAULTS,
+  defineImageProvider,
+  getCapabilities,
+};
@@ -0,0 +1,299 @@
+// Local Stable Diffusion Provider — Automatic1111 / Forge WebUI API or ComfyUI
+// Talks to a server on the user's machine, so generation works fully offline.
+//
+// A1111:   POST /sdapi/v1/txt2img | /sdapi/v1/img2img  (start the WebUI with --api)
+// ComfyUI: POST /prompt with an API-format workflow, poll /history/{id}, fetch /view
+
+const crypto = require('crypto');
+const { defineImageProvider } = require('./contract');
+
+const LOG_PREFIX = '[LocalSD]';
+const DEFAULT_URLS = { a1111: 'http://127.0.0.1:7860', comfyui: 'http://127.0.0.1:8188' };
+const DEFAULT_SAMPLERS = { a1111: 'Euler a', comfyui: 'euler' };
+const MAX_DIMENSION = 2048;
+const REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
+const COMFY_POLL_INTERVAL_MS = 1000;
+
+// ComfyUI workflow template (API format — "Save (API Format)" in ComfyUI).
+// String values that are exactly a placeholder are replaced with the typed value
+// (numbers stay numbers); placeholders inside longer strings are substituted as text.
+const DEFAULT_COMFY_WORKFLOW = {
+  '3': {
+    class_type: 'KSampler',
+    inputs: {
+      seed: '{{seed}}', steps: '{{steps}}', cfg: '{{cfg}}',
+      sampler_name: '{{sampler}}', scheduler: 'normal', denoise: 1,
+      model: ['4', 0], positive: ['6', 0], negative: ['7', 0], latent_image: ['5', 0],
+    },
+  },
+  '4': { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: '{{model}}' } },
+  '5': { class_type: 'EmptyLatentImage', inputs: { width: '{{width}}', height: '{{height}}', batch_size: 1 } },
+  '6': { class_type: 'CLIPTextEncode', inputs: { text: '{{prompt}}', clip: ['4', 1] } },
+  '7': { class_type: 'CLIPTextEncode', inputs: { text: '{{negative_prompt}}', clip: ['4', 1] } },
+  '8': { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+  '9': { class_type: 'SaveImage', inputs: { filename_prefix: 'scene-visualizer', images: ['8', 0] } },
+};
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+let modelsCache = [];
+
+function getSettings(store) {
+  const backend = store.get('localSdBackend') === 'comfyui' ? 'comfyui' : 'a1111';
+  const url = (store.get('localSdUrl') || DEFAULT_URLS[backend])
+    .trim()
+    .replace(/\/+$/, '')
+    .replace('localhost', '127.0.0.1');
+  return {
+    backend,
+    url,
+    model: store.get('localSdModel') || '',
+    sampler: store.get('localSdSampler') || DEFAULT_SAMPLERS[backend],
+    steps: store.get('localSdSteps') || 28,
+    cfgScale: store.get('localSdCfgScale') || 6,
+    workflow: store.get('localSdWorkflow') || '',
+  };
+}
+
+async function request(url, opts = {}) {
+  let res;
+  try {
+    res = await fetch(url, { ...opts, signal: AbortSignal.timeout(opts.timeout || REQUEST_TIMEOUT_MS) });
+  } catch (e) {
+    const reason = e.name === 'TimeoutError' ? 'timed out' : e.message;
+    throw new Error(`Local server at ${new URL(url).origin} is not reachable (${reason})`);
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`Local server error ${res.status}: ${text.slice(0, 200) || res.statusText}`);
+  }
+  return res;
+}
+
+function postJson(url, body) {
+  return request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }).then(res => res.json());
+}
+
+function stripDataUrl(dataUrl) {
+  return (dataUrl || '').replace(/^data:image\/[^;]+;base64,/, '');
+}
+
+// ---------------------------------------------------------------------------
+// Automatic1111 / Forge
+// ---------------------------------------------------------------------------
+
+async function generateA1111(prompt, negativePrompt, cfg, params, options) {
+  const body = {
+    prompt,
+    negative_prompt: negativePrompt || '',
+    seed: params.seed,
+    width: params.width,
+    height: params.height,
+    steps: params.steps,
+    cfg_scale: params.scale,
+    sampler_name: params.sampler,
+    batch_size: 1,
+    n_iter: 1,
+    ...(cfg.model ? { override_settings: { sd_model_checkpoint: cfg.model }, override_settings_restore_afterwards: false } : {}),
+  };
+
+  let endpoint = 'txt2img';
+  if (options.mode === 'img2img' || options.mode === 'inpaint') {
+    endpoint = 'img2img';
+    body.init_images = [stripDataUrl(options.sourceImage)];
+    body.denoising_strength = typeof options.strength === 'number' ? options.strength : 0.7;
+    if (options.mode === 'inpaint') {
+      body.mask = stripDataUrl(options.mask);
+      body.inpainting_fill = 1; // start from the original pixels under the mask
+      body.inpaint_full_res = false;
+      body.mask_blur = 4;
+    }
+  }
+
+  const data = await postJson(`${cfg.url}/sdapi/v1/${endpoint}`, body);
+  const image = data.images && data.images[0];
+  if (!image) throw new Error('Local server returned no image');
+
+  // The WebUI reports the seed it actually used (differs when seed was -1)
+  try {
+    const info = JSON.parse(data.info || '{}');
+    if (Number.isInteger(info.seed)) params.seed = info.seed;
+  } catch { /* info is optional */ }
+
+  return `data:image/png;base64,${image}`;
+}
+
+// ---------------------------------------------------------------------------
+// ComfyUI
+// ---------------------------------------------------------------------------
+
+function parseWorkflow(text) {
+  if (!text || !text.trim()) return DEFAULT_COMFY_WORKFLOW;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`ComfyUI workflow template is not valid JSON: ${e.message}`);
+  }
+}
+
+function fillWorkflow(node, values) {
+  if (typeof node === 'string') {
+    const exact = node.match(/^\{\{(\w+)\}\}$/);
+    if (exact && exact[1] in values) return values[exact[1]];
+    return node.replace(PLACEHOLDER, (m, key) => (key in values ? String(values[key]) : m));
+  }
+  if (Array.isArray(node)) return node.map(n => fillWorkflow(n, values));
+  if (node && typeof node === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(node)) out[k] = fillWorkflow(v, values);
+    return out;
+  }
+  return node;
+}
+
+async function generateComfy(prompt, negativePrompt, cfg, params) {
+  // ComfyUI has no "current checkpoint" — fall back to the first one installed
+  if (!cfg.model) {
+    if (modelsCache.length === 0) modelsCache = await fetchModels(cfg);
+    if (modelsCache.length === 0) throw new Error('ComfyUI has no checkpoints installed');
+    cfg = { ...cfg, model: modelsCache[0].id };
+    params.model = cfg.model;
+  }
+
+  const workflow = fillWorkflow(parseWorkflow(cfg.workflow), {
+    prompt,
+    negative_prompt: negativePrompt || '',
+    seed: params.seed,
+    width: params.width,
+    height: params.height,
+    steps: params.steps,
+    cfg: params.scale,
+    sampler: params.sampler,
+    model: cfg.model,
+  });
+
+  const clientId = crypto.randomUUID();
+  const queued = await postJson(`${cfg.url}/prompt`, { prompt: workflow, client_id: clientId });
+  if (!queued.prompt_id) {
+    throw new Error(`ComfyUI rejected the workflow: ${JSON.stringify(queued.node_errors || queued.error || queued).slice(0, 200)}`);
+  }
+
+  const deadline = Date.now() + REQUEST_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, COMFY_POLL_INTERVAL_MS));
+    const history = await (await request(`${cfg.url}/history/${queued.prompt_id}`, { timeout: 30000 })).json();
+    const entry = history[queued.prompt_id];
+    if (!entry) continue;
+
+    if (entry.status?.status_str === 'error') {
+      throw new Error('ComfyUI workflow failed — check the ComfyUI console');
+    }
+    const image = Object.values(entry.outputs || {}).flatMap(o => o.images || [])[0];
+    if (!image) {
+      if (entry.status?.completed) throw new Error('ComfyUI workflow produced no image (is there a SaveImage node?)');
+      continue;
+    }
+
+    const query = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' });
+    const res = await request(`${cfg.url}/view?${query}`, { timeout: 60000 });
+    const buffer = Buffer.from(await res.arrayBuffer());
+    const mime = res.headers.get('content-type') || 'image/png';
+    return `data:${mime};base64,${buffer.toString('base64')}`;
+  }
+  throw new Error('ComfyUI generation timed out');
+}
+
+// ---------------------------------------------------------------------------
+// Models
+// ---------------------------------------------------------------------------
+
+async function fetchModels(cfg) {
+  if (cfg.backend === 'comfyui') {
+    const data = await (await request(`${cfg.url}/object_info/CheckpointLoaderSimple`, { timeout: 15000 })).json();
+    const names = data.CheckpointLoaderSimple?.input?.required?.ckpt_name?.[0] || [];
+    return names.map(name => ({ id: name, name }));
+  }
+  const data = await (await request(`${cfg.url}/sdapi/v1/sd-models`, { timeout: 15000 })).json();
+  return (data || []).map(m => ({ id: m.title, name: m.model_name || m.title }));
+}
+
+module.exports = defineImageProvider({
+  id: 'local',
+  name: 'Local (A1111 / ComfyUI)',
+  capabilities: { seed: true, negativePrompt: true, maxWidth: MAX_DIMENSION, maxHeight: MAX_DIMENSION },
+
+  // img2img / inpainting go through the WebUI's img2img endpoint; ComfyUI workflows are txt2img
+  getCapabilities(store) {
+    const a1111 = getSettings(store).backend === 'a1111';
+    return { img2img: a1111, inpaint: a1111 };
+  },
+
+  DEFAULT_URLS,
+  DEFAULT_SAMPLERS,
+  DEFAULT_COMFY_WORKFLOW,
+
+  checkReady(store) {
+    return !!getSettings(store).url;
+  },
+
+  getModels() {
+    return modelsCache;
+  },
+
+  getArtStyles() {
+    return [];
+  },
+
+  async fetchModelsForUI(store) {
+    try {
+      modelsCache = await fetchModels(getSettings(store));
+      console.log(`${LOG_PREFIX} Found ${modelsCache.length} checkpoint(s)`);
+    } catch (e) {
+      console.log(`${LOG_PREFIX} Could not list models: ${e.message}`);
+    }
+    return modelsCache;
+  },
+
+  // Reachability check for the settings "Test" button
+  async testConnection(store) {
+    const cfg = getSettings(store);
+    try {
+      modelsCache = await fetchModels(cfg);
+      return { success: true, backend: cfg.backend, models: modelsCache };
+    } catch (e) {
+      return { success: false, backend: cfg.backend, error: e.message };
+    }
+  },
+
+  async generate(prompt, negativePrompt, store, options = {}) {
+    const cfg = getSettings(store);
+    const settings = store.get('imageSettings') || {};
+    const params = {
+      seed: Number.isInteger(options.seed) ? options.seed : Math.floor(Math.random() * 4294967295),
+      model: cfg.model,
+      width: Math.min(options.width || settings.width || 832, MAX_DIMENSION),
+      height: Math.min(options.height || settings.height || 1216, MAX_DIMENSION),
+      steps: cfg.steps,
+      scale: cfg.cfgScale,
+      sampler: cfg.sampler,
+      backend: cfg.backend,
+    };
+    if (options.mode && options.mode !== 'generate') {
+      params.mode = options.mode;
+      if (typeof options.strength === 'number') params.strength = options.strength;
+    }
+
+    console.log(`${LOG_PREFIX} Generating via ${cfg.backend} at ${cfg.url} (${params.width}x${params.height}, seed ${params.seed})`);
+
+    const imageData = cfg.backend === 'comfyui'
+      ? await generateComfy(prompt, negativePrompt, cfg, params)
+      : await generateA1111(prompt, negativePrompt, cfg, params, options);
+
+    if (options.onParams) options.onParams(params);
+    return imageData;
+  },
+});
@@ -1,4 +1,6 @@
 const AdmZip = require('adm-zip');
+const crypto = require('crypto');
+const { defineImageProvider } = require('./contract');
 
 // Art style presets for NovelAI
 const ART_STYLES = {
@@ -67,14 +69,48 @@ const ART_STYLES = {
 // Model configurations
 const MODEL_CONFIG = {
   // V3 Models (support SMEA)
-  'nai-diffusion-3': { isV4: false, name: 'NAI Diffusion Anime V3' },
-  'nai-diffusion-furry-3': { isV4: false, name: 'NAI Diffusion Furry V3' },
+  'nai-diffusion-3': { isV4: false, name: 'NAI Diffusion Anime V3', inpaintModel: 'nai-diffusion-3-inpainting' },
+  'nai-diffusion-furry-3': { isV4: false, name: 'NAI Diffusion Furry V3', inpaintModel: 'nai-diffusion-furry-3-inpainting' },
   // V4 Models
-  'nai-diffusion-4-curated-preview': { isV4: true, name: 'NAI Diffusion V4 Curated' },
-  'nai-diffusion-4-full': { isV4: true, name: 'NAI Diffusion V4 Full' },
+  'nai-diffusion-4-curated-preview': { isV4: true, name: 'NAI Diffusion V4 Curated', inpaintModel: 'nai-diffusion-4-curated-inpainting' },
+  'nai-diffusion-4-full': { isV4: true, name: 'NAI Diffusion V4 Full', inpaintModel: 'nai-diffusion-4-full-inpainting' },
   // V4.5 Models
-  'nai-diffusion-4-5-curated': { isV4: true, name: 'NAI Diffusion V4.5 Curated' },
-  'nai-diffusion-4-5-full': { isV4: true, name: 'NAI Diffusion V4.5 Full' },
+  'nai-diffusion-4-5-curated': { isV4: true, name: 'NAI Diffusion V4.5 Curated', inpaintModel: 'nai-diffusion-4-5-curated-inpainting' },
+  'nai-diffusion-4-5-full': { isV4: true, name: 'NAI Diffusion V4.5 Full', inpaintModel: 'nai-diffusion-4-5-full-inpainting' },
+};
+
+// Vibe transfer (reference images). V4+ needs each image encoded first via
+// /ai/encode-vibe, which costs Anlas — encodings are cached for the session.
+const MAX_REFERENCE_IMAGES = 4;
+const VIBE_INFORMATION_EXTRACTED = 1.0;
+const vibeCache = new Map();
+
+async function encodeVibe(apiToken, imageBase64, model) {
+  const key = crypto.createHash('sha1').update(`${model}:${VIBE_INFORMATION_EXTRACTED}:${imageBase64}`).digest('hex');
+  if (vibeCache.has(key)) return vibeCache.get(key);
+
+  const res = await fetch('https://image.novelai.net/ai/encode-vibe', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ image: imageBase64, information_extracted: VIBE_INFORMATION_EXTRACTED, model }),
+  });
+  if (!res.ok) {
+    const errorText = await res.text();
+    throw new Error(`Vibe encode error ${res.status}: ${errorText.substring(0, 200)}`);
+  }
+  const encoding = Buffer.from(await res.arrayBuffer()).toString('base64');
+  vibeCache.set(key, encoding);
+  return encoding;
+}
+
+// Request action per generation mode
+const MODE_ACTIONS = {
+  generate: 'generate',
+  img2img: 'img2img',
+  inpaint: 'infill',
 };
 
 // Quality presets per model
@@ -115,9 +151,13 @@ const UC_PRESETS = {
   },
 };
 
-module.exports = {
+module.exports = defineImageProvider({
   id: 'novelai',
   name: 'NovelAI',
+  capabilities: {
+    seed: true, negativePrompt: true, img2img: true, inpaint: true, referenceImages: true,
+    maxWidth: 1536, maxHeight: 1536,
+  },
 
   checkReady(store) {
     return !!store.get('apiToken');
@@ -177,6 +217,13 @@ module.exports = {
     };
   },
 
+  // Whether the selected model accepts per-character captions (V4 / V4.5 only).
+  supportsCharacterCaptions(store) {
+    const settings = store.get('imageSettings') || {};
+    const model = settings.model || 'nai-diffusion-4-5-full';
+    return (MODEL_CONFIG[model] || { isV4: true }).isV4;
+  },
+
   async generate(prompt, negativePrompt, store, options = {}) {
     const apiToken = store.get('apiToken');
     if (!apiToken) {
@@ -186,7 +233,19 @@ module.exports = {
     const settings = store.get('imageSettings');
     const model = settings.model || 'nai-diffusion-4-5-full';
     const modelConfig = MODEL_CONFIG[model] || { isV4: true };
-    const seed = Math.floor(Math.random() * 4294967295);
+    const seed = Number.isInteger(options.seed) ? options.seed : Math.floor(Math.random() * 4294967295);
+
+    // img2img keeps the base model; inpainting needs the matching -inpainting variant
+    const mode = options.mode || 'generate';
+    const action = MODE_ACTIONS[mode];
+    if (!action) throw new Error(`Unknown generation mode: ${mode}`);
+    if (mode !== 'generate' && !options.sourceImage) {
+      throw new Error(`${mode} requires a source image`);
+    }
+    if (mode === 'inpaint' && !options.mask) {
+      throw new Error('Inpainting requires a mask');
+    }
+    const requestModel = mode === 'inpaint' ? (modelConfig.inpaintModel || model) : model;
 
     // Get art style
     const artStyleId = store.get('novelaiArtStyle') || 'no-style';
@@ -214,16 +273,23 @@ module.exports = {
       finalPrompt = prompt + artStyle.prompt + qualityTags;
     }
 
-    console.log(`[NovelAI] Using model: ${model}, isV4: ${modelConfig.isV4}`);
+    // Per-character captions (V4 only). V3 has no char_captions, so fold them
+    // into the main prompt ahead of the scene description.
+    const characterCaptions = (options.characterCaptions || []).filter(c => c && c.caption);
+    if (characterCaptions.length > 0 && !modelConfig.isV4) {
+      finalPrompt = [...characterCaptions.map(c => c.caption), finalPrompt].filter(Boolean).join(', ');
+    }
+
+    console.log(`[NovelAI] Using model: ${requestModel}, action: ${action}, isV4: ${modelConfig.isV4}, characters: ${characterCaptions.length}`);
 
     // Build request body
     const requestBody = {
-      model: model,
-      action: 'generate',
+      model: requestModel,
+      action,
       input: finalPrompt,
       parameters: {
-        width: settings.width,
-        height: settings.height,
+        width: options.width || settings.width,
+        height: options.height || settings.height,
         steps: settings.steps,
         scale: settings.scale,
         sampler: settings.sampler,
@@ -238,6 +304,19 @@ module.exports = {
     // Add model-specific parameters
     if (modelConfig.isV4) {
       const noiseSchedule = settings.noiseSchedule || 'native';
+      // Explicit placement only when the scene gave at least one character a position;
+      // otherwise let the model arrange them (use_order keeps caption order meaningful)
+      const useCoords = characterCaptions.some(c => c.center);
+      const hasCharacters = characterCaptions.length > 0;
+      const centerOf = (c) => [c.center || { x: 0.5, y: 0.5 }];
+      const charCaptions = characterCaptions.map(c => ({
+        char_caption: c.caption,
+        centers: centerOf(c),
+      }));
+      const charNegatives = characterCaptions.map(c => ({
+        char_caption: c.negative || '',
+        centers: centerOf(c),
+      }));
       const v4Params = {
         params_version: 1,
         legacy: false,
@@ -248,23 +327,29 @@ module.exports = {
         sm: false,
         sm_dyn: false,
         autoSmea: false,
-        use_coords: false,
+        use_coords: useCoords,
         uncond_scale: 1.0,
         extra_noise_seed: seed,
+        characterPrompts: characterCaptions.map(c => ({
+          prompt: c.caption,
+          uc: c.negative || '',
+          center: centerOf(c)[0],
+          enabled: true,
+        })),
         v4_prompt: {
-          use_coords: false,
-          use_order: false,
+          use_coords: useCoords,
+          use_order: hasCharacters,
           caption: {
             base_caption: finalPrompt,
-            char_captions: []
+            char_captions: charCaptions
           }
         },
         v4_negative_prompt: {
-          use_coords: false,
-          use_order: false,
+          use_coords: useCoords,
+          use_order: hasCharacters,
           caption: {
             base_caption: finalNegative,
-            char_captions: []
+            char_captions: charNegatives
           }
         }
       };
@@ -285,6 +370,59 @@ module.exports = {
       });
     }
 
+    // Source image (and mask) for img2img / infill — raw base64, no data: prefix
+    const strength = typeof options.strength === 'number' ? options.strength : 0.7;
+    const noise = typeof options.noise === 'number' ? options.noise : 0;
+    if (mode !== 'generate') {
+      Object.assign(requestBody.parameters, {
+        image: options.sourceImage.replace(/^data:image\/\w+;base64,/, ''),
+        strength,
+        noise,
+      });
+    }
+    if (mode === 'inpaint') {
+      Object.assign(requestBody.parameters, {
+        mask: options.mask.replace(/^data:image\/\w+;base64,/, ''),
+        add_original_image: true,
+        inpaintImg2ImgStrength: strength,
+      });
+    }
+
+    // Character references (active portraits) as vibe transfer; a failed encode
+    // drops the references rather than the whole generation
+    const references = (options.referenceImages || []).filter(r => r && r.image).slice(0, MAX_REFERENCE_IMAGES);
+    let usedReferences = [];
+    if (references.length > 0) {
+      try {
+        const images = [];
+        for (const ref of references) {
+          const raw = ref.image.replace(/^data:image\/\w+;base64,/, '');
+          images.push(modelConfig.isV4 ? await encodeVibe(apiToken, raw, model) : raw);
+        }
+        Object.assign(requestBody.parameters, {
+          reference_image_multiple: images,
+          reference_information_extracted_multiple: references.map(() => VIBE_INFORMATION_EXTRACTED),
+          reference_strength_multiple: references.map(r => r.strength),
+          ...(modelConfig.isV4 ? { normalize_reference_strength_multiple: true } : {}),
+        });
+        usedReferences = references.map(r => ({ name: r.name || '', strength: r.strength }));
+        console.log(`[NovelAI] Using ${references.length} character reference(s)`);
+      } catch (e) {
+        console.warn('[NovelAI] Character references skipped:', e.message);
+      }
+    }
+
+    if (options.onParams) {
+      const p = requestBody.parameters;
+      options.onParams({
+        seed, model: requestModel, width: p.width, height: p.height, steps: p.steps, scale: p.scale,
+        sampler: p.sampler, cfgRescale: p.cfg_rescale, noiseSchedule: p.noise_schedule,
+        ucPreset: settings.ucPreset || 'heavy', qualityTags: !!settings.qualityTags, artStyle: artStyleId,
+        ...(mode !== 'generate' ? { mode, strength, noise } : {}),
+        ...(usedReferences.length > 0 ? { references: usedReferences } : {}),
+      });
+    }
+
     console.log('[NovelAI] Generating image with prompt:', prompt.substring(0, 100) + '...');
 
     const response = await fetch('https://image.novelai.net/ai/generate-image', {
@@ -498,4 +636,4 @@ module.exports = {
     ];
     return chain.filter(m => m !== currentModel);
   }
-};
+});
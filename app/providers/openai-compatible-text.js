@@ -0,0 +1,200 @@
+/**
+ * OpenAI-Compatible Text Provider — chat completions against any server that speaks
+ * the OpenAI API: LM Studio, vLLM, llama.cpp server, OpenRouter, text-generation-webui...
+ * TEXT-ONLY provider (not image generation).
+ * Follows generateTextFn contract: async (messages, options) => { output: string }
+ */
+
+const LOG_PREFIX = '[Compat-Text]';
+
+const id = 'openai-compatible';
+const name = 'OpenAI-Compatible';
+const defaultBaseUrl = 'http://127.0.0.1:1234/v1';
+
+// Non-streaming calls must finish within this; streaming calls must get response headers
+// within it and then only need to keep producing tokens (local models can take minutes
+// for a long answer)
+const REQUEST_TIMEOUT_MS = 120000;
+const STREAM_IDLE_TIMEOUT_MS = 60000;
+
+function getBaseUrl(store) {
+  return (store.get('compatBaseUrl') || defaultBaseUrl).trim().replace(/\/+$/, '').replace('localhost', '127.0.0.1');
+}
+
+function buildHeaders(store) {
+  const headers = { 'Content-Type': 'application/json' };
+  const apiKey = store.get('compatApiKey');
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+  // Extra headers (e.g. OpenRouter's HTTP-Referer / X-Title) — may override the defaults
+  Object.assign(headers, store.get('compatHeaders') || {});
+  return headers;
+}
+
+/**
+ * List models the server exposes (GET /models).
+ * @param {import('electron-store')} store
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function listModels(store) {
+  const response = await fetch(`${getBaseUrl(store)}/models`, {
+    headers: buildHeaders(store),
+    signal: AbortSignal.timeout(5000),
+  });
+  if (!response.ok) {
+    throw new Error(`Model list failed: HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.data || data.models || []).map(m => ({ id: m.id || m.name, name: m.name || m.id }));
+}
+
+// Servers like LM Studio serve whatever is loaded; use the first model when none is configured
+async function resolveModel(options, store) {
+  const configured = options.model || store.get('compatModel');
+  if (configured) return configured;
+  const models = await listModels(store);
+  if (models.length === 0) throw new Error('OpenAI-compatible server reports no models — set one in Settings');
+  return models[0].id;
+}
+
+// Read an SSE chat-completions stream, calling onToken for each content delta
+async function readStream(response, controller, onToken) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let output = '';
+  let idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT_MS);
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT_MS);
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return output;
+        try {
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) {
+            output += delta;
+            if (onToken) onToken(delta);
+          }
+        } catch { /* keep-alive comments / partial frames */ }
+      }
+    }
+    return output;
+  } finally {
+    clearTimeout(idleTimer);
+  }
+}
+
+// response_format values to try for a schema, most specific first: many servers (older
+// llama.cpp, text-generation-webui) reject json_schema but accept plain JSON mode
+function responseFormats(jsonSchema) {
+  if (!jsonSchema) return [null];
+  return [
+    { type: 'json_schema', json_schema: { name: 'response', schema: jsonSchema, strict: false } },
+    { type: 'json_object' },
+  ];
+}
+
+/**
+ * Generate text via an OpenAI-compatible chat completions endpoint.
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {{max_tokens?: number, temperature?: number, model?: string, jsonSchema?: Object, onToken?: (delta: string) => void}} options
+ *   jsonSchema — ask for a reply following this schema (response_format json_schema,
+ *   falling back to json_object when the server rejects the schema)
+ * @param {import('electron-store')} store
+ * @returns {Promise<{output: string}>}
+ */
+async function generateText(messages, options, store) {
+  const formats = responseFormats(options.jsonSchema);
+  for (let i = 0; ; i++) {
+    try {
+      return await requestCompletion(messages, options, store, formats[i]);
+    } catch (err) {
+      const rejected = err.status === 400 || err.status === 422;
+      if (!rejected || i === formats.length - 1) throw err;
+      console.warn(`${LOG_PREFIX} Server rejected response_format ${formats[i].type}, retrying with ${formats[i + 1].type}`);
+    }
+  }
+}
+
+async function requestCompletion(messages, options, store, responseFormat) {
+  const baseUrl = getBaseUrl(store);
+  const model = await resolveModel(options, store);
+  const maxTokens = options.max_tokens || 300;
+  const temperature = options.temperature || 0.4;
+  const stream = store.get('compatStream') !== false;
+
+  console.log(`${LOG_PREFIX} Calling ${model} at ${baseUrl} (max_tokens=${maxTokens}, temp=${temperature}${stream ? ', streaming' : ''})`);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: buildHeaders(store),
+        body: JSON.stringify({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          stream,
+          ...(responseFormat ? { response_format: responseFormat } : {}),
+        }),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`OpenAI-compatible API timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+      throw err;
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      const err = new Error(`OpenAI-compatible API error ${response.status}: ${text}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    let content;
+    if (stream && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+      // From here the stream's idle timer decides when the server has stalled
+      clearTimeout(timeout);
+      try {
+        content = await readStream(response, controller, options.onToken);
+      } catch (err) {
+        if (err.name === 'AbortError') throw new Error(`OpenAI-compatible stream stalled for ${STREAM_IDLE_TIMEOUT_MS / 1000}s`);
+        throw err;
+      }
+    } else {
+      // Server ignored stream: true — treat it as a normal response
+      const data = await response.json();
+      content = data.choices?.[0]?.message?.content || '';
+    }
+    console.log(`${LOG_PREFIX} Response: ${content.length} chars`);
+    return { output: content };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Check if the provider is ready (has a base URL; key and model are optional).
+ * @param {import('electron-store')} store
+ * @returns {boolean}
+ */
+function checkReady(store) {
+  return !!getBaseUrl(store);
+}
+
+module.exports = { id, name, defaultBaseUrl, generateText, listModels, checkReady };
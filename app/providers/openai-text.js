@@ -13,7 +13,8 @@ const defaultModel = 'gpt-4o-mini';
 /**
  * Generate text via OpenAI chat completions API.
  * @param {Array<{role: string, content: string}>} messages
- * @param {{max_tokens?: number, temperature?: number, model?: string}} options
+ * @param {{max_tokens?: number, temperature?: number, model?: string, jsonSchema?: Object}} options
+ *   jsonSchema — constrain the reply to this JSON schema (response_format json_schema)
  * @param {import('electron-store')} store
  * @returns {Promise<{output: string}>}
  */
@@ -43,6 +44,12 @@ async function generateText(messages, options, store) {
         messages,
         max_tokens: maxTokens,
         temperature,
+        ...(options.jsonSchema ? {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema: options.jsonSchema, strict: false },
+          },
+        } : {}),
       }),
       signal: controller.signal,
     });
@@ -1,6 +1,7 @@
 const { BrowserWindow, session } = require('electron');
 const path = require('path');
 const { extractPerchanceKey } = require('../perchance-key');
+const { defineImageProvider } = require('./contract');
 
 const CHROME_UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
@@ -333,9 +334,11 @@ async function ensureKeyVerified(userKey) {
 }
 
 
-module.exports = {
+module.exports = defineImageProvider({
   id: 'perchance',
   name: 'Perchance (Free)',
+  // Text-to-image only — no img2img, inpainting or reference-image support
+  capabilities: { seed: true, negativePrompt: true, maxWidth: 768, maxHeight: 768 },
 
   checkReady(store) {
     return !!store.get('perchanceUserKey');
@@ -404,7 +407,8 @@ module.exports = {
     const resolution = `${width}x${height}`;
 
     const guidanceScale = store.get('perchanceGuidanceScale') || 7;
-    const seed = Math.floor(Math.random() * 4294967295);
+    const fixedSeed = Number.isInteger(options.seed);
+    const seed = fixedSeed ? options.seed : Math.floor(Math.random() * 4294967295);
 
     console.log(`[Perchance] Generating with style: ${artStyleId}, resolution: ${resolution}`);
 
@@ -448,7 +452,7 @@ module.exports = {
       // Update cache-busting params on each attempt
       generateUrl.searchParams.set('requestId', `aiImageCompletion${Math.floor(Math.random() * 1e9)}`);
       generateUrl.searchParams.set('__cacheBust', String(Math.random()));
-      generateBody.seed = Math.floor(Math.random() * 4294967295);
+      if (!fixedSeed) generateBody.seed = Math.floor(Math.random() * 4294967295);
 
       const generateResult = await browserFetch(generateUrl.toString(), {
         method: 'POST',
@@ -517,6 +521,13 @@ module.exports = {
       throw new Error('No image ID in Perchance response: ' + JSON.stringify(generateData));
     }
 
+    // Report the seed of the attempt that actually succeeded
+    if (options.onParams) {
+      options.onParams({
+        seed: generateBody.seed, width, height, scale: guidanceScale, artStyle: artStyleId,
+      });
+    }
+
     // Step 2: Download the generated image (via browser)
     const downloadUrl = `https://image-generation.perchance.org/api/downloadTemporaryImage?imageId=${encodeURIComponent(generateData.imageId)}`;
     const base64 = await browserFetchBase64(downloadUrl);
@@ -524,4 +535,4 @@ module.exports = {
     console.log('[Perchance] Image generated successfully');
     return `data:image/jpeg;base64,${base64}`;
   }
-};
+});
@@ -7,6 +7,7 @@
 
 const { BrowserWindow } = require('electron');
 const http = require('http');
+const { defineImageProvider } = require('./contract');
 
 // Persistent hidden BrowserWindow for puter.js calls
 let puterWindow = null;
@@ -144,9 +145,11 @@ async function getPuterWindow(showForAuth = false) {
   throw new Error('Puter.js SDK did not load within 15 seconds');
 }
 
-module.exports = {
+module.exports = defineImageProvider({
   id: 'puter',
   name: 'Puter.js (35+ models)',
+  // Text-to-image only, and puter.ai.txt2img exposes no seed
+  capabilities: { negativePrompt: true, maxWidth: 1536, maxHeight: 1536 },
 
   checkReady() {
     // Puter requires no API key — always "ready" (auth happens on first generate)
@@ -161,7 +164,7 @@ module.exports = {
     return [];
   },
 
-  async generate(prompt, negativePrompt, store) {
+  async generate(prompt, negativePrompt, store, options = {}) {
     const model = store.get('puterModel') || 'dall-e-3';
     const quality = store.get('puterQuality') || 'standard';
     const settings = store.get('imageSettings');
@@ -186,6 +189,11 @@ module.exports = {
       opts.quality = quality;
     }
 
+    // puter.ai.txt2img has no seed control — report null so callers don't offer re-rolls
+    if (options.onParams) {
+      options.onParams({ seed: null, model, width, height, ...(useQuality ? { quality } : {}) });
+    }
+
     const optsJson = JSON.stringify(opts);
     const promptJson = JSON.stringify(prompt);
 
@@ -224,4 +232,4 @@ module.exports = {
     console.log('[Puter] Image generated successfully');
     return result.dataUrl;
   }
-};
+});
@@ -1,6 +1,8 @@
 // Venice AI Image + Video Generation Provider
 // API Docs: https://docs.venice.ai/api-reference
 
+const { defineImageProvider } = require('./contract');
+
 const MAX_DIMENSION = 1280;
 const API_BASE = 'https://api.venice.ai/api/v1';
 
@@ -130,9 +132,11 @@ async function fetchVideoModels(apiKey) {
   }
 }
 
-module.exports = {
+module.exports = defineImageProvider({
   id: 'venice',
   name: 'Venice AI',
+  // No img2img, inpainting or reference images; video is the separate queueVideo API
+  capabilities: { seed: true, negativePrompt: true, video: true, maxWidth: 1280, maxHeight: 1280 },
 
   checkReady(store) {
     return !!store.get('veniceApiKey');
@@ -168,7 +172,7 @@ module.exports = {
     return fetchVideoModels(apiKey);
   },
 
-  async generate(prompt, negativePrompt, store) {
+  async generate(prompt, negativePrompt, store, options = {}) {
     const apiKey = store.get('veniceApiKey');
     if (!apiKey) {
       throw new Error('No Venice AI API key configured. Add one in Settings.');
@@ -207,9 +211,16 @@ module.exports = {
       body.style_preset = stylePreset;
     }
 
-    const seed = Math.floor(Math.random() * 999999999);
+    const seed = Number.isInteger(options.seed) ? options.seed % 999999999 : Math.floor(Math.random() * 999999999);
     body.seed = seed;
 
+    if (options.onParams) {
+      options.onParams({
+        seed, model, width, height, steps, scale: cfgScale,
+        stylePreset: stylePreset || '', safeMode,
+      });
+    }
+
     const res = await fetch(`${API_BASE}/image/generate`, {
       method: 'POST',
       headers: {
@@ -420,4 +431,4 @@ module.exports = {
       executionDuration: data.execution_duration,
     };
   },
-};
+});
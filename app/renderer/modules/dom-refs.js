@@ -9,10 +9,18 @@ export const imageContainer = document.getElementById('imageContainer');
 export const loadingIndicator = document.getElementById('loadingIndicator');
 export const promptDisplay = document.getElementById('promptDisplay');
 export const negativePromptDisplay = document.getElementById('negativePromptDisplay');
+export const negativePromptLabel = document.getElementById('negativePromptLabel');
+export const characterCaptionsDisplay = document.getElementById('characterCaptionsDisplay');
+export const characterCaptionsList = document.getElementById('characterCaptionsList');
 
 // Buttons
 export const generateBtn = document.getElementById('generateBtn');
 export const sidebarGenerateBtn = document.getElementById('sidebarGenerateBtn');
+export const seedLabel = document.getElementById('seedLabel');
+export const seedRerollBtn = document.getElementById('seedRerollBtn');
+export const seedVaryBtn = document.getElementById('seedVaryBtn');
+export const seedLockBtn = document.getElementById('seedLockBtn');
+export const editImageBtn = document.getElementById('editImageBtn');
 export const togglePanelBtn = document.getElementById('togglePanelBtn');
 export const settingsBtn = document.getElementById('settingsBtn');
 export const reloadBtn = document.getElementById('reloadBtn');
@@ -75,6 +83,20 @@ export const puterModelSelect = document.getElementById('puterModel');
 export const puterQualitySelect = document.getElementById('puterQuality');
 export const puterQualityGroup = document.getElementById('puterQualityGroup');
 
+// Settings elements -- Local Stable Diffusion
+export const localSdBackendSelect = document.getElementById('localSdBackend');
+export const localSdUrlInput = document.getElementById('localSdUrl');
+export const localSdStatusDot = document.getElementById('localSdStatusDot');
+export const localSdStatusText = document.getElementById('localSdStatusText');
+export const localSdTestBtn = document.getElementById('localSdTestBtn');
+export const localSdModelSelect = document.getElementById('localSdModel');
+export const localSdSamplerInput = document.getElementById('localSdSampler');
+export const localSdStepsInput = document.getElementById('localSdSteps');
+export const localSdCfgScaleInput = document.getElementById('localSdCfgScale');
+export const localSdWorkflowGroup = document.getElementById('localSdWorkflowGroup');
+export const localSdWorkflowInput = document.getElementById('localSdWorkflow');
+export const localSdWorkflowDefault = document.getElementById('localSdWorkflowDefault');
+
 // Auto-generate toggle
 export const autoGenerateToggle = document.getElementById('autoGenerateToggle');
 
@@ -99,6 +121,28 @@ export const textLlmOpenaiModel = document.getElementById('textLlmOpenaiModel');
 export const textLlmAnthropicKey = document.getElementById('textLlmAnthropicKey');
 export const textLlmAnthropicModel = document.getElementById('textLlmAnthropicModel');
 export const textLlmOllamaModelSelect = document.getElementById('textLlmOllamaModelSelect');
+export const textLlmCompatBaseUrl = document.getElementById('textLlmCompatBaseUrl');
+export const textLlmCompatKey = document.getElementById('textLlmCompatKey');
+export const textLlmCompatModel = document.getElementById('textLlmCompatModel');
+export const textLlmCompatModelList = document.getElementById('textLlmCompatModelList');
+export const textLlmCompatDetectBtn = document.getElementById('textLlmCompatDetectBtn');
+export const textLlmCompatStatus = document.getElementById('textLlmCompatStatus');
+export const textLlmCompatHeaders = document.getElementById('textLlmCompatHeaders');
+export const textLlmCompatStream = document.getElementById('textLlmCompatStream');
+export const llmRoutingScope = document.getElementById('llmRoutingScope');
+export const llmRoutingTable = document.getElementById('llmRoutingTable');
+
+// Gallery storage (settings)
+export const galleryRetentionHint = document.getElementById('galleryRetentionHint');
+export const galleryRetentionFields = document.getElementById('galleryRetentionFields');
+export const galleryMaxImages = document.getElementById('galleryMaxImages');
+export const galleryMaxVideos = document.getElementById('galleryMaxVideos');
+export const galleryMaxDiskMB = document.getElementById('galleryMaxDiskMB');
+export const galleryMaxAgeDays = document.getElementById('galleryMaxAgeDays');
+export const galleryTrashDays = document.getElementById('galleryTrashDays');
+export const galleryKeepFavorites = document.getElementById('galleryKeepFavorites');
+export const galleryKeepCommitted = document.getElementById('galleryKeepCommitted');
+export const galleryDiskUsage = document.getElementById('galleryDiskUsage');
 
 // NovelAI token status elements
 export const novelaiTokenDot = document.getElementById('novelaiTokenDot');
@@ -126,6 +170,27 @@ export const commitCancelBtn = document.getElementById('commitCancelBtn');
 export const commitStoryLabel = document.getElementById('commitStoryLabel');
 export const storyIndicator = document.getElementById('storyIndicator');
 export const sbLinkBtn = document.getElementById('sbLinkBtn');
+export const sbExportFormat = document.getElementById('sbExportFormat');
+export const sbExportLayout = document.getElementById('sbExportLayout');
+export const sbExportBtn = document.getElementById('sbExportBtn');
+export const sbImportBtn = document.getElementById('sbImportBtn');
+export const sbAutoBeats = document.getElementById('sbAutoBeats');
+export const sbAutoStartBtn = document.getElementById('sbAutoStartBtn');
+export const sbAutoPauseBtn = document.getElementById('sbAutoPauseBtn');
+export const sbAutoCancelBtn = document.getElementById('sbAutoCancelBtn');
+export const sbAutoStatus = document.getElementById('sbAutoStatus');
+export const sbAutoProgressFill = document.getElementById('sbAutoProgressFill');
+export const sbAnimateSelectAll = document.getElementById('sbAnimateSelectAll');
+export const sbAnimateSelection = document.getElementById('sbAnimateSelection');
+export const sbAnimateBtn = document.getElementById('sbAnimateBtn');
+export const sbSlideshowBtn = document.getElementById('sbSlideshowBtn');
+export const sbSlideshowModal = document.getElementById('sbSlideshowModal');
+export const sbSlideshowVideo = document.getElementById('sbSlideshowVideo');
+export const sbSlideshowCaption = document.getElementById('sbSlideshowCaption');
+export const sbSlidePrevBtn = document.getElementById('sbSlidePrevBtn');
+export const sbSlideNextBtn = document.getElementById('sbSlideNextBtn');
+export const sbSlideCounter = document.getElementById('sbSlideCounter');
+export const sbSlideCloseBtn = document.getElementById('sbSlideCloseBtn');
 export const toastEl = document.getElementById('toast');
 
 // Suggestions elements
@@ -272,6 +337,9 @@ export const rpgEnableBtn = document.getElementById('rpgEnableBtn');
 export const rpgDismissBtn = document.getElementById('rpgDismissBtn');
 export const rpgSystemIndicator = document.getElementById('rpgSystemIndicator');
 export const rpgSystemType = document.getElementById('rpgSystemType');
+export const rpgSystemSelect = document.getElementById('rpgSystemSelect');
+export const rpgSystemsBtn = document.getElementById('rpgSystemsBtn');
+export const rpgParsersBtn = document.getElementById('rpgParsersBtn');
 export const rpgScanBtn = document.getElementById('rpgScanBtn');
 export const rpgSyncLorebookBtn = document.getElementById('rpgSyncLorebookBtn');
 export const rpgReverseSyncBtn = document.getElementById('rpgReverseSyncBtn');
@@ -282,6 +350,7 @@ export const rpgPartyCount = document.getElementById('rpgPartyCount');
 export const rpgQuestListActive = document.getElementById('rpgQuestListActive');
 export const rpgQuestListDone = document.getElementById('rpgQuestListDone');
 export const rpgQuestCount = document.getElementById('rpgQuestCount');
+export const rpgQuestChains = document.getElementById('rpgQuestChains');
 export const rpgNpcList = document.getElementById('rpgNpcList');
 export const rpgNpcCount = document.getElementById('rpgNpcCount');
 export const rpgUpdatesList = document.getElementById('rpgUpdatesList');
@@ -370,6 +439,39 @@ export const mediaContent = document.getElementById('mediaContent');
 export const mediaGrid = document.getElementById('mediaGrid');
 export const mediaCount = document.getElementById('mediaCount');
 export const mediaFilterSelect = document.getElementById('mediaFilter');
+export const mediaSearch = document.getElementById('mediaSearch');
+export const mediaFavOnly = document.getElementById('mediaFavOnly');
+export const mediaFilterSummary = document.getElementById('mediaFilterSummary');
+export const mediaFilterProvider = document.getElementById('mediaFilterProvider');
+export const mediaFilterModel = document.getElementById('mediaFilterModel');
+export const mediaFilterResolution = document.getElementById('mediaFilterResolution');
+export const mediaFilterCharacter = document.getElementById('mediaFilterCharacter');
+export const mediaFilterTag = document.getElementById('mediaFilterTag');
+export const mediaFilterFrom = document.getElementById('mediaFilterFrom');
+export const mediaFilterTo = document.getElementById('mediaFilterTo');
+export const mediaFilterClear = document.getElementById('mediaFilterClear');
+export const mediaTrashBar = document.getElementById('mediaTrashBar');
+export const mediaTrashInfo = document.getElementById('mediaTrashInfo');
+export const mediaEmptyTrash = document.getElementById('mediaEmptyTrash');
+export const mediaLibraryBtn = document.getElementById('mediaLibraryBtn');
+export const mediaImportBtn = document.getElementById('mediaImportBtn');
+
+// Media library (all stories)
+export const mediaLibraryModal = document.getElementById('mediaLibraryModal');
+export const libraryStory = document.getElementById('libraryStory');
+export const libraryType = document.getElementById('libraryType');
+export const librarySearch = document.getElementById('librarySearch');
+export const libraryFavOnly = document.getElementById('libraryFavOnly');
+export const librarySelectAll = document.getElementById('librarySelectAll');
+export const librarySelection = document.getElementById('librarySelection');
+export const libraryExportBtn = document.getElementById('libraryExportBtn');
+export const libraryMoveTarget = document.getElementById('libraryMoveTarget');
+export const libraryMoveBtn = document.getElementById('libraryMoveBtn');
+export const libraryCommitTarget = document.getElementById('libraryCommitTarget');
+export const libraryCommitBtn = document.getElementById('libraryCommitBtn');
+export const libraryDeleteBtn = document.getElementById('libraryDeleteBtn');
+export const libraryGrid = document.getElementById('libraryGrid');
+export const libraryCloseBtn = document.getElementById('libraryCloseBtn');
 export const mediaLightbox = document.getElementById('mediaLightbox');
 export const mediaLightboxContent = document.getElementById('mediaLightboxContent');
 export const mediaLightboxClose = document.getElementById('mediaLightboxClose');
@@ -384,3 +486,101 @@ export const loreNewCategoryColor = document.getElementById('loreNewCategoryColo
 export const loreAddCategoryConfirm = document.getElementById('loreAddCategoryConfirm');
 export const loreAddCategoryCancel = document.getElementById('loreAddCategoryCancel');
 export const dynamicCategoriesStyle = document.getElementById('dynamic-categories');
+
+// Image edit (img2img / inpaint) modal elements
+export const imageEditModal = document.getElementById('imageEditModal');
+export const imageEditCanvasWrap = document.getElementById('imageEditCanvasWrap');
+export const imageEditCanvas = document.getElementById('imageEditCanvas');
+export const imageEditMaskCanvas = document.getElementById('imageEditMaskCanvas');
+export const imageEditMaskTools = document.getElementById('imageEditMaskTools');
+export const imageEditBrushSize = document.getElementById('imageEditBrushSize');
+export const imageEditEraseToggle = document.getElementById('imageEditEraseToggle');
+export const imageEditClearMaskBtn = document.getElementById('imageEditClearMaskBtn');
+export const imageEditStrength = document.getElementById('imageEditStrength');
+export const imageEditStrengthValue = document.getElementById('imageEditStrengthValue');
+export const imageEditNoise = document.getElementById('imageEditNoise');
+export const imageEditNoiseValue = document.getElementById('imageEditNoiseValue');
+export const imageEditPrompt = document.getElementById('imageEditPrompt');
+export const imageEditUnsupported = document.getElementById('imageEditUnsupported');
+export const imageEditCancelBtn = document.getElementById('imageEditCancelBtn');
+export const imageEditGenerateBtn = document.getElementById('imageEditGenerateBtn');
+
+// Generation queue elements
+export const queueVariations = document.getElementById('queueVariations');
+export const queuePriority = document.getElementById('queuePriority');
+export const queueBatchBtn = document.getElementById('queueBatchBtn');
+export const queueOpenBtn = document.getElementById('queueOpenBtn');
+export const queueBadge = document.getElementById('queueBadge');
+export const jobQueueModal = document.getElementById('jobQueueModal');
+export const jobQueueConcurrency = document.getElementById('jobQueueConcurrency');
+export const jobQueueList = document.getElementById('jobQueueList');
+export const videoJobList = document.getElementById('videoJobList');
+export const jobQueueClearBtn = document.getElementById('jobQueueClearBtn');
+export const jobQueueCloseBtn = document.getElementById('jobQueueCloseBtn');
+
+// Usage dashboard
+export const usageBtn = document.getElementById('usageBtn');
+export const usageModal = document.getElementById('usageModal');
+export const usageScope = document.getElementById('usageScope');
+export const usageDays = document.getElementById('usageDays');
+export const usageBudgetBanner = document.getElementById('usageBudgetBanner');
+export const usageTotals = document.getElementById('usageTotals');
+export const usageByDay = document.getElementById('usageByDay');
+export const usageByStory = document.getElementById('usageByStory');
+export const usageBySubsystem = document.getElementById('usageBySubsystem');
+export const usageByProvider = document.getElementById('usageByProvider');
+export const usageJsonStats = document.getElementById('usageJsonStats');
+export const usageBudgetDailyCost = document.getElementById('usageBudgetDailyCost');
+export const usageBudgetDailyTokens = document.getElementById('usageBudgetDailyTokens');
+export const usageBudgetStoryCost = document.getElementById('usageBudgetStoryCost');
+export const usagePricingTable = document.getElementById('usagePricingTable');
+export const usageClearBtn = document.getElementById('usageClearBtn');
+export const usageSaveBtn = document.getElementById('usageSaveBtn');
+export const usageCloseBtn = document.getElementById('usageCloseBtn');
+
+// LitRPG systems editor
+export const rpgSystemsModal = document.getElementById('rpgSystemsModal');
+export const rpgSystemsList = document.getElementById('rpgSystemsList');
+export const rpgSystemName = document.getElementById('rpgSystemName');
+export const rpgSystemScope = document.getElementById('rpgSystemScope');
+export const rpgSystemBase = document.getElementById('rpgSystemBase');
+export const rpgSystemStats = document.getElementById('rpgSystemStats');
+export const rpgSystemSlots = document.getElementById('rpgSystemSlots');
+export const rpgSystemClasses = document.getElementById('rpgSystemClasses');
+export const rpgSystemRealms = document.getElementById('rpgSystemRealms');
+export const rpgSystemCurrencies = document.getElementById('rpgSystemCurrencies');
+export const rpgSystemContextHint = document.getElementById('rpgSystemContextHint');
+export const rpgSystemQuestHint = document.getElementById('rpgSystemQuestHint');
+export const rpgSystemPatterns = document.getElementById('rpgSystemPatterns');
+export const rpgSystemPatternHelp = document.getElementById('rpgSystemPatternHelp');
+export const rpgSystemNewBtn = document.getElementById('rpgSystemNewBtn');
+export const rpgSystemSaveBtn = document.getElementById('rpgSystemSaveBtn');
+export const rpgSystemDeleteBtn = document.getElementById('rpgSystemDeleteBtn');
+export const rpgSystemsImportBtn = document.getElementById('rpgSystemsImportBtn');
+export const rpgSystemsExportBtn = document.getElementById('rpgSystemsExportBtn');
+export const rpgSystemsCloseBtn = document.getElementById('rpgSystemsCloseBtn');
+export const rpgParsersModal = document.getElementById('rpgParsersModal');
+export const rpgParsersList = document.getElementById('rpgParsersList');
+export const rpgParserName = document.getElementById('rpgParserName');
+export const rpgParserScope = document.getElementById('rpgParserScope');
+export const rpgParserTarget = document.getElementById('rpgParserTarget');
+export const rpgParserEnabled = document.getElementById('rpgParserEnabled');
+export const rpgParserApply = document.getElementById('rpgParserApply');
+export const rpgParserWeight = document.getElementById('rpgParserWeight');
+export const rpgParserPattern = document.getElementById('rpgParserPattern');
+export const rpgParserFlags = document.getElementById('rpgParserFlags');
+export const rpgParserFields = document.getElementById('rpgParserFields');
+export const rpgParserTestText = document.getElementById('rpgParserTestText');
+export const rpgParserTestReloadBtn = document.getElementById('rpgParserTestReloadBtn');
+export const rpgParserTestStatus = document.getElementById('rpgParserTestStatus');
+export const rpgParserTestResults = document.getElementById('rpgParserTestResults');
+export const rpgParserNewBtn = document.getElementById('rpgParserNewBtn');
+export const rpgParserSaveBtn = document.getElementById('rpgParserSaveBtn');
+export const rpgParserDeleteBtn = document.getElementById('rpgParserDeleteBtn');
+export const rpgParsersApplyBtn = document.getElementById('rpgParsersApplyBtn');
+export const rpgParsersCloseBtn = document.getElementById('rpgParsersCloseBtn');
+export const rpgLedgerModal = document.getElementById('rpgLedgerModal');
+export const rpgLedgerTitle = document.getElementById('rpgLedgerTitle');
+export const rpgLedgerSummary = document.getElementById('rpgLedgerSummary');
+export const rpgLedgerList = document.getElementById('rpgLedgerList');
+export const rpgLedgerCloseBtn = document.getElementById('rpgLedgerCloseBtn');
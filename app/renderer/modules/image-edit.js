@@ -0,0 +1,232 @@
+// image-edit.js — img2img / inpaint modal: source image preview, mask painting, strength + noise
+
+import { state } from './state.js';
+import {
+  editImageBtn,
+  imageEditModal, imageEditCanvasWrap, imageEditCanvas, imageEditMaskCanvas,
+  imageEditMaskTools, imageEditBrushSize, imageEditEraseToggle, imageEditClearMaskBtn,
+  imageEditStrength, imageEditStrengthValue, imageEditNoise, imageEditNoiseValue,
+  imageEditPrompt, imageEditUnsupported, imageEditCancelBtn, imageEditGenerateBtn,
+} from './dom-refs.js';
+import { showToast } from './utils.js';
+import { generateImage } from './image-gen.js';
+
+const MASK_COLOR = 'rgba(233, 69, 96, 0.55)';
+const MODE_LABELS = { img2img: 'image-to-image', inpaint: 'inpainting' };
+
+let sourceImage = null;      // data URL being edited
+let sourceNegativePrompt = '';
+let capabilities = { img2img: false, inpaint: false, providerName: '' };
+let isPainting = false;
+let maskDirty = false;
+
+function getMode() {
+  const checked = document.querySelector('input[name="imageEditMode"]:checked');
+  return checked ? checked.value : 'img2img';
+}
+
+function setMode(mode) {
+  const radio = document.querySelector(`input[name="imageEditMode"][value="${mode}"]`);
+  if (radio) radio.checked = true;
+  updateModeUI();
+}
+
+function updateModeUI() {
+  const mode = getMode();
+  const inpaint = mode === 'inpaint';
+  imageEditMaskTools.classList.toggle('visible', inpaint);
+  imageEditCanvasWrap.classList.toggle('painting', inpaint);
+  imageEditMaskCanvas.style.display = inpaint ? '' : 'none';
+
+  const supported = !!capabilities[mode];
+  imageEditUnsupported.classList.toggle('visible', !supported);
+  imageEditUnsupported.textContent = supported
+    ? ''
+    : `${capabilities.providerName || 'The active provider'} doesn't support ${MODE_LABELS[mode]}. Choose a provider that does in Settings to use it.`;
+  imageEditGenerateBtn.disabled = !supported;
+}
+
+// ---------------------------------------------------------------------------
+// Canvas + mask painting
+// ---------------------------------------------------------------------------
+
+function loadSourceIntoCanvas(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      imageEditCanvas.width = img.naturalWidth;
+      imageEditCanvas.height = img.naturalHeight;
+      imageEditMaskCanvas.width = img.naturalWidth;
+      imageEditMaskCanvas.height = img.naturalHeight;
+      imageEditCanvas.getContext('2d').drawImage(img, 0, 0);
+      clearMask();
+      resolve();
+    };
+    img.onerror = () => reject(new Error('Could not load source image'));
+    img.src = dataUrl;
+  });
+}
+
+function clearMask() {
+  const ctx = imageEditMaskCanvas.getContext('2d');
+  ctx.clearRect(0, 0, imageEditMaskCanvas.width, imageEditMaskCanvas.height);
+  maskDirty = false;
+}
+
+// Map a pointer event to canvas pixel coordinates (the canvas is CSS-scaled)
+function toCanvasPoint(e) {
+  const rect = imageEditMaskCanvas.getBoundingClientRect();
+  const scale = imageEditMaskCanvas.width / rect.width;
+  return { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale, scale };
+}
+
+function paintAt(e) {
+  const { x, y, scale } = toCanvasPoint(e);
+  const ctx = imageEditMaskCanvas.getContext('2d');
+  const radius = (parseInt(imageEditBrushSize.value, 10) / 2) * scale;
+  ctx.globalCompositeOperation = imageEditEraseToggle.checked ? 'destination-out' : 'source-over';
+  ctx.fillStyle = MASK_COLOR;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+  if (!imageEditEraseToggle.checked) maskDirty = true;
+}
+
+// Painted overlay -> black/white PNG (white = area to regenerate)
+function exportMask() {
+  const { width, height } = imageEditMaskCanvas;
+  const painted = imageEditMaskCanvas.getContext('2d').getImageData(0, 0, width, height);
+  const out = document.createElement('canvas');
+  out.width = width;
+  out.height = height;
+  const outCtx = out.getContext('2d');
+  const mask = outCtx.createImageData(width, height);
+  let any = false;
+  for (let i = 0; i < painted.data.length; i += 4) {
+    const v = painted.data[i + 3] > 0 ? 255 : 0;
+    if (v) any = true;
+    mask.data[i] = v;
+    mask.data[i + 1] = v;
+    mask.data[i + 2] = v;
+    mask.data[i + 3] = 255;
+  }
+  if (!any) return null;
+  outCtx.putImageData(mask, 0, 0);
+  return out.toDataURL('image/png');
+}
+
+// ---------------------------------------------------------------------------
+// Open / submit
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the editor on an image from the panel, gallery or storyboard.
+ * @param {string} imageDataUrl
+ * @param {{prompt?: string, negativePrompt?: string, mode?: 'img2img'|'inpaint'}} [opts]
+ */
+export async function openImageEditor(imageDataUrl, opts = {}) {
+  if (!imageDataUrl) return;
+  sourceImage = imageDataUrl;
+  sourceNegativePrompt = opts.negativePrompt ?? state.currentNegativePrompt ?? '';
+  imageEditPrompt.value = opts.prompt ?? state.currentPrompt ?? '';
+
+  try {
+    capabilities = await window.sceneVisualizer.getProviderCapabilities();
+  } catch (e) {
+    console.error('[ImageEdit] Could not read provider capabilities:', e);
+    capabilities = { img2img: false, inpaint: false, providerName: '' };
+  }
+
+  document.getElementById('imageEditModeImg2imgLabel').classList.toggle('disabled', !capabilities.img2img);
+  document.getElementById('imageEditModeInpaintLabel').classList.toggle('disabled', !capabilities.inpaint);
+
+  try {
+    await loadSourceIntoCanvas(imageDataUrl);
+  } catch (e) {
+    showToast(e.message, 3000, 'error');
+    return;
+  }
+
+  setMode(opts.mode || (capabilities.img2img ? 'img2img' : 'inpaint'));
+  imageEditModal.classList.add('active');
+}
+
+function closeImageEditor() {
+  imageEditModal.classList.remove('active');
+  sourceImage = null;
+  isPainting = false;
+}
+
+async function submitEdit() {
+  if (!sourceImage || state.isGenerating) return;
+  const mode = getMode();
+  if (!capabilities[mode]) return;
+
+  const prompt = imageEditPrompt.value.trim();
+  if (!prompt) {
+    showToast('Enter a prompt first', 2000, 'warn');
+    return;
+  }
+
+  let mask = null;
+  if (mode === 'inpaint') {
+    mask = maskDirty ? exportMask() : null;
+    if (!mask) {
+      showToast('Paint over the area you want to change', 2500, 'warn');
+      return;
+    }
+  }
+
+  const request = {
+    rawPrompt: true,
+    rawNegativePrompt: true,
+    mode,
+    sourceImage,
+    strength: parseFloat(imageEditStrength.value),
+    noise: parseFloat(imageEditNoise.value),
+    ...(mask ? { mask } : {}),
+  };
+  const negativePrompt = sourceNegativePrompt;
+  closeImageEditor();
+
+  state.currentPrompt = prompt;
+  await generateImage(prompt, negativePrompt, request);
+}
+
+export function init() {
+  if (!imageEditModal) return;
+
+  document.querySelectorAll('input[name="imageEditMode"]').forEach(radio => {
+    radio.addEventListener('change', updateModeUI);
+  });
+
+  imageEditStrength.addEventListener('input', () => {
+    imageEditStrengthValue.textContent = parseFloat(imageEditStrength.value).toFixed(2);
+  });
+  imageEditNoise.addEventListener('input', () => {
+    imageEditNoiseValue.textContent = parseFloat(imageEditNoise.value).toFixed(2);
+  });
+
+  imageEditMaskCanvas.addEventListener('pointerdown', (e) => {
+    isPainting = true;
+    imageEditMaskCanvas.setPointerCapture(e.pointerId);
+    paintAt(e);
+  });
+  imageEditMaskCanvas.addEventListener('pointermove', (e) => {
+    if (isPainting) paintAt(e);
+  });
+  const stopPainting = () => { isPainting = false; };
+  imageEditMaskCanvas.addEventListener('pointerup', stopPainting);
+  imageEditMaskCanvas.addEventListener('pointercancel', stopPainting);
+
+  imageEditClearMaskBtn.addEventListener('click', clearMask);
+  imageEditCancelBtn.addEventListener('click', closeImageEditor);
+  imageEditGenerateBtn.addEventListener('click', submitEdit);
+
+  // Scene panel: edit the image currently on screen
+  if (editImageBtn) {
+    editImageBtn.addEventListener('click', () => {
+      if (state.currentImageData) openImageEditor(state.currentImageData);
+    });
+  }
+}
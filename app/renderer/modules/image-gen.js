@@ -1,22 +1,30 @@
-// image-gen.js — Image generation flow, prompt handling, provider config loading, Venice balance + video
+// image-gen.js — Image generation flow, prompt handling, provider config loading, Venice balance + video, provider capabilities
 
 import { state, bus } from './state.js';
 import {
   status, imagePanel, imageContainer, loadingIndicator,
-  promptDisplay, negativePromptDisplay, generateBtn, sidebarGenerateBtn, autoGenerateToggle,
+  promptDisplay, negativePromptDisplay, negativePromptLabel, characterCaptionsDisplay, characterCaptionsList,
+  generateBtn, sidebarGenerateBtn, autoGenerateToggle,
+  seedLabel, seedRerollBtn, seedVaryBtn, seedLockBtn, editImageBtn,
   commitBtn, novelaiArtStyleSelect,
   veniceBalance, veniceBalanceText,
 } from './dom-refs.js';
-import { showToast } from './utils.js';
+import { showToast, escapeHtml } from './utils.js';
 import { loreCall } from './lore-creator.js';
 import { readStoryTextFromDOM } from './webview-polling.js';
 import { generateSuggestionsFromEditor } from './suggestions.js';
+import { enqueueAndWait, enqueueJobs } from './job-queue.js';
+import { isAutoScanPaused } from './usage-dashboard.js';
 
 const promptEditedIndicator = document.getElementById('promptEditedIndicator');
 const negPromptEditedIndicator = document.getElementById('negPromptEditedIndicator');
 let promptWasEdited = false;
 let negPromptWasEdited = false;
 
+// What the active image provider supports (providers/contract.js) — drives the seed,
+// negative prompt and video controls
+let providerCaps = { seed: true, negativePrompt: true, video: false, providerName: '' };
+
 const LOW_BALANCE_THRESHOLD = 1.00;
 const CRITICAL_BALANCE_THRESHOLD = 0.25;
 
@@ -49,14 +57,54 @@ async function refreshVeniceBalanceVisibility() {
   } catch { /* ignore */ }
 }
 
+// ---------------------------------------------------------------------------
+// Provider capabilities
+// ---------------------------------------------------------------------------
+
+async function refreshProviderCapabilities() {
+  try {
+    providerCaps = await window.sceneVisualizer.getProviderCapabilities();
+  } catch (e) {
+    console.error('[Renderer] Could not read provider capabilities:', e);
+    return;
+  }
+  // The negative prompt is still kept in state so it comes back on a provider that uses it
+  const showNegative = !!providerCaps.negativePrompt;
+  if (negativePromptLabel) negativePromptLabel.style.display = showNegative ? '' : 'none';
+  if (negativePromptDisplay) negativePromptDisplay.style.display = showNegative ? '' : 'none';
+  renderSeedControls();
+}
+
 // ---------------------------------------------------------------------------
 // Video generation
 // ---------------------------------------------------------------------------
 
-let videoPollingTimer = null;
+// Videos are queued and polled by the main process (video-jobs.js) — this only
+// starts the job and shows the result under the image when it's still on screen.
+let pendingVideoJobId = null;
+
+function resetVideoButton() {
+  const btn = document.getElementById('sceneVideoBtn');
+  if (btn) { btn.disabled = false; btn.innerHTML = '&#9654; Video'; btn.classList.remove('generating'); }
+}
+
+function videoProgressEl(anchor) {
+  let progressEl = document.getElementById('videoProgress');
+  if (!progressEl && anchor) {
+    progressEl = document.createElement('div');
+    progressEl.id = 'videoProgress';
+    progressEl.className = 'video-progress';
+    anchor.parentNode.insertBefore(progressEl, anchor.nextSibling);
+  }
+  return progressEl;
+}
 
 async function handleGenerateVideo() {
   if (!state.currentImageData || !state.currentPrompt) return;
+  if (!state.currentStoryId) {
+    showToast('Open a story first', 2000, 'warn');
+    return;
+  }
 
   const videoBtn = document.getElementById('sceneVideoBtn');
   if (!videoBtn) return;
@@ -72,117 +120,70 @@ async function handleGenerateVideo() {
     // Confirm with user
     const proceed = confirm(`Video will cost ~$${cost.toFixed(3)}. Generate?`);
     if (!proceed) {
-      videoBtn.disabled = false;
-      videoBtn.innerHTML = '&#9654; Video';
+      resetVideoButton();
       return;
     }
 
-    // Queue video
     videoBtn.textContent = 'Queuing...';
     videoBtn.classList.add('generating');
 
-    const queueResult = await window.sceneVisualizer.veniceQueueVideo(
-      state.currentPrompt, null,
-      { negative_prompt: state.currentNegativePrompt || '' }
-    );
-
-    const queueId = queueResult.queue_id;
-    const model = queueResult.model;
-
-    // Show progress
-    videoBtn.textContent = 'Processing...';
-    let progressEl = document.getElementById('videoProgress');
-    if (!progressEl) {
-      progressEl = document.createElement('div');
-      progressEl.id = 'videoProgress';
-      progressEl.className = 'video-progress';
-      videoBtn.parentNode.insertBefore(progressEl, videoBtn.nextSibling);
+    const result = await window.sceneVisualizer.videoJobsStart(state.currentStoryId, {
+      prompt: state.currentPrompt,
+      negativePrompt: state.currentNegativePrompt || '',
+      quote: cost,
+    });
+    resetVideoButton();
+    if (!result.success) {
+      showToast('Video error: ' + result.error, 4000, 'error');
+      return;
     }
-    progressEl.innerHTML = '<div class="spinner"></div> <span>Generating video...</span>';
-
-    // Poll for completion — resilient to DOM changes (image regeneration, tab switches)
-    const videoPrompt = state.currentPrompt;
-    const videoNegativePrompt = state.currentNegativePrompt;
-    const pollStartTime = Date.now();
-    const POLL_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes max
-    let pollCount = 0;
-
-    const cleanupPoll = (errorMsg) => {
-      clearInterval(videoPollingTimer);
-      videoPollingTimer = null;
-      const btn = document.getElementById('sceneVideoBtn');
-      if (btn) { btn.disabled = false; btn.innerHTML = '&#9654; Video'; btn.classList.remove('generating'); }
-      const prog = document.getElementById('videoProgress');
-      if (prog) prog.innerHTML = '';
-      if (errorMsg) showToast(errorMsg, 5000, 'error');
-    };
-
-    const pollVideo = async () => {
-      pollCount++;
-      try {
-        // Timeout guard
-        if (Date.now() - pollStartTime > POLL_TIMEOUT_MS) {
-          console.error('[Video] Polling timed out after 5 minutes');
-          cleanupPoll('Video generation timed out. The video may still be processing on Venice — check your Venice dashboard.');
-          return;
-        }
-
-        const result = await window.sceneVisualizer.veniceRetrieveVideo(queueId, model);
-        console.log(`[Video] Poll #${pollCount}: status=${result.status}`);
 
-        if (result.status === 'completed') {
-          clearInterval(videoPollingTimer);
-          videoPollingTimer = null;
-
-          // DOM elements may have been destroyed by image regeneration — re-query
-          const btn = document.getElementById('sceneVideoBtn');
-          if (btn) {
-            btn.disabled = false;
-            btn.innerHTML = '&#9654; Video';
-            btn.classList.remove('generating');
-          }
-
-          const prog = document.getElementById('videoProgress');
-          if (prog) {
-            prog.innerHTML = `<video controls autoplay muted style="width:100%;border-radius:8px;margin-top:4px;">
-              <source src="${result.videoDataUrl}" type="video/mp4">
-            </video>
-            <a href="${result.videoDataUrl}" download="scene-video.mp4" style="font-size:11px;color:var(--accent);margin-top:4px;display:inline-block;">Download</a>`;
-          }
-          showToast('Video generated!', 3000);
-          bus.emit('video:generated', {
-            videoDataUrl: result.videoDataUrl,
-            meta: { provider: 'venice', model, prompt: videoPrompt, negativePrompt: videoNegativePrompt }
-          });
-        } else {
-          // Still processing — update ETA if element still exists
-          const eta = result.averageExecutionTime ? Math.max(0, Math.round((result.averageExecutionTime - (result.executionDuration || 0)) / 1000)) : '?';
-          const elapsed = Math.round((Date.now() - pollStartTime) / 1000);
-          const prog = document.getElementById('videoProgress');
-          const span = prog && prog.querySelector('span');
-          if (span) span.textContent = `Generating video... (~${eta}s remaining, ${elapsed}s elapsed)`;
-        }
-      } catch (e) {
-        console.error('[Video] Poll error:', e.message);
-        cleanupPoll('Video generation failed: ' + e.message);
-      }
-    };
-
-    videoPollingTimer = setInterval(pollVideo, 5000);
-    // Initial check after 3s
-    setTimeout(pollVideo, 3000);
+    pendingVideoJobId = result.job.id;
+    const progressEl = videoProgressEl(videoBtn);
+    progressEl.innerHTML = '<div class="spinner"></div> <span>Generating video — progress is in Jobs</span>';
+    showToast('Video queued — it will be saved to the gallery when ready', 3000);
   } catch (e) {
-    videoBtn.disabled = false;
-    videoBtn.innerHTML = '&#9654; Video';
-    videoBtn.classList.remove('generating');
+    resetVideoButton();
     showToast('Video error: ' + e.message, 4000, 'error');
   }
 }
 
-function appendVideoButton() {
-  // Only show for Venice provider
+async function onVideoJobFinished({ jobId, storyId, mediaId, success, error }) {
+  if (storyId !== state.currentStoryId) return;
+  if (!success) {
+    showToast('Video generation failed: ' + (error || 'unknown error'), 5000, 'error');
+  } else {
+    showToast('Video generated!', 3000);
+  }
+  if (jobId !== pendingVideoJobId) return;
+  pendingVideoJobId = null;
+
+  // The image may have been regenerated since — only fill the slot if it's still there
+  const prog = document.getElementById('videoProgress');
+  if (!prog) return;
+  prog.innerHTML = '';
+  if (!success || !mediaId) return;
+  const videoDataUrl = await window.sceneVisualizer.mediaGetVideo(storyId, mediaId);
+  if (!videoDataUrl) return;
+  prog.innerHTML = `<video controls autoplay muted style="width:100%;border-radius:8px;margin-top:4px;">
+      <source src="${videoDataUrl}" type="video/mp4">
+    </video>
+    <a href="${videoDataUrl}" download="scene-video.mp4" style="font-size:11px;color:var(--accent);margin-top:4px;display:inline-block;">Download</a>`;
+}
+
+// Only for images from a provider with an image-to-video API
+async function appendVideoButton() {
   const provider = state.currentGenerationMeta?.provider;
-  if (provider !== 'venice') return;
+  if (!provider) return;
+  const imageData = state.currentImageData;
+  try {
+    const caps = await window.sceneVisualizer.getProviderCapabilities(provider);
+    if (!caps.video) return;
+  } catch (e) {
+    console.error('[Renderer] Could not read provider capabilities:', e);
+    return;
+  }
+  if (state.currentImageData !== imageData) return; // replaced meanwhile
 
   const existing = document.getElementById('sceneVideoBtn');
   if (existing) existing.remove();
@@ -196,10 +197,125 @@ function appendVideoButton() {
   imageContainer.appendChild(btn);
 }
 
+// ---------------------------------------------------------------------------
+// Character captions (NovelAI V4 multi-character)
+// ---------------------------------------------------------------------------
+
+function renderCharacterCaptions() {
+  if (!characterCaptionsDisplay || !characterCaptionsList) return;
+  const captions = state.currentCharacterCaptions || [];
+  characterCaptionsDisplay.classList.toggle('visible', captions.length > 0);
+  characterCaptionsList.innerHTML = captions.map((c, i) => `
+    <div class="character-caption-row">
+      <span class="character-caption-name">${escapeHtml(c.name)}</span>
+      ${c.position ? `<span class="character-caption-pos">${escapeHtml(c.position)}</span>` : ''}
+      ${c.characterId ? '<span class="character-caption-pos" title="Active portrait is sent as a character reference">&#128444; ref</span>' : ''}
+      <span class="character-caption-text">${escapeHtml(c.caption)}</span>
+      <button class="character-caption-remove" data-index="${i}" title="Leave this character out of the image">&times;</button>
+    </div>`).join('');
+}
+
+// Replace the current character captions (pass [] when a prompt comes from
+// somewhere that has no per-character data, e.g. storyboard or gallery reuse)
+export function setCharacterCaptions(captions) {
+  state.currentCharacterCaptions = Array.isArray(captions) ? captions : [];
+  renderCharacterCaptions();
+}
+
+// ---------------------------------------------------------------------------
+// Seed controls (re-roll / vary / lock per story)
+// ---------------------------------------------------------------------------
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967295);
+}
+
+export function renderSeedControls() {
+  if (!seedLabel) return;
+  const seed = state.currentGenerationMeta?.seed;
+  const lockedSeed = state.storySettings?.lockedSeed;
+  const hasSeed = Number.isInteger(seed);
+  const isLocked = Number.isInteger(lockedSeed);
+
+  seedLabel.textContent = isLocked
+    ? `Seed: ${hasSeed ? seed : '—'} (locked ${lockedSeed})`
+    : `Seed: ${hasSeed ? seed : '—'}`;
+  seedRerollBtn.disabled = !hasSeed || !providerCaps.seed;
+  seedVaryBtn.disabled = !state.currentPrompt;
+  seedLockBtn.disabled = !state.currentStoryId || (!isLocked && (!hasSeed || !providerCaps.seed));
+  const unsupported = providerCaps.seed ? '' : `${providerCaps.providerName || 'The active provider'} doesn't take a seed`;
+  seedRerollBtn.title = unsupported || 'Regenerate with the same seed';
+  seedLockBtn.title = unsupported || 'Use this seed for every image in this story';
+  seedLockBtn.classList.toggle('active', isLocked);
+  seedLockBtn.innerHTML = isLocked ? '&#128275; Unlock' : '&#128274; Lock';
+}
+
+// Generate the current prompt with an explicit seed (bypasses the story lock)
+export async function generateWithSeed(seed) {
+  const editedPrompt = promptDisplay.value.trim();
+  const prompt = editedPrompt || state.currentPrompt;
+  if (state.isGenerating || !prompt) return;
+  if (editedPrompt) state.currentPrompt = editedPrompt;
+  await generateImage(state.currentPrompt, getEffectiveNegativePrompt(), {
+    rawPrompt: true, rawNegativePrompt: true, seed,
+  });
+}
+
+export function generateWithNewSeed() {
+  return generateWithSeed(randomSeed());
+}
+
+// Lock every generation in the current story to `seed` (null unlocks)
+export async function setLockedSeed(seed) {
+  if (!state.currentStoryId) return;
+  try {
+    const result = await window.sceneVisualizer.storySettingsSetLockedSeed(state.currentStoryId, seed);
+    if (!result.success) {
+      showToast('Could not update seed lock: ' + result.error, 3000, 'error');
+      return;
+    }
+    state.storySettings = { ...(state.storySettings || {}), lockedSeed: result.lockedSeed };
+    renderSeedControls();
+    showToast(Number.isInteger(result.lockedSeed) ? `Seed ${result.lockedSeed} locked for this story` : 'Seed unlocked', 2000);
+  } catch (e) {
+    console.error('[Renderer] Seed lock failed:', e);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Image generation
 // ---------------------------------------------------------------------------
 
+function buildRequest(prompt, negativePrompt, opts = {}) {
+  return {
+    prompt,
+    negativePrompt,
+    ...(opts.rawPrompt ? { rawPrompt: true } : {}),
+    ...(opts.rawNegativePrompt ? { rawNegativePrompt: true } : {}),
+    characterCaptions: opts.characterCaptions || state.currentCharacterCaptions || [],
+    storyExcerpt: state.currentStoryExcerpt || '',
+    ...(Number.isInteger(opts.seed) ? { seed: opts.seed } : {}),
+    ...(opts.mode && opts.mode !== 'generate' ? {
+      mode: opts.mode, sourceImage: opts.sourceImage, mask: opts.mask,
+      strength: opts.strength, noise: opts.noise,
+    } : {}),
+  };
+}
+
+// Put a finished generation on screen (interactive or from the background queue)
+function showGeneratedImage(result) {
+  state.currentImageData = result.imageData;
+  state.currentGenerationMeta = result.meta || null;
+  renderSeedControls();
+  imageContainer.innerHTML = `<img src="${result.imageData}" class="scene-image" alt="Generated scene">`;
+  commitBtn.disabled = false;
+  if (editImageBtn) editImageBtn.disabled = false;
+
+  appendVideoButton();
+
+  bus.emit('image:generated', { imageData: result.imageData, meta: result.meta });
+}
+
 export async function generateImage(prompt, negativePrompt, opts = {}) {
   state.isGenerating = true;
   generateBtn.disabled = true;
@@ -214,20 +330,15 @@ export async function generateImage(prompt, negativePrompt, opts = {}) {
   }, 1000);
 
   try {
-    const result = await window.sceneVisualizer.generateImage(
-      prompt, negativePrompt || state.currentNegativePrompt || '',
-      {
-        ...(opts.rawPrompt ? { rawPrompt: true } : {}),
-        ...(opts.rawNegativePrompt ? { rawNegativePrompt: true } : {}),
-        storyId: state.currentStoryId,
-      }
+    // Runs through the job queue at top priority so it waits its turn behind
+    // any in-flight background job on the same provider
+    const result = await enqueueAndWait(
+      buildRequest(prompt, negativePrompt || state.currentNegativePrompt || '', opts),
+      { priority: 'interactive' }
     );
 
     if (result.success) {
-      state.currentImageData = result.imageData;
-      state.currentGenerationMeta = result.meta || null;
-      imageContainer.innerHTML = `<img src="${result.imageData}" class="scene-image" alt="Generated scene">`;
-      commitBtn.disabled = false;
+      showGeneratedImage(result);
       status.textContent = 'Image ready';
       status.className = 'status connected';
 
@@ -237,11 +348,6 @@ export async function generateImage(prompt, negativePrompt, opts = {}) {
       } else if (result.meta?.retried) {
         showToast('Image generated after retry', 2500);
       }
-
-      // Append video button (Venice only)
-      appendVideoButton();
-
-      bus.emit('image:generated', { imageData: result.imageData, meta: result.meta });
     } else {
       if (result.blankDetected) {
         status.textContent = 'Image appears blank — generation may have been filtered';
@@ -327,8 +433,15 @@ export async function generateScenePromptFromEditor() {
         console.log('[Renderer] Could not fetch prompt/negative suffixes:', e.message);
       }
 
-      const fullPrompt = result.prompt + promptSuffix;
+      // v2 returns characters separately so NovelAI V4 can caption each one;
+      // the textarea then holds only the scene (base caption) prompt
+      const captions = result.characterCaptions || [];
+      const basePrompt = captions.length > 0 && result.basePrompt ? result.basePrompt : result.prompt;
+      const fullPrompt = basePrompt + promptSuffix;
       state.currentPrompt = fullPrompt;
+      state.currentStoryExcerpt = storyText.slice(-600).trim();
+      setCharacterCaptions(basePrompt === result.prompt ? [] : captions);
+      renderSeedControls();
       promptDisplay.value = fullPrompt;
       promptWasEdited = false;
       if (promptEditedIndicator) promptEditedIndicator.classList.remove('visible');
@@ -351,6 +464,8 @@ export async function generateScenePromptFromEditor() {
         window.sceneVisualizer.sceneSetState(state.currentStoryId, {
           lastPrompt: state.currentPrompt,
           lastNegativePrompt: state.currentNegativePrompt,
+          lastCharacterCaptions: state.currentCharacterCaptions,
+          lastStoryExcerpt: state.currentStoryExcerpt,
           lastStoryLength: storyText.length,
           artStyle,
         });
@@ -358,9 +473,15 @@ export async function generateScenePromptFromEditor() {
 
       bus.emit('prompt:updated', { prompt: state.currentPrompt, negativePrompt: state.currentNegativePrompt });
 
-      // Auto-generate image if toggle is on — use raw flags since suffixes are already baked in
-      if (autoGenerateToggle.checked && !state.isGenerating) {
-        generateImage(state.currentPrompt, state.currentNegativePrompt, { rawPrompt: true, rawNegativePrompt: true });
+      // Auto-generate image if toggle is on — use raw flags since suffixes are already baked in.
+      // If an image is already in progress, queue this one in the background instead of dropping it.
+      if (autoGenerateToggle.checked && !(await isAutoScanPaused(state.currentStoryId))) {
+        if (!state.isGenerating) {
+          generateImage(state.currentPrompt, state.currentNegativePrompt, { rawPrompt: true, rawNegativePrompt: true });
+        } else {
+          enqueueJobs(buildRequest(state.currentPrompt, state.currentNegativePrompt, { rawPrompt: true, rawNegativePrompt: true }))
+            .catch(e => console.error('[Renderer] Could not queue auto-generation:', e));
+        }
       }
 
       // Generate suggestions in parallel
@@ -405,6 +526,40 @@ export function init() {
     if (promptEditedIndicator) promptEditedIndicator.classList.add('visible');
   });
 
+  // Seed actions
+  renderSeedControls();
+  if (seedRerollBtn) {
+    seedRerollBtn.addEventListener('click', () => {
+      const seed = state.currentGenerationMeta?.seed;
+      if (Number.isInteger(seed)) generateWithSeed(seed);
+    });
+    seedVaryBtn.addEventListener('click', () => generateWithNewSeed());
+    seedLockBtn.addEventListener('click', () => {
+      if (Number.isInteger(state.storySettings?.lockedSeed)) {
+        setLockedSeed(null);
+      } else if (Number.isInteger(state.currentGenerationMeta?.seed)) {
+        setLockedSeed(state.currentGenerationMeta.seed);
+      }
+    });
+  }
+
+  // Drop a character from the per-character captions
+  if (characterCaptionsList) {
+    characterCaptionsList.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.character-caption-remove');
+      if (!btn) return;
+      const index = parseInt(btn.dataset.index, 10);
+      setCharacterCaptions(state.currentCharacterCaptions.filter((_, i) => i !== index));
+      if (state.currentStoryId) {
+        try {
+          const sceneState = await window.sceneVisualizer.sceneGetState(state.currentStoryId);
+          sceneState.lastCharacterCaptions = state.currentCharacterCaptions;
+          await window.sceneVisualizer.sceneSetState(state.currentStoryId, sceneState);
+        } catch (e) { /* non-fatal */ }
+      }
+    });
+  }
+
   // Track manual edits to the negative prompt textarea
   if (negativePromptDisplay) {
     negativePromptDisplay.addEventListener('input', () => {
@@ -478,6 +633,15 @@ export function init() {
     generateImage(state.currentPrompt, negPrompt, { rawPrompt: true, rawNegativePrompt: true });
   });
 
+  // Background queue results for this story replace the panel image unless one is being generated
+  bus.on('queue:image-ready', (result) => {
+    if (result.storyId !== state.currentStoryId || state.isGenerating) return;
+    showGeneratedImage(result);
+  });
+
+  // Background video jobs (see job-queue.js)
+  bus.on('queue:video-finished', onVideoJobFinished);
+
   // Venice balance — listen for updates from main process
   window.sceneVisualizer.onVeniceBalanceUpdate((balance) => {
     updateVeniceBalanceDisplay(balance);
@@ -490,6 +654,10 @@ export function init() {
   refreshVeniceBalanceVisibility();
   bus.on('settings:saved', refreshVeniceBalanceVisibility);
 
+  // Seed and negative prompt controls follow the provider's capabilities
+  refreshProviderCapabilities();
+  bus.on('settings:saved', refreshProviderCapabilities);
+
   // After settings change (art style, UC preset, etc.), refresh the neg prompt suffix
   // only if the user hasn't manually edited the neg prompt
   bus.on('settings:saved', async () => {
@@ -0,0 +1,372 @@
+// job-queue.js — Generation queue: enqueue/await jobs, batch variations, queue modal + badge, video jobs
+
+import { state, bus } from './state.js';
+import {
+  promptDisplay, negativePromptDisplay,
+  queueVariations, queuePriority, queueBatchBtn, queueOpenBtn, queueBadge,
+  jobQueueModal, jobQueueConcurrency, jobQueueList, videoJobList, jobQueueClearBtn, jobQueueCloseBtn,
+} from './dom-refs.js';
+import { showToast, escapeHtml } from './utils.js';
+
+const PROVIDER_LABELS = { novelai: 'NovelAI', venice: 'Venice', perchance: 'Perchance', puter: 'Puter', local: 'Local' };
+const PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low', level: -10 },
+  { value: 'normal', label: 'Normal', level: 0 },
+  { value: 'high', label: 'High', level: 10 },
+  { value: 'interactive', label: 'Now', level: 100 },
+];
+
+const waiters = new Map();   // jobId -> resolve(result) for callers awaiting a job
+const unclaimed = new Map(); // jobId -> result that finished before its enqueue call returned
+let enqueueInFlight = 0;
+let elapsedTimer = null;     // ticks the elapsed time of processing videos while the modal is open
+
+// ---------------------------------------------------------------------------
+// Enqueue
+// ---------------------------------------------------------------------------
+
+/**
+ * Queue a generation request for the current story.
+ * @param {Object} request - same shape as generateImage's params (prompt, negativePrompt, seed, mode...)
+ * @param {{variations?: number, priority?: string}} [options]
+ * @returns {Promise<Array<Object>>} the created jobs
+ */
+export async function enqueueJobs(request, options = {}) {
+  enqueueInFlight++;
+  try {
+    const result = await window.sceneVisualizer.jobsEnqueue(state.currentStoryId, request, options);
+    if (!result.success) throw new Error(result.error || 'Could not queue generation');
+    return result.jobs;
+  } finally {
+    enqueueInFlight--;
+  }
+}
+
+/**
+ * Queue a single generation and resolve with its result once it finishes —
+ * the queue-backed equivalent of calling generateImage over IPC directly.
+ */
+export async function enqueueAndWait(request, options = {}) {
+  let jobs;
+  try {
+    jobs = await enqueueJobs(request, { ...options, variations: 1 });
+  } catch (e) {
+    flushUnclaimed();
+    return { success: false, error: e.message };
+  }
+  const jobId = jobs[0].id;
+  const done = new Promise(resolve => {
+    if (unclaimed.has(jobId)) {
+      resolve(unclaimed.get(jobId));
+      unclaimed.delete(jobId);
+    } else {
+      waiters.set(jobId, resolve);
+    }
+  });
+  flushUnclaimed();
+  return done;
+}
+
+// Results nobody is awaiting are background jobs — hand them to the rest of the UI
+function flushUnclaimed() {
+  if (enqueueInFlight > 0) return;
+  for (const result of unclaimed.values()) emitReady(result);
+  unclaimed.clear();
+}
+
+function emitReady(result) {
+  if (result.success) bus.emit('queue:image-ready', result);
+}
+
+function onJobFinished(result) {
+  const resolve = waiters.get(result.jobId);
+  if (resolve) {
+    waiters.delete(result.jobId);
+    resolve(result);
+    return;
+  }
+  // An enqueue reply may still be on its way — hold the result until it lands
+  if (enqueueInFlight > 0) {
+    unclaimed.set(result.jobId, result);
+    return;
+  }
+  emitReady(result);
+  if (!result.success && result.storyId === state.currentStoryId) {
+    showToast(`Queued image failed: ${result.error || 'unknown error'}`, 3000, 'error');
+  }
+}
+
+async function queueCurrentPrompt() {
+  if (!state.currentStoryId) {
+    showToast('Open a story first', 2000, 'warn');
+    return;
+  }
+  const prompt = promptDisplay.value.trim() || state.currentPrompt;
+  if (!prompt) {
+    showToast('No prompt to queue', 2000, 'warn');
+    return;
+  }
+  const negativePrompt = (negativePromptDisplay && negativePromptDisplay.value.trim()) || state.currentNegativePrompt || '';
+  const variations = parseInt(queueVariations.value, 10) || 1;
+
+  try {
+    const jobs = await enqueueJobs({
+      prompt,
+      negativePrompt,
+      rawPrompt: true,
+      rawNegativePrompt: true,
+      characterCaptions: state.currentCharacterCaptions || [],
+    }, { variations, priority: queuePriority.value });
+    showToast(`Queued ${jobs.length} image${jobs.length === 1 ? '' : 's'}`, 2000);
+  } catch (e) {
+    showToast(e.message, 3000, 'error');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Badge + modal
+// ---------------------------------------------------------------------------
+
+async function refreshBadge() {
+  if (!queueBadge) return;
+  if (!state.currentStoryId) {
+    queueBadge.textContent = '';
+    return;
+  }
+  try {
+    const [counts, videos] = await Promise.all([
+      window.sceneVisualizer.jobsCounts(state.currentStoryId),
+      window.sceneVisualizer.videoJobsActiveCount(state.currentStoryId),
+    ]);
+    const active = counts.pending + counts.running + videos;
+    queueBadge.textContent = active > 0 ? `(${active})` : '';
+  } catch (e) {
+    console.error('[JobQueue] Could not read queue counts:', e);
+  }
+}
+
+function priorityLabel(level) {
+  const match = PRIORITY_OPTIONS.find(p => p.level === level);
+  return match ? match.value : 'normal';
+}
+
+function renderJob(job) {
+  const prompt = job.request.prompt || '';
+  const parts = [PROVIDER_LABELS[job.provider] || job.provider];
+  if (job.variationCount > 1) parts.push(`${job.variation + 1}/${job.variationCount}`);
+  if (Number.isInteger(job.request.seed)) parts.push(`seed ${job.request.seed}`);
+  if (job.request.mode && job.request.mode !== 'generate') parts.push(job.request.mode);
+  if (job.attempts > 1) parts.push(`attempt ${job.attempts}`);
+
+  let actions = '';
+  if (job.status === 'pending') {
+    const current = priorityLabel(job.priority);
+    actions += `<button class="btn btn-sm" data-action="up" title="Run sooner">&#9650;</button>`;
+    actions += `<button class="btn btn-sm" data-action="down" title="Run later">&#9660;</button>`;
+    actions += `<select data-action="priority">${PRIORITY_OPTIONS.map(p =>
+      `<option value="${p.value}"${p.value === current ? ' selected' : ''}>${p.label}</option>`).join('')}</select>`;
+  }
+  if (job.status === 'pending' || job.status === 'running') {
+    actions += `<button class="btn btn-sm" data-action="cancel">Cancel</button>`;
+  }
+  if (job.status === 'failed' || job.status === 'cancelled') {
+    actions += `<button class="btn btn-sm" data-action="retry">Retry</button>`;
+  }
+
+  return `
+    <div class="job-row" data-job-id="${escapeHtml(job.id)}">
+      <span class="job-status ${job.status}">${job.status}</span>
+      <div class="job-info">
+        <div class="job-prompt" title="${escapeHtml(prompt)}">${escapeHtml(prompt)}</div>
+        <div class="job-meta">${escapeHtml(parts.join(' · '))}</div>
+        ${job.error ? `<div class="job-error">${escapeHtml(job.error)}</div>` : ''}
+      </div>
+      <div class="job-actions">${actions}</div>
+    </div>`;
+}
+
+async function refreshList() {
+  if (!jobQueueModal.classList.contains('active')) return;
+  if (!state.currentStoryId) {
+    jobQueueList.innerHTML = '<div class="job-queue-empty">Open a story to see its queue.</div>';
+    return;
+  }
+  try {
+    const jobs = await window.sceneVisualizer.jobsList(state.currentStoryId, 200);
+    jobQueueList.innerHTML = jobs.length
+      ? jobs.map(renderJob).join('')
+      : '<div class="job-queue-empty">No queued jobs for this story.</div>';
+  } catch (e) {
+    console.error('[JobQueue] Could not list jobs:', e);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Video jobs (queued and polled by the main process)
+// ---------------------------------------------------------------------------
+
+function formatElapsed(ms) {
+  const secs = Math.max(0, Math.round(ms / 1000));
+  const m = Math.floor(secs / 60);
+  return m > 0 ? `${m}m ${String(secs % 60).padStart(2, '0')}s` : `${secs}s`;
+}
+
+function renderVideoJob(job) {
+  const parts = [PROVIDER_LABELS[job.provider] || job.provider];
+  if (job.model) parts.push(job.model);
+  if (Number.isFinite(job.quote)) parts.push(`~$${job.quote.toFixed(3)}`);
+  if (job.status === 'processing' && Number.isFinite(job.etaMs)) parts.push(`~${Math.round(job.etaMs / 1000)}s left`);
+  const elapsed = (job.finishedAt || Date.now()) - job.createdAt;
+
+  const actions = job.status === 'processing'
+    ? `<button class="btn btn-sm" data-action="cancel" title="Stop tracking — the provider may still charge for it">Cancel</button>`
+    : '';
+
+  return `
+    <div class="job-row" data-job-id="${escapeHtml(job.id)}">
+      <span class="job-status ${job.status}">${job.status}</span>
+      <div class="job-info">
+        <div class="job-prompt" title="${escapeHtml(job.prompt)}">${escapeHtml(job.prompt)}</div>
+        <div class="job-meta">${escapeHtml(parts.join(' · '))} · <span class="job-elapsed"${job.status === 'processing' ? ` data-created="${job.createdAt}"` : ''}>${formatElapsed(elapsed)}</span></div>
+        ${job.error ? `<div class="job-error">${escapeHtml(job.error)}</div>` : ''}
+      </div>
+      <div class="job-actions">${actions}</div>
+    </div>`;
+}
+
+async function refreshVideoList() {
+  if (!jobQueueModal.classList.contains('active')) return;
+  if (!state.currentStoryId) {
+    videoJobList.innerHTML = '<div class="job-queue-empty">Open a story to see its videos.</div>';
+    return;
+  }
+  try {
+    const jobs = await window.sceneVisualizer.videoJobsList(state.currentStoryId, 50);
+    videoJobList.innerHTML = jobs.length
+      ? jobs.map(renderVideoJob).join('')
+      : '<div class="job-queue-empty">No videos for this story.</div>';
+  } catch (e) {
+    console.error('[JobQueue] Could not list video jobs:', e);
+  }
+}
+
+function tickElapsed() {
+  if (!jobQueueModal.classList.contains('active')) {
+    clearInterval(elapsedTimer);
+    elapsedTimer = null;
+    return;
+  }
+  videoJobList.querySelectorAll('.job-elapsed[data-created]').forEach(el => {
+    el.textContent = formatElapsed(Date.now() - Number(el.dataset.created));
+  });
+}
+
+async function handleVideoJobAction(e) {
+  const el = e.target.closest('[data-action="cancel"]');
+  const row = e.target.closest('.job-row');
+  if (!el || !row) return;
+  if (!confirm('Stop tracking this video? Venice may still finish and charge for it, but it will not be saved.')) return;
+  const result = await window.sceneVisualizer.videoJobsCancel(row.dataset.jobId);
+  if (!result.success) showToast(result.error, 2500, 'warn');
+}
+
+function onVideoJobFinished(result) {
+  bus.emit('queue:video-finished', result);
+}
+
+async function renderConcurrency() {
+  try {
+    const limits = await window.sceneVisualizer.jobsGetConcurrency();
+    jobQueueConcurrency.innerHTML = '<span>Parallel jobs per provider:</span>' + Object.entries(limits).map(([provider, n]) =>
+      `<label>${escapeHtml(PROVIDER_LABELS[provider] || provider)}<input type="number" min="1" max="8" data-provider="${escapeHtml(provider)}" value="${n}"></label>`
+    ).join('');
+  } catch (e) {
+    console.error('[JobQueue] Could not read concurrency limits:', e);
+  }
+}
+
+async function saveConcurrency() {
+  const limits = {};
+  jobQueueConcurrency.querySelectorAll('input[data-provider]').forEach(input => {
+    limits[input.dataset.provider] = parseInt(input.value, 10) || 1;
+  });
+  const result = await window.sceneVisualizer.jobsSetConcurrency(limits);
+  if (!result.success) showToast('Could not save limits', 2000, 'error');
+}
+
+function openQueueModal() {
+  jobQueueModal.classList.add('active');
+  renderConcurrency();
+  refreshList();
+  refreshVideoList();
+  if (!elapsedTimer) elapsedTimer = setInterval(tickElapsed, 1000);
+}
+
+async function handleJobAction(e) {
+  const el = e.target.closest('[data-action]');
+  const row = e.target.closest('.job-row');
+  if (!el || !row) return;
+  const jobId = row.dataset.jobId;
+  const action = el.dataset.action;
+
+  let result;
+  if (action === 'up' || action === 'down') result = await window.sceneVisualizer.jobsMove(jobId, action);
+  else if (action === 'cancel') result = await window.sceneVisualizer.jobsCancel(jobId);
+  else if (action === 'retry') result = await window.sceneVisualizer.jobsRetry(jobId);
+  else return;
+
+  if (result && !result.success) showToast(result.error, 2500, 'warn');
+  if (action === 'cancel' && waiters.has(jobId)) {
+    waiters.get(jobId)({ success: false, error: 'Cancelled' });
+    waiters.delete(jobId);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+export function init() {
+  if (!jobQueueModal) return;
+
+  window.sceneVisualizer.onJobsFinished(onJobFinished);
+  window.sceneVisualizer.onJobsChanged(({ storyId }) => {
+    if (storyId && storyId !== state.currentStoryId) return;
+    refreshBadge();
+    refreshList();
+  });
+  window.sceneVisualizer.onVideoJobsFinished(onVideoJobFinished);
+  window.sceneVisualizer.onVideoJobsChanged(({ storyId }) => {
+    if (storyId && storyId !== state.currentStoryId) return;
+    refreshBadge();
+    refreshVideoList();
+  });
+
+  queueBatchBtn.addEventListener('click', queueCurrentPrompt);
+  queueOpenBtn.addEventListener('click', openQueueModal);
+  jobQueueCloseBtn.addEventListener('click', () => jobQueueModal.classList.remove('active'));
+  jobQueueClearBtn.addEventListener('click', async () => {
+    if (!state.currentStoryId) return;
+    await Promise.all([
+      window.sceneVisualizer.jobsClearFinished(state.currentStoryId),
+      window.sceneVisualizer.videoJobsClearFinished(state.currentStoryId),
+    ]);
+  });
+
+  jobQueueList.addEventListener('click', handleJobAction);
+  videoJobList.addEventListener('click', handleVideoJobAction);
+  jobQueueList.addEventListener('change', async (e) => {
+    if (e.target.dataset.action !== 'priority') return;
+    const row = e.target.closest('.job-row');
+    const result = await window.sceneVisualizer.jobsSetPriority(row.dataset.jobId, e.target.value);
+    if (!result.success) showToast(result.error, 2500, 'warn');
+  });
+  jobQueueConcurrency.addEventListener('change', saveConcurrency);
+
+  bus.on('story:changed', () => {
+    refreshBadge();
+    refreshList();
+    refreshVideoList();
+  });
+  refreshBadge();
+}
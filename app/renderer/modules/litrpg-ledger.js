@@ -0,0 +1,138 @@
+// litrpg-ledger.js — per-item / per-currency transaction history for LitRPG holdings, with single-entry reversal
+
+import { state, bus } from './state.js';
+import { rpgLedgerModal, rpgLedgerTitle, rpgLedgerSummary, rpgLedgerList, rpgLedgerCloseBtn } from './dom-refs.js';
+import { showToast, escapeHtml } from './utils.js';
+
+const REASON_LABELS = {
+  opening: 'Opening balance',
+  gained: 'Gained',
+  bought: 'Bought',
+  used: 'Used',
+  sold: 'Sold',
+  lost: 'Lost',
+  spent: 'Spent',
+  removed: 'Removed',
+  edit: 'Edited',
+  sync: 'Lorebook sync',
+  reward: 'Quest reward',
+  reversal: 'Reversal',
+};
+
+// History open in the modal: { characterId, kind, name }
+let current = null;
+
+/** data- attributes that make an inventory row or currency card open its history (see wireLedgerLinks). */
+export function ledgerAttrs(characterId, kind, name) {
+  if (!characterId) return '';
+  return ` data-ledger-char="${escapeHtml(characterId)}" data-ledger-kind="${kind}" data-ledger-name="${escapeHtml(name)}" title="Show history"`;
+}
+
+export function wireLedgerLinks(container) {
+  container?.querySelectorAll('[data-ledger-name]').forEach(el => {
+    el.classList.add('rpg-ledger-link');
+    el.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openLedgerHistory(el.dataset.ledgerChar, el.dataset.ledgerKind, el.dataset.ledgerName);
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function chapterAt(position) {
+  const markers = state.litrpgState?.chapterMarkers || [];
+  let chapter = null;
+  for (const m of markers) {
+    if (m.position > position) break;
+    chapter = m.title;
+  }
+  return chapter;
+}
+
+function formatPosition(position) {
+  const chars = position >= 1000 ? `${(position / 1000).toFixed(1)}k chars` : `${position} chars`;
+  const chapter = chapterAt(position);
+  return chapter ? `${escapeHtml(chapter)} · ${chars}` : chars;
+}
+
+function renderHistory(transactions) {
+  const char = state.litrpgState?.characters?.[current.characterId];
+  const label = current.kind === 'currency' ? current.name.replace(/_/g, ' ') : current.name;
+  rpgLedgerTitle.textContent = `${label} — ${char?.name || 'Unknown'}`;
+
+  const total = transactions.reduce((sum, tx) => sum + tx.delta, 0);
+  const active = transactions.filter(tx => tx.reversedBy == null && tx.reverses == null).length;
+  rpgLedgerSummary.textContent = `Now ${total} · ${transactions.length} transaction${transactions.length === 1 ? '' : 's'}`
+    + (active < transactions.length ? ` (${transactions.length - active} reversed or reversing)` : '');
+
+  if (transactions.length === 0) {
+    rpgLedgerList.innerHTML = '<div class="rpg-empty-state"><div>No transactions recorded yet.</div></div>';
+    return;
+  }
+  rpgLedgerList.innerHTML = transactions.map(tx => {
+    const cancelled = tx.reversedBy != null;
+    const canReverse = !cancelled && tx.reverses == null;
+    return `
+      <div class="rpg-ledger-row${cancelled ? ' reversed' : ''}${tx.reverses != null ? ' reversal' : ''}">
+        <div class="rpg-ledger-head">
+          <span class="rpg-ledger-delta ${tx.delta > 0 ? 'gain' : 'loss'}">${tx.delta > 0 ? '+' : ''}${tx.delta}</span>
+          <span class="rpg-ledger-reason">${escapeHtml(REASON_LABELS[tx.reason] || tx.reason || tx.source)}</span>
+          <span class="rpg-ledger-meta">${formatPosition(tx.position)} · ${escapeHtml(tx.source)} · ${new Date(tx.createdAt).toLocaleDateString()}</span>
+          ${canReverse ? `<button class="rpg-ledger-reverse" data-id="${tx.id}" title="Undo this transaction with a reversing entry">Reverse</button>` : ''}
+          ${cancelled ? '<span class="rpg-ledger-meta">reversed</span>' : ''}
+        </div>
+        ${tx.excerpt ? `<div class="rpg-ledger-excerpt">${escapeHtml(tx.excerpt)}</div>` : ''}
+      </div>`;
+  }).join('');
+
+  rpgLedgerList.querySelectorAll('.rpg-ledger-reverse').forEach(btn => {
+    btn.addEventListener('click', () => reverseTransaction(parseInt(btn.dataset.id, 10)));
+  });
+}
+
+async function loadHistory() {
+  const result = await window.sceneVisualizer.litrpgLedger(state.currentStoryId, current);
+  if (!result.success) {
+    showToast(`Could not load history: ${result.error}`, 3000, 'error');
+    return;
+  }
+  renderHistory(result.transactions);
+}
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+export async function openLedgerHistory(characterId, kind, name) {
+  if (!state.currentStoryId || !characterId) return;
+  current = { characterId, kind, name };
+  rpgLedgerList.innerHTML = '';
+  rpgLedgerModal.classList.add('active');
+  await loadHistory();
+}
+
+async function reverseTransaction(transactionId) {
+  if (!confirm('Reverse this transaction? A reversing entry is added and the holdings are recalculated.')) return;
+  const result = await window.sceneVisualizer.litrpgLedgerReverse(state.currentStoryId, transactionId);
+  if (!result.success) {
+    showToast(`Reverse failed: ${result.error}`, 3000, 'error');
+    return;
+  }
+  state.litrpgState = result.state;
+  bus.emit('litrpg:state-changed');
+  await loadHistory();
+  showToast('Transaction reversed', 2000, 'success');
+}
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+export function init() {
+  if (!rpgLedgerModal) return;
+  rpgLedgerCloseBtn.addEventListener('click', () => rpgLedgerModal.classList.remove('active'));
+  bus.on('story:changed', () => rpgLedgerModal.classList.remove('active'));
+}
@@ -1,15 +1,15 @@
 // litrpg-panel.js — LitRPG RPG tab: stat sheets, quest log, party view, NPC registry, inventory, currency, status effects
 
 import { state, bus } from './state.js';
-import { saveLoreState, refreshLoreUI } from './lore-creator.js';
+import { saveLoreState, refreshLoreUI, loreCall, checkLoreProxy, getCategoryForType } from './lore-creator.js';
 import {
   rpgTab, rpgContent,
   rpgDetectionBanner, rpgEnableBtn, rpgDismissBtn,
-  rpgSystemIndicator, rpgSystemType,
+  rpgSystemIndicator, rpgSystemType, rpgSystemSelect, rpgSystemsBtn, rpgParsersBtn,
   rpgScanBtn, rpgSyncLorebookBtn, rpgReverseSyncBtn,
   rpgScanStatus, rpgScanPhase,
   rpgPartyList, rpgPartyCount,
-  rpgQuestListActive, rpgQuestListDone, rpgQuestCount,
+  rpgQuestListActive, rpgQuestListDone, rpgQuestCount, rpgQuestChains,
   rpgNpcList, rpgNpcCount,
   rpgUpdatesList, rpgUpdatesSection, rpgUpdatesCount,
   rpgAutoScan, rpgAutoSync, rpgDisableBtn,
@@ -29,6 +29,10 @@ import {
 } from './dom-refs.js';
 import { escapeHtml, showToast } from './utils.js';
 import { parseMetadataClient } from './metadata.js';
+import { getSystemOptions, systemLabel, openSystemsEditor } from './litrpg-systems.js';
+import { openParsersEditor } from './litrpg-parsers.js';
+import { ledgerAttrs, wireLedgerLinks } from './litrpg-ledger.js';
+import { renderQuestChains } from './litrpg-quest-graph.js';
 
 // =========================================================================
 // ROLE CONSTANTS
@@ -53,6 +57,10 @@ const ROLE_COLORS = {
   'npc': '#90a4ae',
 };
 
+// Vibe-transfer strength used for an active portrait when the character has no override
+// (must match DEFAULT_REFERENCE_STRENGTH in main.js)
+const DEFAULT_REFERENCE_STRENGTH = 0.6;
+
 // =========================================================================
 // STATE HELPERS
 // =========================================================================
@@ -87,16 +95,26 @@ export function refreshRpgUI() {
   if (rpgSystemIndicator && rpgSystemType) {
     if (rpg.enabled && rpg.systemType) {
       rpgSystemIndicator.style.display = '';
-      const typeLabels = {
-        generic: 'Generic RPG', dnd: 'D&D Style', cultivation: 'Cultivation',
-        gamelit: 'GameLit', mmorpg: 'MMORPG', survival: 'Survival',
-      };
-      rpgSystemType.textContent = `System: ${typeLabels[rpg.systemType] || rpg.systemType}`;
+      rpgSystemType.textContent = `System: ${systemLabel(rpg.systemType)}`;
     } else {
       rpgSystemIndicator.style.display = 'none';
     }
   }
 
+  // System picker (built-in + custom definitions)
+  if (rpgSystemSelect) {
+    const current = rpg.systemType || 'generic';
+    const options = getSystemOptions();
+    const scopeSuffix = { global: ' (custom)', story: ' (this story)' };
+    rpgSystemSelect.innerHTML = options.map(o =>
+      `<option value="${escapeHtml(o.id)}">${escapeHtml(o.name)}${scopeSuffix[o.scope] || ''}</option>`
+    ).join('') + (options.length > 0 && !options.some(o => o.id === current)
+      ? `<option value="${escapeHtml(current)}">${escapeHtml(current)} (missing — scans use Generic)</option>`
+      : '');
+    rpgSystemSelect.value = current;
+    rpgSystemSelect.disabled = !rpg.enabled;
+  }
+
   // Scan/sync buttons visibility
   if (rpgScanBtn) rpgScanBtn.disabled = !rpg.enabled || state.litrpgScanning;
   if (rpgSyncLorebookBtn) rpgSyncLorebookBtn.disabled = !rpg.enabled;
@@ -212,6 +230,29 @@ function openStatOverlay(charId, rpg) {
   const roleChip = rpgStatOverlayContent.querySelector('.rpg-role-chip-styled');
   if (roleChip) roleChip.addEventListener('click', () => cycleRole(charId));
 
+  // Wire scene-reference strength (saved on release)
+  const refSlider = rpgStatOverlayContent.querySelector('.rpg-reference-strength');
+  if (refSlider) {
+    const refValue = rpgStatOverlayContent.querySelector('.rpg-reference-strength-value');
+    refSlider.addEventListener('input', () => {
+      const v = parseFloat(refSlider.value);
+      refValue.textContent = v > 0 ? v.toFixed(2) : 'off';
+    });
+    refSlider.addEventListener('change', () => {
+      const target = getRpgState()?.characters?.[charId];
+      if (!target) return;
+      target.referenceStrength = parseFloat(refSlider.value);
+      saveLitrpgState();
+    });
+  }
+
+  // Inventory and currency history (ledger)
+  wireLedgerLinks(rpgStatOverlayContent);
+
+  // Progression (stat history)
+  rpgStatOverlayContent.insertAdjacentHTML('beforeend', buildProgressionHTML(charId, rpg));
+  wireProgression(charId, rpg);
+
   // Load album
   loadAlbumStrip(charId);
 }
@@ -299,12 +340,12 @@ function buildStatSheetHTML(char) {
   }).join('');
 
   const inventoryHTML = (char.inventory || []).map(i =>
-    `<div class="rpg-inv-item">${escapeHtml(i.name)} x${i.quantity || 1} <span style="color:#888;">(${i.type || 'other'})</span>${i.rarity ? ` <span class="rpg-rarity rpg-rarity-${i.rarity}">${i.rarity}</span>` : ''}</div>`
+    `<div class="rpg-inv-item"${ledgerAttrs(char.id, 'item', i.name)}>${escapeHtml(i.name)} x${i.quantity || 1} <span style="color:#888;">(${i.type || 'other'})</span>${i.rarity ? ` <span class="rpg-rarity rpg-rarity-${i.rarity}">${i.rarity}</span>` : ''}</div>`
   ).join('');
 
   const currencyHTML = Object.entries(char.currency || {}).length > 0
     ? `<div class="rpg-section-card rpg-currency-section"><h4>Currency</h4><div style="display:flex;flex-wrap:wrap;gap:6px;">${Object.entries(char.currency).map(([unit, amount]) =>
-        `<div class="rpg-currency-card"><span class="rpg-currency-amount">${amount}</span><span class="rpg-currency-unit">${escapeHtml(unit)}</span></div>`
+        `<div class="rpg-currency-card"${ledgerAttrs(char.id, 'currency', unit)}><span class="rpg-currency-amount">${amount}</span><span class="rpg-currency-unit">${escapeHtml(unit)}</span></div>`
       ).join('')}</div></div>`
     : '';
 
@@ -331,6 +372,8 @@ function buildStatSheetHTML(char) {
 
   // NPC info section
   const DISPOSITION_COLORS = { friendly: '#81c784', neutral: '#ffd54f', hostile: '#ff6b6b', unknown: '#90a4ae' };
+  const referenceStrength = typeof char.referenceStrength === 'number' ? char.referenceStrength : DEFAULT_REFERENCE_STRENGTH;
+
   const npcInfoHTML = char.isNPC ? `
     <div class="rpg-section-card rpg-npc-info-box">
       <div class="rpg-npc-info-label">NPC Info</div>
@@ -372,6 +415,15 @@ function buildStatSheetHTML(char) {
         <div style="font-size:10px;color:#555;">Loading...</div>
       </div>
     </details>
+    ${char.portraitPath ? `
+    <div class="rpg-section-card rpg-reference-card">
+      <h4>Scene Reference</h4>
+      <div class="slider-group">
+        <input type="range" class="rpg-reference-strength" min="0" max="1" step="0.05" value="${referenceStrength}">
+        <span class="slider-value rpg-reference-strength-value">${referenceStrength > 0 ? referenceStrength.toFixed(2) : 'off'}</span>
+      </div>
+      <div style="font-size:10px;color:var(--text-dim);">How strongly this portrait steers the character's look in scene images (NovelAI). 0 = off.</div>
+    </div>` : ''}
     ${npcInfoHTML}
     ${currencyHTML}
     ${statusHTML}
@@ -382,6 +434,176 @@ function buildStatSheetHTML(char) {
   `;
 }
 
+function buildChangesHTML(changes) {
+  return `<div class="rpg-update-diff">${changes.map(c =>
+    `<div class="rpg-diff-line"><span class="rpg-diff-field">${escapeHtml(c.field)}:</span> <span class="rpg-diff-before">${escapeHtml(String(c.before))}</span> → <span class="rpg-diff-after">${escapeHtml(String(c.after))}</span></div>`
+  ).join('')}</div>`;
+}
+
+// =========================================================================
+// PROGRESSION — stat history charts, changes since a chapter, point-in-time sheet
+// =========================================================================
+
+function formatStoryPosition(position) {
+  return position >= 1000 ? `${(position / 1000).toFixed(1)}k chars` : `${position} chars`;
+}
+
+function snapshotLabel(snap) {
+  return `${snap.chapter ? escapeHtml(snap.chapter) : 'Before first chapter'} · ${formatStoryPosition(snap.position)} · ${escapeHtml(snap.source)} · ${new Date(snap.timestamp).toLocaleDateString()}`;
+}
+
+// Numeric series that can be charted: level, XP and every stat that appears in a snapshot
+function progressionMetrics(history) {
+  const metrics = [
+    { key: 'level', label: 'Level', value: s => parseFloat(s.level) },
+    { key: 'xp', label: 'XP', value: s => parseFloat(s.xp?.current) },
+  ];
+  const statNames = [...new Set(history.flatMap(s => Object.keys(s.stats || {})))];
+  for (const name of statNames) {
+    metrics.push({ key: `stat:${name}`, label: name, value: s => parseFloat(s.stats?.[name]?.value) });
+  }
+  return metrics.filter(m => history.filter(s => Number.isFinite(m.value(s))).length > 0);
+}
+
+function buildProgressionChart(history, metric, chapterMarkers) {
+  const points = history
+    .map(s => ({ snap: s, v: metric.value(s) }))
+    .filter(p => Number.isFinite(p.v));
+  if (points.length === 0) return '<div class="rpg-progression-empty">No values recorded.</div>';
+
+  const W = 300, H = 90, PAD_X = 24, PAD_Y = 10;
+  const minX = points[0].snap.position;
+  const maxX = points[points.length - 1].snap.position;
+  const minV = Math.min(...points.map(p => p.v));
+  const maxV = Math.max(...points.map(p => p.v));
+  // Spread by index when every point sits at the same story position
+  const xOf = (p, i) => maxX > minX
+    ? PAD_X + ((p.snap.position - minX) / (maxX - minX)) * (W - PAD_X * 2)
+    : PAD_X + (points.length > 1 ? (i / (points.length - 1)) * (W - PAD_X * 2) : (W - PAD_X * 2) / 2);
+  const yOf = v => maxV > minV
+    ? H - PAD_Y - ((v - minV) / (maxV - minV)) * (H - PAD_Y * 2)
+    : H / 2;
+
+  const chapterLines = maxX > minX ? (chapterMarkers || [])
+    .filter(m => m.position > minX && m.position < maxX)
+    .map(m => {
+      const x = PAD_X + ((m.position - minX) / (maxX - minX)) * (W - PAD_X * 2);
+      return `<line x1="${x}" y1="${PAD_Y}" x2="${x}" y2="${H - PAD_Y}" class="rpg-progression-chapter"><title>${escapeHtml(m.title)}</title></line>`;
+    }).join('') : '';
+
+  const coords = points.map((p, i) => `${xOf(p, i).toFixed(1)},${yOf(p.v).toFixed(1)}`);
+  const dots = points.map((p, i) =>
+    `<circle cx="${xOf(p, i).toFixed(1)}" cy="${yOf(p.v).toFixed(1)}" r="2.5"><title>${escapeHtml(metric.label)} ${p.v} — ${p.snap.chapter ? escapeHtml(p.snap.chapter) : formatStoryPosition(p.snap.position)}</title></circle>`
+  ).join('');
+
+  return `<svg class="rpg-progression-svg" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+    ${chapterLines}
+    <text x="2" y="${PAD_Y + 3}">${maxV}</text>
+    <text x="2" y="${H - PAD_Y + 3}">${minV}</text>
+    <polyline points="${coords.join(' ')}" />
+    ${dots}
+  </svg>`;
+}
+
+function buildProgressionHTML(charId, rpg) {
+  const history = rpg?.statHistory?.[charId] || [];
+  const summary = `<summary style="cursor:pointer;font-size:11px;color:var(--text-dim);user-select:none;">Progression <span class="rpg-progression-count">(${history.length})</span></summary>`;
+  if (history.length === 0) {
+    return `<details class="rpg-progression-section">${summary}
+      <div class="rpg-progression-empty">No history yet. Snapshots are recorded as scans, accepted updates and edits change this character.</div>
+    </details>`;
+  }
+
+  const metrics = progressionMetrics(history);
+  const chapters = rpg.chapterMarkers || [];
+  // Compare from chapter starts when the story has headings, otherwise from each snapshot
+  const sinceOptions = chapters.length > 0
+    ? chapters.map(m => `<option value="${m.position}">${escapeHtml(m.title)}</option>`)
+    : history.map(s => `<option value="${s.position}">${formatStoryPosition(s.position)}</option>`);
+
+  return `<details class="rpg-progression-section">${summary}
+    <div class="rpg-progression-row">
+      <select class="rpg-progression-metric">${metrics.map(m => `<option value="${escapeHtml(m.key)}">${escapeHtml(m.label)}</option>`).join('')}</select>
+    </div>
+    <div class="rpg-progression-chart"></div>
+    <div class="rpg-progression-row">
+      <span>Changes since</span>
+      <select class="rpg-progression-since">${sinceOptions.join('')}</select>
+    </div>
+    <div class="rpg-progression-diff"></div>
+    <div class="rpg-progression-row">
+      <span>View at</span>
+      <input type="range" class="rpg-progression-at" min="0" max="${history.length - 1}" step="1" value="${history.length - 1}">
+    </div>
+    <div class="rpg-progression-at-label"></div>
+    <div class="rpg-progression-sheet"></div>
+  </details>`;
+}
+
+function wireProgression(charId, rpg) {
+  const section = rpgStatOverlayContent?.querySelector('.rpg-progression-section');
+  const history = rpg?.statHistory?.[charId] || [];
+  const char = rpg?.characters?.[charId];
+  if (!section || history.length === 0 || !char) return;
+
+  const metricSelect = section.querySelector('.rpg-progression-metric');
+  const chartEl = section.querySelector('.rpg-progression-chart');
+  const sinceSelect = section.querySelector('.rpg-progression-since');
+  const diffEl = section.querySelector('.rpg-progression-diff');
+  const atSlider = section.querySelector('.rpg-progression-at');
+  const atLabel = section.querySelector('.rpg-progression-at-label');
+  const sheetEl = section.querySelector('.rpg-progression-sheet');
+  const metrics = progressionMetrics(history);
+
+  const renderChart = () => {
+    const metric = metrics.find(m => m.key === metricSelect.value);
+    chartEl.innerHTML = metric ? buildProgressionChart(history, metric, rpg.chapterMarkers) : '';
+  };
+
+  const renderDiff = async () => {
+    const since = parseInt(sinceSelect.value, 10) || 0;
+    const result = await window.sceneVisualizer.litrpgCharacterDiff(state.currentStoryId, charId, since);
+    if (!result.success) {
+      diffEl.innerHTML = `<div class="rpg-progression-empty">${escapeHtml(result.error || 'Could not compare')}</div>`;
+      return;
+    }
+    const note = result.fromFirst
+      ? `<div class="rpg-progression-note">Not tracked yet at this point — compared with the first snapshot (${snapshotLabel(result.baseline)}).</div>`
+      : '';
+    diffEl.innerHTML = note + (result.changes.length > 0
+      ? buildChangesHTML(result.changes)
+      : '<div class="rpg-progression-empty">No changes.</div>');
+  };
+
+  // Historical sheet: the snapshot's fields over the live character (portrait, role, NPC info)
+  const renderAt = () => {
+    const snap = history[parseInt(atSlider.value, 10)];
+    if (!snap) return;
+    atLabel.innerHTML = snapshotLabel(snap);
+    sheetEl.innerHTML = buildStatSheetHTML({ ...char, ...snap, id: char.id, name: char.name });
+  };
+
+  if (metricSelect) metricSelect.addEventListener('change', renderChart);
+  sinceSelect.addEventListener('change', renderDiff);
+  atSlider.addEventListener('input', renderAt);
+
+  // Default to the most recent chapter start (or the snapshot before the latest)
+  if (sinceSelect.options.length > 1) {
+    sinceSelect.selectedIndex = (rpg.chapterMarkers || []).length > 0
+      ? sinceSelect.options.length - 1
+      : sinceSelect.options.length - 2;
+  }
+
+  // Render lazily the first time the section is opened
+  section.addEventListener('toggle', () => {
+    if (!section.open || section.dataset.rendered) return;
+    section.dataset.rendered = '1';
+    renderChart();
+    renderDiff();
+    renderAt();
+  });
+}
+
 // =========================================================================
 // MANUAL STAT EDITING (Phase 5E)
 // =========================================================================
@@ -782,24 +1004,99 @@ function renderQuests(rpg) {
   if (active.length === 0) {
     rpgQuestListActive.innerHTML = '<div style="font-size:11px;color:#666;padding:4px;">No active quests.</div>';
   } else {
-    rpgQuestListActive.innerHTML = active.map(q => buildQuestCardHTML(q)).join('');
+    rpgQuestListActive.innerHTML = active.map(q => buildQuestCardHTML(q, rpg)).join('');
   }
 
   rpgQuestListDone.innerHTML = done.length === 0
     ? '<div style="font-size:11px;color:#666;padding:4px;">None yet.</div>'
-    : done.map(q => buildQuestCardHTML(q)).join('');
+    : done.map(q => buildQuestCardHTML(q, rpg)).join('');
+
+  renderQuestChains(rpgQuestChains, rpg.quests || {}, scrollToQuest);
+
+  for (const list of [rpgQuestListActive, rpgQuestListDone]) {
+    list.querySelectorAll('.rpg-quest-link[data-char-id]').forEach(link => {
+      link.addEventListener('click', () => openStatOverlay(link.dataset.charId, rpg));
+    });
+    list.querySelectorAll('.rpg-quest-link[data-quest-id]').forEach(link => {
+      link.addEventListener('click', () => scrollToQuest(link.dataset.questId));
+    });
+    list.querySelectorAll('.rpg-quest-grant').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const select = btn.parentElement.querySelector('.rpg-quest-recipient');
+        grantQuestRewards(btn.dataset.questId, select?.value);
+      });
+    });
+  }
 }
 
-function buildQuestCardHTML(quest) {
-  const objectives = (quest.objectives || []).map(o =>
-    `<div class="rpg-objective-v2${o.completed ? ' completed' : ''}"><span class="rpg-obj-check">${o.completed ? '<svg width="8" height="8" viewBox="0 0 24 24" fill="none" stroke="#fff" stroke-width="3"><path d="M20 6L9 17l-5-5"/></svg>' : ''}</span>${escapeHtml(o.text)}</div>`
-  ).join('');
+function scrollToQuest(questId) {
+  const card = document.querySelector(`.rpg-quest-card-v2[data-quest-id="${CSS.escape(questId)}"]`);
+  if (!card) return;
+  const details = card.closest('details');
+  if (details) details.open = true;
+  card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  card.classList.add('highlight');
+  setTimeout(() => card.classList.remove('highlight'), 1200);
+}
+
+async function grantQuestRewards(questId, characterId) {
+  if (!state.currentStoryId || !characterId) return;
+  const result = await window.sceneVisualizer.litrpgGrantQuestRewards(state.currentStoryId, questId, characterId);
+  if (!result.success) {
+    showToast(`Could not grant rewards: ${result.error}`, 3000, 'error');
+    return;
+  }
+  state.litrpgState = result.state;
+  refreshRpgUI();
+  showToast('Quest rewards granted', 2000, 'success');
+}
+
+function formatQuestRewards(quest) {
+  if (quest.rewards) return quest.rewards;
+  return (quest.rewardItems || [])
+    .map(r => (r.kind === 'item' ? `${r.name}${r.quantity > 1 ? ` x${r.quantity}` : ''}` : `${r.quantity} ${r.name}`))
+    .join(', ');
+}
+
+// A character name that opens its stat sheet when the quest links to a tracked character
+function questCharLink(rpg, charId, name) {
+  const char = charId ? rpg.characters?.[charId] : null;
+  if (!char) return escapeHtml(name);
+  return `<span class="rpg-quest-link" data-char-id="${escapeHtml(charId)}" title="Open stat sheet">${escapeHtml(char.name)}</span>`;
+}
+
+function buildQuestCardHTML(quest, rpg) {
+  const objectives = (quest.objectives || []).map(o => {
+    const progress = o.progress ? ` <span class="rpg-obj-progress">${o.progress.current}/${o.progress.target}</span>` : '';
+    const optional = o.optional ? ' <span class="rpg-obj-optional">optional</span>' : '';
+    return `<div class="rpg-objective-v2${o.completed ? ' completed' : ''}"><span class="rpg-obj-check">${o.completed ? '<svg width="8" height="8" viewBox="0 0 24 24" fill="none" stroke="#fff" stroke-width="3"><path d="M20 6L9 17l-5-5"/></svg>' : ''}</span>${escapeHtml(o.text)}${progress}${optional}</div>`;
+  }).join('');
 
   const metaParts = [];
-  if (quest.giver) metaParts.push(`Giver: ${escapeHtml(quest.giver)}`);
-  if (quest.rewards) metaParts.push(`<span class="rpg-quest-reward">${escapeHtml(quest.rewards)}</span>`);
+  if (quest.giver) metaParts.push(`Giver: ${questCharLink(rpg, quest.giverId, quest.giver)}`);
+  if ((quest.targets || []).length > 0) {
+    metaParts.push(`Target: ${quest.targets.map((name, i) => questCharLink(rpg, quest.targetIds?.[i], name)).join(', ')}`);
+  }
+  const parent = rpg.quests?.[quest.parentId];
+  if (parent) metaParts.push(`Follows: <span class="rpg-quest-link" data-quest-id="${escapeHtml(parent.id)}">${escapeHtml(parent.title)}</span>`);
+  if (quest.deadline && quest.status === 'active') metaParts.push(`<span class="rpg-quest-deadline">Due: ${escapeHtml(quest.deadline)}</span>`);
+  const rewards = formatQuestRewards(quest);
+  if (rewards) {
+    const recipient = quest.rewardsGranted ? rpg.characters?.[quest.rewardRecipientId] : null;
+    const granted = recipient ? ` title="Granted to ${escapeHtml(recipient.name)}"` : '';
+    metaParts.push(`<span class="rpg-quest-reward${quest.rewardsGranted ? ' granted' : ''}"${granted}>${escapeHtml(rewards)}</span>`);
+  }
   const meta = metaParts.join(' ');
 
+  // Completed quests whose rewards found no recipient can be paid out by hand
+  const characters = Object.values(rpg.characters || {});
+  const grant = quest.status === 'completed' && !quest.rewardsGranted && (quest.rewardItems || []).length > 0 && characters.length > 0
+    ? `<div class="rpg-quest-grant-row">
+        <select class="rpg-quest-recipient">${characters.map(c => `<option value="${escapeHtml(c.id)}"${c.id === quest.recipientId ? ' selected' : ''}>${escapeHtml(c.name)}</option>`).join('')}</select>
+        <button class="rpg-quest-grant" data-quest-id="${escapeHtml(quest.id)}">Grant rewards</button>
+      </div>`
+    : '';
+
   const totalObj = (quest.objectives || []).length;
   const completedObj = (quest.objectives || []).filter(o => o.completed).length;
   const progressPct = totalObj > 0 ? Math.round((completedObj / totalObj) * 100) : 0;
@@ -809,7 +1106,7 @@ function buildQuestCardHTML(quest) {
 
   const questType = quest.type || 'side';
   return `
-    <div class="rpg-quest-card-v2 type-${questType} ${quest.status}">
+    <div class="rpg-quest-card-v2 type-${questType} ${quest.status}" data-quest-id="${escapeHtml(quest.id)}">
       <div class="rpg-quest-header">
         <span class="rpg-quest-type ${questType}">${escapeHtml(questType.toUpperCase())}</span>
         <span class="rpg-quest-title">${escapeHtml(quest.title)}</span>
@@ -818,6 +1115,7 @@ function buildQuestCardHTML(quest) {
       ${progressBar}
       ${objectives ? `<div class="rpg-quest-objectives">${objectives}</div>` : ''}
       ${meta ? `<div class="rpg-quest-meta">${meta}</div>` : ''}
+      ${grant}
     </div>
   `;
 }
@@ -979,9 +1277,7 @@ function renderPendingUpdates(rpg) {
       // Phase 5C — use changes array for field-level diffs
       const changes = update.changes || [];
       if (changes.length > 0) {
-        diffHTML = `<div class="rpg-update-diff">${changes.map(c =>
-          `<div class="rpg-diff-line"><span class="rpg-diff-field">${escapeHtml(c.field)}:</span> <span class="rpg-diff-before">${escapeHtml(String(c.before))}</span> → <span class="rpg-diff-after">${escapeHtml(String(c.after))}</span></div>`
-        ).join('')}</div>`;
+        diffHTML = buildChangesHTML(changes);
       }
       desc = escapeHtml(update.characterName);
     } else if (update.type === 'quest_status') {
@@ -1040,7 +1336,7 @@ function renderInventory(rpg) {
   if (!rpgInventoryList) return;
   const allChars = Object.values(rpg.characters || {});
   const globalInv = rpg.globalInventory || [];
-  const charItems = allChars.flatMap(c => (c.inventory || []).map(i => ({ ...i, owner: c.name })));
+  const charItems = allChars.flatMap(c => (c.inventory || []).map(i => ({ ...i, owner: c.name, ownerId: c.id })));
   const allItems = [...globalInv.map(i => ({ ...i, owner: 'Shared' })), ...charItems];
 
   if (allItems.length === 0) {
@@ -1052,8 +1348,9 @@ function renderInventory(rpg) {
   }
 
   rpgInventoryList.innerHTML = `<div class="rpg-inv-grid">${allItems.map(i =>
-    `<div class="rpg-inv-slot${i.rarity ? ` rarity-${i.rarity}` : ''}"><span style="flex:1;color:#e0e0e0;">${escapeHtml(i.name)}</span><span class="rpg-inv-qty">x${i.quantity || 1}</span><span style="font-size:9px;color:#666;">${escapeHtml(i.owner)}</span></div>`
+    `<div class="rpg-inv-slot${i.rarity ? ` rarity-${i.rarity}` : ''}"${ledgerAttrs(i.ownerId, 'item', i.name)}><span style="flex:1;color:#e0e0e0;">${escapeHtml(i.name)}</span><span class="rpg-inv-qty">x${i.quantity || 1}</span><span style="font-size:9px;color:#666;">${escapeHtml(i.owner)}</span></div>`
   ).join('')}</div>`;
+  wireLedgerLinks(rpgInventoryList);
 }
 
 function renderCurrency(rpg) {
@@ -1067,7 +1364,7 @@ function renderCurrency(rpg) {
   }
   for (const c of allChars) {
     if (c.currency && Object.keys(c.currency).length > 0) {
-      entries.push({ owner: c.name, currency: c.currency });
+      entries.push({ owner: c.name, ownerId: c.id, currency: c.currency });
     }
   }
 
@@ -1081,9 +1378,10 @@ function renderCurrency(rpg) {
 
   rpgCurrencyList.innerHTML = entries.map(e =>
     `<div style="margin-bottom:6px;"><div style="font-size:9px;color:#666;margin-bottom:3px;">${escapeHtml(e.owner)}</div><div style="display:flex;flex-wrap:wrap;gap:6px;">${Object.entries(e.currency).map(([unit, amount]) =>
-      `<div class="rpg-currency-card"><span class="rpg-currency-amount">${amount}</span><span class="rpg-currency-unit">${escapeHtml(unit)}</span></div>`
+      `<div class="rpg-currency-card"${ledgerAttrs(e.ownerId, 'currency', unit)}><span class="rpg-currency-amount">${amount}</span><span class="rpg-currency-unit">${escapeHtml(unit)}</span></div>`
     ).join('')}</div></div>`
   ).join('');
+  wireLedgerLinks(rpgCurrencyList);
 }
 
 function renderStatusEffects(rpg) {
@@ -1638,12 +1936,67 @@ async function syncToLorebook() {
     }
   }
 
-  showToast(synced > 0 ? `Synced ${synced} character${synced > 1 ? 's' : ''} to lorebook` : 'No characters to sync');
+  const questLogSynced = await syncQuestLog(rpg);
+  const parts = [];
+  if (synced > 0) parts.push(`${synced} character${synced > 1 ? 's' : ''}`);
+  if (questLogSynced) parts.push('the quest log');
+  showToast(parts.length > 0 ? `Synced ${parts.join(' and ')} to lorebook` : 'Nothing to sync');
   } finally {
     if (rpgSyncLorebookBtn) rpgSyncLorebookBtn.disabled = false;
   }
 }
 
+const QUEST_LOG_ENTRY = 'Quest Log';
+
+// Update the quest log entry, or create it when the lorebook is writable. Returns true when written.
+async function syncQuestLog(rpg) {
+  if (Object.keys(rpg.quests || {}).length === 0) return false;
+  const questState = { quests: rpg.quests, characters: rpg.characters };
+
+  try {
+    const entries = await webview.executeJavaScript(`
+      (function() {
+        if (window.__loreCreator && window.__loreCreator.getEntries) {
+          return window.__loreCreator.getEntries().filter(e => e.displayName === ${JSON.stringify(QUEST_LOG_ENTRY)});
+        }
+        return [];
+      })()
+    `);
+
+    if (entries.length > 0) {
+      const updatedText = await window.sceneVisualizer.litrpgBuildQuestLogText(entries[0].text, questState);
+      await webview.executeJavaScript(`
+        (function() {
+          if (window.__loreCreator && window.__loreCreator.updateEntry) {
+            window.__loreCreator.updateEntry({
+              displayName: ${JSON.stringify(QUEST_LOG_ENTRY)},
+              text: ${JSON.stringify(updatedText)}
+            });
+          }
+        })()
+      `);
+      return true;
+    }
+
+    await checkLoreProxy();
+    if (!state.loreProxyReady) return false;
+    const lorebookId = await loreCall('createEntry', {
+      displayName: QUEST_LOG_ENTRY,
+      keys: ['quest', 'quests', 'quest log', 'mission'],
+      text: await window.sceneVisualizer.litrpgBuildQuestLogText('', questState),
+      category: await getCategoryForType('concept'),
+    });
+    if (lorebookId && state.loreState) {
+      state.loreState.acceptedEntryIds.push(lorebookId);
+      await saveLoreState();
+    }
+    return !!lorebookId;
+  } catch (err) {
+    console.error('[LitRPG] Quest log sync failed:', err);
+    return false;
+  }
+}
+
 async function applyRoleUpdatesToLorebook(roleUpdates) {
   if (!roleUpdates || roleUpdates.length === 0) return;
   let updated = 0;
@@ -2005,6 +2358,25 @@ export function init() {
     });
   }
 
+  if (rpgSystemSelect) {
+    rpgSystemSelect.addEventListener('change', () => {
+      if (!state.litrpgState) return;
+      state.litrpgState.systemType = rpgSystemSelect.value;
+      saveLitrpgState();
+      refreshRpgUI();
+    });
+  }
+  if (rpgSystemsBtn) rpgSystemsBtn.addEventListener('click', openSystemsEditor);
+  bus.on('litrpg:systems-changed', refreshRpgUI);
+  if (rpgParsersBtn) rpgParsersBtn.addEventListener('click', openParsersEditor);
+  bus.on('litrpg:state-changed', () => {
+    refreshRpgUI();
+    // Keep an open sheet in step (e.g. after a ledger reversal), unless it is being edited
+    if (rpgStatOverlay?.style.display === 'flex' && !rpgStatOverlayContent.querySelector('.rpg-stat-save-btn')) {
+      openStatOverlay(rpgStatOverlay.dataset.charId, getRpgState());
+    }
+  });
+
   // IPC listeners
   setupIPCListeners();
 
@@ -0,0 +1,271 @@
+// litrpg-parsers.js — editor for declarative system-message parser rules, with a live test pane
+// against the current story text and a no-LLM "apply to story"
+
+import { state, bus } from './state.js';
+import {
+  rpgParsersModal, rpgParsersList, rpgParserName, rpgParserScope, rpgParserTarget,
+  rpgParserEnabled, rpgParserApply, rpgParserWeight, rpgParserPattern, rpgParserFlags,
+  rpgParserFields, rpgParserTestText, rpgParserTestReloadBtn, rpgParserTestStatus, rpgParserTestResults,
+  rpgParserNewBtn, rpgParserSaveBtn, rpgParserDeleteBtn, rpgParsersApplyBtn, rpgParsersCloseBtn,
+} from './dom-refs.js';
+import { showToast, escapeHtml } from './utils.js';
+import { readStoryTextFromDOM } from './webview-polling.js';
+
+const TEST_DEBOUNCE_MS = 300;
+const MAX_RESULT_ROWS = 50;
+
+// Last loaded rules: { global, story, targets }
+let parsers = { global: [], story: [], targets: {} };
+// Rule open in the form: { scope, id } or null for a new one
+let editing = null;
+let testTimer = null;
+let testSeq = 0;
+
+async function loadParsers() {
+  try {
+    parsers = await window.sceneVisualizer.litrpgParsersGet(state.currentStoryId);
+  } catch (e) {
+    console.error('[LitRPG] Failed to load parser rules:', e);
+    return;
+  }
+  // Carry story rules in the cached story settings so a settings save keeps them
+  if (state.storySettings) state.storySettings.litrpgParsers = parsers.story;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function renderList() {
+  const section = (scope, title, list) => `
+    <div class="rpg-systems-group">${escapeHtml(title)}</div>
+    ${list.length === 0 ? '<div class="rpg-systems-empty">None</div>' : list.map(r => `
+      <div class="rpg-systems-item${editing?.scope === scope && editing?.id === r.id ? ' active' : ''}${r.enabled ? '' : ' disabled'}" data-scope="${scope}" data-id="${escapeHtml(r.id)}">
+        <span>${escapeHtml(r.name)}</span>
+        <span class="rpg-systems-meta">${escapeHtml(parsers.targets[r.target]?.label || r.target)}${r.applyToState ? ' · updates state' : ''}${r.enabled ? '' : ' · off'}</span>
+      </div>`).join('')}`;
+
+  rpgParsersList.innerHTML = section('global', 'Global', parsers.global)
+    + (state.currentStoryId ? section('story', 'This story', parsers.story) : '');
+
+  rpgParsersList.querySelectorAll('.rpg-systems-item').forEach(item => {
+    item.addEventListener('click', () => openRule(item.dataset.scope, item.dataset.id));
+  });
+}
+
+// One row per target field (plus character): capture group, or a fixed value
+function renderFieldRows(rule) {
+  const target = parsers.targets[rpgParserTarget.value];
+  if (!target) {
+    rpgParserFields.innerHTML = '';
+    return;
+  }
+  const fields = [...target.fields, 'character'];
+  rpgParserFields.innerHTML = `
+    <div class="rpg-parser-field-row rpg-parser-field-head"><span>Field</span><span>Group</span><span>Fixed value</span></div>
+    ${fields.map(field => `
+      <div class="rpg-parser-field-row" data-field="${field}">
+        <span>${field}${target.required.includes(field) ? ' *' : ''}</span>
+        <input type="text" class="rpg-parser-group" placeholder="1 or name" value="${escapeHtml(rule?.groups?.[field] || '')}">
+        <input type="text" class="rpg-parser-default" value="${escapeHtml(rule?.defaults?.[field] || '')}">
+      </div>`).join('')}`;
+}
+
+function readForm() {
+  const groups = {};
+  const defaults = {};
+  rpgParserFields.querySelectorAll('.rpg-parser-field-row[data-field]').forEach(row => {
+    groups[row.dataset.field] = row.querySelector('.rpg-parser-group').value;
+    defaults[row.dataset.field] = row.querySelector('.rpg-parser-default').value;
+  });
+  return {
+    id: editing?.id, // kept when the scope changes; the main process drops the old copy
+    name: rpgParserName.value.trim(),
+    enabled: rpgParserEnabled.checked,
+    target: rpgParserTarget.value,
+    pattern: rpgParserPattern.value,
+    flags: rpgParserFlags.value.trim(),
+    groups,
+    defaults,
+    applyToState: rpgParserApply.checked,
+    signalWeight: rpgParserWeight.value,
+  };
+}
+
+function fillForm(rule, scope) {
+  rpgParserName.value = rule?.name || '';
+  rpgParserScope.value = scope;
+  rpgParserTarget.value = rule?.target || 'stat';
+  rpgParserEnabled.checked = rule ? rule.enabled : true;
+  rpgParserApply.checked = !!rule?.applyToState;
+  rpgParserWeight.value = rule ? rule.signalWeight : 3;
+  rpgParserPattern.value = rule?.pattern || '';
+  rpgParserFlags.value = rule ? rule.flags.replace('g', '') : 'i';
+  rpgParserDeleteBtn.disabled = !rule;
+  renderFieldRows(rule);
+  scheduleTest();
+}
+
+function openRule(scope, id) {
+  const rule = parsers[scope]?.find(r => r.id === id);
+  if (!rule) return;
+  editing = { scope, id };
+  fillForm(rule, scope);
+  renderList();
+}
+
+function newRule() {
+  editing = null;
+  fillForm(null, rpgParserScope.value || 'global');
+  renderList();
+  rpgParserName.focus();
+}
+
+// ---------------------------------------------------------------------------
+// Test pane
+// ---------------------------------------------------------------------------
+
+function scheduleTest() {
+  clearTimeout(testTimer);
+  testTimer = setTimeout(runTest, TEST_DEBOUNCE_MS);
+}
+
+async function runTest() {
+  const text = rpgParserTestText.value;
+  rpgParserTestStatus.classList.remove('error');
+  if (!rpgParserPattern.value.trim()) {
+    rpgParserTestStatus.textContent = 'Enter a pattern to test it.';
+    rpgParserTestResults.innerHTML = '';
+    return;
+  }
+  if (!text.trim()) {
+    rpgParserTestStatus.textContent = 'No test text — load the story or paste a sample.';
+    rpgParserTestResults.innerHTML = '';
+    return;
+  }
+
+  const seq = ++testSeq;
+  const result = await window.sceneVisualizer.litrpgParsersTest(readForm(), text);
+  if (seq !== testSeq) return; // a newer test started while this one ran
+
+  if (!result.success) {
+    rpgParserTestStatus.textContent = result.error;
+    rpgParserTestStatus.classList.add('error');
+    rpgParserTestResults.innerHTML = '';
+    return;
+  }
+  const { matches, ms } = result;
+  rpgParserTestStatus.textContent = `${matches.length} match${matches.length === 1 ? '' : 'es'} (${ms} ms)`
+    + (matches.length > MAX_RESULT_ROWS ? ` — showing the last ${MAX_RESULT_ROWS}` : '');
+  rpgParserTestResults.innerHTML = matches.length === 0 ? '' : `
+    <table class="rpg-parser-results">
+      <tr><th>Matched text</th><th>Fields</th></tr>
+      ${matches.slice(-MAX_RESULT_ROWS).map(m => `
+        <tr>
+          <td>${escapeHtml(m.text)}</td>
+          <td>${Object.entries(m.fields).map(([k, v]) => `<span class="rpg-parser-chip">${escapeHtml(k)}: ${escapeHtml(String(v))}</span>`).join(' ')}</td>
+        </tr>`).join('')}
+    </table>`;
+}
+
+async function loadTestText() {
+  rpgParserTestText.value = await readStoryTextFromDOM() || '';
+  scheduleTest();
+}
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+async function saveRule() {
+  const scope = rpgParserScope.value;
+  const result = await window.sceneVisualizer.litrpgParsersSave(state.currentStoryId, scope, readForm(), editing?.scope);
+  if (!result.success) {
+    showToast(`Save failed: ${result.error}`, 4000, 'error');
+    return;
+  }
+  await loadParsers();
+  openRule(scope, result.rule.id);
+  showToast('Parser rule saved', 2000, 'success');
+}
+
+async function deleteRule() {
+  if (!editing) return;
+  const rule = parsers[editing.scope]?.find(r => r.id === editing.id);
+  if (!confirm(`Delete the parser rule "${rule?.name || editing.id}"?`)) return;
+  const result = await window.sceneVisualizer.litrpgParsersDelete(state.currentStoryId, editing.scope, editing.id);
+  if (!result.success) {
+    showToast(`Delete failed: ${result.error}`, 3000, 'error');
+    return;
+  }
+  await loadParsers();
+  newRule();
+}
+
+// Run the saved rules over story text not parsed yet and update state, no LLM involved
+async function applyToStory() {
+  if (!state.currentStoryId || !state.litrpgEnabled) {
+    showToast('Enable LitRPG for this story first', 3000, 'warn');
+    return;
+  }
+  const storyText = await readStoryTextFromDOM();
+  if (!storyText) {
+    showToast('No story text found', 3000, 'warn');
+    return;
+  }
+  const result = await window.sceneVisualizer.litrpgParsersApply(state.currentStoryId, storyText);
+  if (!result.success) {
+    showToast(result.error, 3000, 'error');
+    return;
+  }
+  state.litrpgState = result.state;
+  bus.emit('litrpg:state-changed');
+
+  const skipped = result.skipped.length ? `, ${result.skipped.length} skipped` : '';
+  if (result.skipped.length > 0) console.warn('[LitRPG] Parser matches skipped:', result.skipped);
+  showToast(result.applied > 0 || skipped
+    ? `Applied ${result.applied} parser match${result.applied === 1 ? '' : 'es'}${skipped}`
+    : 'No new matches since the last run', 3000, result.applied > 0 ? 'success' : 'info');
+}
+
+async function openModal() {
+  await loadParsers();
+  rpgParserTarget.innerHTML = Object.entries(parsers.targets)
+    .map(([id, t]) => `<option value="${escapeHtml(id)}">${escapeHtml(t.label)}</option>`).join('');
+  rpgParserScope.querySelector('option[value="story"]').disabled = !state.currentStoryId;
+  newRule();
+  rpgParsersModal.classList.add('active');
+  loadTestText();
+}
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+export function openParsersEditor() {
+  openModal();
+}
+
+export function init() {
+  if (!rpgParsersModal) return;
+
+  rpgParserTarget.addEventListener('change', () => {
+    renderFieldRows(readForm());
+    scheduleTest();
+  });
+  for (const el of [rpgParserPattern, rpgParserFlags, rpgParserFields, rpgParserTestText]) {
+    el.addEventListener('input', scheduleTest);
+  }
+  rpgParserTestReloadBtn.addEventListener('click', loadTestText);
+  rpgParserNewBtn.addEventListener('click', newRule);
+  rpgParserSaveBtn.addEventListener('click', saveRule);
+  rpgParserDeleteBtn.addEventListener('click', deleteRule);
+  rpgParsersApplyBtn.addEventListener('click', applyToStory);
+  rpgParsersCloseBtn.addEventListener('click', () => {
+    clearTimeout(testTimer);
+    rpgParsersModal.classList.remove('active');
+  });
+
+  bus.on('story:changed', loadParsers);
+  loadParsers();
+}
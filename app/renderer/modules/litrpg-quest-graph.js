@@ -0,0 +1,108 @@
+// litrpg-quest-graph.js — quest chains (parent → follow-up quests) drawn as a top-down dependency graph
+
+import { escapeHtml } from './utils.js';
+
+const NODE_W = 120;
+const NODE_H = 26;
+const GAP_X = 10;
+const GAP_Y = 22;
+const MAX_LABEL = 18;
+
+/**
+ * Quests grouped into chains by parent links, keeping chains of two or more quests that
+ * still have an active one. Depth is the distance from the chain's root quest.
+ * @returns {Array<{rootId: string, nodes: Array<{id, title, status, depth}>, edges: Array<{from, to}>}>}
+ */
+export function buildQuestChains(quests) {
+  const rootOf = (quest) => {
+    const seen = new Set();
+    let q = quest;
+    while (q.parentId && quests[q.parentId] && !seen.has(q.id)) {
+      seen.add(q.id);
+      q = quests[q.parentId];
+    }
+    return q;
+  };
+  const depthOf = (quest, rootId) => {
+    let depth = 0;
+    for (let q = quest; q.id !== rootId && q.parentId && quests[q.parentId]; q = quests[q.parentId]) depth++;
+    return depth;
+  };
+
+  const groups = new Map();
+  for (const quest of Object.values(quests || {})) {
+    const root = rootOf(quest);
+    if (!groups.has(root.id)) groups.set(root.id, []);
+    groups.get(root.id).push(quest);
+  }
+
+  const chains = [];
+  for (const [rootId, members] of groups) {
+    if (members.length < 2 || !members.some(q => q.status === 'active')) continue;
+    chains.push({
+      rootId,
+      nodes: members
+        .map(q => ({ id: q.id, title: q.title, status: q.status, depth: depthOf(q, rootId), discoveredAt: q.discoveredAt || 0 }))
+        .sort((a, b) => a.depth - b.depth || a.discoveredAt - b.discoveredAt),
+      edges: members.filter(q => q.id !== rootId && quests[q.parentId]).map(q => ({ from: q.parentId, to: q.id })),
+    });
+  }
+  return chains;
+}
+
+function chainSVG(chain) {
+  const rows = [];
+  for (const node of chain.nodes) {
+    if (!rows[node.depth]) rows[node.depth] = [];
+    rows[node.depth].push(node);
+  }
+  const widest = Math.max(...rows.map(row => row.length));
+  const width = widest * (NODE_W + GAP_X) - GAP_X;
+  const height = rows.length * (NODE_H + GAP_Y) - GAP_Y;
+
+  const pos = new Map();
+  rows.forEach((row, depth) => {
+    const offset = (width - (row.length * (NODE_W + GAP_X) - GAP_X)) / 2;
+    row.forEach((node, i) => pos.set(node.id, { x: offset + i * (NODE_W + GAP_X), y: depth * (NODE_H + GAP_Y) }));
+  });
+
+  const edges = chain.edges.map(({ from, to }) => {
+    const a = pos.get(from);
+    const b = pos.get(to);
+    const x1 = a.x + NODE_W / 2, y1 = a.y + NODE_H;
+    const x2 = b.x + NODE_W / 2, y2 = b.y;
+    const mid = (y1 + y2) / 2;
+    return `<path class="rpg-chain-edge" d="M${x1},${y1} C${x1},${mid} ${x2},${mid} ${x2},${y2 - 4}" marker-end="url(#rpgChainArrow)"/>`;
+  }).join('');
+
+  const nodes = chain.nodes.map(node => {
+    const { x, y } = pos.get(node.id);
+    const label = node.title.length > MAX_LABEL ? node.title.slice(0, MAX_LABEL - 1) + '…' : node.title;
+    return `
+      <g class="rpg-chain-node ${node.status}" data-quest-id="${escapeHtml(node.id)}" transform="translate(${x},${y})">
+        <title>${escapeHtml(node.title)} (${node.status})</title>
+        <rect width="${NODE_W}" height="${NODE_H}" rx="5"/>
+        <text x="${NODE_W / 2}" y="${NODE_H / 2 + 4}" text-anchor="middle">${escapeHtml(label)}</text>
+      </g>`;
+  }).join('');
+
+  return `
+    <svg class="rpg-chain-svg" width="${width}" height="${height + 2}" viewBox="0 -1 ${width} ${height + 2}">
+      <defs><marker id="rpgChainArrow" viewBox="0 0 8 8" refX="4" refY="4" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L8,4 L0,8 z"/></marker></defs>
+      ${edges}${nodes}
+    </svg>`;
+}
+
+/**
+ * Draw the active quest chains into `container` (emptied when there are none).
+ * @param {function(string)} onSelect - called with a quest id when a node is clicked
+ */
+export function renderQuestChains(container, quests, onSelect) {
+  if (!container) return;
+  const chains = buildQuestChains(quests);
+  container.style.display = chains.length > 0 ? '' : 'none';
+  container.innerHTML = chains.map(chain => `<div class="rpg-chain">${chainSVG(chain)}</div>`).join('');
+  container.querySelectorAll('.rpg-chain-node').forEach(node => {
+    node.addEventListener('click', () => onSelect(node.dataset.questId));
+  });
+}
@@ -0,0 +1,240 @@
+// litrpg-systems.js — editor for user-defined LitRPG system types (global or per story), JSON import/export
+
+import { state, bus } from './state.js';
+import {
+  rpgSystemsModal, rpgSystemsList, rpgSystemName, rpgSystemScope, rpgSystemBase,
+  rpgSystemStats, rpgSystemSlots, rpgSystemClasses, rpgSystemRealms, rpgSystemCurrencies,
+  rpgSystemContextHint, rpgSystemQuestHint, rpgSystemPatterns, rpgSystemPatternHelp,
+  rpgSystemNewBtn, rpgSystemSaveBtn, rpgSystemDeleteBtn,
+  rpgSystemsImportBtn, rpgSystemsExportBtn, rpgSystemsCloseBtn,
+} from './dom-refs.js';
+import { showToast, escapeHtml } from './utils.js';
+
+// Last loaded definitions: { global, story, options, builtins, patternTargets }
+let systems = { global: [], story: [], options: [], builtins: {}, patternTargets: {} };
+// Definition open in the form: { scope, id } or null for a new one
+let editing = null;
+
+// ---------------------------------------------------------------------------
+// Lookups (used by the LitRPG panel's system picker)
+// ---------------------------------------------------------------------------
+
+/** Built-in and custom systems available to the current story: [{ id, name, scope }] */
+export function getSystemOptions() {
+  return systems.options;
+}
+
+export function systemLabel(id) {
+  return systems.options.find(o => o.id === id)?.name || id;
+}
+
+async function loadSystems() {
+  try {
+    systems = await window.sceneVisualizer.litrpgSystemsGet(state.currentStoryId);
+  } catch (e) {
+    console.error('[LitRPG] Failed to load systems:', e);
+    return;
+  }
+  // Carry story definitions in the cached story settings so a settings save keeps them
+  if (state.storySettings) state.storySettings.litrpgSystems = systems.story;
+  bus.emit('litrpg:systems-changed');
+}
+
+// ---------------------------------------------------------------------------
+// Patterns — one per line: "target: regex" or "target/flags: regex"
+// ---------------------------------------------------------------------------
+
+function formatPatterns(patterns) {
+  return (patterns || []).map(p => {
+    const flags = p.flags.replace('g', '');
+    return `${p.target}${flags === 'i' ? '' : `/${flags}`}: ${p.regex}`;
+  }).join('\n');
+}
+
+function parsePatterns(text) {
+  const patterns = [];
+  const errors = [];
+  for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+    const m = line.match(/^(\w+)(?:\/([a-z]*))?\s*:\s*(.+)$/);
+    if (!m) {
+      errors.push(`Can't read "${line}"`);
+      continue;
+    }
+    patterns.push({ target: m[1], flags: m[2] ?? 'i', regex: m[3] });
+  }
+  return { patterns, errors };
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function renderList() {
+  const section = (scope, title, list) => `
+    <div class="rpg-systems-group">${escapeHtml(title)}</div>
+    ${list.length === 0 ? '<div class="rpg-systems-empty">None</div>' : list.map(s => `
+      <div class="rpg-systems-item${editing?.scope === scope && editing?.id === s.id ? ' active' : ''}" data-scope="${scope}" data-id="${escapeHtml(s.id)}">
+        <span>${escapeHtml(s.name)}</span>
+        <span class="rpg-systems-meta">${s.stats.length} stats${s.patterns.length ? ` · ${s.patterns.length} patterns` : ''}</span>
+      </div>`).join('')}`;
+
+  rpgSystemsList.innerHTML = section('global', 'Global', systems.global)
+    + (state.currentStoryId ? section('story', 'This story', systems.story) : '');
+
+  rpgSystemsList.querySelectorAll('.rpg-systems-item').forEach(item => {
+    item.addEventListener('click', () => openSystem(item.dataset.scope, item.dataset.id));
+  });
+}
+
+function fillForm(system, scope) {
+  rpgSystemName.value = system?.name || '';
+  rpgSystemScope.value = scope;
+  rpgSystemBase.value = system?.baseType || 'generic';
+  rpgSystemStats.value = (system?.stats || []).join(', ');
+  rpgSystemSlots.value = (system?.equipmentSlots || []).join(', ');
+  rpgSystemClasses.value = (system?.classExamples || []).join(', ');
+  rpgSystemRealms.value = (system?.realms || []).join('\n');
+  rpgSystemCurrencies.value = (system?.currencies || []).join(', ');
+  rpgSystemContextHint.value = system?.contextHint || '';
+  rpgSystemQuestHint.value = system?.questHint || '';
+  rpgSystemPatterns.value = formatPatterns(system?.patterns);
+  rpgSystemDeleteBtn.disabled = !system;
+}
+
+function openSystem(scope, id) {
+  const system = systems[scope]?.find(s => s.id === id);
+  if (!system) return;
+  editing = { scope, id };
+  fillForm(system, scope);
+  renderList();
+}
+
+function newSystem() {
+  editing = null;
+  fillForm(null, rpgSystemScope.value || 'global');
+  renderList();
+  rpgSystemName.focus();
+}
+
+async function openModal() {
+  await loadSystems();
+  rpgSystemBase.innerHTML = Object.entries(systems.builtins || {})
+    .map(([id, label]) => `<option value="${escapeHtml(id)}">${escapeHtml(label)}</option>`).join('');
+  rpgSystemScope.querySelector('option[value="story"]').disabled = !state.currentStoryId;
+  rpgSystemPatternHelp.innerHTML = 'One per line as <code>target: regex</code> (case-insensitive) or <code>target/flags: regex</code>. Targets: '
+    + Object.entries(systems.patternTargets || {}).map(([t, help]) => `<code>${escapeHtml(t)}</code> (${escapeHtml(help)})`).join(', ');
+
+  // Reopen on the story's current system when it is a custom one
+  const current = state.litrpgState?.systemType;
+  const scope = systems.story.some(s => s.id === current) ? 'story' : systems.global.some(s => s.id === current) ? 'global' : null;
+  if (scope) openSystem(scope, current);
+  else newSystem();
+  rpgSystemsModal.classList.add('active');
+}
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+async function saveSystem() {
+  const { patterns, errors } = parsePatterns(rpgSystemPatterns.value);
+  if (errors.length > 0) {
+    showToast(errors[0], 4000, 'error');
+    return;
+  }
+  const scope = rpgSystemScope.value;
+  const system = {
+    id: editing?.scope === scope ? editing.id : undefined,
+    name: rpgSystemName.value.trim(),
+    baseType: rpgSystemBase.value,
+    stats: rpgSystemStats.value,
+    equipmentSlots: rpgSystemSlots.value,
+    classExamples: rpgSystemClasses.value,
+    realms: rpgSystemRealms.value,
+    currencies: rpgSystemCurrencies.value,
+    contextHint: rpgSystemContextHint.value,
+    questHint: rpgSystemQuestHint.value,
+    patterns,
+  };
+  // Moving a definition to the other scope saves it there and removes the old copy
+  const previousId = editing?.scope === scope ? editing.id : null;
+  const result = await window.sceneVisualizer.litrpgSystemsSave(state.currentStoryId, scope, system, previousId);
+  if (!result.success) {
+    showToast(`Save failed: ${result.error}`, 4000, 'error');
+    return;
+  }
+  if (editing && editing.scope !== scope) {
+    await window.sceneVisualizer.litrpgSystemsDelete(state.currentStoryId, editing.scope, editing.id);
+  }
+
+  // Keep the story on this system if it was using the old id
+  if (state.litrpgState && editing && state.litrpgState.systemType === editing.id && result.system.id !== editing.id) {
+    state.litrpgState.systemType = result.system.id;
+    await window.sceneVisualizer.litrpgSetState(state.currentStoryId, state.litrpgState);
+  }
+
+  await loadSystems();
+  openSystem(scope, result.system.id);
+  if (result.warnings?.length > 0) showToast(`Saved, but skipped: ${result.warnings[0]}`, 5000, 'warn');
+  else showToast('System saved', 2000, 'success');
+}
+
+async function deleteSystem() {
+  if (!editing) return;
+  const system = systems[editing.scope]?.find(s => s.id === editing.id);
+  if (!confirm(`Delete the system "${system?.name || editing.id}"? Stories using it fall back to Generic.`)) return;
+  const result = await window.sceneVisualizer.litrpgSystemsDelete(state.currentStoryId, editing.scope, editing.id);
+  if (!result.success) {
+    showToast(`Delete failed: ${result.error}`, 3000, 'error');
+    return;
+  }
+  await loadSystems();
+  newSystem();
+}
+
+// Export the open definition, or every definition in the selected scope
+async function exportSystems() {
+  const scope = editing?.scope || rpgSystemScope.value;
+  const ids = editing ? [editing.id] : undefined;
+  const result = await window.sceneVisualizer.litrpgSystemsExport(state.currentStoryId, scope, ids);
+  if (result.canceled) return;
+  if (result.success) showToast(`Exported ${result.count} system${result.count === 1 ? '' : 's'}`, 2500, 'success');
+  else showToast(`Export failed: ${result.error}`, 3000, 'error');
+}
+
+async function importSystems() {
+  const scope = rpgSystemScope.value;
+  const result = await window.sceneVisualizer.litrpgSystemsImport(state.currentStoryId, scope);
+  if (result.canceled) return;
+  if (!result.success) {
+    showToast(`Import failed: ${result.error}`, 4000, 'error');
+    return;
+  }
+  await loadSystems();
+  renderList();
+  const skipped = result.warnings?.length ? ` (${result.warnings.length} problem${result.warnings.length === 1 ? '' : 's'} skipped)` : '';
+  showToast(`Imported ${result.imported} system${result.imported === 1 ? '' : 's'}${skipped}`, 3000, 'success');
+  if (skipped) console.warn('[LitRPG] Import problems:', result.warnings);
+}
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+export function openSystemsEditor() {
+  openModal();
+}
+
+export function init() {
+  if (!rpgSystemsModal) return;
+
+  rpgSystemNewBtn.addEventListener('click', newSystem);
+  rpgSystemSaveBtn.addEventListener('click', saveSystem);
+  rpgSystemDeleteBtn.addEventListener('click', deleteSystem);
+  rpgSystemsExportBtn.addEventListener('click', exportSystems);
+  rpgSystemsImportBtn.addEventListener('click', importSystems);
+  rpgSystemsCloseBtn.addEventListener('click', () => rpgSystemsModal.classList.remove('active'));
+
+  bus.on('story:changed', loadSystems);
+  loadSystems();
+}
@@ -32,6 +32,7 @@ import { escapeHtml, showToast } from './utils.js';
 import { parseMetadataClient } from './metadata.js';
 import { refreshMemoryUI } from './memory-manager.js';
 import { readStoryTextFromDOM, readMemoryFromDOM, writeMemoryToDOM } from './webview-polling.js';
+import { isAutoScanPaused } from './usage-dashboard.js';
 
 // =========================================================================
 // CATEGORY REGISTRY
@@ -901,7 +902,7 @@ function showLoreError(msg) {
 }
 
 // Get or create a lorebook category for an entry type
-async function getCategoryForType(entryType) {
+export async function getCategoryForType(entryType) {
   if (!state.loreState) return undefined;
   // Migrate old single-category format
   if (state.loreState.loreCategoryId && !state.loreState.loreCategoryIds) {
@@ -1721,7 +1722,7 @@ async function runEnrich() {
     }
 
     // Pass 1: Identify target
-    const identifyResult = await window.sceneVisualizer.loreIdentifyTarget(promptText, entries);
+    const identifyResult = await window.sceneVisualizer.loreIdentifyTarget(promptText, entries, state.currentStoryId);
     if (!identifyResult.success || !identifyResult.result || identifyResult.result.confidence < 2) {
       showLoreError('Could not identify which entry to update. Try mentioning the entry name.');
       return;
@@ -1733,7 +1734,8 @@ async function runEnrich() {
     const enrichResult = await window.sceneVisualizer.loreGenerateEnriched(
       promptText,
       targetEntry.text || '',
-      targetEntry.displayName
+      targetEntry.displayName,
+      state.currentStoryId
     );
 
     if (!enrichResult.success || !enrichResult.result) {
@@ -2174,14 +2176,14 @@ async function loadComprehensionState() {
 async function updateLlmIndicator(provider, model) {
   const primary = provider === 'ollama'
     ? 'Ollama ' + (model || 'mistral:7b')
-    : 'NovelAI GLM-4-6';
+    : provider === 'openai-compatible' ? 'OpenAI-Compatible' : 'NovelAI GLM-4-6';
 
   // Check if hybrid is enabled in settings and secondary is available
   const hybridEnabled = loreHybridToggle.checked;
   let hybridLabel = '';
   if (hybridEnabled) {
     try {
-      if (provider === 'ollama') {
+      if (provider !== 'novelai') {
         hybridLabel = ' + NovelAI';
       } else {
         const ollamaStatus = await window.sceneVisualizer.loreCheckOllama();
@@ -2784,6 +2786,7 @@ export function init() {
 
       const newChars = storyLen - compState.lastProcessedLength;
       if (newChars > 2000) {
+        if (await isAutoScanPaused(state.currentStoryId)) return;
         state.comprehensionAutoUpdatePending = true;
         console.log(`[Comprehension] Auto-incremental update: ${newChars} new chars`);
 
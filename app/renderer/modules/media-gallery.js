@@ -4,52 +4,69 @@ import { state, bus } from './state.js';
 import {
   mediaGrid, mediaCount, mediaFilterSelect,
   mediaLightbox, mediaLightboxContent, mediaLightboxClose,
-  mediaContent,
+  mediaContent, mediaSearch, mediaFavOnly, mediaFilterSummary,
+  mediaFilterProvider, mediaFilterModel, mediaFilterResolution, mediaFilterCharacter, mediaFilterTag,
+  mediaFilterFrom, mediaFilterTo, mediaFilterClear,
+  mediaTrashBar, mediaTrashInfo, mediaEmptyTrash, mediaImportBtn,
 } from './dom-refs.js';
 import { showToast } from './utils.js';
 import { switchPanelTab } from './lore-creator.js';
+import { setCharacterCaptions, generateWithSeed, generateWithNewSeed, setLockedSeed } from './image-gen.js';
+import { openImageEditor } from './image-edit.js';
 
 let galleryItems = [];
 let currentFilter = 'all';
+let favoritesOnly = false;
+let searchTimer = null;
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Dropdown filters: select element → media:list option name
+const SELECT_FILTERS = [
+  [mediaFilterProvider, 'provider'],
+  [mediaFilterModel, 'model'],
+  [mediaFilterResolution, 'resolution'],
+  [mediaFilterCharacter, 'character'],
+  [mediaFilterTag, 'tag'],
+];
 
 // ---------------------------------------------------------------------------
 // Auto-save hooks
 // ---------------------------------------------------------------------------
 
 async function autoSaveImage(imageData, meta) {
+  // Queued jobs are saved by the main process as they finish
+  if (meta?.mediaId) {
+    refreshGalleryIfVisible();
+    return;
+  }
   try {
     const metadata = {
       prompt: state.currentPrompt || '',
       negativePrompt: state.currentNegativePrompt || '',
       provider: meta?.provider || '',
       model: meta?.model || '',
-      width: meta?.width || 0,
-      height: meta?.height || 0,
+      width: meta?.resolution?.width || meta?.width || 0,
+      height: meta?.resolution?.height || meta?.height || 0,
+      seed: meta?.seed ?? null,
+      params: meta?.params || {},
+      storyExcerpt: state.currentStoryExcerpt || '',
+      characterCaptions: meta?.characterCaptions || state.currentCharacterCaptions || [],
     };
-    await window.sceneVisualizer.mediaSaveImage(state.currentStoryId, imageData, metadata);
-    // Refresh grid if media tab is visible
-    if (mediaContent && mediaContent.classList.contains('active')) {
-      refreshGallery();
+    const saved = await window.sceneVisualizer.mediaSaveImage(state.currentStoryId, imageData, metadata);
+    // Remember the gallery item so committing this image protects it from retention
+    if (saved?.id && state.currentImageData === imageData && state.currentGenerationMeta) {
+      state.currentGenerationMeta.mediaId = saved.id;
     }
+    refreshGalleryIfVisible();
   } catch (e) {
     console.error('[MediaGallery] Auto-save image failed:', e);
   }
 }
 
-async function autoSaveVideo(videoDataUrl, meta) {
-  try {
-    const metadata = {
-      prompt: meta?.prompt || state.currentPrompt || '',
-      negativePrompt: meta?.negativePrompt || state.currentNegativePrompt || '',
-      provider: meta?.provider || '',
-      model: meta?.model || '',
-    };
-    await window.sceneVisualizer.mediaSaveVideo(state.currentStoryId, videoDataUrl, metadata);
-    if (mediaContent && mediaContent.classList.contains('active')) {
-      refreshGallery();
-    }
-  } catch (e) {
-    console.error('[MediaGallery] Auto-save video failed:', e);
+function refreshGalleryIfVisible() {
+  if (mediaContent && mediaContent.classList.contains('active')) {
+    refreshGallery();
   }
 }
 
@@ -57,34 +74,181 @@ async function autoSaveVideo(videoDataUrl, meta) {
 // Gallery refresh + rendering
 // ---------------------------------------------------------------------------
 
+// Current search + filter controls as media:list options
+function buildListOptions() {
+  const opts = {};
+  if (currentFilter === 'trash') opts.trashed = true;
+  else if (currentFilter !== 'all') opts.type = currentFilter;
+  const query = mediaSearch ? mediaSearch.value.trim() : '';
+  if (query) opts.query = query;
+  for (const [select, key] of SELECT_FILTERS) {
+    if (select && select.value) opts[key] = select.value;
+  }
+  // Date inputs are local calendar days; "to" includes the whole day
+  if (mediaFilterFrom && mediaFilterFrom.value) {
+    opts.dateFrom = new Date(mediaFilterFrom.value + 'T00:00:00').getTime();
+  }
+  if (mediaFilterTo && mediaFilterTo.value) {
+    opts.dateTo = new Date(mediaFilterTo.value + 'T23:59:59.999').getTime();
+  }
+  if (favoritesOnly) opts.favorite = true;
+  return opts;
+}
+
+function hasActiveFilters(opts) {
+  return Object.keys(opts).some(k => k !== 'type' && k !== 'trashed');
+}
+
+function updateFilterSummary() {
+  if (!mediaFilterSummary) return;
+  const active = SELECT_FILTERS.filter(([select]) => select && select.value).length
+    + (mediaFilterFrom?.value ? 1 : 0) + (mediaFilterTo?.value ? 1 : 0);
+  mediaFilterSummary.textContent = active ? `(${active})` : '';
+}
+
+// Refill the dropdowns from what this story's gallery actually contains, keeping selections
+async function refreshFilterOptions() {
+  if (!state.currentStoryId) return;
+  try {
+    const options = await window.sceneVisualizer.mediaFilterOptions(state.currentStoryId);
+    const fill = (select, values) => {
+      if (!select) return;
+      const selected = select.value;
+      const anyLabel = select.options[0]?.textContent || 'Any';
+      select.innerHTML = '';
+      select.appendChild(new Option(anyLabel, ''));
+      for (const value of values) select.appendChild(new Option(value, value));
+      if (selected && !values.includes(selected)) select.appendChild(new Option(selected, selected));
+      select.value = selected;
+    };
+    fill(mediaFilterProvider, options.providers);
+    fill(mediaFilterModel, options.models);
+    fill(mediaFilterResolution, options.resolutions);
+    fill(mediaFilterCharacter, options.characters);
+    fill(mediaFilterTag, options.tags);
+  } catch (e) {
+    console.error('[MediaGallery] Filter options failed:', e);
+  }
+}
+
 async function refreshGallery() {
   if (!state.currentStoryId) return;
   try {
-    const opts = currentFilter !== 'all' ? { type: currentFilter } : {};
+    const opts = buildListOptions();
     galleryItems = await window.sceneVisualizer.mediaList(state.currentStoryId, opts);
-    renderGrid(galleryItems);
+    renderGrid(galleryItems, hasActiveFilters(opts));
     updateCount();
+    updateFilterSummary();
+    refreshFilterOptions();
   } catch (e) {
     console.error('[MediaGallery] Refresh failed:', e);
   }
 }
 
+function resetFilterControls() {
+  if (mediaSearch) mediaSearch.value = '';
+  for (const [select] of SELECT_FILTERS) {
+    if (select) select.value = '';
+  }
+  if (mediaFilterFrom) mediaFilterFrom.value = '';
+  if (mediaFilterTo) mediaFilterTo.value = '';
+  favoritesOnly = false;
+  if (mediaFavOnly) {
+    mediaFavOnly.classList.remove('active');
+    mediaFavOnly.innerHTML = '&#9734;';
+  }
+}
+
+function clearFilters() {
+  resetFilterControls();
+  refreshGallery();
+}
+
+const METADATA_SOURCES = { 'scene-visualizer': 'this app', novelai: 'NovelAI', a1111: 'A1111' };
+
+async function importImages() {
+  if (!state.currentStoryId) {
+    showToast('Open a story first', 2000);
+    return;
+  }
+  const result = await window.sceneVisualizer.mediaImportImages(state.currentStoryId);
+  if (result.canceled) return;
+  for (const error of result.errors || []) console.error('[MediaGallery] Import:', error);
+  if (!result.success) {
+    showToast('Import failed: ' + (result.errors?.[0] || result.error || 'unknown error'), 3000, 'error');
+    return;
+  }
+
+  const withMeta = result.imported.filter(i => i.source);
+  const sources = [...new Set(withMeta.map(i => METADATA_SOURCES[i.source] || i.source))].join(', ');
+  showToast(`Imported ${result.imported.length} image(s)` +
+    (withMeta.length ? ` — ${withMeta.length} with ${sources} metadata` : ' (no generation metadata found)'), 3500);
+
+  if (currentFilter === 'trash') {
+    mediaFilterSelect.value = currentFilter = 'all';
+    updateTrashBar();
+  }
+  await refreshGallery();
+  // A single import opens straight away, ready for Re-use Prompt
+  if (result.imported.length === 1) {
+    const item = galleryItems.find(g => g.id === result.imported[0].id);
+    if (item) openLightbox(item);
+  }
+}
+
+async function updateTrashBar() {
+  if (!mediaTrashBar) return;
+  const inTrash = currentFilter === 'trash';
+  mediaTrashBar.style.display = inTrash ? '' : 'none';
+  if (!inTrash || !state.currentStoryId) return;
+  try {
+    const { rules } = await window.sceneVisualizer.mediaGetRetention(state.currentStoryId);
+    mediaTrashInfo.textContent = rules.trashDays
+      ? `Deleted and pruned items are purged after ${rules.trashDays} days.`
+      : 'Deleted and pruned items stay here until the trash is emptied.';
+  } catch { /* keep the default text */ }
+}
+
+async function emptyTrash() {
+  if (!state.currentStoryId) return;
+  if (!confirm('Permanently delete everything in this story\'s trash?')) return;
+  try {
+    const result = await window.sceneVisualizer.mediaEmptyTrash(state.currentStoryId);
+    showToast(`Trash emptied (${result.purged} items)`, 2000);
+    refreshGallery();
+  } catch (e) {
+    showToast('Could not empty trash: ' + e.message, 3000, 'error');
+  }
+}
+
+async function toggleFavorite(item) {
+  try {
+    const result = await window.sceneVisualizer.mediaSetFavorite(state.currentStoryId, item.id, !item.favorite);
+    if (!result.success) return false;
+    item.favorite = result.favorite;
+    return true;
+  } catch (e) {
+    showToast('Could not update favorite: ' + e.message, 3000, 'error');
+    return false;
+  }
+}
+
 async function updateCount() {
   if (!state.currentStoryId || !mediaCount) return;
   try {
     const counts = await window.sceneVisualizer.mediaGetCount(state.currentStoryId);
     const total = counts.images + counts.videos;
-    mediaCount.textContent = `(${total})`;
+    mediaCount.textContent = currentFilter === 'trash' ? `(${counts.trash} in trash)` : `(${total})`;
   } catch { /* ignore */ }
 }
 
-function renderGrid(items) {
+function renderGrid(items, filtered = false) {
   if (!mediaGrid) return;
 
   if (!items || items.length === 0) {
     mediaGrid.innerHTML = `<div class="media-empty-state">
       <span style="font-size:24px;opacity:0.3;">&#128247;</span>
-      <div style="font-size:11px;color:var(--text-dim);margin-top:4px;">Generated images will appear here</div>
+      <div style="font-size:11px;color:var(--text-dim);margin-top:4px;">${filtered ? 'Nothing matches the search and filters' : (currentFilter === 'trash' ? 'The trash is empty' : 'Generated images will appear here')}</div>
     </div>`;
     return;
   }
@@ -116,6 +280,23 @@ function renderGrid(items) {
       cell.appendChild(badge);
     }
 
+    const favBtn = document.createElement('button');
+    favBtn.className = 'media-fav-btn' + (item.favorite ? ' active' : '');
+    favBtn.title = item.favorite ? 'Remove from favorites' : 'Add to favorites';
+    favBtn.innerHTML = item.favorite ? '&#9733;' : '&#9734;';
+    favBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (!(await toggleFavorite(item))) return;
+      if (favoritesOnly && !item.favorite) {
+        refreshGallery();
+        return;
+      }
+      favBtn.classList.toggle('active', item.favorite);
+      favBtn.title = item.favorite ? 'Remove from favorites' : 'Add to favorites';
+      favBtn.innerHTML = item.favorite ? '&#9733;' : '&#9734;';
+    });
+    cell.appendChild(favBtn);
+
     cell.addEventListener('click', () => openLightbox(item));
     mediaGrid.appendChild(cell);
   }
@@ -162,6 +343,7 @@ async function openLightbox(item) {
     const timeStr = date.toLocaleString();
     const sizeStr = item.file_size ? `${(item.file_size / 1024).toFixed(0)} KB` : '';
     const resStr = (item.width && item.height) ? `${item.width}x${item.height}` : '';
+    const hasSeed = item.type === 'image' && Number.isInteger(item.seed);
 
     const promptHtml = item.prompt
       ? `<div class="media-lightbox-prompt"><span class="meta-label">Prompt:</span> ${escapeHtml(item.prompt)}</div>`
@@ -169,6 +351,10 @@ async function openLightbox(item) {
     const negPromptHtml = item.negative_prompt
       ? `<div class="media-lightbox-prompt" style="opacity:0.7;"><span class="meta-label">Negative:</span> ${escapeHtml(item.negative_prompt)}</div>`
       : '';
+    const excerptHtml = item.story_excerpt
+      ? `<div class="media-lightbox-prompt" style="font-style:italic;"><span class="meta-label">Story:</span> ${escapeHtml(item.story_excerpt)}</div>`
+      : '';
+    const characters = item.characters || [];
 
     mediaLightboxContent.innerHTML = `
       ${mediaHtml}
@@ -177,15 +363,31 @@ async function openLightbox(item) {
         ${item.model ? ` &middot; <span class="meta-label">Model:</span> ${escapeHtml(item.model)}` : ''}
         ${resStr ? ` &middot; ${resStr}` : ''}
         ${sizeStr ? ` &middot; ${sizeStr}` : ''}
+        ${hasSeed ? ` &middot; <span class="meta-label">Seed:</span> ${item.seed}` : ''}
         <br><span class="meta-label">Time:</span> ${timeStr}
+        ${characters.length ? ` &middot; <span class="meta-label">Characters:</span> ${escapeHtml(characters.join(', '))}` : ''}
       </div>
       ${promptHtml}
       ${negPromptHtml}
+      ${excerptHtml}
+      <div class="media-lightbox-tags">
+        <span class="meta-label">Tags:</span>
+        <input type="text" id="mediaLbTags" placeholder="comma-separated, e.g. tavern, night" value="${escapeHtml((item.tags || []).join(', '))}">
+        <button id="mediaLbSaveTags">Save</button>
+      </div>
       <div class="media-lightbox-actions">
+        <button id="mediaLbFavorite" title="Favorites are easy to find with the star filter">${item.favorite ? '&#9733; Unfavorite' : '&#9734; Favorite'}</button>
         <button id="mediaLbCopyPrompt" title="Copy prompt to clipboard">Copy Prompt</button>
         <button id="mediaLbReusePrompt" title="Set as current prompt and switch to Scene tab">Re-use Prompt</button>
+        ${hasSeed ? `<button id="mediaLbSameSeed" title="Regenerate this prompt with the same seed">Same Seed</button>
+        <button id="mediaLbVarySeed" title="Regenerate this prompt with a new random seed">Vary Seed</button>
+        <button id="mediaLbLockSeed" title="Use this seed for every image in this story">Lock Seed</button>` : ''}
+        ${item.type === 'image' ? '<button id="mediaLbEdit" title="Image-to-image or inpaint from this image">Edit Image</button>' : ''}
         <button id="mediaLbDownload" title="Download file">Download</button>
-        <button id="mediaLbDelete" class="btn-danger" title="Delete from gallery">Delete</button>
+        ${item.trashed_at
+          ? `<button id="mediaLbRestore" title="Put back in the gallery">Restore</button>
+        <button id="mediaLbPurge" class="btn-danger" title="Delete the file permanently">Delete Forever</button>`
+          : '<button id="mediaLbDelete" class="btn-danger" title="Move to the trash">Delete</button>'}
       </div>
     `;
 
@@ -195,24 +397,84 @@ async function openLightbox(item) {
     const downloadBtn = document.getElementById('mediaLbDownload');
     const deleteBtn = document.getElementById('mediaLbDelete');
 
+    const favoriteBtn = document.getElementById('mediaLbFavorite');
+    favoriteBtn.addEventListener('click', async () => {
+      if (!(await toggleFavorite(item))) return;
+      favoriteBtn.innerHTML = item.favorite ? '&#9733; Unfavorite' : '&#9734; Favorite';
+      refreshGallery();
+    });
+
+    const tagsInput = document.getElementById('mediaLbTags');
+    const saveTags = async () => {
+      const tags = tagsInput.value.split(',').map(t => t.trim()).filter(Boolean);
+      try {
+        const result = await window.sceneVisualizer.mediaSetTags(state.currentStoryId, item.id, tags);
+        if (!result.success) throw new Error('item not found');
+        item.tags = result.tags;
+        tagsInput.value = result.tags.join(', ');
+        showToast('Tags saved', 1500);
+        refreshGallery();
+      } catch (e) {
+        showToast('Could not save tags: ' + e.message, 3000, 'error');
+      }
+    };
+    document.getElementById('mediaLbSaveTags').addEventListener('click', saveTags);
+    tagsInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') saveTags();
+    });
+
     if (copyBtn) {
       copyBtn.addEventListener('click', () => {
         navigator.clipboard.writeText(item.prompt || '').then(() => showToast('Prompt copied', 2000));
       });
     }
 
+    const loadItemPrompt = () => {
+      state.currentPrompt = item.prompt || '';
+      state.currentNegativePrompt = item.negative_prompt || '';
+      setCharacterCaptions([]);
+      const promptDisplay = document.getElementById('promptDisplay');
+      if (promptDisplay) promptDisplay.value = state.currentPrompt;
+      const negativePromptDisplay = document.getElementById('negativePromptDisplay');
+      if (negativePromptDisplay) negativePromptDisplay.value = state.currentNegativePrompt;
+      closeLightbox();
+      switchPanelTab('scene');
+    };
+
     if (reuseBtn) {
       reuseBtn.addEventListener('click', () => {
-        state.currentPrompt = item.prompt || '';
-        state.currentNegativePrompt = item.negative_prompt || '';
-        const promptDisplay = document.getElementById('promptDisplay');
-        if (promptDisplay) promptDisplay.value = state.currentPrompt;
-        closeLightbox();
-        switchPanelTab('scene');
+        loadItemPrompt();
         showToast('Prompt loaded', 2000);
       });
     }
 
+    const editBtn = document.getElementById('mediaLbEdit');
+    if (editBtn) {
+      editBtn.addEventListener('click', async () => {
+        const fullDataUrl = await window.sceneVisualizer.mediaGetFull(state.currentStoryId, item.id);
+        if (!fullDataUrl) {
+          showToast('Image file missing', 2000, 'error');
+          return;
+        }
+        closeLightbox();
+        openImageEditor(fullDataUrl, { prompt: item.prompt || '', negativePrompt: item.negative_prompt || '' });
+      });
+    }
+
+    if (hasSeed) {
+      document.getElementById('mediaLbSameSeed').addEventListener('click', () => {
+        loadItemPrompt();
+        generateWithSeed(item.seed);
+      });
+      document.getElementById('mediaLbVarySeed').addEventListener('click', () => {
+        loadItemPrompt();
+        generateWithNewSeed();
+      });
+      document.getElementById('mediaLbLockSeed').addEventListener('click', () => {
+        setLockedSeed(item.seed);
+      });
+    }
+
     if (downloadBtn) {
       downloadBtn.addEventListener('click', async () => {
         try {
@@ -236,17 +498,47 @@ async function openLightbox(item) {
       });
     }
 
+    // Remove from cached items and re-render
+    const dropFromGrid = () => {
+      closeLightbox();
+      galleryItems = galleryItems.filter(g => g.id !== item.id);
+      renderGrid(galleryItems, hasActiveFilters(buildListOptions()));
+      updateCount();
+    };
+
     if (deleteBtn) {
       deleteBtn.addEventListener('click', async () => {
-        if (!confirm('Delete this item from gallery?')) return;
         try {
           await window.sceneVisualizer.mediaDelete(state.currentStoryId, item.id);
-          closeLightbox();
-          // Remove from cached items and re-render
-          galleryItems = galleryItems.filter(g => g.id !== item.id);
-          renderGrid(galleryItems);
-          updateCount();
-          showToast('Deleted', 2000);
+          dropFromGrid();
+          showToast('Moved to trash', 2000);
+        } catch (e) {
+          showToast('Delete failed: ' + e.message, 3000, 'error');
+        }
+      });
+    }
+
+    const restoreBtn = document.getElementById('mediaLbRestore');
+    if (restoreBtn) {
+      restoreBtn.addEventListener('click', async () => {
+        try {
+          await window.sceneVisualizer.mediaRestore(state.currentStoryId, item.id);
+          dropFromGrid();
+          showToast('Restored to gallery', 2000);
+        } catch (e) {
+          showToast('Restore failed: ' + e.message, 3000, 'error');
+        }
+      });
+    }
+
+    const purgeBtn = document.getElementById('mediaLbPurge');
+    if (purgeBtn) {
+      purgeBtn.addEventListener('click', async () => {
+        if (!confirm('Delete this item permanently? This cannot be undone.')) return;
+        try {
+          await window.sceneVisualizer.mediaPurge(state.currentStoryId, item.id);
+          dropFromGrid();
+          showToast('Deleted permanently', 2000);
         } catch (e) {
           showToast('Delete failed: ' + e.message, 3000, 'error');
         }
@@ -279,17 +571,29 @@ export function init() {
     autoSaveImage(imageData, meta);
   });
 
-  bus.on('video:generated', ({ videoDataUrl, meta }) => {
-    if (!state.currentStoryId) return;
-    autoSaveVideo(videoDataUrl, meta);
+  // Background queue results (images and videos) are already saved — just show them
+  bus.on('queue:image-ready', ({ storyId }) => {
+    if (storyId === state.currentStoryId) refreshGalleryIfVisible();
+  });
+  bus.on('queue:video-finished', ({ storyId, success }) => {
+    if (success && storyId === state.currentStoryId) refreshGalleryIfVisible();
   });
 
   // Tab activation
   bus.on('media:tab-activated', refreshGallery);
+  // Bulk changes from the media library
+  bus.on('media:library-changed', refreshGallery);
+  // Saving settings re-applies the story's retention rules
+  bus.on('settings:saved', () => {
+    updateTrashBar();
+    refreshGallery();
+  });
 
   // Story switch — clear gallery
   bus.on('story:changed', () => {
     galleryItems = [];
+    resetFilterControls();
+    updateFilterSummary();
     renderGrid([]);
   });
 
@@ -297,9 +601,32 @@ export function init() {
   if (mediaFilterSelect) {
     mediaFilterSelect.addEventListener('change', () => {
       currentFilter = mediaFilterSelect.value;
+      updateTrashBar();
+      refreshGallery();
+    });
+  }
+  if (mediaEmptyTrash) mediaEmptyTrash.addEventListener('click', emptyTrash);
+  if (mediaImportBtn) mediaImportBtn.addEventListener('click', importImages);
+
+  // Search + metadata filters
+  if (mediaSearch) {
+    mediaSearch.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(refreshGallery, SEARCH_DEBOUNCE_MS);
+    });
+  }
+  for (const el of [...SELECT_FILTERS.map(([select]) => select), mediaFilterFrom, mediaFilterTo]) {
+    if (el) el.addEventListener('change', refreshGallery);
+  }
+  if (mediaFavOnly) {
+    mediaFavOnly.addEventListener('click', () => {
+      favoritesOnly = !favoritesOnly;
+      mediaFavOnly.classList.toggle('active', favoritesOnly);
+      mediaFavOnly.innerHTML = favoritesOnly ? '&#9733;' : '&#9734;';
       refreshGallery();
     });
   }
+  if (mediaFilterClear) mediaFilterClear.addEventListener('click', clearFilters);
 
   // Lightbox close
   if (mediaLightboxClose) {
@@ -0,0 +1,274 @@
+// media-library.js — Media library across all stories: browse, multi-select, bulk delete/export/move/commit
+
+import { state, bus } from './state.js';
+import {
+  mediaLibraryBtn, mediaLibraryModal,
+  libraryStory, libraryType, librarySearch, libraryFavOnly,
+  librarySelectAll, librarySelection,
+  libraryExportBtn, libraryMoveTarget, libraryMoveBtn,
+  libraryCommitTarget, libraryCommitBtn, libraryDeleteBtn,
+  libraryGrid, libraryCloseBtn,
+} from './dom-refs.js';
+import { showToast, escapeHtml } from './utils.js';
+import { refreshStoryboardSelect } from './storyboard.js';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+let items = [];
+const selected = new Set();
+let lastClickedIndex = -1;
+let favoritesOnly = false;
+let searchTimer = null;
+
+// ---------------------------------------------------------------------------
+// Pickers
+// ---------------------------------------------------------------------------
+
+async function loadStories() {
+  const stories = (await window.sceneVisualizer.mediaLibraryStories()) || [];
+  const current = libraryStory.value;
+  const label = (s) => `${escapeHtml(s.title || s.id)} (${s.count})`;
+  libraryStory.innerHTML = '<option value="">All stories</option>' +
+    stories.map(s => `<option value="${escapeHtml(s.id)}">${label(s)}</option>`).join('');
+  libraryStory.value = stories.some(s => s.id === current) ? current : '';
+  libraryMoveTarget.innerHTML = '<option value="">Move to story…</option>' +
+    stories.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.title || s.id)}</option>`).join('');
+}
+
+async function loadStoryboards() {
+  const data = await window.sceneVisualizer.storyboardList();
+  if (data.storyboards.length === 0) {
+    libraryCommitTarget.innerHTML = '<option value="">New storyboard "Default"</option>';
+    return;
+  }
+  libraryCommitTarget.innerHTML = data.storyboards
+    .map(sb => `<option value="${escapeHtml(sb.id)}">${escapeHtml(sb.name)}${sb.storyTitle ? ` — ${escapeHtml(sb.storyTitle)}` : ''}</option>`)
+    .join('');
+  libraryCommitTarget.value = state.activeStoryboardId || data.activeStoryboardId || data.storyboards[0].id;
+}
+
+// ---------------------------------------------------------------------------
+// Grid
+// ---------------------------------------------------------------------------
+
+function buildListOptions() {
+  const opts = {};
+  if (libraryStory.value) opts.storyId = libraryStory.value;
+  if (libraryType.value !== 'all') opts.type = libraryType.value;
+  const query = librarySearch.value.trim();
+  if (query) opts.query = query;
+  if (favoritesOnly) opts.favorite = true;
+  return opts;
+}
+
+async function refreshLibrary() {
+  try {
+    items = (await window.sceneVisualizer.mediaLibraryList(buildListOptions())) || [];
+  } catch (e) {
+    console.error('[MediaLibrary] List failed:', e);
+    items = [];
+  }
+  // Keep only selections that are still listed
+  const listed = new Set(items.map(i => i.id));
+  for (const id of [...selected]) {
+    if (!listed.has(id)) selected.delete(id);
+  }
+  lastClickedIndex = -1;
+  renderGrid();
+}
+
+function renderGrid() {
+  if (items.length === 0) {
+    libraryGrid.innerHTML = `<div class="media-empty-state">
+      <span style="font-size:24px;opacity:0.3;">&#128247;</span>
+      <div style="font-size:11px;color:var(--text-dim);margin-top:4px;">No media matches</div>
+    </div>`;
+    updateSelection();
+    return;
+  }
+
+  libraryGrid.innerHTML = '';
+  items.forEach((item, index) => {
+    const cell = document.createElement('div');
+    cell.className = 'media-grid-cell' + (selected.has(item.id) ? ' selected' : '');
+    cell.title = [item.story_title, item.prompt].filter(Boolean).join('\n');
+
+    if (item.type === 'video') {
+      cell.innerHTML = `
+        <div style="width:100%;height:100%;background:rgba(0,0,0,0.5);display:flex;align-items:center;justify-content:center;">
+          <span class="media-video-icon">&#9654;</span>
+        </div>`;
+    } else {
+      const img = document.createElement('img');
+      img.alt = 'thumbnail';
+      cell.appendChild(img);
+      window.sceneVisualizer.mediaGetThumbnail(item.story_id, item.id).then(thumb => {
+        if (thumb) img.src = thumb;
+      });
+    }
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selected.has(item.id);
+    cell.appendChild(checkbox);
+
+    const badge = document.createElement('span');
+    badge.className = 'media-badge';
+    badge.textContent = item.story_title || item.story_id;
+    cell.appendChild(badge);
+
+    cell.addEventListener('click', (e) => toggleItem(index, e.shiftKey));
+    libraryGrid.appendChild(cell);
+  });
+  updateSelection();
+}
+
+// Click toggles one item; shift-click sets the whole range from the last click to the same state
+function toggleItem(index, range) {
+  const select = !selected.has(items[index].id);
+  const [from, to] = range && lastClickedIndex >= 0
+    ? [Math.min(lastClickedIndex, index), Math.max(lastClickedIndex, index)]
+    : [index, index];
+  for (let i = from; i <= to; i++) {
+    if (select) selected.add(items[i].id);
+    else selected.delete(items[i].id);
+    const cell = libraryGrid.children[i];
+    cell.classList.toggle('selected', select);
+    cell.querySelector('input[type="checkbox"]').checked = select;
+  }
+  lastClickedIndex = index;
+  updateSelection();
+}
+
+function updateSelection() {
+  const count = selected.size;
+  const images = items.filter(i => selected.has(i.id) && i.type === 'image').length;
+  librarySelection.textContent = `${count} selected · ${items.length} shown`;
+  librarySelectAll.checked = items.length > 0 && count === items.length;
+  librarySelectAll.indeterminate = count > 0 && count < items.length;
+  libraryExportBtn.disabled = count === 0;
+  libraryDeleteBtn.disabled = count === 0;
+  libraryMoveBtn.disabled = count === 0 || !libraryMoveTarget.value;
+  libraryCommitBtn.disabled = images === 0;
+}
+
+function selectAll(checked) {
+  selected.clear();
+  if (checked) items.forEach(i => selected.add(i.id));
+  renderGrid();
+}
+
+// ---------------------------------------------------------------------------
+// Bulk actions
+// ---------------------------------------------------------------------------
+
+// Refresh the open story's gallery, the story counts and the grid after a bulk change
+function afterChange() {
+  bus.emit('media:library-changed');
+  loadStories().catch(() => {});
+  refreshLibrary();
+}
+
+async function bulkDelete() {
+  const ids = [...selected];
+  if (!confirm(`Move ${ids.length} item(s) to the trash? They can be restored from each story's gallery.`)) return;
+  const result = await window.sceneVisualizer.mediaBulkDelete(ids);
+  if (!result.success) {
+    showToast('Delete failed', 3000, 'error');
+    return;
+  }
+  selected.clear();
+  showToast(`Moved ${result.trashed} item(s) to trash`, 2500);
+  afterChange();
+}
+
+async function bulkExport() {
+  const result = await window.sceneVisualizer.mediaBulkExport([...selected]);
+  if (result.canceled) return;
+  if (!result.success) {
+    showToast('Export failed: ' + (result.error || 'unknown error'), 3000, 'error');
+    return;
+  }
+  const missing = result.missing ? ` (${result.missing} file(s) missing)` : '';
+  showToast(`Exported ${result.exported} item(s)${missing}`, 3000, result.missing ? 'warn' : undefined);
+}
+
+async function bulkMove() {
+  const target = libraryMoveTarget.value;
+  if (!target) return;
+  const title = libraryMoveTarget.selectedOptions[0]?.textContent || target;
+  const ids = [...selected];
+  if (!confirm(`Move ${ids.length} item(s) to "${title}"?`)) return;
+  const result = await window.sceneVisualizer.mediaBulkMove(ids, target);
+  if (!result.success) {
+    showToast('Move failed: ' + (result.error || 'unknown error'), 3000, 'error');
+    return;
+  }
+  selected.clear();
+  showToast(`Moved ${result.moved} item(s) to ${title}`, 2500);
+  afterChange();
+}
+
+async function bulkCommit() {
+  const ids = [...selected];
+  libraryCommitBtn.disabled = true;
+  try {
+    const result = await window.sceneVisualizer.mediaBulkCommit(ids, libraryCommitTarget.value || null);
+    if (!result.success) {
+      showToast('Commit failed: ' + (result.error || 'unknown error'), 3000, 'error');
+      return;
+    }
+    const skipped = result.skipped ? ` (${result.skipped} skipped)` : '';
+    showToast(`Committed ${result.committed} scene(s) to the storyboard${skipped}`, 3000);
+    refreshStoryboardSelect().catch(() => {});
+  } finally {
+    updateSelection();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Open / close
+// ---------------------------------------------------------------------------
+
+async function openLibrary() {
+  selected.clear();
+  libraryStory.value = '';
+  mediaLibraryModal.classList.add('active');
+  try {
+    await Promise.all([loadStories(), loadStoryboards()]);
+  } catch (e) {
+    console.error('[MediaLibrary] Could not load pickers:', e);
+  }
+  refreshLibrary();
+}
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+export function init() {
+  if (!mediaLibraryModal) return;
+
+  mediaLibraryBtn.addEventListener('click', openLibrary);
+  libraryCloseBtn.addEventListener('click', () => mediaLibraryModal.classList.remove('active'));
+
+  libraryStory.addEventListener('change', refreshLibrary);
+  libraryType.addEventListener('change', refreshLibrary);
+  librarySearch.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(refreshLibrary, SEARCH_DEBOUNCE_MS);
+  });
+  libraryFavOnly.addEventListener('click', () => {
+    favoritesOnly = !favoritesOnly;
+    libraryFavOnly.classList.toggle('active', favoritesOnly);
+    libraryFavOnly.innerHTML = favoritesOnly ? '&#9733;' : '&#9734;';
+    refreshLibrary();
+  });
+
+  librarySelectAll.addEventListener('change', () => selectAll(librarySelectAll.checked));
+  libraryMoveTarget.addEventListener('change', updateSelection);
+  libraryDeleteBtn.addEventListener('click', bulkDelete);
+  libraryExportBtn.addEventListener('click', bulkExport);
+  libraryMoveBtn.addEventListener('click', bulkMove);
+  libraryCommitBtn.addEventListener('click', bulkCommit);
+}
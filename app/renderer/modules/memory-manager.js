@@ -13,6 +13,7 @@ import {
   memoryCompression, memoryCompressionValue, memoryKeywords,
 } from './dom-refs.js';
 import { checkProxyStatus, memoryCall } from './lore-creator.js';
+import { isAutoScanPaused } from './usage-dashboard.js';
 
 export async function checkMemoryProxy() {
   const proxyStatus = await checkProxyStatus('__MEMORY_PROXY_CMD__', '__MEMORY_PROXY_RES__');
@@ -309,6 +310,7 @@ export function init() {
       const newChars = storyLen - lastLen;
 
       if (newChars > 300) {
+        if (await isAutoScanPaused(state.currentStoryId)) return;
         console.log(`[Memory] Auto-update: ${newChars} new chars detected`);
         runMemoryUpdate();
       }
@@ -15,6 +15,9 @@ import {
   veniceVideoModelSelect, veniceVideoDurationSelect, veniceVideoResolutionSelect,
   veniceSettingsBalance, veniceSettingsBalanceText,
   puterModelSelect, puterQualitySelect, puterQualityGroup,
+  localSdBackendSelect, localSdUrlInput, localSdStatusDot, localSdStatusText, localSdTestBtn,
+  localSdModelSelect, localSdSamplerInput, localSdStepsInput, localSdCfgScaleInput,
+  localSdWorkflowGroup, localSdWorkflowInput, localSdWorkflowDefault,
   novelaiTokenDot, novelaiTokenText,
   novelaiEmailInput, novelaiPasswordInput,
   settingsBtn, cancelBtn, saveBtn, reloadBtn,
@@ -27,6 +30,12 @@ import {
   scenePipelineVersion, sceneSecondaryLlm,
   textLlmOpenaiKey, textLlmOpenaiModel, textLlmAnthropicKey, textLlmAnthropicModel,
   textLlmOllamaModelSelect,
+  textLlmCompatBaseUrl, textLlmCompatKey, textLlmCompatModel, textLlmCompatModelList,
+  textLlmCompatDetectBtn, textLlmCompatStatus, textLlmCompatHeaders, textLlmCompatStream,
+  llmRoutingScope, llmRoutingTable,
+  galleryRetentionHint, galleryRetentionFields,
+  galleryMaxImages, galleryMaxVideos, galleryMaxDiskMB, galleryMaxAgeDays, galleryTrashDays,
+  galleryKeepFavorites, galleryKeepCommitted, galleryDiskUsage,
   ttsProviderSelect, ttsVersionSelect, ttsVersionGroup,
   ttsNarratorVoiceSelect, ttsDialogueVoiceSelect,
   ttsSpeedSlider, ttsSpeedValue, ttsFirstPersonCheckbox,
@@ -41,6 +50,7 @@ import {
 import { state, bus } from './state.js';
 import { refreshRpgUI } from './litrpg-panel.js';
 import { refreshVoiceMapUI } from './tts.js';
+import { escapeHtml } from './utils.js';
 
 // Update V3 options visibility based on model
 function updateV3Options() {
@@ -59,15 +69,23 @@ function updateProviderSections() {
     const match = section.dataset.provider === selected;
     section.classList.toggle('provider-visible', match);
   });
-  // Clamp resolution max per provider
-  const maxDimMap = { perchance: 768, venice: 1280, puter: 1536 };
-  const maxDim = maxDimMap[selected] || 1536;
-  imgWidth.max = maxDim;
-  imgHeight.max = maxDim;
-  if (maxDim < 1536) {
-    if (parseInt(imgWidth.value) > maxDim) imgWidth.value = maxDim;
-    if (parseInt(imgHeight.value) > maxDim) imgHeight.value = maxDim;
+  clampResolutionToProvider(selected);
+}
+
+// Clamp resolution inputs to the provider's declared maximum size
+async function clampResolutionToProvider(providerId) {
+  let caps;
+  try {
+    caps = await window.sceneVisualizer.getProviderCapabilities(providerId);
+  } catch (e) {
+    console.error('Failed to read provider capabilities:', e);
+    return;
   }
+  if (providerSelect.value !== providerId) return; // selection changed meanwhile
+  imgWidth.max = caps.maxWidth;
+  imgHeight.max = caps.maxHeight;
+  if (parseInt(imgWidth.value) > caps.maxWidth) imgWidth.value = caps.maxWidth;
+  if (parseInt(imgHeight.value) > caps.maxHeight) imgHeight.value = caps.maxHeight;
 }
 
 // Load Venice models into dropdown
@@ -176,6 +194,254 @@ async function loadPuterModels() {
   }
 }
 
+// Local Stable Diffusion: defaults from main (server URLs per backend, built-in ComfyUI workflow)
+let localSdDefaults = { urls: {}, samplers: {}, workflow: '' };
+
+function fillLocalSdModels(models, selected) {
+  localSdModelSelect.innerHTML = '<option value="">Server default</option>';
+  const list = [...models];
+  // Keep a saved checkpoint selectable even while the server is offline
+  if (selected && !list.some(m => m.id === selected)) list.push({ id: selected, name: selected });
+  for (const model of list) {
+    const opt = document.createElement('option');
+    opt.value = model.id;
+    opt.textContent = model.name;
+    localSdModelSelect.appendChild(opt);
+  }
+  localSdModelSelect.value = selected || '';
+}
+
+async function loadLocalSdModels(selected) {
+  try {
+    fillLocalSdModels(await window.sceneVisualizer.getLocalSdModels(), selected);
+  } catch (e) {
+    console.error('Failed to load local SD models:', e);
+  }
+}
+
+// Backend switch: show the workflow editor for ComfyUI, swap the default port
+function updateLocalSdBackendUI() {
+  const backend = localSdBackendSelect.value;
+  localSdWorkflowGroup.style.display = backend === 'comfyui' ? '' : 'none';
+  const url = localSdUrlInput.value.trim();
+  if (!url || Object.values(localSdDefaults.urls).includes(url)) {
+    localSdUrlInput.value = localSdDefaults.urls[backend] || url;
+  }
+  localSdUrlInput.placeholder = localSdDefaults.urls[backend] || '';
+  localSdSamplerInput.placeholder = localSdDefaults.samplers[backend] || '';
+}
+
+async function testLocalSdConnection() {
+  localSdStatusDot.className = 'dot inactive';
+  localSdStatusText.textContent = 'Connecting...';
+  const result = await window.sceneVisualizer.localSdTestConnection(localSdBackendSelect.value, localSdUrlInput.value.trim());
+  if (result.success) {
+    localSdStatusDot.className = 'dot active';
+    localSdStatusText.textContent = `Connected — ${result.models.length} checkpoint(s)`;
+    fillLocalSdModels(result.models, localSdModelSelect.value);
+  } else {
+    localSdStatusText.textContent = result.error;
+  }
+}
+
+// OpenAI-compatible text server: headers are edited as "Name: value" lines
+function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of text.split('\n')) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const key = line.slice(0, idx).trim();
+    const value = line.slice(idx + 1).trim();
+    if (key) headers[key] = value;
+  }
+  return headers;
+}
+
+function formatHeaderLines(headers) {
+  return Object.entries(headers || {}).map(([k, v]) => `${k}: ${v}`).join('\n');
+}
+
+async function detectCompatibleModels() {
+  textLlmCompatStatus.textContent = 'Querying server...';
+  const result = await window.sceneVisualizer.textLlmListCompatibleModels({
+    baseUrl: textLlmCompatBaseUrl.value.trim() || undefined,
+    apiKey: textLlmCompatKey.value.trim() || undefined,
+    headers: parseHeaderLines(textLlmCompatHeaders.value),
+  });
+  textLlmCompatModelList.innerHTML = '';
+  for (const m of result.models) {
+    const opt = document.createElement('option');
+    opt.value = m.id;
+    textLlmCompatModelList.appendChild(opt);
+  }
+  textLlmCompatStatus.textContent = result.success
+    ? `${result.models.length} model(s) available`
+    : `Server not reachable: ${result.error}`;
+}
+
+// LLM routing table — one row per subsystem. Edits are kept per scope (all stories /
+// this story) until save; `loaded` guards against wiping routes if loading failed.
+const llmRouting = { subsystems: {}, providers: [], global: {}, story: {}, scope: 'global', loaded: false };
+const ROUTING_COLUMNS = ['Subsystem', 'Provider', 'Model', 'Temp', 'Max tok', 'Fallbacks'];
+
+function formatFallbacks(fallbacks) {
+  return (fallbacks || []).map(f => (f.model ? `${f.provider}:${f.model}` : f.provider)).join(', ');
+}
+
+// "provider" or "provider:model" — split on the first colon (Ollama models contain colons)
+function parseFallbacks(text) {
+  return text.split(',').map(f => f.trim()).filter(Boolean).map(f => {
+    const idx = f.indexOf(':');
+    return idx === -1 ? { provider: f, model: '' } : { provider: f.slice(0, idx).trim(), model: f.slice(idx + 1).trim() };
+  });
+}
+
+function makeRoutingField(subsystem, field, el, value) {
+  el.dataset.subsystem = subsystem;
+  el.dataset.field = field;
+  el.value = value ?? '';
+  return el;
+}
+
+function makeRoutingInput(type, placeholder) {
+  const input = document.createElement('input');
+  input.type = type;
+  input.placeholder = placeholder;
+  return input;
+}
+
+function renderLlmRoutingTable() {
+  llmRoutingTable.innerHTML = '';
+  for (const label of ROUTING_COLUMNS) {
+    const head = document.createElement('div');
+    head.className = 'llm-routing-head';
+    head.textContent = label;
+    llmRoutingTable.appendChild(head);
+  }
+
+  const routes = llmRouting[llmRouting.scope] || {};
+  const inheritLabel = llmRouting.scope === 'story' ? 'Inherit (all stories)' : 'Inherit (Lore provider)';
+  for (const [subsystem, label] of Object.entries(llmRouting.subsystems)) {
+    const route = routes[subsystem] || {};
+    const name = document.createElement('div');
+    name.className = 'llm-routing-name';
+    name.textContent = label;
+
+    const provider = document.createElement('select');
+    provider.append(new Option(inheritLabel, ''), ...llmRouting.providers.map(p => new Option(p.name, p.id)));
+
+    const temperature = makeRoutingInput('number', '—');
+    temperature.min = '0';
+    temperature.max = '2';
+    temperature.step = '0.1';
+    const maxTokens = makeRoutingInput('number', '—');
+    maxTokens.min = '1';
+
+    llmRoutingTable.append(
+      name,
+      makeRoutingField(subsystem, 'provider', provider, route.provider || ''),
+      makeRoutingField(subsystem, 'model', makeRoutingInput('text', 'Default'), route.model),
+      makeRoutingField(subsystem, 'temperature', temperature, route.temperature),
+      makeRoutingField(subsystem, 'maxTokens', maxTokens, route.maxTokens),
+      makeRoutingField(subsystem, 'fallbacks', makeRoutingInput('text', 'None'), formatFallbacks(route.fallbacks)),
+    );
+  }
+}
+
+function readLlmRoutingTable() {
+  const routes = {};
+  llmRoutingTable.querySelectorAll('[data-field]').forEach(el => {
+    const value = el.value.trim();
+    if (!value) return;
+    const route = routes[el.dataset.subsystem] || (routes[el.dataset.subsystem] = {});
+    const field = el.dataset.field;
+    if (field === 'temperature') route.temperature = parseFloat(value);
+    else if (field === 'maxTokens') route.maxTokens = parseInt(value, 10);
+    else if (field === 'fallbacks') route.fallbacks = parseFallbacks(value);
+    else route[field] = value;
+  });
+  return routes;
+}
+
+async function loadLlmRouting() {
+  llmRouting.loaded = false;
+  const routing = await window.sceneVisualizer.llmRoutingGet(state.currentStoryId);
+  Object.assign(llmRouting, routing, { scope: 'global', loaded: true });
+  llmRoutingScope.value = 'global';
+  llmRoutingScope.querySelector('option[value="story"]').disabled = !state.currentStoryId;
+  renderLlmRoutingTable();
+}
+
+// ---------------------------------------------------------------------------
+// Gallery storage — per-story retention rules and disk usage
+// ---------------------------------------------------------------------------
+
+const galleryRetention = { loaded: false };
+
+function formatBytes(bytes) {
+  const n = bytes || 0;
+  if (n >= 1024 * 1024 * 1024) return `${(n / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(n / 1024)} KB`;
+}
+
+function renderDiskUsage(rows) {
+  if (!rows.length) {
+    galleryDiskUsage.innerHTML = '<div class="usage-empty">No saved media yet.</div>';
+    return;
+  }
+  const body = rows.map(r => `
+    <tr${r.storyId === state.currentStoryId ? ' style="font-weight:600;"' : ''}>
+      <td>${escapeHtml(r.title || r.storyId)}</td>
+      <td>${r.count}</td>
+      <td>${formatBytes(r.bytes)}</td>
+      <td>${r.trashCount ? `${r.trashCount} (${formatBytes(r.trashBytes)})` : '—'}</td>
+    </tr>`).join('');
+  galleryDiskUsage.innerHTML = `
+    <table class="usage-table">
+      <thead><tr><th>Story</th><th>Items</th><th>Size</th><th>In trash</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>`;
+}
+
+async function loadGalleryStorage() {
+  galleryRetention.loaded = false;
+  const hasStory = !!state.currentStoryId;
+  galleryRetentionFields.style.opacity = hasStory ? '' : '0.4';
+  galleryRetentionFields.style.pointerEvents = hasStory ? '' : 'none';
+  galleryRetentionHint.textContent = hasStory
+    ? 'Retention rules for this story\'s gallery. Pruned images go to the trash first and are purged after the trash period. 0 means no limit.'
+    : 'Open a story to edit its retention rules.';
+
+  const [retention, usage] = await Promise.all([
+    window.sceneVisualizer.mediaGetRetention(state.currentStoryId),
+    window.sceneVisualizer.mediaDiskUsage(),
+  ]);
+  const rules = retention.rules;
+  galleryMaxImages.value = rules.maxImages;
+  galleryMaxVideos.value = rules.maxVideos;
+  galleryMaxDiskMB.value = rules.maxDiskMB;
+  galleryMaxAgeDays.value = rules.maxAgeDays;
+  galleryTrashDays.value = rules.trashDays;
+  galleryKeepFavorites.checked = rules.keepFavorites;
+  galleryKeepCommitted.checked = rules.keepCommitted;
+  galleryRetention.loaded = true;
+  renderDiskUsage(usage);
+}
+
+function readGalleryRetention() {
+  const count = (el) => Math.max(0, parseInt(el.value, 10) || 0);
+  return {
+    maxImages: count(galleryMaxImages),
+    maxVideos: count(galleryMaxVideos),
+    maxDiskMB: count(galleryMaxDiskMB),
+    maxAgeDays: count(galleryMaxAgeDays),
+    trashDays: count(galleryTrashDays),
+    keepFavorites: galleryKeepFavorites.checked,
+    keepCommitted: galleryKeepCommitted.checked,
+  };
+}
+
 // Show/hide quality dropdown based on selected Puter model
 function updatePuterQualityVisibility() {
   const model = puterModelSelect.value;
@@ -382,6 +648,25 @@ export function init() {
   // Puter model change — toggle quality dropdown
   puterModelSelect.addEventListener('change', updatePuterQualityVisibility);
 
+  // OpenAI-compatible text server model discovery
+  textLlmCompatDetectBtn.addEventListener('click', detectCompatibleModels);
+  llmRoutingScope.addEventListener('change', () => {
+    llmRouting[llmRouting.scope] = readLlmRoutingTable();
+    llmRouting.scope = llmRoutingScope.value;
+    renderLlmRoutingTable();
+  });
+
+  // Local Stable Diffusion
+  localSdBackendSelect.addEventListener('change', updateLocalSdBackendUI);
+  providerSelect.addEventListener('change', () => {
+    if (providerSelect.value === 'local') loadLocalSdModels(localSdModelSelect.value);
+  });
+  localSdTestBtn.addEventListener('click', testLocalSdConnection);
+  localSdWorkflowDefault.addEventListener('click', (e) => {
+    e.preventDefault();
+    localSdWorkflowInput.value = localSdDefaults.workflow;
+  });
+
   // TTS speed slider
   ttsSpeedSlider.addEventListener('input', () => {
     ttsSpeedValue.textContent = ttsSpeedSlider.value;
@@ -672,6 +957,14 @@ export function init() {
       textLlmAnthropicKey.value = '';
       textLlmAnthropicKey.placeholder = textLlmSettings.anthropicApiKey ? 'Key configured (enter new to replace)' : 'sk-ant-...';
       textLlmAnthropicModel.value = textLlmSettings.anthropicModel || 'claude-sonnet-4-20250514';
+      textLlmCompatBaseUrl.value = textLlmSettings.compatBaseUrl || '';
+      textLlmCompatKey.value = '';
+      textLlmCompatKey.placeholder = textLlmSettings.compatApiKey ? 'Key configured (enter new to replace)' : 'Not needed for most local servers';
+      textLlmCompatModel.value = textLlmSettings.compatModel || '';
+      textLlmCompatHeaders.value = formatHeaderLines(textLlmSettings.compatHeaders);
+      textLlmCompatStream.checked = textLlmSettings.compatStream !== false;
+      textLlmCompatStatus.textContent = '';
+      await loadLlmRouting();
       // Load Ollama models
       const ollamaResult = await window.sceneVisualizer.textLlmListOllamaModels();
       textLlmOllamaModelSelect.innerHTML = '';
@@ -695,6 +988,13 @@ export function init() {
       console.error('[Settings] Text LLM load error:', e);
     }
 
+    // Gallery storage (wrapped — must not abort settings open on failure)
+    try {
+      await loadGalleryStorage();
+    } catch (e) {
+      console.error('[Settings] Gallery storage load error:', e);
+    }
+
     // Scene settings
     sceneAutoGenerate.checked = effectiveSceneSettings.autoGeneratePrompts !== false;
     sceneUseCharacterLore.checked = effectiveSceneSettings.useCharacterLore !== false;
@@ -762,6 +1062,29 @@ export function init() {
     puterQualitySelect.value = puterSettings.quality || 'standard';
     updatePuterQualityVisibility();
 
+    // Local Stable Diffusion settings
+    const localSdSettings = await window.sceneVisualizer.getLocalSdSettings();
+    localSdDefaults = {
+      urls: localSdSettings.defaultUrls,
+      samplers: localSdSettings.defaultSamplers,
+      workflow: localSdSettings.defaultWorkflow,
+    };
+    localSdBackendSelect.value = localSdSettings.backend;
+    localSdUrlInput.value = localSdSettings.url;
+    localSdSamplerInput.value = localSdSettings.sampler;
+    localSdStepsInput.value = localSdSettings.steps;
+    localSdCfgScaleInput.value = localSdSettings.cfgScale;
+    localSdWorkflowInput.value = localSdSettings.workflow;
+    localSdStatusDot.className = 'dot inactive';
+    localSdStatusText.textContent = 'Not checked';
+    updateLocalSdBackendUI();
+    // Only query the server when it's the active provider — it may not be running
+    if (providerSelect.value === 'local') {
+      await loadLocalSdModels(localSdSettings.model);
+    } else {
+      fillLocalSdModels([], localSdSettings.model);
+    }
+
     // NovelAI token status
     const tokenStatus = await window.sceneVisualizer.getTokenStatus();
     if (tokenStatus.hasToken) {
@@ -828,6 +1151,19 @@ export function init() {
   });
 
   saveBtn.addEventListener('click', async () => {
+    // A broken ComfyUI workflow would fail every generation — keep the modal open instead
+    if (localSdWorkflowInput.value.trim()) {
+      try {
+        JSON.parse(localSdWorkflowInput.value);
+      } catch (e) {
+        providerSelect.value = 'local';
+        updateProviderSections();
+        localSdStatusDot.className = 'dot inactive';
+        localSdStatusText.textContent = 'Workflow is not valid JSON: ' + e.message;
+        return;
+      }
+    }
+
     // TTS settings (wrapped — must not abort settings save on failure)
     try {
       const curTtsVersion = ttsVersionSelect.value;
@@ -855,7 +1191,17 @@ export function init() {
       if (openaiKey) textLlmPayload.openaiApiKey = openaiKey;
       const anthropicKey = textLlmAnthropicKey.value.trim();
       if (anthropicKey) textLlmPayload.anthropicApiKey = anthropicKey;
+      textLlmPayload.compatBaseUrl = textLlmCompatBaseUrl.value.trim();
+      textLlmPayload.compatModel = textLlmCompatModel.value.trim();
+      textLlmPayload.compatHeaders = parseHeaderLines(textLlmCompatHeaders.value);
+      textLlmPayload.compatStream = textLlmCompatStream.checked;
+      const compatKey = textLlmCompatKey.value.trim();
+      if (compatKey) textLlmPayload.compatApiKey = compatKey;
       await window.sceneVisualizer.textLlmSetSettings(textLlmPayload);
+      if (llmRouting.loaded) {
+        llmRouting[llmRouting.scope] = readLlmRoutingTable();
+        await window.sceneVisualizer.llmRoutingSet(llmRouting.global);
+      }
       // Update Ollama model via lore LLM provider (authoritative store key)
       if (textLlmOllamaModelSelect.value) {
         await window.sceneVisualizer.loreSetLlmProvider({ ollamaModel: textLlmOllamaModelSelect.value });
@@ -946,6 +1292,17 @@ export function init() {
       quality: puterQualitySelect.value,
     });
 
+    // Local Stable Diffusion settings
+    await window.sceneVisualizer.setLocalSdSettings({
+      backend: localSdBackendSelect.value,
+      url: localSdUrlInput.value.trim(),
+      model: localSdModelSelect.value,
+      sampler: localSdSamplerInput.value.trim(),
+      steps: parseInt(localSdStepsInput.value) || 28,
+      cfgScale: parseFloat(localSdCfgScaleInput.value) || 6,
+      workflow: localSdWorkflowInput.value.trim(),
+    });
+
     await window.sceneVisualizer.setImageSettings({
       // Model
       model: modelSelect.value,
@@ -1001,9 +1358,17 @@ export function init() {
           suggestionStyle: sceneSuggestionStyle.value,
           suggestionTemperature: parseFloat(sceneSuggestionTemperature.value),
         },
+        lockedSeed: state.storySettings?.lockedSeed ?? null,
+        llmRouting: llmRouting.loaded ? llmRouting.story : (state.storySettings?.llmRouting || {}),
+        galleryRetention: galleryRetention.loaded ? readGalleryRetention() : (state.storySettings?.galleryRetention || null),
+        litrpgSystems: state.storySettings?.litrpgSystems || [],
+        litrpgParsers: state.storySettings?.litrpgParsers || [],
       };
       await window.sceneVisualizer.storySettingsSet(state.currentStoryId, perStory);
       state.storySettings = perStory;
+      if (galleryRetention.loaded) {
+        await window.sceneVisualizer.mediaApplyRetention(state.currentStoryId);
+      }
     }
 
     settingsModal.classList.remove('active');
@@ -29,6 +29,7 @@ export const state = {
   // Prompt state
   currentPrompt: '',
   currentNegativePrompt: '',
+  currentCharacterCaptions: [], // V4 per-character captions [{ name, caption, negative, position, center }]
   currentStoryExcerpt: '',
   isGenerating: false,
   isGeneratingPrompt: false,
@@ -43,6 +44,8 @@ export const state = {
   currentGenerationMeta: null,  // { provider, model, resolution }
   activeStoryboardId: null,
   activeStoryboardName: '',
+  autoStoryboardRunning: false,
+  autoStoryboardPaused: false,
 
   // Suggestions state
   suggestionsBadgeCount: 0,
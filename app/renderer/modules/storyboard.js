@@ -1,14 +1,21 @@
-// storyboard.js — Storyboard modal, scene cards, commit, CRUD operations
+// storyboard.js — Storyboard modal, scene cards, commit, CRUD operations, scene clips
 
-import { state } from './state.js';
+import { state, bus } from './state.js';
 import {
   imagePanel, promptDisplay,
   storyboardBtn, storyboardModal, storyboardSelect, sceneList,
   storyboardCloseBtn, sbNewBtn, sbDeleteBtn, sbRenameBtn,
   commitBtn, commitConfirm, commitSbName, commitNoteInput,
   commitConfirmBtn, commitCancelBtn, commitStoryLabel, sbLinkBtn,
+  sbExportFormat, sbExportLayout, sbExportBtn, sbImportBtn,
+  sbAutoBeats, sbAutoStartBtn, sbAutoPauseBtn, sbAutoCancelBtn, sbAutoStatus, sbAutoProgressFill,
+  sbAnimateSelectAll, sbAnimateSelection, sbAnimateBtn, sbSlideshowBtn,
+  sbSlideshowModal, sbSlideshowVideo, sbSlideshowCaption, sbSlidePrevBtn, sbSlideNextBtn, sbSlideCounter, sbSlideCloseBtn,
 } from './dom-refs.js';
 import { showToast } from './utils.js';
+import { loreCall, checkLoreProxy } from './lore-creator.js';
+import { setCharacterCaptions } from './image-gen.js';
+import { openImageEditor } from './image-edit.js';
 
 // Init storyboard state on load
 async function initStoryboard() {
@@ -133,156 +140,759 @@ export async function refreshStoryboardSelect() {
   }
 }
 
+// Chapters collapsed in the viewer (per session — only the chapter structure is persisted)
+const collapsedChapters = new Set();
+
+// Animate: scenes picked on the board on screen, and scenes with a clip still being made
+const selectedScenes = new Set();
+let animatingScenes = new Set();
+let listedScenes = [];
+
+function makeButton(label, onClick, className = '') {
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  if (className) btn.className = className;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
 async function renderSceneList() {
+  listedScenes = [];
   if (!state.activeStoryboardId) {
     sceneList.innerHTML = '<div class="scene-empty">No storyboards yet. Generate an image and commit it to start your storyboard.</div>';
+    updateAnimateSelection();
     return;
   }
 
-  const scenes = await window.sceneVisualizer.storyboardGetScenes(state.activeStoryboardId);
-  if (!scenes || scenes.length === 0) {
+  const sb = await window.sceneVisualizer.storyboardGet(state.activeStoryboardId);
+  const scenes = sb?.scenes || [];
+  const chapters = sb?.chapters || [];
+  listedScenes = scenes;
+  for (const id of [...selectedScenes]) {
+    if (!scenes.some(s => s.id === id)) selectedScenes.delete(id);
+  }
+  updateAnimateSelection();
+  if (scenes.length === 0 && chapters.length === 0) {
     sceneList.innerHTML = '<div class="scene-empty">No scenes yet. Generate an image and click "Commit to Storyboard".</div>';
     return;
   }
 
+  try {
+    const jobs = await window.sceneVisualizer.videoJobsForStoryboard(state.activeStoryboardId);
+    animatingScenes = new Set(jobs.filter(j => j.status === 'processing').map(j => j.sceneId));
+  } catch (e) {
+    animatingScenes = new Set();
+  }
+
   sceneList.innerHTML = '';
 
-  for (let i = 0; i < scenes.length; i++) {
-    const scene = scenes[i];
-    const card = document.createElement('div');
-    card.className = 'scene-card';
-
-    // Thumbnail (lazy loaded)
-    const thumbDiv = document.createElement('div');
-    thumbDiv.className = 'scene-thumb';
-    thumbDiv.innerHTML = '<span class="thumb-placeholder">Loading...</span>';
-    card.appendChild(thumbDiv);
-
-    // Lazy load image (capture storyboardId to avoid race condition)
-    (async (td, sid, sbId) => {
-      const imgData = await window.sceneVisualizer.storyboardGetSceneImage(sbId, sid);
-      if (imgData) {
-        td.innerHTML = `<img src="${imgData}" alt="Scene">`;
-      } else {
-        td.innerHTML = '<span class="thumb-placeholder">Missing</span>';
-      }
-    })(thumbDiv, scene.id, state.activeStoryboardId);
-
-    // Metadata
-    const meta = document.createElement('div');
-    meta.className = 'scene-meta';
-
-    const num = document.createElement('div');
-    num.className = 'scene-number';
-    num.textContent = `Scene ${i + 1}`;
-    meta.appendChild(num);
-
-    const ts = document.createElement('div');
-    ts.className = 'scene-timestamp';
-    ts.textContent = new Date(scene.committedAt).toLocaleString();
-    meta.appendChild(ts);
-
-    if (scene.prompt) {
-      const pr = document.createElement('div');
-      pr.className = 'scene-prompt';
-      pr.textContent = scene.prompt.length > 120 ? scene.prompt.slice(0, 120) + '...' : scene.prompt;
-      meta.appendChild(pr);
+  // Scenes are stored grouped: ungrouped first, then each chapter in order
+  const ungrouped = scenes.filter(s => !s.chapterId);
+  for (const scene of ungrouped) {
+    sceneList.appendChild(buildSceneCard(scene, scenes, chapters));
+  }
+  chapters.forEach((chapter, ci) => {
+    sceneList.appendChild(buildChapterSection(chapter, ci, chapters, scenes));
+  });
+}
+
+function buildChapterSection(chapter, ci, chapters, scenes) {
+  const chapterScenes = scenes.filter(s => s.chapterId === chapter.id);
+  const collapsed = collapsedChapters.has(chapter.id);
+
+  const section = document.createElement('div');
+  section.className = 'sb-chapter' + (collapsed ? ' collapsed' : '');
+
+  const header = document.createElement('div');
+  header.className = 'sb-chapter-header';
+
+  const toggle = document.createElement('span');
+  toggle.className = 'sb-chapter-toggle';
+  toggle.textContent = collapsed ? '▸' : '▾';
+  const title = document.createElement('span');
+  title.className = 'sb-chapter-title';
+  title.textContent = chapter.title;
+  const count = document.createElement('span');
+  count.className = 'sb-chapter-count';
+  count.textContent = `${chapterScenes.length} scene${chapterScenes.length === 1 ? '' : 's'}`;
+  header.append(toggle, title, count);
+
+  header.addEventListener('click', (e) => {
+    if (e.target.closest('button')) return;
+    if (collapsed) collapsedChapters.delete(chapter.id);
+    else collapsedChapters.add(chapter.id);
+    renderSceneList();
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'scene-actions';
+  actions.appendChild(makeButton('Rename', async () => {
+    const name = prompt('Chapter title:', chapter.title);
+    if (!name || !name.trim()) return;
+    await window.sceneVisualizer.storyboardRenameChapter(state.activeStoryboardId, chapter.id, name.trim());
+    await renderSceneList();
+  }));
+  if (ci > 0) {
+    actions.appendChild(makeButton('Move Up', async () => {
+      await window.sceneVisualizer.storyboardMoveChapter(state.activeStoryboardId, chapter.id, -1);
+      await renderSceneList();
+    }));
+  }
+  if (ci < chapters.length - 1) {
+    actions.appendChild(makeButton('Move Down', async () => {
+      await window.sceneVisualizer.storyboardMoveChapter(state.activeStoryboardId, chapter.id, 1);
+      await renderSceneList();
+    }));
+  }
+  actions.appendChild(makeButton('Remove', async () => {
+    const into = ci > 0 ? `"${chapters[ci - 1].title}"` : 'the ungrouped scenes';
+    if (!confirm(`Remove chapter "${chapter.title}"? Its scenes merge into ${into}.`)) return;
+    await window.sceneVisualizer.storyboardDeleteChapter(state.activeStoryboardId, chapter.id);
+    await renderSceneList();
+  }, 'danger'));
+  header.appendChild(actions);
+  section.appendChild(header);
+
+  if (!collapsed) {
+    const body = document.createElement('div');
+    body.className = 'sb-chapter-body';
+    if (chapterScenes.length === 0) {
+      body.innerHTML = '<div class="scene-empty">No scenes in this chapter. Use a scene\'s chapter picker to move scenes here.</div>';
+    }
+    for (const scene of chapterScenes) {
+      body.appendChild(buildSceneCard(scene, scenes, chapters));
     }
+    section.appendChild(body);
+  }
+  return section;
+}
+
+function buildSceneCard(scene, scenes, chapters) {
+  const i = scenes.indexOf(scene);
+  const card = document.createElement('div');
+  card.className = 'scene-card';
 
-    if (scene.storyExcerpt) {
-      const ex = document.createElement('div');
-      ex.className = 'scene-excerpt';
-      ex.textContent = scene.storyExcerpt.length > 100 ? '...' + scene.storyExcerpt.slice(-100) : scene.storyExcerpt;
-      meta.appendChild(ex);
+  // Thumbnail (lazy loaded)
+  const thumbDiv = document.createElement('div');
+  thumbDiv.className = 'scene-thumb';
+  thumbDiv.innerHTML = '<span class="thumb-placeholder">Loading...</span>';
+  card.appendChild(thumbDiv);
+
+  // Lazy load image (capture storyboardId to avoid race condition)
+  (async (td, sid, sbId) => {
+    const imgData = await window.sceneVisualizer.storyboardGetSceneImage(sbId, sid);
+    if (imgData) {
+      td.innerHTML = `<img src="${imgData}" alt="Scene">`;
+    } else {
+      td.innerHTML = '<span class="thumb-placeholder">Missing</span>';
     }
+    if (scene.video) td.insertAdjacentHTML('beforeend', '<span class="scene-clip-badge">&#9654; Clip</span>');
+  })(thumbDiv, scene.id, state.activeStoryboardId);
+
+  // Scenes with a clip play it in the slideshow, starting here
+  if (scene.video) {
+    thumbDiv.classList.add('has-clip');
+    thumbDiv.title = 'Play clip';
+    thumbDiv.addEventListener('click', () => openSlideshow(scene.id));
+  }
+
+  // Metadata
+  const meta = document.createElement('div');
+  meta.className = 'scene-meta';
+
+  const num = document.createElement('div');
+  num.className = 'scene-number';
+  num.textContent = `Scene ${i + 1}`;
+  const select = document.createElement('input');
+  select.type = 'checkbox';
+  select.className = 'scene-select';
+  select.title = 'Select for Animate';
+  select.checked = selectedScenes.has(scene.id);
+  select.addEventListener('change', () => {
+    if (select.checked) selectedScenes.add(scene.id);
+    else selectedScenes.delete(scene.id);
+    updateAnimateSelection();
+  });
+  num.prepend(select);
+  meta.appendChild(num);
+
+  if (animatingScenes.has(scene.id)) {
+    const an = document.createElement('div');
+    an.className = 'scene-animating';
+    an.textContent = 'Animating… (see Jobs)';
+    meta.appendChild(an);
+  }
+
+  const ts = document.createElement('div');
+  ts.className = 'scene-timestamp';
+  ts.textContent = new Date(scene.committedAt).toLocaleString();
+  meta.appendChild(ts);
+
+  if (scene.caption) {
+    const cap = document.createElement('div');
+    cap.className = 'scene-caption';
+    cap.textContent = scene.caption;
+    meta.appendChild(cap);
+  }
+
+  if (scene.prompt) {
+    const pr = document.createElement('div');
+    pr.className = 'scene-prompt';
+    pr.textContent = scene.prompt.length > 120 ? scene.prompt.slice(0, 120) + '...' : scene.prompt;
+    meta.appendChild(pr);
+  }
+
+  if (scene.storyExcerpt) {
+    const ex = document.createElement('div');
+    ex.className = 'scene-excerpt';
+    ex.textContent = scene.storyExcerpt.length > 100 ? '...' + scene.storyExcerpt.slice(-100) : scene.storyExcerpt;
+    meta.appendChild(ex);
+  }
+
+  if (scene.characters && scene.characters.length > 0) {
+    const ch = document.createElement('div');
+    ch.className = 'scene-chars';
+    ch.textContent = 'Characters: ' + scene.characters.join(', ');
+    meta.appendChild(ch);
+  }
 
-    if (scene.characters && scene.characters.length > 0) {
-      const ch = document.createElement('div');
-      ch.className = 'scene-chars';
-      ch.textContent = 'Characters: ' + scene.characters.join(', ');
-      meta.appendChild(ch);
+  if (Number.isInteger(scene.seed)) {
+    const sd = document.createElement('div');
+    sd.className = 'scene-chars';
+    sd.textContent = 'Seed: ' + scene.seed;
+    meta.appendChild(sd);
+  }
+
+  if (scene.note) {
+    const nt = document.createElement('div');
+    nt.className = 'scene-note';
+    nt.textContent = scene.note;
+    meta.appendChild(nt);
+  }
+
+  const info = document.createElement('div');
+  info.className = 'scene-info';
+  const parts = [];
+  if (scene.provider) parts.push(scene.provider);
+  if (scene.model) parts.push(scene.model);
+  if (scene.resolution && scene.resolution.width) parts.push(`${scene.resolution.width}x${scene.resolution.height}`);
+  if (parts.length > 0) info.textContent = parts.join(' | ');
+  meta.appendChild(info);
+
+  // Actions
+  const actions = document.createElement('div');
+  actions.className = 'scene-actions';
+
+  // Expandable area below the actions (text editor, image replace picker, history)
+  const drawer = document.createElement('div');
+  drawer.className = 'scene-drawer';
+  const openDrawer = (name, build) => {
+    if (drawer.dataset.open === name) {
+      drawer.dataset.open = '';
+      drawer.innerHTML = '';
+      return;
     }
+    drawer.dataset.open = name;
+    drawer.innerHTML = '';
+    build(drawer);
+  };
+
+  actions.appendChild(makeButton('Edit Text', () => openDrawer('text', d => buildTextEditor(d, scene))));
 
-    if (scene.note) {
-      const nt = document.createElement('div');
-      nt.className = 'scene-note';
-      nt.textContent = scene.note;
-      meta.appendChild(nt);
+  const regenBtn = document.createElement('button');
+  regenBtn.textContent = 'Load Prompt';
+  regenBtn.addEventListener('click', () => {
+    state.currentPrompt = scene.prompt;
+    state.currentNegativePrompt = scene.negativePrompt || '';
+    setCharacterCaptions(scene.characterCaptions || []);
+    promptDisplay.textContent = state.currentPrompt;
+    imagePanel.classList.remove('hidden');
+    storyboardModal.classList.remove('active');
+    showToast('Prompt loaded — click Generate');
+  });
+  actions.appendChild(regenBtn);
+
+  const editImgBtn = document.createElement('button');
+  editImgBtn.textContent = 'Edit Image';
+  editImgBtn.addEventListener('click', async () => {
+    const imgData = await window.sceneVisualizer.storyboardGetSceneImage(state.activeStoryboardId, scene.id);
+    if (!imgData) {
+      showToast('Scene image missing');
+      return;
     }
+    storyboardModal.classList.remove('active');
+    imagePanel.classList.remove('hidden');
+    openImageEditor(imgData, { prompt: scene.prompt || '', negativePrompt: scene.negativePrompt || '' });
+  });
+  actions.appendChild(editImgBtn);
+
+  actions.appendChild(makeButton('Replace Image', () => openDrawer('replace', d => buildReplacePicker(d, scene))));
+
+  const history = scene.imageHistory || [];
+  if (history.length > 0) {
+    actions.appendChild(makeButton(`History (${history.length})`, () => openDrawer('history', d => buildHistoryStrip(d, scene))));
+  }
+
+  if (scene.video) {
+    actions.appendChild(makeButton('Remove Clip', async () => {
+      if (!confirm('Remove this scene\'s clip? A copy stays in the story\'s gallery if it was saved there.')) return;
+      await window.sceneVisualizer.storyboardRemoveSceneVideo(state.activeStoryboardId, scene.id);
+      await renderSceneList();
+    }));
+  }
+
+  const prev = scenes[i - 1];
+  const next = scenes[i + 1];
+  const sameGroup = (other) => other && (other.chapterId || null) === (scene.chapterId || null);
+
+  if (sameGroup(prev)) {
+    actions.appendChild(makeButton('Move Up', async () => {
+      const ids = scenes.map(s => s.id);
+      [ids[i - 1], ids[i]] = [ids[i], ids[i - 1]];
+      await window.sceneVisualizer.storyboardReorderScenes(state.activeStoryboardId, ids);
+      await renderSceneList();
+    }));
+  }
+
+  if (sameGroup(next)) {
+    actions.appendChild(makeButton('Move Down', async () => {
+      const ids = scenes.map(s => s.id);
+      [ids[i], ids[i + 1]] = [ids[i + 1], ids[i]];
+      await window.sceneVisualizer.storyboardReorderScenes(state.activeStoryboardId, ids);
+      await renderSceneList();
+    }));
+  }
+
+  actions.appendChild(makeButton('New Chapter Here', async () => {
+    const title = prompt('Chapter title (this scene and the ones after it in its group move into it):', `Chapter ${chapters.length + 1}`);
+    if (title === null) return;
+    await window.sceneVisualizer.storyboardCreateChapter(state.activeStoryboardId, title, scene.id);
+    await renderSceneList();
+  }));
 
-    const info = document.createElement('div');
-    info.className = 'scene-info';
-    const parts = [];
-    if (scene.provider) parts.push(scene.provider);
-    if (scene.model) parts.push(scene.model);
-    if (scene.resolution && scene.resolution.width) parts.push(`${scene.resolution.width}x${scene.resolution.height}`);
-    if (parts.length > 0) info.textContent = parts.join(' | ');
-    meta.appendChild(info);
-
-    // Actions
-    const actions = document.createElement('div');
-    actions.className = 'scene-actions';
-
-    const editNoteBtn = document.createElement('button');
-    editNoteBtn.textContent = 'Edit Note';
-    editNoteBtn.addEventListener('click', async () => {
-      const note = prompt('Scene note:', scene.note || '');
-      if (note === null) return;
-      await window.sceneVisualizer.storyboardUpdateSceneNote(state.activeStoryboardId, scene.id, note);
+  if (chapters.length > 0) {
+    const chapterSelect = document.createElement('select');
+    chapterSelect.className = 'scene-chapter-select';
+    chapterSelect.title = 'Move to chapter';
+    chapterSelect.innerHTML = '<option value="">No chapter</option>';
+    for (const chapter of chapters) {
+      const opt = document.createElement('option');
+      opt.value = chapter.id;
+      opt.textContent = chapter.title;
+      chapterSelect.appendChild(opt);
+    }
+    chapterSelect.value = scene.chapterId || '';
+    chapterSelect.addEventListener('change', async () => {
+      await window.sceneVisualizer.storyboardSetSceneChapter(state.activeStoryboardId, scene.id, chapterSelect.value || null);
       await renderSceneList();
     });
-    actions.appendChild(editNoteBtn);
-
-    const regenBtn = document.createElement('button');
-    regenBtn.textContent = 'Load Prompt';
-    regenBtn.addEventListener('click', () => {
-      state.currentPrompt = scene.prompt;
-      state.currentNegativePrompt = scene.negativePrompt || '';
-      promptDisplay.textContent = state.currentPrompt;
-      imagePanel.classList.remove('hidden');
-      storyboardModal.classList.remove('active');
-      showToast('Prompt loaded — click Generate');
+    actions.appendChild(chapterSelect);
+  }
+
+  const delBtn = document.createElement('button');
+  delBtn.className = 'danger';
+  delBtn.textContent = 'Delete';
+  delBtn.addEventListener('click', async () => {
+    if (!confirm('Delete this scene?')) return;
+    await window.sceneVisualizer.storyboardDeleteScene(state.activeStoryboardId, scene.id);
+    await renderSceneList();
+    await refreshStoryboardSelect();
+  });
+  actions.appendChild(delBtn);
+
+  meta.appendChild(actions);
+  meta.appendChild(drawer);
+  card.appendChild(meta);
+  return card;
+}
+
+function buildTextEditor(container, scene) {
+  const fields = [
+    { key: 'caption', label: 'Caption', rows: 1 },
+    { key: 'storyExcerpt', label: 'Story excerpt', rows: 4 },
+    { key: 'note', label: 'Note', rows: 2 },
+  ];
+  const inputs = {};
+  for (const field of fields) {
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    const input = document.createElement('textarea');
+    input.rows = field.rows;
+    input.value = scene[field.key] || '';
+    label.appendChild(input);
+    container.appendChild(label);
+    inputs[field.key] = input;
+  }
+
+  const buttons = document.createElement('div');
+  buttons.className = 'scene-actions';
+  buttons.appendChild(makeButton('Save', async () => {
+    const result = await window.sceneVisualizer.storyboardUpdateSceneText(state.activeStoryboardId, scene.id, {
+      caption: inputs.caption.value.trim(),
+      storyExcerpt: inputs.storyExcerpt.value.trim(),
+      note: inputs.note.value.trim(),
     });
-    actions.appendChild(regenBtn);
-
-    if (i > 0) {
-      const upBtn = document.createElement('button');
-      upBtn.textContent = 'Move Up';
-      upBtn.addEventListener('click', async () => {
-        const ids = scenes.map(s => s.id);
-        [ids[i - 1], ids[i]] = [ids[i], ids[i - 1]];
-        await window.sceneVisualizer.storyboardReorderScenes(state.activeStoryboardId, ids);
-        await renderSceneList();
-      });
-      actions.appendChild(upBtn);
+    if (!result.success) {
+      showToast('Failed: ' + (result.error || 'unknown error'));
+      return;
     }
+    await renderSceneList();
+  }));
+  buttons.appendChild(makeButton('Cancel', () => {
+    container.dataset.open = '';
+    container.innerHTML = '';
+  }));
+  container.appendChild(buttons);
+}
+
+async function replaceImage(scene, imageData) {
+  const result = await window.sceneVisualizer.storyboardReplaceSceneImage(state.activeStoryboardId, scene.id, imageData);
+  if (result.success) {
+    showToast('Scene image replaced — the old one is in History');
+    await renderSceneList();
+  } else {
+    showToast('Failed: ' + (result.error || 'unknown error'));
+  }
+}
+
+function buildReplacePicker(container, scene) {
+  const buttons = document.createElement('div');
+  buttons.className = 'scene-actions';
+
+  const currentBtn = makeButton('Use Current Image', () => {
+    replaceImage(scene, {
+      imageData: state.currentImageData,
+      prompt: state.currentPrompt,
+      negativePrompt: state.currentNegativePrompt,
+      provider: state.currentGenerationMeta?.provider || '',
+      model: state.currentGenerationMeta?.model || '',
+      resolution: state.currentGenerationMeta?.resolution || {},
+      seed: state.currentGenerationMeta?.seed ?? null,
+      params: state.currentGenerationMeta?.params || {},
+      mediaId: state.currentGenerationMeta?.mediaId || null,
+      source: 'generation',
+    });
+  });
+  currentBtn.disabled = !state.currentImageData;
+  currentBtn.title = state.currentImageData
+    ? 'Use the image in the viewer (e.g. after Load Prompt + Generate)'
+    : 'Generate an image first — tip: Load Prompt, then Generate';
+  buttons.appendChild(currentBtn);
+  container.appendChild(buttons);
+
+  const grid = document.createElement('div');
+  grid.className = 'scene-picker';
+  container.appendChild(grid);
 
-    if (i < scenes.length - 1) {
-      const downBtn = document.createElement('button');
-      downBtn.textContent = 'Move Down';
-      downBtn.addEventListener('click', async () => {
-        const ids = scenes.map(s => s.id);
-        [ids[i], ids[i + 1]] = [ids[i + 1], ids[i]];
-        await window.sceneVisualizer.storyboardReorderScenes(state.activeStoryboardId, ids);
-        await renderSceneList();
+  if (!state.currentStoryId) {
+    grid.innerHTML = '<div class="scene-picker-empty">Open a story to pick from its gallery.</div>';
+    return;
+  }
+
+  (async () => {
+    const items = (await window.sceneVisualizer.mediaList(state.currentStoryId, { type: 'image' })) || [];
+    if (items.length === 0) {
+      grid.innerHTML = '<div class="scene-picker-empty">No gallery images for this story.</div>';
+      return;
+    }
+    for (const item of items) {
+      const cell = document.createElement('div');
+      cell.className = 'scene-picker-item';
+      cell.title = item.prompt || '';
+      grid.appendChild(cell);
+      window.sceneVisualizer.mediaGetThumbnail(state.currentStoryId, item.id).then(thumb => {
+        if (thumb) cell.innerHTML = `<img src="${thumb}" alt="">`;
+      });
+      cell.addEventListener('click', async () => {
+        const full = await window.sceneVisualizer.mediaGetFull(state.currentStoryId, item.id);
+        if (!full) {
+          showToast('Gallery image missing');
+          return;
+        }
+        replaceImage(scene, {
+          imageData: full,
+          prompt: item.prompt || '',
+          negativePrompt: item.negative_prompt || '',
+          provider: item.provider || '',
+          model: item.model || '',
+          resolution: item.width ? { width: item.width, height: item.height } : {},
+          seed: Number.isInteger(item.seed) ? item.seed : null,
+          params: item.params || {},
+          mediaId: item.id,
+          source: 'gallery',
+        });
       });
-      actions.appendChild(downBtn);
     }
+  })();
+}
 
-    const delBtn = document.createElement('button');
-    delBtn.className = 'danger';
-    delBtn.textContent = 'Delete';
-    delBtn.addEventListener('click', async () => {
-      if (!confirm('Delete this scene?')) return;
-      await window.sceneVisualizer.storyboardDeleteScene(state.activeStoryboardId, scene.id);
-      await renderSceneList();
-      await refreshStoryboardSelect();
+function buildHistoryStrip(container, scene) {
+  const grid = document.createElement('div');
+  grid.className = 'scene-picker';
+  container.appendChild(grid);
+
+  (scene.imageHistory || []).forEach((entry, index) => {
+    const cell = document.createElement('div');
+    cell.className = 'scene-picker-item';
+    cell.title = `Replaced ${new Date(entry.replacedAt).toLocaleString()} — click to restore`;
+    grid.appendChild(cell);
+    window.sceneVisualizer.storyboardGetSceneHistoryImage(state.activeStoryboardId, scene.id, index).then(img => {
+      cell.innerHTML = img ? `<img src="${img}" alt="">` : '<span class="thumb-placeholder">Missing</span>';
+    });
+    cell.addEventListener('click', async () => {
+      if (!confirm('Restore this image? The current one moves to History.')) return;
+      const result = await window.sceneVisualizer.storyboardRestoreSceneImage(state.activeStoryboardId, scene.id, index);
+      if (result.success) await renderSceneList();
+      else showToast('Failed: ' + (result.error || 'unknown error'));
     });
-    actions.appendChild(delBtn);
+  });
+}
+
+async function exportStoryboard() {
+  if (!state.activeStoryboardId) return;
+  const format = sbExportFormat.value;
 
-    meta.appendChild(actions);
-    card.appendChild(meta);
-    sceneList.appendChild(card);
+  sbExportBtn.disabled = true;
+  sbExportBtn.textContent = 'Exporting...';
+  try {
+    const result = format === 'bundle'
+      ? await window.sceneVisualizer.storyboardExportBundle(state.activeStoryboardId)
+      : await window.sceneVisualizer.storyboardExport(state.activeStoryboardId, format, sbExportLayout.value);
+    if (result.success) {
+      showToast(`Exported ${result.sceneCount} scenes to ${result.filePath}`, 4000);
+    } else if (!result.canceled) {
+      showToast('Export failed: ' + (result.error || 'unknown error'), 4000, 'error');
+    }
+  } catch (e) {
+    showToast('Export failed: ' + e.message, 4000, 'error');
+  } finally {
+    sbExportBtn.disabled = false;
+    sbExportBtn.textContent = 'Export';
+  }
+}
+
+async function importBundle() {
+  // Re-link to the story open here, or keep the link recorded in the bundle
+  let relink = false;
+  if (state.currentStoryId) {
+    relink = confirm(`Link the imported storyboard to the current story${state.currentStoryTitle ? ` ("${state.currentStoryTitle}")` : ''}?\n\nCancel keeps the story link saved in the bundle.`);
+  }
+
+  try {
+    const result = relink
+      ? await window.sceneVisualizer.storyboardImportBundle(state.currentStoryId, state.currentStoryTitle || '')
+      : await window.sceneVisualizer.storyboardImportBundle();
+    if (result.canceled) return;
+    if (!result.success) {
+      showToast('Import failed: ' + (result.error || 'unknown error'), 4000, 'error');
+      return;
+    }
+
+    await window.sceneVisualizer.storyboardSetActive(result.id);
+    state.activeStoryboardId = result.id;
+    state.activeStoryboardName = result.name;
+    commitSbName.textContent = state.activeStoryboardName;
+    await refreshStoryboardSelect();
+    await renderSceneList();
+
+    const notes = [];
+    if (result.missingImages) notes.push(`${result.missingImages} images missing`);
+    if (!result.storyId) notes.push('not linked to a story');
+    showToast(`Imported "${result.name}" (${result.sceneCount} scenes${notes.length ? ', ' + notes.join(', ') : ''})`, 4000);
+  } catch (e) {
+    showToast('Import failed: ' + e.message, 4000, 'error');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Animate — image-to-video per scene (Venice), played back as a slideshow
+// ---------------------------------------------------------------------------
+
+function updateAnimateSelection() {
+  const count = selectedScenes.size;
+  sbAnimateSelection.textContent = `${count} selected`;
+  sbAnimateSelectAll.checked = listedScenes.length > 0 && count === listedScenes.length;
+  sbAnimateSelectAll.indeterminate = count > 0 && count < listedScenes.length;
+  sbAnimateBtn.disabled = count === 0;
+  sbSlideshowBtn.disabled = !listedScenes.some(s => s.video);
+}
+
+async function animateSelected() {
+  const scenes = listedScenes.filter(s => selectedScenes.has(s.id));
+  if (scenes.length === 0) return;
+
+  sbAnimateBtn.disabled = true;
+  sbAnimateBtn.textContent = 'Quoting...';
+  try {
+    const quote = await window.sceneVisualizer.veniceQuoteVideo(scenes[0].prompt || '');
+    const each = quote.quote;
+    const replacing = scenes.filter(s => s.video).length;
+    const note = replacing ? ` ${replacing} already have a clip, which will be replaced.` : '';
+    if (!confirm(`Animate ${scenes.length} scene(s) at ~$${each.toFixed(3)} each (~$${(each * scenes.length).toFixed(2)} total)?${note}`)) return;
+
+    sbAnimateBtn.textContent = 'Queuing...';
+    const result = await window.sceneVisualizer.storyboardAnimateScenes(
+      state.activeStoryboardId, scenes.map(s => s.id), each
+    );
+    if (!result.success) {
+      showToast('Animate failed: ' + (result.error || 'unknown error'), 4000, 'error');
+      return;
+    }
+    const skipped = result.failed ? ` (${result.failed} skipped)` : '';
+    showToast(`Queued ${result.queued} clip(s)${skipped} — each attaches to its scene when ready`, 4000, result.failed ? 'warn' : undefined);
+    selectedScenes.clear();
+    await renderSceneList();
+  } catch (e) {
+    showToast('Animate failed: ' + e.message, 4000, 'error');
+  } finally {
+    sbAnimateBtn.textContent = 'Animate Selected';
+    updateAnimateSelection();
+  }
+}
+
+let slideshow = { storyboardId: null, clips: [], index: 0 };
+
+function openSlideshow(startSceneId = null) {
+  const clips = listedScenes.filter(s => s.video);
+  if (clips.length === 0) {
+    showToast('No clips yet — select scenes and click Animate Selected', 3000, 'warn');
+    return;
+  }
+  slideshow = { storyboardId: state.activeStoryboardId, clips, index: 0 };
+  sbSlideshowModal.classList.add('active');
+  showSlide(Math.max(0, clips.findIndex(s => s.id === startSceneId)));
+}
+
+async function showSlide(index) {
+  const { storyboardId, clips } = slideshow;
+  if (index < 0 || index >= clips.length) return;
+  slideshow.index = index;
+
+  const scene = clips[index];
+  const label = `Scene ${listedScenes.indexOf(scene) + 1}`;
+  sbSlideCounter.textContent = `${index + 1} / ${clips.length}`;
+  sbSlideshowCaption.textContent = scene.caption ? `${label} — ${scene.caption}` : label;
+  sbSlidePrevBtn.disabled = index === 0;
+  sbSlideNextBtn.disabled = index === clips.length - 1;
+
+  const videoData = await window.sceneVisualizer.storyboardGetSceneVideo(storyboardId, scene.id);
+  // Skipped ahead or closed while the clip was loading
+  if (slideshow.index !== index || !sbSlideshowModal.classList.contains('active')) return;
+  if (!videoData) {
+    sbSlideshowCaption.textContent = `${label} — clip file missing`;
+    sbSlideshowVideo.removeAttribute('src');
+    return;
+  }
+  sbSlideshowVideo.src = videoData;
+  sbSlideshowVideo.play().catch(() => { /* autoplay may be refused until the user interacts */ });
+}
+
+function closeSlideshow() {
+  sbSlideshowModal.classList.remove('active');
+  sbSlideshowVideo.pause();
+  sbSlideshowVideo.removeAttribute('src');
+  sbSlideshowVideo.load();
+}
+
+// ---------------------------------------------------------------------------
+// Auto-storyboard — one committed scene per story beat (needs Story Knowledge)
+// ---------------------------------------------------------------------------
+
+function resetAutoControls() {
+  state.autoStoryboardRunning = false;
+  state.autoStoryboardPaused = false;
+  sbAutoStartBtn.disabled = false;
+  sbAutoPauseBtn.style.display = 'none';
+  sbAutoPauseBtn.textContent = 'Pause';
+  sbAutoCancelBtn.style.display = 'none';
+}
+
+async function startAutoStoryboard() {
+  if (state.autoStoryboardRunning) return;
+  if (!state.currentStoryId) {
+    sbAutoStatus.textContent = 'Open a story first';
+    return;
+  }
+
+  state.autoStoryboardRunning = true;
+  state.autoStoryboardPaused = false;
+  sbAutoStartBtn.disabled = true;
+  sbAutoPauseBtn.style.display = '';
+  sbAutoCancelBtn.style.display = '';
+  sbAutoProgressFill.style.width = '0%';
+  sbAutoStatus.textContent = 'Starting...';
+
+  try {
+    await checkLoreProxy();
+    const storyText = await loreCall('getStoryText');
+    if (!storyText || storyText.trim().length < 100) {
+      sbAutoStatus.textContent = 'Not enough story text';
+      return;
+    }
+
+    let entries = [];
+    try { entries = await loreCall('getEntries'); } catch (_) { /* best-effort */ }
+
+    // Commit to the board on screen when it belongs to this story, else to the story's own board
+    const data = await window.sceneVisualizer.storyboardList();
+    const active = data.storyboards.find(sb => sb.id === state.activeStoryboardId);
+    const targetId = active && active.storyId === state.currentStoryId ? active.id : null;
+
+    const result = await window.sceneVisualizer.storyboardStartAuto(
+      state.currentStoryId, state.currentStoryTitle || '', targetId,
+      storyText, entries, parseInt(sbAutoBeats.value, 10) || 8
+    );
+    if (!result.success) {
+      sbAutoStatus.textContent = 'Error: ' + (result.error || 'Auto-storyboard failed');
+    }
+  } catch (e) {
+    sbAutoStatus.textContent = 'Error: ' + (e.message || 'Auto-storyboard failed');
+  } finally {
+    resetAutoControls();
+  }
+}
+
+async function onAutoProgress(data) {
+  if (data.storyId !== state.currentStoryId) return;
+  const pct = data.beatsTotal > 0 ? Math.round((data.beatsDone / data.beatsTotal) * 100) : 0;
+  sbAutoProgressFill.style.width = pct + '%';
+
+  const beat = data.beatTitle ? ` — ${data.beatTitle}` : '';
+  const phaseLabels = {
+    selecting: 'Picking key beats...',
+    generating: `Beat ${data.beatsDone + 1}/${data.beatsTotal}${beat}`,
+    committed: `Committed ${data.beatsDone}/${data.beatsTotal}${beat}`,
+    'beat-failed': `Beat ${data.beatsDone}/${data.beatsTotal} failed: ${data.error || 'unknown error'}`,
+    cancelled: 'Cancelled',
+    budget: 'Stopped — usage budget reached',
+    complete: 'Complete',
+  };
+  sbAutoStatus.textContent = phaseLabels[data.phase] || `${pct}%`;
+
+  // Show each new scene as it lands when the viewer is on that board
+  if (data.phase === 'committed' && storyboardModal.classList.contains('active')
+      && data.storyboardId === state.activeStoryboardId) {
+    await renderSceneList();
+  }
+}
+
+async function onAutoComplete(data) {
+  if (data.storyId !== state.currentStoryId) return;
+  const parts = [`${data.committed} committed`];
+  if (data.skipped) parts.push(`${data.skipped} already on board`);
+  if (data.failed) parts.push(`${data.failed} failed`);
+  const outcome = data.budgetStop ? 'Stopped (usage budget reached)' : data.cancelled ? 'Cancelled' : 'Done';
+  sbAutoStatus.textContent = `${outcome}: ${parts.join(', ')}`;
+  if (data.budgetStop) showToast(`Auto-storyboard stopped — usage budget reached (${data.budgetStop})`, 5000, 'warn');
+  else showToast(`Auto-storyboard: ${parts.join(', ')}`, 4000);
+
+  if (data.storyboardId && data.storyboardId !== state.activeStoryboardId) {
+    await window.sceneVisualizer.storyboardSetActive(data.storyboardId);
+    await initStoryboard();
+  }
+  if (storyboardModal.classList.contains('active')) {
+    await refreshStoryboardSelect();
+    await renderSceneList();
   }
 }
 
@@ -318,10 +928,15 @@ export function init() {
         prompt: state.currentPrompt,
         negativePrompt: state.currentNegativePrompt,
         storyExcerpt: state.currentStoryExcerpt,
-        characters: [],
+        characters: (state.currentCharacterCaptions || []).map(c => c.name),
+        characterCaptions: state.currentCharacterCaptions || [],
         provider: state.currentGenerationMeta?.provider || '',
         model: state.currentGenerationMeta?.model || '',
         resolution: state.currentGenerationMeta?.resolution || {},
+        seed: state.currentGenerationMeta?.seed ?? null,
+        params: state.currentGenerationMeta?.params || {},
+        mediaId: state.currentGenerationMeta?.mediaId || null,
+        storyPosition: state.lastKnownStoryLength || null,
         note: commitNoteInput.value.trim(),
       };
 
@@ -405,6 +1020,57 @@ export function init() {
     await refreshStoryboardSelect();
   });
 
+  // Export — layout presets only apply to HTML/PDF; a CBZ is always one scene per page
+  sbExportFormat.addEventListener('change', () => {
+    sbExportLayout.disabled = sbExportFormat.value === 'cbz' || sbExportFormat.value === 'bundle';
+  });
+  sbExportBtn.addEventListener('click', exportStoryboard);
+
+  // Animate + clip slideshow
+  sbAnimateSelectAll.addEventListener('change', () => {
+    selectedScenes.clear();
+    if (sbAnimateSelectAll.checked) listedScenes.forEach(s => selectedScenes.add(s.id));
+    sceneList.querySelectorAll('.scene-select').forEach(cb => { cb.checked = sbAnimateSelectAll.checked; });
+    updateAnimateSelection();
+  });
+  sbAnimateBtn.addEventListener('click', animateSelected);
+  sbSlideshowBtn.addEventListener('click', () => openSlideshow());
+  sbSlidePrevBtn.addEventListener('click', () => showSlide(slideshow.index - 1));
+  sbSlideNextBtn.addEventListener('click', () => showSlide(slideshow.index + 1));
+  sbSlideCloseBtn.addEventListener('click', closeSlideshow);
+  sbSlideshowVideo.addEventListener('ended', () => showSlide(slideshow.index + 1));
+
+  // Finished clips attach to their scenes in the main process — redraw the board on screen
+  bus.on('queue:video-finished', ({ storyboardId }) => {
+    if (storyboardId && storyboardId === state.activeStoryboardId && storyboardModal.classList.contains('active')) {
+      renderSceneList();
+    }
+  });
+  sbImportBtn.addEventListener('click', importBundle);
+
+  // Auto-storyboard
+  sbAutoStartBtn.addEventListener('click', startAutoStoryboard);
+  sbAutoPauseBtn.addEventListener('click', async () => {
+    if (!state.currentStoryId) return;
+    if (state.autoStoryboardPaused) {
+      await window.sceneVisualizer.storyboardResumeAuto(state.currentStoryId);
+      state.autoStoryboardPaused = false;
+      sbAutoPauseBtn.textContent = 'Pause';
+    } else {
+      await window.sceneVisualizer.storyboardPauseAuto(state.currentStoryId);
+      state.autoStoryboardPaused = true;
+      sbAutoPauseBtn.textContent = 'Resume';
+      sbAutoStatus.textContent = 'Paused after the current beat';
+    }
+  });
+  sbAutoCancelBtn.addEventListener('click', async () => {
+    if (!state.currentStoryId) return;
+    await window.sceneVisualizer.storyboardCancelAuto(state.currentStoryId);
+    sbAutoStatus.textContent = 'Cancelling after the current beat...';
+  });
+  window.sceneVisualizer.onAutoStoryboardProgress(onAutoProgress);
+  window.sceneVisualizer.onAutoStoryboardComplete(onAutoComplete);
+
   sbLinkBtn.addEventListener('click', async () => {
     if (!state.activeStoryboardId || !state.currentStoryId) return;
     const data = await window.sceneVisualizer.storyboardList();
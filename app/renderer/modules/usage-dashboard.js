@@ -0,0 +1,220 @@
+// usage-dashboard.js — LLM / image usage ledger: per-day and per-story totals, budgets, pricing
+
+import { state } from './state.js';
+import {
+  usageBtn, usageModal, usageScope, usageDays, usageBudgetBanner, usageTotals,
+  usageByDay, usageByStory, usageBySubsystem, usageByProvider, usageJsonStats,
+  usageBudgetDailyCost, usageBudgetDailyTokens, usageBudgetStoryCost, usagePricingTable,
+  usageClearBtn, usageSaveBtn, usageCloseBtn,
+} from './dom-refs.js';
+import { showToast, escapeHtml } from './utils.js';
+
+// ---------------------------------------------------------------------------
+// Budget checks (used by the auto-scan timers, scene-prompt poll and auto image generation)
+// ---------------------------------------------------------------------------
+
+/**
+ * True when a usage budget is exceeded for the story — automatic scans, scene prompts and
+ * image generations should skip their run. Manual actions are never blocked.
+ */
+export async function isAutoScanPaused(storyId) {
+  try {
+    const status = await window.sceneVisualizer.usageBudgetStatus(storyId);
+    if (status.exceeded) console.log(`[Usage] Auto-scan paused: ${status.reasons.join('; ')}`);
+    return status.exceeded;
+  } catch (e) {
+    console.error('[Usage] Budget check failed:', e);
+    return false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Formatting
+// ---------------------------------------------------------------------------
+
+function formatCost(cost) {
+  const n = cost || 0;
+  if (n === 0) return '$0';
+  return n < 0.01 ? `$${n.toFixed(4)}` : `$${n.toFixed(2)}`;
+}
+
+function formatTokens(n) {
+  const v = n || 0;
+  if (v >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `${(v / 1e3).toFixed(1)}k`;
+  return String(v);
+}
+
+function renderTable(container, columns, rows, emptyText) {
+  if (!rows.length) {
+    container.innerHTML = `<div class="usage-empty">${escapeHtml(emptyText)}</div>`;
+    return;
+  }
+  const head = columns.map(c => `<th>${escapeHtml(c.label)}</th>`).join('');
+  const body = rows.map(row =>
+    `<tr>${columns.map(c => `<td>${escapeHtml(String(c.value(row)))}</td>`).join('')}</tr>`
+  ).join('');
+  container.innerHTML = `<table class="usage-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+const COMMON_COLUMNS = [
+  { label: 'Calls', value: r => r.calls + (r.failures ? ` (${r.failures} failed)` : '') },
+  { label: 'Tokens in/out', value: r => `${formatTokens(r.promptTokens)} / ${formatTokens(r.responseTokens)}` },
+  { label: 'Images', value: r => r.images || 0 },
+  { label: 'Avg latency', value: r => `${((r.avgLatencyMs || 0) / 1000).toFixed(1)}s` },
+  { label: 'Cost', value: r => formatCost(r.cost) },
+];
+
+// ---------------------------------------------------------------------------
+// Dashboard
+// ---------------------------------------------------------------------------
+
+async function refreshDashboard() {
+  const storyId = usageScope.value === 'story' ? state.currentStoryId : undefined;
+  const days = parseInt(usageDays.value, 10) || 30;
+
+  try {
+    const [summary, budget, jsonStats] = await Promise.all([
+      window.sceneVisualizer.usageSummary(storyId, days),
+      window.sceneVisualizer.usageBudgetStatus(state.currentStoryId),
+      window.sceneVisualizer.structuredOutputStats(),
+    ]);
+
+    const t = summary.totals || {};
+    usageTotals.textContent = t.calls
+      ? `${t.calls} calls · ${formatTokens((t.promptTokens || 0) + (t.responseTokens || 0))} tokens (est.) · ${t.images || 0} images · ${formatCost(t.cost)}`
+      : 'No usage recorded in this period.';
+
+    usageBudgetBanner.style.display = budget.exceeded ? '' : 'none';
+    usageBudgetBanner.textContent = budget.exceeded
+      ? `Budget reached — automatic scans, scene prompts and images are paused (${budget.reasons.join('; ')})`
+      : '';
+
+    renderTable(usageByDay, [{ label: 'Day', value: r => r.day }, ...COMMON_COLUMNS], summary.byDay, 'No usage yet.');
+    renderTable(usageByStory, [
+      { label: 'Story', value: r => r.title || r.storyId || '(no story)' },
+      ...COMMON_COLUMNS,
+    ], summary.byStory, 'No usage yet.');
+    renderTable(usageBySubsystem, [
+      { label: 'Subsystem', value: r => `${r.subsystem || 'other'} (${r.kind})` },
+      ...COMMON_COLUMNS,
+    ], summary.bySubsystem, 'No usage yet.');
+    renderTable(usageByProvider, [
+      { label: 'Provider', value: r => r.provider },
+      { label: 'Model', value: r => r.model || '—' },
+      ...COMMON_COLUMNS,
+    ], summary.byProvider, 'No usage yet.');
+    renderTable(usageJsonStats, [
+      { label: 'Subsystem', value: r => r.subsystem },
+      { label: 'Calls', value: r => r.calls },
+      { label: 'OK', value: r => r.ok },
+      { label: 'Repaired', value: r => r.repaired },
+      { label: 'Retried', value: r => r.retried },
+      { label: 'Schema mismatch', value: r => r.schemaMismatch },
+      { label: 'Failed', value: r => r.failed },
+      { label: 'Last problem', value: r => r.lastError ? `${r.lastPass}: ${r.lastError}` : '—' },
+    ], Object.entries(jsonStats).map(([subsystem, s]) => ({ subsystem, ...s })), 'No JSON calls yet this session.');
+  } catch (e) {
+    console.error('[Usage] Could not load summary:', e);
+    usageTotals.textContent = 'Could not load usage data.';
+  }
+}
+
+function renderPricing(pricing) {
+  const textRows = Object.entries(pricing.text).map(([provider, rate]) => `
+    <tr>
+      <td>${escapeHtml(provider)} (text)</td>
+      <td><input type="number" min="0" step="0.01" data-kind="text" data-provider="${escapeHtml(provider)}" data-field="input" value="${rate.input}"></td>
+      <td><input type="number" min="0" step="0.01" data-kind="text" data-provider="${escapeHtml(provider)}" data-field="output" value="${rate.output}"></td>
+    </tr>`).join('');
+  const imageRows = Object.entries(pricing.image).map(([provider, rate]) => `
+    <tr>
+      <td>${escapeHtml(provider)} (image)</td>
+      <td colspan="2"><input type="number" min="0" step="0.001" data-kind="image" data-provider="${escapeHtml(provider)}" value="${rate}"></td>
+    </tr>`).join('');
+  usagePricingTable.innerHTML = `
+    <table class="usage-table">
+      <thead><tr><th>Provider</th><th>$ / 1M input tokens</th><th>$ / 1M output tokens</th></tr></thead>
+      <tbody>${textRows}${imageRows}</tbody>
+    </table>`;
+}
+
+function readPricing() {
+  const pricing = { text: {}, image: {} };
+  usagePricingTable.querySelectorAll('input[data-kind]').forEach(input => {
+    const value = parseFloat(input.value) || 0;
+    if (input.dataset.kind === 'image') {
+      pricing.image[input.dataset.provider] = value;
+    } else {
+      const rate = pricing.text[input.dataset.provider] || (pricing.text[input.dataset.provider] = {});
+      rate[input.dataset.field] = value;
+    }
+  });
+  return pricing;
+}
+
+async function loadSettings() {
+  const { pricing, budgets } = await window.sceneVisualizer.usageGetSettings();
+  usageBudgetDailyCost.value = budgets.dailyCost || '';
+  usageBudgetDailyTokens.value = budgets.dailyTokens || '';
+  usageBudgetStoryCost.value = budgets.storyCost || '';
+  renderPricing(pricing);
+}
+
+async function saveSettings() {
+  const result = await window.sceneVisualizer.usageSetSettings({
+    pricing: readPricing(),
+    budgets: {
+      dailyCost: usageBudgetDailyCost.value,
+      dailyTokens: usageBudgetDailyTokens.value,
+      storyCost: usageBudgetStoryCost.value,
+    },
+  });
+  if (result.success) {
+    showToast('Usage settings saved', 2000);
+    refreshDashboard();
+  } else {
+    showToast('Could not save usage settings', 2500, 'error');
+  }
+}
+
+async function clearUsage() {
+  const storyOnly = usageScope.value === 'story' && state.currentStoryId;
+  const what = storyOnly ? 'this story\'s usage history' : 'ALL usage history';
+  if (!confirm(`Delete ${what}? Budgets start counting again from zero.`)) return;
+  await window.sceneVisualizer.usageClear(storyOnly ? state.currentStoryId : undefined);
+  refreshDashboard();
+}
+
+async function openDashboard() {
+  usageScope.querySelector('option[value="story"]').disabled = !state.currentStoryId;
+  if (!state.currentStoryId) usageScope.value = 'all';
+  usageModal.classList.add('active');
+  try {
+    await loadSettings();
+  } catch (e) {
+    console.error('[Usage] Could not load settings:', e);
+  }
+  refreshDashboard();
+}
+
+// ---------------------------------------------------------------------------
+// Init
+// ---------------------------------------------------------------------------
+
+export function init() {
+  if (!usageModal) return;
+
+  usageBtn.addEventListener('click', openDashboard);
+  usageCloseBtn.addEventListener('click', () => usageModal.classList.remove('active'));
+  usageScope.addEventListener('change', refreshDashboard);
+  usageDays.addEventListener('change', refreshDashboard);
+  usageSaveBtn.addEventListener('click', saveSettings);
+  usageClearBtn.addEventListener('click', clearUsage);
+
+  window.sceneVisualizer.onUsageBudgetExceeded((status) => {
+    if (status.storyId && status.storyId !== state.currentStoryId) return;
+    showToast(`Usage budget reached — auto-scans, scene prompts and images paused (${status.reasons.join('; ')})`, 5000, 'warn');
+    if (usageModal.classList.contains('active')) refreshDashboard();
+  });
+}
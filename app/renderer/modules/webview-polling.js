@@ -9,7 +9,8 @@ import { showToast } from './utils.js';
 import { renderSuggestions, updateBadge } from './suggestions.js';
 import { refreshLoreUI, renderComprehensionState, loadCategoryRegistry } from './lore-creator.js';
 import { renderMemoryUI } from './memory-manager.js';
-import { generateScenePromptFromEditor } from './image-gen.js';
+import { generateScenePromptFromEditor, setCharacterCaptions, renderSeedControls } from './image-gen.js';
+import { isAutoScanPaused } from './usage-dashboard.js';
 
 // =========================================================================
 // DOM-BASED MEMORY HELPERS
@@ -138,6 +139,8 @@ async function handleStoryContextChange(storyId, storyTitle) {
     if (ss && ss.lastPrompt) {
       state.currentPrompt = ss.lastPrompt;
       state.currentNegativePrompt = ss.lastNegativePrompt || '';
+      setCharacterCaptions(ss.lastCharacterCaptions || []);
+      state.currentStoryExcerpt = ss.lastStoryExcerpt || '';
       state.lastKnownStoryLength = ss.lastStoryLength || 0;
       promptDisplay.value = state.currentPrompt;
       if (negativePromptDisplay) negativePromptDisplay.value = state.currentNegativePrompt;
@@ -150,6 +153,8 @@ async function handleStoryContextChange(storyId, storyTitle) {
     } else {
       state.currentPrompt = '';
       state.currentNegativePrompt = '';
+      setCharacterCaptions([]);
+      state.currentStoryExcerpt = '';
       state.lastKnownStoryLength = 0;
       promptDisplay.value = '';
       if (negativePromptDisplay) negativePromptDisplay.value = '';
@@ -191,6 +196,7 @@ async function handleStoryContextChange(storyId, storyTitle) {
 
     // Eagerly restore per-story settings (TTS config, image, scene)
     state.storySettings = allData.storySettings || null;
+    renderSeedControls();
 
     console.log('[Renderer] Eagerly loaded all data for story:', storyId);
   } catch (e) {
@@ -290,6 +296,8 @@ export function init() {
     try {
       const text = await readStoryTextFromDOM();
       if (text && Math.abs(text.length - state.lastKnownStoryLength) > minChange) {
+        // Leave the change unconsumed so the prompt is generated once the budget allows
+        if (await isAutoScanPaused(state.currentStoryId)) return;
         state.lastKnownStoryLength = text.length;
         await generateScenePromptFromEditor();
       }
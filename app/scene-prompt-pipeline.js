@@ -8,7 +8,8 @@
  * Stages 1a and 1b run in parallel on separate LLM providers when available.
  */
 
-const { recoverJSON, retryLLM } = require('./lore-creator');
+const { retryLLM } = require('./lore-creator');
+const { generateJSON } = require('./structured-output');
 
 const LOG_PREFIX = '[Pipeline]';
 
@@ -146,8 +147,7 @@ Rules:
   ];
 
   const result = await retryLLM(async () => {
-    const response = await generateTextFn(messages, { max_tokens: 250, temperature: 0.3 });
-    const parsed = recoverJSON(response.output);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 250, temperature: 0.3 }, { label: 'scene:analysis', maxRetries: 0 });
     if (!parsed) return null;
     return parsed;
   }, { passName: 'scene-analysis', logPrefix: LOG_PREFIX });
@@ -201,7 +201,7 @@ async function runCharacterExtraction(generateTextFn, storyText, entries, rpgDat
   const systemPrompt = `You are a character visual extraction engine. Extract the current visual state of each character in the scene.
 
 Output ONLY a JSON object:
-{"characters": [{"name": "", "appearance": "", "clothing": "", "equipment": "", "pose": "", "expression": "", "injuries": ""}]}
+{"characters": [{"name": "", "appearance": "", "clothing": "", "equipment": "", "pose": "", "expression": "", "injuries": "", "position": ""}]}
 
 Rules:
 - appearance: physical traits (hair, eyes, build, race, distinguishing features)
@@ -210,6 +210,7 @@ Rules:
 - pose: body position / action
 - expression: facial expression / emotional state
 - injuries: visible wounds or effects
+- position: where the character stands in the frame (left, center, right; optionally foreground/background) or empty
 - Only include characters present in the current scene
 - For characters with a stored profile, only note DEVIATIONS from baseline
 - Use the RPG data for accurate equipment/class descriptions
@@ -238,8 +239,7 @@ Rules:
   ];
 
   const result = await retryLLM(async () => {
-    const response = await generateTextFn(messages, { max_tokens: 400, temperature: 0.3 });
-    const parsed = recoverJSON(response.output);
+    const parsed = await generateJSON(generateTextFn, messages, { max_tokens: 400, temperature: 0.3 }, { label: 'scene:characters', maxRetries: 0 });
     if (!parsed?.characters || !Array.isArray(parsed.characters)) return null;
     return parsed;
   }, { passName: 'char-extraction', logPrefix: LOG_PREFIX });
@@ -249,27 +249,52 @@ Rules:
 
 // --- Stage 2: Deterministic Assembly ---
 
-function assemblePrompt(sceneAnalysis, characterData, visualProfiles, artStyle) {
-  const parts = [];
+// NovelAI V4 places characters on a 5x5 grid (0.1 .. 0.9 on each axis)
+const POSITION_X = [
+  { pattern: /\bfar[\s-]left\b/i, value: 0.1 },
+  { pattern: /\bfar[\s-]right\b/i, value: 0.9 },
+  { pattern: /\bleft\b/i, value: 0.3 },
+  { pattern: /\bright\b/i, value: 0.7 },
+  { pattern: /\b(center|centre|middle)\b/i, value: 0.5 },
+];
 
-  // Characters with full appearance
-  if (characterData?.characters) {
-    for (const char of characterData.characters) {
-      const charParts = [char.name];
-      // Merge stored profile with extracted data
-      const stored = visualProfiles?.[char.name] || {};
-      const appearance = char.appearance || [stored.hair, stored.eyes, stored.build, stored.race, stored.distinguishingFeatures].filter(Boolean).join(', ');
-      if (appearance) charParts.push(appearance);
-      const clothing = char.clothing || stored.currentClothing || '';
-      if (clothing) charParts.push(clothing);
-      const equipment = char.equipment || (stored.currentEquipment || []).join(', ');
-      if (equipment) charParts.push(equipment);
-      if (char.expression) charParts.push(char.expression);
-      if (char.pose) charParts.push(char.pose);
-      if (char.injuries) charParts.push(char.injuries);
-      parts.push(charParts.join(', '));
-    }
-  }
+const POSITION_Y = [
+  { pattern: /\b(top|background|distance|behind)\b/i, value: 0.3 },
+  { pattern: /\b(bottom|foreground|front)\b/i, value: 0.7 },
+];
+
+/**
+ * Map a free-text position ("left", "far right, foreground") to a grid center.
+ * Returns null if the text names no recognizable position.
+ */
+function resolvePositionCenter(position) {
+  if (!position || typeof position !== 'string') return null;
+  const x = POSITION_X.find(p => p.pattern.test(position));
+  const y = POSITION_Y.find(p => p.pattern.test(position));
+  if (!x && !y) return null;
+  return { x: x ? x.value : 0.5, y: y ? y.value : 0.5 };
+}
+
+// Build the comma-separated visual description of one character
+function buildCharacterCaption(char, visualProfiles) {
+  const charParts = [char.name];
+  // Merge stored profile with extracted data
+  const stored = visualProfiles?.[char.name] || {};
+  const appearance = char.appearance || [stored.hair, stored.eyes, stored.build, stored.race, stored.distinguishingFeatures].filter(Boolean).join(', ');
+  if (appearance) charParts.push(appearance);
+  const clothing = char.clothing || stored.currentClothing || '';
+  if (clothing) charParts.push(clothing);
+  const equipment = char.equipment || (stored.currentEquipment || []).join(', ');
+  if (equipment) charParts.push(equipment);
+  if (char.expression) charParts.push(char.expression);
+  if (char.pose) charParts.push(char.pose);
+  if (char.injuries) charParts.push(char.injuries);
+  return charParts.join(', ');
+}
+
+// Scene-only parts (action, location, atmosphere, camera, style) — no characters
+function assembleScenePrompt(sceneAnalysis, artStyle) {
+  const parts = [];
 
   // Action
   if (sceneAnalysis?.actionInProgress) {
@@ -306,6 +331,42 @@ function assemblePrompt(sceneAnalysis, characterData, visualProfiles, artStyle)
   return parts.join(', ');
 }
 
+/**
+ * Structured per-character captions for providers that support them (NovelAI V4).
+ * @returns {Array<{name: string, caption: string, negative: string, position: string, center: {x: number, y: number}|null}>}
+ */
+function assembleCharacterCaptions(characterData, visualProfiles) {
+  if (!characterData?.characters) return [];
+  return characterData.characters
+    .filter(char => char?.name)
+    .map(char => ({
+      name: char.name,
+      caption: buildCharacterCaption(char, visualProfiles),
+      negative: '',
+      position: char.position || '',
+      center: resolvePositionCenter(char.position),
+    }));
+}
+
+// Flattened single-string prompt (characters first, then scene) for providers
+// without per-character caption support.
+function assemblePrompt(sceneAnalysis, characterData, visualProfiles, artStyle) {
+  const parts = assembleCharacterCaptions(characterData, visualProfiles).map(c => c.caption);
+  const scene = assembleScenePrompt(sceneAnalysis, artStyle);
+  if (scene) parts.push(scene);
+  return parts.join(', ');
+}
+
+/**
+ * Fold structured character captions back into a single prompt string.
+ * Used when the target provider/model cannot take char_captions.
+ */
+function flattenCharacterCaptions(prompt, characterCaptions) {
+  if (!Array.isArray(characterCaptions) || characterCaptions.length === 0) return prompt;
+  const captions = characterCaptions.map(c => c.caption).filter(Boolean);
+  return [...captions, prompt].filter(Boolean).join(', ');
+}
+
 // --- Visual Profile Update ---
 
 function updateVisualProfiles(characterData, existingProfiles) {
@@ -363,7 +424,7 @@ function updateVisualProfiles(characterData, existingProfiles) {
  * @param {Object|null} params.rpgData - LitRPG character data
  * @param {Object} params.visualProfiles - Stored visual profiles from DB
  * @param {boolean} params.forceSequential - Force sequential even with 2 providers
- * @returns {Promise<{success: boolean, prompt?: string, negativePrompt?: string, updatedProfiles?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, prompt?: string, negativePrompt?: string, basePrompt?: string, characterCaptions?: Array, updatedProfiles?: Object, error?: string}>}
  */
 async function generateScenePromptV2({
   storyText, entries, artStyle, storyId,
@@ -416,14 +477,17 @@ async function generateScenePromptV2({
           characters: regexChars.map(c => ({
             name: c.name,
             appearance: c.appearance,
-            clothing: '', equipment: '', pose: '', expression: '', injuries: '',
+            clothing: '', equipment: '', pose: '', expression: '', injuries: '', position: '',
           })),
         };
       }
     }
 
-    // Stage 2: Deterministic assembly
+    // Stage 2: Deterministic assembly — flattened prompt plus structured
+    // base caption / per-character captions for V4 multi-character scenes
     const prompt = assemblePrompt(sceneAnalysis, characterData, visualProfiles, artStyle);
+    const basePrompt = assembleScenePrompt(sceneAnalysis, artStyle);
+    const characterCaptions = assembleCharacterCaptions(characterData, visualProfiles);
 
     if (!prompt || prompt.length < 10) {
       console.warn(`${LOG_PREFIX} Assembly produced insufficient prompt, falling back`);
@@ -441,6 +505,8 @@ async function generateScenePromptV2({
       success: true,
       prompt,
       negativePrompt,
+      basePrompt,
+      characterCaptions,
       updatedProfiles,
     };
   } catch (err) {
@@ -454,6 +520,10 @@ module.exports = {
   runSceneAnalysis,
   runCharacterExtraction,
   assemblePrompt,
+  assembleScenePrompt,
+  assembleCharacterCaptions,
+  flattenCharacterCaptions,
+  resolvePositionCenter,
   updateVisualProfiles,
   heuristicSceneAnalysis,
   regexCharacterExtraction,
@@ -0,0 +1,323 @@
+/**
+ * Storyboard Export — renders a storyboard's ordered scenes (image, caption, story
+ * excerpt, note, characters) grouped by chapter to a self-contained HTML page, a
+ * paginated PDF, or a CBZ archive.
+ *
+ * HTML and PDF share one renderer; the PDF is printed from the HTML in a hidden
+ * window via webContents.printToPDF. Layout presets only affect those two — a CBZ
+ * holds one scene image per page (comic readers do their own paging) and carries
+ * the text in ComicInfo.xml.
+ */
+
+const { app, BrowserWindow } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+const storyboard = require('./storyboard');
+
+const LOG_PREFIX = '[StoryboardExport]';
+
+const LAYOUTS = {
+  single: 'One scene per page',
+  grid: '2×2 grid',
+  webtoon: 'Webtoon strip',
+};
+
+const FORMATS = {
+  html: { name: 'HTML page', extensions: ['html'] },
+  pdf: { name: 'PDF document', extensions: ['pdf'] },
+  cbz: { name: 'Comic book archive', extensions: ['cbz'] },
+};
+
+const PDF_LOAD_TIMEOUT_MS = 30000;
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function chunk(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+/**
+ * Load a storyboard with its scenes in order and each scene's image bytes.
+ * Scenes whose image file is missing are kept (rendered without a picture).
+ */
+function loadExportData(storyboardId) {
+  const sb = storyboard.getStoryboard(storyboardId);
+  if (!sb) throw new Error('Storyboard not found');
+
+  const entry = storyboard.list().storyboards.find(s => s.id === storyboardId);
+  const scenes = [...sb.scenes]
+    .sort((a, b) => a.order - b.order)
+    .map(scene => {
+      const imgPath = storyboard.getSceneImagePath(storyboardId, scene);
+      return { ...scene, image: fs.existsSync(imgPath) ? fs.readFileSync(imgPath) : null };
+    });
+
+  return { name: sb.name, storyTitle: entry?.storyTitle || '', chapters: sb.chapters || [], scenes };
+}
+
+/**
+ * Split scenes into consecutive chapter sections (scenes are stored grouped by chapter).
+ * Ungrouped scenes form a leading section with no title.
+ * @returns {Array<{chapterId: string|null, title: string|null, scenes: Array<{scene: Object, index: number}>}>}
+ */
+function groupByChapter(data) {
+  const sections = [];
+  data.scenes.forEach((scene, index) => {
+    const chapter = data.chapters.find(c => c.id === scene.chapterId) || null;
+    const last = sections[sections.length - 1];
+    if (last && last.chapterId === (chapter?.id || null)) {
+      last.scenes.push({ scene, index });
+    } else {
+      sections.push({ chapterId: chapter?.id || null, title: chapter?.title || null, scenes: [{ scene, index }] });
+    }
+  });
+  return sections;
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+const BASE_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 24px; background: #fff; color: #1a1a1a; font: 14px/1.5 Georgia, 'Times New Roman', serif; }
+  header { text-align: center; margin-bottom: 24px; }
+  header h1 { margin: 0 0 4px; font-size: 28px; }
+  header .meta { color: #666; font-size: 12px; font-family: system-ui, sans-serif; }
+  .panel { margin: 0; break-inside: avoid; page-break-inside: avoid; }
+  .panel img { display: block; width: 100%; height: auto; border: 2px solid #1a1a1a; }
+  .panel .missing { display: flex; align-items: center; justify-content: center; aspect-ratio: 1; border: 2px dashed #999; color: #999; font-family: system-ui, sans-serif; }
+  .panel figcaption { padding: 8px 2px 0; }
+  .panel .number { font: bold 11px system-ui, sans-serif; text-transform: uppercase; letter-spacing: 0.05em; color: #888; }
+  .chapter-title { margin: 0 0 16px; padding-bottom: 6px; border-bottom: 2px solid #1a1a1a; font-size: 20px; }
+  .panel .caption { margin: 4px 0; font-weight: bold; }
+  .panel .excerpt { margin: 4px 0; font-style: italic; white-space: pre-wrap; }
+  .panel .note { margin: 4px 0; white-space: pre-wrap; }
+  .panel .chars { font: 11px system-ui, sans-serif; color: #555; }
+  @media print { body { padding: 0; } }
+`;
+
+const LAYOUT_CSS = {
+  single: `
+    @page { size: A4 portrait; margin: 14mm; }
+    .page { break-after: page; page-break-after: always; }
+    .page:last-child { break-after: auto; page-break-after: auto; }
+    .panel img { max-height: 200mm; object-fit: contain; }
+  `,
+  grid: `
+    @page { size: A4 portrait; margin: 10mm; }
+    .page { display: grid; grid-template-columns: 1fr 1fr; gap: 14px; break-after: page; page-break-after: always; }
+    .page:last-child { break-after: auto; page-break-after: auto; }
+    .page .chapter-title { grid-column: 1 / -1; margin-bottom: 0; }
+    .panel img { max-height: 95mm; object-fit: contain; }
+    .panel figcaption { font-size: 12px; }
+  `,
+  webtoon: `
+    @page { size: A4 portrait; margin: 0; }
+    body { max-width: 800px; margin: 0 auto; padding: 0; }
+    header { padding: 24px; }
+    .panel img { border: none; }
+    .chapter-title { margin: 24px; text-align: center; }
+    .panel figcaption { padding: 16px 24px 32px; text-align: center; }
+  `,
+};
+
+function renderPanel(scene, index) {
+  const image = scene.image
+    ? `<img src="data:image/png;base64,${scene.image.toString('base64')}" alt="Scene ${index + 1}">`
+    : '<div class="missing">Image missing</div>';
+  const parts = [`<div class="number">Scene ${index + 1}</div>`];
+  if (scene.caption) parts.push(`<div class="caption">${escapeXml(scene.caption)}</div>`);
+  if (scene.storyExcerpt) parts.push(`<div class="excerpt">${escapeXml(scene.storyExcerpt)}</div>`);
+  if (scene.note) parts.push(`<div class="note">${escapeXml(scene.note)}</div>`);
+  if (scene.characters?.length) parts.push(`<div class="chars">Characters: ${escapeXml(scene.characters.join(', '))}</div>`);
+  return `<figure class="panel">${image}<figcaption>${parts.join('')}</figcaption></figure>`;
+}
+
+/**
+ * Render export data to a standalone HTML document (images inlined as data URIs).
+ * @param {{name: string, storyTitle: string, chapters: Array, scenes: Array}} data - from loadExportData()
+ * @param {{layout?: string}} options
+ * @returns {string}
+ */
+function renderHtml(data, { layout = 'single' } = {}) {
+  const layoutKey = LAYOUTS[layout] ? layout : 'single';
+  const perPage = layoutKey === 'grid' ? 4 : layoutKey === 'single' ? 1 : data.scenes.length || 1;
+  // Each chapter starts a new page, headed by its title
+  const pages = groupByChapter(data)
+    .flatMap(section => chunk(section.scenes.map(({ scene, index }) => renderPanel(scene, index)), perPage)
+      .map((panels, i) => {
+        const heading = i === 0 && section.title ? `<h2 class="chapter-title">${escapeXml(section.title)}</h2>` : '';
+        return `<section class="page">${heading}${panels.join('')}</section>`;
+      }))
+    .join('\n');
+
+  const meta = [
+    data.storyTitle && data.storyTitle !== data.name ? escapeXml(data.storyTitle) : '',
+    `${data.scenes.length} scene${data.scenes.length === 1 ? '' : 's'}`,
+    `exported ${new Date().toLocaleDateString()}`,
+  ].filter(Boolean).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(data.name)}</title>
+<style>${BASE_CSS}${LAYOUT_CSS[layoutKey]}</style>
+</head>
+<body class="layout-${layoutKey}">
+<header><h1>${escapeXml(data.name)}</h1><div class="meta">${meta}</div></header>
+${pages}
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+/**
+ * Print HTML to PDF in a hidden window. The HTML goes through a temp file —
+ * a data: URL would hit Chromium's URL length limit with inlined images.
+ * @returns {Promise<Buffer>}
+ */
+async function printHtmlToPdf(html) {
+  const tmpFile = path.join(app.getPath('temp'), `storyboard-export-${Date.now()}.html`);
+  fs.writeFileSync(tmpFile, html, 'utf-8');
+  const win = new BrowserWindow({
+    show: false,
+    webPreferences: { sandbox: true, contextIsolation: true, nodeIntegration: false },
+  });
+
+  try {
+    let timer;
+    await Promise.race([
+      win.loadFile(tmpFile),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Timed out rendering the PDF')), PDF_LOAD_TIMEOUT_MS); }),
+    ]).finally(() => clearTimeout(timer));
+    // Wait for the inlined images to finish decoding so none print blank
+    await win.webContents.executeJavaScript(
+      'Promise.all(Array.from(document.images).map(img => img.decode().catch(() => {})))'
+    );
+    return await win.webContents.printToPDF({ printBackground: true, preferCSSPageSize: true });
+  } finally {
+    win.destroy();
+    fs.rmSync(tmpFile, { force: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// CBZ
+// ---------------------------------------------------------------------------
+
+function renderComicInfo(data) {
+  const now = new Date();
+  const characters = [...new Set(data.scenes.flatMap(s => s.characters || []))];
+  const summary = groupByChapter(data)
+    .map(section => {
+      const lines = section.scenes
+        .map(({ scene: s, index }) => {
+          const text = [s.caption, s.storyExcerpt, s.note].filter(Boolean).join(' — ');
+          return text ? `${index + 1}. ${text}` : '';
+        })
+        .filter(Boolean);
+      return [section.title ? `[${section.title}]` : '', ...lines].filter(Boolean).join('\n\n');
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+  // Readers show page bookmarks as a table of contents — mark each chapter's first page
+  const chapterStarts = new Map();
+  for (const section of groupByChapter(data)) {
+    const first = section.scenes.find(({ scene }) => scene.image);
+    if (section.title && first) chapterStarts.set(first.scene, section.title);
+  }
+
+  const pages = data.scenes
+    .filter(s => s.image)
+    .map((s, i) => {
+      const size = s.resolution?.width ? ` ImageWidth="${s.resolution.width}" ImageHeight="${s.resolution.height}"` : '';
+      const bookmark = chapterStarts.has(s) ? ` Bookmark="${escapeXml(chapterStarts.get(s))}"` : '';
+      return `    <Page Image="${i}" Type="${i === 0 ? 'FrontCover' : 'Story'}" ImageSize="${s.image.length}"${size}${bookmark} />`;
+    });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <Title>${escapeXml(data.name)}</Title>
+${data.storyTitle ? `  <Series>${escapeXml(data.storyTitle)}</Series>\n` : ''}  <Summary>${escapeXml(summary)}</Summary>
+  <Notes>Exported from Scene Visualizer</Notes>
+  <Year>${now.getFullYear()}</Year>
+  <Month>${now.getMonth() + 1}</Month>
+  <Day>${now.getDate()}</Day>
+${characters.length ? `  <Characters>${escapeXml(characters.join(', '))}</Characters>\n` : ''}  <PageCount>${pages.length}</PageCount>
+  <Pages>
+${pages.join('\n')}
+  </Pages>
+</ComicInfo>
+`;
+}
+
+function buildCbz(data) {
+  const zip = new AdmZip();
+  const withImages = data.scenes.filter(s => s.image);
+  const pad = Math.max(3, String(withImages.length).length);
+  withImages.forEach((scene, i) => {
+    zip.addFile(`${String(i + 1).padStart(pad, '0')}.png`, scene.image);
+  });
+  zip.addFile('ComicInfo.xml', Buffer.from(renderComicInfo(data), 'utf-8'));
+  return zip.toBuffer();
+}
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+/**
+ * Export a storyboard to a file.
+ * @param {string} storyboardId
+ * @param {'html'|'pdf'|'cbz'} format
+ * @param {string} filePath - destination (chosen by the caller)
+ * @param {{layout?: 'single'|'grid'|'webtoon'}} options
+ * @returns {Promise<{success: boolean, filePath?: string, sceneCount?: number, error?: string}>}
+ */
+async function exportStoryboard(storyboardId, format, filePath, options = {}) {
+  try {
+    if (!FORMATS[format]) throw new Error(`Unknown export format: ${format}`);
+    const data = loadExportData(storyboardId);
+    if (data.scenes.length === 0) throw new Error('Storyboard has no scenes');
+
+    let output;
+    if (format === 'cbz') {
+      output = buildCbz(data);
+    } else {
+      const html = renderHtml(data, options);
+      output = format === 'pdf' ? await printHtmlToPdf(html) : html;
+    }
+    fs.writeFileSync(filePath, output);
+
+    console.log(`${LOG_PREFIX} Exported "${data.name}" (${data.scenes.length} scenes) as ${format} to ${filePath}`);
+    return { success: true, filePath, sceneCount: data.scenes.length };
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Export failed:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  LAYOUTS,
+  FORMATS,
+  renderHtml,
+  exportStoryboard,
+};
@@ -2,20 +2,34 @@
  * Storyboard Storage Module
  *
  * Filesystem-based persistence for storyboard scenes.
- * Images stored as individual PNGs, metadata in JSON files.
+ * Images stored as individual PNGs (generation details embedded, see png-metadata.js),
+ * metadata in JSON files.
  *
  * Directory layout:
  *   {userData}/storyboards/
  *     index.json
  *     {storyboardId}/
- *       storyboard.json
+ *       storyboard.json      { id, name, chapters: [{ id, title }], scenes: [...] }
  *       images/
  *         {sceneId}.png
+ *         {sceneId}_{timestamp}.png   (replacement images; older ones stay in scene.imageHistory)
+ *       videos/
+ *         {sceneId}_{timestamp}.mp4   (animated clip of the scene, scene.video)
+ *
+ * Bundles (portable zip for moving/sharing a storyboard):
+ *   manifest.json   { format, version, exportedAt, storyboard: {...}, chapters: [...], scenes: [...] }
+ *   images/{imageFile}   (current and history images)
+ *   videos/{video.file}  (scene clips)
  */
 
 const { app } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const AdmZip = require('adm-zip');
+const pngMetadata = require('./png-metadata');
+
+const BUNDLE_FORMAT = 'scene-visualizer-storyboard';
+const BUNDLE_VERSION = 1;
 
 function getStoryboardsDir() {
   return path.join(app.getPath('userData'), 'storyboards');
@@ -84,7 +98,7 @@ function create(name, storyId = null, storyTitle = null) {
   const sbDir = path.join(getStoryboardsDir(), id);
   ensureDir(path.join(sbDir, 'images'));
 
-  const storyboard = { id, name, scenes: [], createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+  const storyboard = { id, name, chapters: [], scenes: [], createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
   writeJSON(path.join(sbDir, 'storyboard.json'), storyboard);
 
   const index = readIndex();
@@ -157,7 +171,26 @@ function getStoryboard(storyboardId) {
   return readJSON(sbPath);
 }
 
+// Scenes stay grouped by chapter: ungrouped scenes first, then each chapter in
+// chapter order, keeping the existing order inside each group.
+function normalizeSceneOrder(sb) {
+  const chapters = sb.chapters || [];
+  const rank = (scene) => {
+    const idx = chapters.findIndex(c => c.id === scene.chapterId);
+    if (idx === -1) scene.chapterId = null;
+    return idx;
+  };
+  sb.scenes = sb.scenes
+    .map((scene, i) => ({ scene, i, rank: rank(scene) }))
+    .sort((a, b) => a.rank - b.rank || a.i - b.i)
+    .map(({ scene }, i) => {
+      scene.order = i;
+      return scene;
+    });
+}
+
 function saveStoryboard(storyboardId, sb) {
+  normalizeSceneOrder(sb);
   sb.updatedAt = new Date().toISOString();
   const sbPath = path.join(getStoryboardsDir(), storyboardId, 'storyboard.json');
   writeJSON(sbPath, sb);
@@ -178,6 +211,40 @@ function getScenes(storyboardId) {
   return sb.scenes;
 }
 
+// Generation details that belong to a scene's current image (and move to its history on replace)
+const IMAGE_FIELDS = ['imageFile', 'prompt', 'negativePrompt', 'provider', 'model', 'resolution', 'seed', 'params', 'mediaId'];
+
+function imageFieldsFrom(data) {
+  return {
+    prompt: data.prompt || '',
+    negativePrompt: data.negativePrompt || '',
+    provider: data.provider || '',
+    model: data.model || '',
+    resolution: data.resolution || {},
+    seed: Number.isInteger(data.seed) ? data.seed : null,
+    params: data.params || {},
+    mediaId: data.mediaId || null, // gallery item the image came from, if any
+  };
+}
+
+// Write a data URI / base64 image into the storyboard's images folder, with the
+// scene's generation details embedded (PNG only)
+function writeImageFile(storyboardId, imageFile, imageData, scene = {}) {
+  const imageDir = path.join(getStoryboardsDir(), storyboardId, 'images');
+  ensureDir(imageDir);
+
+  let imageBase64 = imageData;
+  if (imageBase64.startsWith('data:')) {
+    imageBase64 = imageBase64.split(',')[1];
+  }
+  const buffer = pngMetadata.embedGenerationMetadata(Buffer.from(imageBase64, 'base64'), {
+    ...scene,
+    width: scene.resolution?.width,
+    height: scene.resolution?.height,
+  });
+  fs.writeFileSync(path.join(imageDir, imageFile), buffer);
+}
+
 function commitScene(storyboardId, sceneData) {
   // Auto-create "Default" storyboard if none exist
   if (!storyboardId) {
@@ -193,35 +260,39 @@ function commitScene(storyboardId, sceneData) {
   const sb = getStoryboard(storyboardId);
   if (!sb) return { success: false, error: 'Storyboard not found' };
 
-  const sceneId = 'sc_' + Date.now();
+  const sceneId = 'sc_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6); // unique within a bulk commit
   const imageFile = sceneId + '.png';
-
-  // Write image to disk (strip data URI prefix)
-  const imageDir = path.join(getStoryboardsDir(), storyboardId, 'images');
-  ensureDir(imageDir);
-
-  let imageBase64 = sceneData.imageData;
-  if (imageBase64.startsWith('data:')) {
-    imageBase64 = imageBase64.split(',')[1];
-  }
-  fs.writeFileSync(path.join(imageDir, imageFile), Buffer.from(imageBase64, 'base64'));
-
+  writeImageFile(storyboardId, imageFile, sceneData.imageData, sceneData);
+
+  // New scenes join the last chapter so they land at the end of the board — except that a
+  // scene with a story position goes in before the first scene from later in the story
+  // (and into its chapter), so a resumed auto-storyboard run still reads in story order
+  const chapters = sb.chapters || [];
+  const storyPosition = Number.isFinite(sceneData.storyPosition) ? sceneData.storyPosition : null;
+  const insertAt = storyPosition == null
+    ? -1
+    : sb.scenes.findIndex(s => Number.isFinite(s.storyPosition) && s.storyPosition > storyPosition);
   const scene = {
     id: sceneId,
     order: sb.scenes.length,
     imageFile,
-    prompt: sceneData.prompt || '',
-    negativePrompt: sceneData.negativePrompt || '',
+    ...imageFieldsFrom(sceneData),
     storyExcerpt: sceneData.storyExcerpt || '',
+    caption: sceneData.caption || '',
     characters: sceneData.characters || [],
-    provider: sceneData.provider || '',
-    model: sceneData.model || '',
-    resolution: sceneData.resolution || {},
+    characterCaptions: sceneData.characterCaptions || [],
     committedAt: new Date().toISOString(),
     note: sceneData.note || '',
+    chapterId: insertAt >= 0
+      ? sb.scenes[insertAt].chapterId || null
+      : (chapters.length > 0 ? chapters[chapters.length - 1].id : null),
+    imageHistory: [],
+    ...(storyPosition != null ? { storyPosition } : {}),
+    ...(sceneData.beatId ? { beatId: sceneData.beatId } : {}),
   };
 
-  sb.scenes.push(scene);
+  if (insertAt >= 0) sb.scenes.splice(insertAt, 0, scene);
+  else sb.scenes.push(scene);
   saveStoryboard(storyboardId, sb);
 
   return { success: true, sceneId, storyboardId };
@@ -233,11 +304,14 @@ function deleteScene(storyboardId, sceneId) {
 
   const scene = sb.scenes.find(s => s.id === sceneId);
   if (scene) {
-    // Delete image file
-    const imgPath = path.join(getStoryboardsDir(), storyboardId, 'images', scene.imageFile);
-    if (fs.existsSync(imgPath)) {
-      fs.unlinkSync(imgPath);
+    // Delete image files, including replaced ones
+    for (const imageFile of [scene.imageFile, ...(scene.imageHistory || []).map(h => h.imageFile)]) {
+      const imgPath = path.join(getStoryboardsDir(), storyboardId, 'images', imageFile);
+      if (fs.existsSync(imgPath)) {
+        fs.unlinkSync(imgPath);
+      }
     }
+    removeVideoFile(storyboardId, scene.video);
   }
 
   sb.scenes = sb.scenes.filter(s => s.id !== sceneId);
@@ -248,6 +322,23 @@ function deleteScene(storyboardId, sceneId) {
   return { success: true };
 }
 
+// A scene dragged across a chapter boundary joins the chapter it was dropped into,
+// otherwise normalizeSceneOrder would sort it straight back to its old chapter.
+// The moved scene is the one whose removal leaves the rest in their previous order;
+// it keeps its chapter when that matches a new neighbour, else takes the one above.
+function adoptNeighbourChapter(before, after) {
+  const withoutId = (list, id) => list.filter(s => s.id !== id).map(s => s.id).join('\n');
+  after.forEach((scene, i) => {
+    if (before[i] === scene || withoutId(before, scene.id) !== withoutId(after, scene.id)) return;
+    const prev = after[i - 1];
+    const next = after[i + 1];
+    const chapterOf = (s) => (s ? s.chapterId || null : undefined);
+    const own = scene.chapterId || null;
+    if (own === chapterOf(prev) || own === chapterOf(next)) return;
+    scene.chapterId = prev ? chapterOf(prev) : chapterOf(next) ?? null;
+  });
+}
+
 function reorderScenes(storyboardId, sceneIds) {
   const sb = getStoryboard(storyboardId);
   if (!sb) return { success: false, error: 'Storyboard not found' };
@@ -268,6 +359,7 @@ function reorderScenes(storyboardId, sceneIds) {
     }
     reordered.push(sceneMap[id]);
   }
+  adoptNeighbourChapter(sb.scenes, reordered);
   reordered.forEach((s, i) => { s.order = i; });
   sb.scenes = reordered;
   saveStoryboard(storyboardId, sb);
@@ -288,6 +380,245 @@ function updateSceneNote(storyboardId, sceneId, note) {
   return { success: true };
 }
 
+function updateSceneText(storyboardId, sceneId, { storyExcerpt, caption, note } = {}) {
+  const sb = getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+
+  const scene = sb.scenes.find(s => s.id === sceneId);
+  if (!scene) return { success: false, error: 'Scene not found' };
+
+  if (typeof storyExcerpt === 'string') scene.storyExcerpt = storyExcerpt;
+  if (typeof caption === 'string') scene.caption = caption;
+  if (typeof note === 'string') scene.note = note;
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true };
+}
+
+// --- Image replacement / history ---
+
+/**
+ * Replace a scene's image (from the gallery or a regeneration). The current image
+ * and its generation details move to the front of scene.imageHistory.
+ * @param {Object} imageData - { imageData, prompt, negativePrompt, provider, model, resolution, seed, params, source }
+ */
+function replaceSceneImage(storyboardId, sceneId, imageData) {
+  const sb = getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+
+  const scene = sb.scenes.find(s => s.id === sceneId);
+  if (!scene) return { success: false, error: 'Scene not found' };
+  if (!imageData?.imageData) return { success: false, error: 'No image given' };
+
+  const imageFile = `${sceneId}_${Date.now()}.png`;
+  writeImageFile(storyboardId, imageFile, imageData.imageData, {
+    ...imageData,
+    storyExcerpt: scene.storyExcerpt,
+    characters: scene.characters,
+    characterCaptions: scene.characterCaptions,
+  });
+
+  const previous = { replacedAt: new Date().toISOString(), source: scene.imageSource || 'commit' };
+  for (const field of IMAGE_FIELDS) previous[field] = scene[field];
+  scene.imageHistory = [previous, ...(scene.imageHistory || [])];
+
+  Object.assign(scene, { imageFile, ...imageFieldsFrom(imageData), imageSource: imageData.source || 'generation' });
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true, historyCount: scene.imageHistory.length };
+}
+
+/**
+ * Swap a history entry back in as the scene's image; the current image goes to history.
+ */
+function restoreSceneImage(storyboardId, sceneId, historyIndex) {
+  const sb = getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+
+  const scene = sb.scenes.find(s => s.id === sceneId);
+  const entry = scene?.imageHistory?.[historyIndex];
+  if (!entry) return { success: false, error: 'History entry not found' };
+
+  const current = { replacedAt: new Date().toISOString(), source: scene.imageSource || 'commit' };
+  for (const field of IMAGE_FIELDS) current[field] = scene[field];
+
+  scene.imageHistory = [current, ...scene.imageHistory.filter((_, i) => i !== historyIndex)];
+  for (const field of IMAGE_FIELDS) scene[field] = entry[field];
+  scene.imageSource = entry.source;
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true };
+}
+
+function getSceneHistoryImage(storyboardId, sceneId, historyIndex) {
+  const sb = getStoryboard(storyboardId);
+  const entry = sb?.scenes.find(s => s.id === sceneId)?.imageHistory?.[historyIndex];
+  if (!entry) return null;
+
+  const imgPath = getSceneImagePath(storyboardId, entry);
+  if (!fs.existsSync(imgPath)) return null;
+
+  const data = fs.readFileSync(imgPath);
+  return 'data:image/png;base64,' + data.toString('base64');
+}
+
+// --- Scene clips (image-to-video) ---
+
+function getSceneVideoPath(storyboardId, video) {
+  return path.join(getStoryboardsDir(), storyboardId, 'videos', video.file);
+}
+
+function removeVideoFile(storyboardId, video) {
+  if (!video?.file) return;
+  const videoPath = getSceneVideoPath(storyboardId, video);
+  if (fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
+}
+
+/**
+ * Attach an animated clip to a scene, replacing any earlier one.
+ * @param {string} videoDataUrl - data:video/...;base64 URL
+ * @param {Object} [info] - { mediaId, model, prompt } of the generation
+ */
+function attachSceneVideo(storyboardId, sceneId, videoDataUrl, info = {}) {
+  const sb = getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+
+  const scene = sb.scenes.find(s => s.id === sceneId);
+  if (!scene) return { success: false, error: 'Scene not found' };
+
+  const videoDir = path.join(getStoryboardsDir(), storyboardId, 'videos');
+  ensureDir(videoDir);
+  const file = `${sceneId}_${Date.now()}.mp4`;
+  fs.writeFileSync(path.join(videoDir, file), Buffer.from(videoDataUrl.split(',')[1] || '', 'base64'));
+
+  removeVideoFile(storyboardId, scene.video);
+  scene.video = {
+    file,
+    mediaId: info.mediaId || null,
+    model: info.model || '',
+    prompt: info.prompt || '',
+    sourceImageFile: scene.imageFile, // the clip was animated from this image
+    createdAt: new Date().toISOString(),
+  };
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true };
+}
+
+function removeSceneVideo(storyboardId, sceneId) {
+  const sb = getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+
+  const scene = sb.scenes.find(s => s.id === sceneId);
+  if (!scene) return { success: false, error: 'Scene not found' };
+
+  removeVideoFile(storyboardId, scene.video);
+  delete scene.video;
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true };
+}
+
+function getSceneVideo(storyboardId, sceneId) {
+  const sb = getStoryboard(storyboardId);
+  const scene = sb?.scenes.find(s => s.id === sceneId);
+  if (!scene?.video) return null;
+
+  const videoPath = getSceneVideoPath(storyboardId, scene.video);
+  if (!fs.existsSync(videoPath)) return null;
+
+  const data = fs.readFileSync(videoPath);
+  return 'data:video/mp4;base64,' + data.toString('base64');
+}
+
+// --- Chapters ---
+
+/**
+ * Add a chapter. With fromSceneId the chapter splits the scene's current group:
+ * it is inserted right after that group and takes the scene and everything after it.
+ */
+function createChapter(storyboardId, title, fromSceneId = null) {
+  const sb = getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+  if (!sb.chapters) sb.chapters = [];
+
+  const chapter = { id: 'ch_' + Date.now(), title: (title || '').trim() || `Chapter ${sb.chapters.length + 1}` };
+  const fromScene = fromSceneId ? sb.scenes.find(s => s.id === fromSceneId) : null;
+
+  if (fromScene) {
+    const groupId = fromScene.chapterId || null;
+    const insertAt = groupId ? sb.chapters.findIndex(c => c.id === groupId) + 1 : 0;
+    sb.chapters.splice(insertAt, 0, chapter);
+    for (const scene of sb.scenes) {
+      if ((scene.chapterId || null) === groupId && scene.order >= fromScene.order) scene.chapterId = chapter.id;
+    }
+  } else {
+    sb.chapters.push(chapter);
+  }
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true, chapter };
+}
+
+function renameChapter(storyboardId, chapterId, title) {
+  const sb = getStoryboard(storyboardId);
+  const chapter = sb?.chapters?.find(c => c.id === chapterId);
+  if (!chapter) return { success: false, error: 'Chapter not found' };
+
+  chapter.title = (title || '').trim() || chapter.title;
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true };
+}
+
+/**
+ * Remove a chapter heading. Its scenes merge into the previous chapter
+ * (or become ungrouped when it was the first).
+ */
+function deleteChapter(storyboardId, chapterId) {
+  const sb = getStoryboard(storyboardId);
+  const idx = sb?.chapters?.findIndex(c => c.id === chapterId) ?? -1;
+  if (idx === -1) return { success: false, error: 'Chapter not found' };
+
+  const mergeInto = idx > 0 ? sb.chapters[idx - 1].id : null;
+  for (const scene of sb.scenes) {
+    if (scene.chapterId === chapterId) scene.chapterId = mergeInto;
+  }
+  sb.chapters.splice(idx, 1);
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true };
+}
+
+function moveChapter(storyboardId, chapterId, direction) {
+  const sb = getStoryboard(storyboardId);
+  const idx = sb?.chapters?.findIndex(c => c.id === chapterId) ?? -1;
+  if (idx === -1) return { success: false, error: 'Chapter not found' };
+
+  const target = idx + (direction < 0 ? -1 : 1);
+  if (target < 0 || target >= sb.chapters.length) return { success: true };
+  [sb.chapters[idx], sb.chapters[target]] = [sb.chapters[target], sb.chapters[idx]];
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true };
+}
+
+function setSceneChapter(storyboardId, sceneId, chapterId) {
+  const sb = getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+
+  const scene = sb.scenes.find(s => s.id === sceneId);
+  if (!scene) return { success: false, error: 'Scene not found' };
+  if (chapterId && !(sb.chapters || []).some(c => c.id === chapterId)) {
+    return { success: false, error: 'Chapter not found' };
+  }
+
+  scene.chapterId = chapterId || null;
+  saveStoryboard(storyboardId, sb);
+
+  return { success: true };
+}
+
 function getSceneImage(storyboardId, sceneId) {
   const sb = getStoryboard(storyboardId);
   if (!sb) return null;
@@ -295,13 +626,17 @@ function getSceneImage(storyboardId, sceneId) {
   const scene = sb.scenes.find(s => s.id === sceneId);
   if (!scene) return null;
 
-  const imgPath = path.join(getStoryboardsDir(), storyboardId, 'images', scene.imageFile);
+  const imgPath = getSceneImagePath(storyboardId, scene);
   if (!fs.existsSync(imgPath)) return null;
 
   const data = fs.readFileSync(imgPath);
   return 'data:image/png;base64,' + data.toString('base64');
 }
 
+function getSceneImagePath(storyboardId, scene) {
+  return path.join(getStoryboardsDir(), storyboardId, 'images', scene.imageFile);
+}
+
 // --- Story Association ---
 
 function getOrCreateForStory(storyId, storyTitle) {
@@ -367,19 +702,192 @@ function dissociateFromStory(storyboardId) {
   return { success: true };
 }
 
+// --- Bundles ---
+
+function exportBundle(storyboardId, filePath) {
+  const sb = getStoryboard(storyboardId);
+  if (!sb) return { success: false, error: 'Storyboard not found' };
+  const entry = readIndex().storyboards.find(s => s.id === storyboardId) || {};
+
+  const zip = new AdmZip();
+  let missing = 0;
+  for (const scene of sb.scenes) {
+    const imgPath = getSceneImagePath(storyboardId, scene);
+    if (fs.existsSync(imgPath)) {
+      zip.addFile(`images/${scene.imageFile}`, fs.readFileSync(imgPath));
+    } else {
+      missing++;
+    }
+    for (const past of scene.imageHistory || []) {
+      const pastPath = getSceneImagePath(storyboardId, past);
+      if (fs.existsSync(pastPath)) zip.addFile(`images/${past.imageFile}`, fs.readFileSync(pastPath));
+    }
+    if (scene.video?.file) {
+      const videoPath = getSceneVideoPath(storyboardId, scene.video);
+      if (fs.existsSync(videoPath)) zip.addFile(`videos/${scene.video.file}`, fs.readFileSync(videoPath));
+    }
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    storyboard: {
+      id: sb.id,
+      name: sb.name,
+      storyId: entry.storyId || null,
+      storyTitle: entry.storyTitle || null,
+      createdAt: sb.createdAt,
+      updatedAt: sb.updatedAt,
+    },
+    chapters: sb.chapters || [],
+    scenes: sb.scenes,
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2), 'utf-8'));
+  zip.writeZip(filePath);
+
+  console.log(`[Storyboard] Exported bundle "${sb.name}" (${sb.scenes.length} scenes, ${missing} missing images) to ${filePath}`);
+  return { success: true, filePath, sceneCount: sb.scenes.length, missingImages: missing };
+}
+
+/**
+ * Import a bundle as a new storyboard.
+ * Keeps the bundle's storyboard ID unless it is already taken here. Story link:
+ * options.storyId re-links to that story; otherwise the bundle's own link is kept
+ * when that story has no storyboard on this machine yet, and dropped if it does.
+ */
+function importBundle(filePath, options = {}) {
+  let zip;
+  let manifest;
+  try {
+    zip = new AdmZip(filePath);
+    manifest = JSON.parse(zip.readAsText('manifest.json') || 'null');
+  } catch (err) {
+    return { success: false, error: `Not a readable storyboard bundle: ${err.message}` };
+  }
+  if (!manifest || manifest.format !== BUNDLE_FORMAT || !manifest.storyboard || !Array.isArray(manifest.scenes)) {
+    return { success: false, error: 'Not a storyboard bundle (manifest.json missing or invalid)' };
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    return { success: false, error: `Bundle version ${manifest.version} is newer than this app supports` };
+  }
+
+  const index = readIndex();
+  const meta = manifest.storyboard;
+  const usableId = typeof meta.id === 'string' && /^[\w-]+$/.test(meta.id) &&
+    !index.storyboards.some(s => s.id === meta.id) && !fs.existsSync(path.join(getStoryboardsDir(), meta.id));
+  const id = usableId ? meta.id : 'sb_' + Date.now();
+  const baseName = meta.name || 'Imported storyboard';
+  const name = index.storyboards.some(s => s.name === baseName) ? `${baseName} (imported)` : baseName;
+
+  const imageDir = path.join(getStoryboardsDir(), id, 'images');
+  ensureDir(imageDir);
+
+  // Only take images the scenes reference, by base name — never trust paths from the archive
+  const scenes = [];
+  let missing = 0;
+  const copyImage = (imageFile) => {
+    const zipEntry = zip.getEntry(`images/${imageFile}`);
+    if (!zipEntry) return false;
+    fs.writeFileSync(path.join(imageDir, imageFile), zipEntry.getData());
+    return true;
+  };
+  // Scene and chapter ids end up in file names and lookups — replace any that are
+  // unsafe or repeated, and point scenes at their chapter's new id
+  const usedIds = new Set();
+  const safeId = (candidate, prefix) => {
+    let id = typeof candidate === 'string' && /^[\w-]+$/.test(candidate) ? candidate : null;
+    while (!id || usedIds.has(id)) id = prefix + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+    usedIds.add(id);
+    return id;
+  };
+  const chapterIds = new Map();
+  const chapters = (Array.isArray(manifest.chapters) ? manifest.chapters : [])
+    .filter(c => c && typeof c.id === 'string' && typeof c.title === 'string' && !chapterIds.has(c.id))
+    .map(c => {
+      const chapterId = safeId(c.id, 'ch_');
+      chapterIds.set(c.id, chapterId);
+      return { id: chapterId, title: c.title };
+    });
+  // Clips are optional — a scene whose clip is missing from the archive just loses it
+  const copyVideo = (video) => {
+    if (!video || typeof video.file !== 'string') return null;
+    const file = path.basename(video.file);
+    const zipEntry = zip.getEntry(`videos/${file}`);
+    if (!zipEntry) return null;
+    const videoDir = path.join(getStoryboardsDir(), id, 'videos');
+    ensureDir(videoDir);
+    fs.writeFileSync(path.join(videoDir, file), zipEntry.getData());
+    return { ...video, file };
+  };
+  for (const scene of manifest.scenes) {
+    if (!scene || typeof scene.imageFile !== 'string') continue;
+    const imageFile = path.basename(scene.imageFile);
+    if (!copyImage(imageFile)) missing++;
+    const imageHistory = (Array.isArray(scene.imageHistory) ? scene.imageHistory : [])
+      .filter(h => h && typeof h.imageFile === 'string')
+      .map(h => ({ ...h, imageFile: path.basename(h.imageFile) }))
+      .filter(h => copyImage(h.imageFile));
+    const { video: bundledVideo, ...rest } = scene;
+    const video = copyVideo(bundledVideo);
+    scenes.push({
+      ...rest,
+      id: safeId(scene.id, 'sc_'),
+      chapterId: chapterIds.get(scene.chapterId) || null,
+      imageFile, imageHistory, ...(video ? { video } : {}), order: scenes.length,
+    });
+  }
+
+  const now = new Date().toISOString();
+  const sb = { id, name, chapters, scenes, createdAt: meta.createdAt || now, updatedAt: now };
+  normalizeSceneOrder(sb);
+  writeJSON(path.join(getStoryboardsDir(), id, 'storyboard.json'), sb);
+  index.storyboards.push({ id, name, sceneCount: scenes.length, updatedAt: now, storyId: null, storyTitle: null });
+  if (!index.activeStoryboardId) index.activeStoryboardId = id;
+  writeIndex(index);
+
+  let linkedStoryId = null;
+  if (options.storyId) {
+    associateWithStory(id, options.storyId, options.storyTitle || null);
+    linkedStoryId = options.storyId;
+  } else if (meta.storyId && !index.storyAssociations[meta.storyId]) {
+    associateWithStory(id, meta.storyId, meta.storyTitle || null);
+    linkedStoryId = meta.storyId;
+  }
+
+  console.log(`[Storyboard] Imported bundle "${name}" as ${id} (${scenes.length} scenes, ${missing} missing images${usableId ? '' : ', new ID'})`);
+  return { success: true, id, name, sceneCount: scenes.length, missingImages: missing, idChanged: !usableId, storyId: linkedStoryId };
+}
+
 module.exports = {
   list,
   create,
   delete: deleteStoryboard,
   rename,
   setActive,
+  getStoryboard,
   getScenes,
   commitScene,
   deleteScene,
   reorderScenes,
   updateSceneNote,
+  updateSceneText,
+  replaceSceneImage,
+  restoreSceneImage,
+  getSceneHistoryImage,
+  createChapter,
+  renameChapter,
+  deleteChapter,
+  moveChapter,
+  setSceneChapter,
   getSceneImage,
+  getSceneImagePath,
+  attachSceneVideo,
+  removeSceneVideo,
+  getSceneVideo,
   getOrCreateForStory,
   associateWithStory,
   dissociateFromStory,
+  exportBundle,
+  importBundle,
 };
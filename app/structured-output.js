@@ -0,0 +1,212 @@
+/**
+ * Structured Output — JSON-schema constrained generation for the text LLM subsystems.
+ *
+ * generateJSON() passes the schema to the provider as options.jsonSchema. OpenAI and
+ * OpenAI-compatible servers (response_format), Ollama (format) and Anthropic (forced
+ * tool call) enforce it natively; the others ignore it. Every reply then goes through the same
+ * parse → repair → validate path, with a bounded corrective retry, and the
+ * outcome is counted per subsystem so parse failures show up in the dashboard.
+ *
+ * Schemas use a small JSON Schema subset: type, properties, required, items, enum.
+ */
+
+const LOG_PREFIX = '[StructuredOutput]';
+const DEFAULT_MAX_RETRIES = 1;
+const MAX_ECHOED_REPLY = 4000;
+
+// ============================================================================
+// PARSE + REPAIR
+// ============================================================================
+
+/**
+ * Parse the first JSON object in an LLM reply, repairing the usual damage:
+ * markdown fences, trailing commas, and truncation (unclosed strings/brackets).
+ * @returns {{value: Object|null, repaired: boolean}}
+ */
+function parseJSON(raw) {
+  const text = String(raw || '').replace(/```(?:json)?/gi, '');
+  const jsonMatch = text.match(/\{[\s\S]*\}/) || text.match(/\{[\s\S]*$/);
+  if (!jsonMatch) return { value: null, repaired: false };
+
+  let jsonStr = jsonMatch[0];
+  try {
+    return { value: JSON.parse(jsonStr), repaired: false };
+  } catch (_) {
+    // Continue with recovery
+  }
+
+  jsonStr = jsonStr.replace(/,\s*([}\]])/g, '$1');
+
+  const quoteCount = (jsonStr.match(/(?<!\\)"/g) || []).length;
+  if (quoteCount % 2 !== 0) {
+    jsonStr += '"';
+  }
+
+  // Close whatever is still open, innermost first
+  const stack = [];
+  let inString = false;
+  for (let i = 0; i < jsonStr.length; i++) {
+    const ch = jsonStr[i];
+    if (ch === '"' && jsonStr[i - 1] !== '\\') inString = !inString;
+    if (inString) continue;
+    if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if ((ch === '}' || ch === ']') && stack[stack.length - 1] === ch) stack.pop();
+  }
+  jsonStr = jsonStr.replace(/,\s*$/, '') + stack.reverse().join('');
+
+  try {
+    return { value: JSON.parse(jsonStr), repaired: true };
+  } catch (_) {
+    return { value: null, repaired: false };
+  }
+}
+
+/**
+ * Attempts to recover valid JSON from a potentially truncated LLM response.
+ * @returns {Object|null}
+ */
+function recoverJSON(raw) {
+  return parseJSON(raw).value;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Check a value against a schema.
+ * @returns {string[]} human-readable problems (empty when valid)
+ */
+function validate(value, schema, path = '$') {
+  if (!schema) return [];
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} should be ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(value[key], propSchema, `${path}.${key}`));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+// ============================================================================
+// STATS (per subsystem, since launch)
+// ============================================================================
+
+const stats = {};
+
+function bump(label, field, error) {
+  const subsystem = label.split(':')[0] || 'unknown';
+  const entry = stats[subsystem] || (stats[subsystem] = {
+    calls: 0, ok: 0, repaired: 0, retried: 0, schemaMismatch: 0, failed: 0, lastError: null, lastPass: null,
+  });
+  entry[field]++;
+  if (error) {
+    entry.lastError = error;
+    entry.lastPass = label;
+  }
+}
+
+function getStats() {
+  return JSON.parse(JSON.stringify(stats));
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Call an LLM for a JSON reply that follows a schema.
+ * On unparseable or non-conforming output the model is shown its reply and the
+ * problems and asked again, up to maxRetries times. If the last attempt still
+ * parses but doesn't fully conform, the parsed value is returned anyway (callers
+ * filter fields defensively) and counted as a schema mismatch.
+ *
+ * Provider errors (network, rate limit) are thrown, not retried — wrap the call in
+ * retryLLM for that.
+ *
+ * @param {Function} generateTextFn - async (messages, options) => { output }
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {{max_tokens?: number, temperature?: number}} options
+ * @param {{schema?: Object, label?: string, maxRetries?: number}} spec - label is "subsystem:pass"
+ * @returns {Promise<Object|null>} parsed JSON, or null when nothing usable came back
+ */
+async function generateJSON(generateTextFn, messages, options = {}, { schema, label = 'unknown', maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+  bump(label, 'calls');
+  let conversation = messages;
+  let lastParsed = null;
+  let lastErrors = [];
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const response = await generateTextFn(conversation, { ...options, ...(schema ? { jsonSchema: schema } : {}) });
+    const raw = response?.output || '';
+    const { value, repaired } = parseJSON(raw);
+    const errors = value === null ? ['the reply is not valid JSON'] : validate(value, schema);
+
+    if (errors.length === 0) {
+      bump(label, 'ok');
+      if (repaired) bump(label, 'repaired');
+      if (attempt > 0) bump(label, 'retried');
+      return value;
+    }
+
+    if (value !== null) lastParsed = value;
+    lastErrors = errors;
+    console.warn(`${LOG_PREFIX} ${label}: attempt ${attempt + 1} unusable — ${errors.slice(0, 3).join('; ')}`);
+
+    if (attempt < maxRetries) {
+      conversation = [
+        ...messages,
+        { role: 'assistant', content: raw.slice(0, MAX_ECHOED_REPLY) },
+        {
+          role: 'user',
+          content: `That reply could not be used: ${errors.slice(0, 5).join('; ')}.\n` +
+            'Reply again with ONLY the corrected JSON object' +
+            (schema ? `, following this JSON schema:\n${JSON.stringify(schema)}` : '.'),
+        },
+      ];
+    }
+  }
+
+  const summary = lastErrors.slice(0, 3).join('; ');
+  if (lastParsed !== null) {
+    bump(label, 'schemaMismatch', summary);
+    return lastParsed;
+  }
+  bump(label, 'failed', summary);
+  console.error(`${LOG_PREFIX} ${label}: no usable JSON after ${maxRetries + 1} attempt(s)`);
+  return null;
+}
+
+module.exports = {
+  parseJSON,
+  recoverJSON,
+  validate,
+  generateJSON,
+  getStats,
+};
@@ -0,0 +1,225 @@
+/**
+ * Usage Ledger — records every text LLM and image generation call in the
+ * llm_usage table (subsystem, provider, model, token estimates, latency,
+ * success, cost) and summarises it per day / per story for the dashboard.
+ * Optional budget caps let callers pause automatic scans once exceeded.
+ *
+ * Token counts are estimates (~4 characters per token) — providers don't all
+ * report usage, and the streaming endpoints never do. Costs come from the
+ * user-editable pricing table, so they are only as accurate as those rates.
+ */
+
+const LOG_PREFIX = '[Usage]';
+const CHARS_PER_TOKEN = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// USD. Text rates are per 1M tokens; image rates are per successful image.
+// Subscription (NovelAI) and local backends default to 0.
+const DEFAULT_PRICING = {
+  text: {
+    novelai: { input: 0, output: 0 },
+    ollama: { input: 0, output: 0 },
+    openai: { input: 0.15, output: 0.6 },
+    anthropic: { input: 3, output: 15 },
+    'openai-compatible': { input: 0, output: 0 },
+  },
+  image: {
+    novelai: 0,
+    venice: 0,
+    perchance: 0,
+    puter: 0,
+    local: 0,
+  },
+};
+
+// 0 = no cap
+const DEFAULT_BUDGETS = {
+  dailyCost: 0,
+  dailyTokens: 0,
+  storyCost: 0,
+};
+
+let dbInstance = null;
+let hooks = {
+  getPricing: () => DEFAULT_PRICING,
+  getBudgets: () => DEFAULT_BUDGETS,
+  notify: () => {},    // (channel, payload) => void
+};
+const exceededStories = new Set(); // stories already notified, so the warning fires once per crossing
+
+function init(db, ledgerHooks) {
+  dbInstance = db;
+  hooks = { ...hooks, ...ledgerHooks };
+}
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+function estimateMessageTokens(messages) {
+  return (messages || []).reduce((sum, m) => sum + estimateTokens(m.content), 0);
+}
+
+function getPricing() {
+  const custom = hooks.getPricing() || {};
+  return {
+    text: { ...DEFAULT_PRICING.text, ...(custom.text || {}) },
+    image: { ...DEFAULT_PRICING.image, ...(custom.image || {}) },
+  };
+}
+
+function getBudgets() {
+  return { ...DEFAULT_BUDGETS, ...(hooks.getBudgets() || {}) };
+}
+
+function estimateCost(kind, provider, promptTokens, responseTokens, success) {
+  const pricing = getPricing();
+  if (kind === 'image') {
+    return success ? (Number(pricing.image[provider]) || 0) : 0;
+  }
+  const rate = pricing.text[provider] || {};
+  return (promptTokens * (Number(rate.input) || 0) + responseTokens * (Number(rate.output) || 0)) / 1e6;
+}
+
+function startOfToday() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// ---------------------------------------------------------------------------
+// Recording
+// ---------------------------------------------------------------------------
+
+/**
+ * Record one provider call. Never throws — a ledger failure must not fail the call it describes.
+ * @param {{storyId?: string, kind: 'text'|'image', subsystem?: string, provider: string, model?: string,
+ *          promptTokens?: number, responseTokens?: number, latencyMs?: number, success: boolean, error?: string}} entry
+ */
+function record(entry) {
+  if (!dbInstance) return;
+  try {
+    const promptTokens = entry.promptTokens || 0;
+    const responseTokens = entry.responseTokens || 0;
+    const cost = estimateCost(entry.kind, entry.provider, promptTokens, responseTokens, entry.success);
+    dbInstance.prepare(`
+      INSERT INTO llm_usage (story_id, kind, subsystem, provider, model, prompt_tokens, response_tokens, latency_ms, success, cost, error, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.storyId || null, entry.kind, entry.subsystem || '', entry.provider || '', entry.model || '',
+      promptTokens, responseTokens, Math.round(entry.latencyMs || 0),
+      entry.success ? 1 : 0, cost, entry.error ? String(entry.error).slice(0, 500) : null, Date.now()
+    );
+    checkCrossing(entry.storyId);
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Could not record usage:`, err.message);
+  }
+}
+
+function checkCrossing(storyId) {
+  const key = storyId || '';
+  const status = getBudgetStatus(storyId);
+  if (status.exceeded && !exceededStories.has(key)) {
+    exceededStories.add(key);
+    console.warn(`${LOG_PREFIX} Budget exceeded: ${status.reasons.join('; ')}`);
+    hooks.notify('usage:budget-exceeded', { storyId: storyId || null, ...status });
+  } else if (!status.exceeded) {
+    exceededStories.delete(key);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Budgets
+// ---------------------------------------------------------------------------
+
+/**
+ * Compare today's totals (and the story's lifetime cost) against the caps.
+ * @returns {{exceeded: boolean, reasons: string[], today: {cost: number, tokens: number}, storyCost: number, budgets: Object}}
+ */
+function getBudgetStatus(storyId) {
+  const budgets = getBudgets();
+  const today = dbInstance.prepare(
+    'SELECT COALESCE(SUM(cost), 0) AS cost, COALESCE(SUM(prompt_tokens + response_tokens), 0) AS tokens FROM llm_usage WHERE created_at >= ?'
+  ).get(startOfToday());
+  const storyCost = storyId
+    ? dbInstance.prepare('SELECT COALESCE(SUM(cost), 0) AS cost FROM llm_usage WHERE story_id = ?').get(storyId).cost
+    : 0;
+
+  const reasons = [];
+  if (budgets.dailyCost > 0 && today.cost >= budgets.dailyCost) {
+    reasons.push(`daily cost $${today.cost.toFixed(2)} of $${budgets.dailyCost.toFixed(2)}`);
+  }
+  if (budgets.dailyTokens > 0 && today.tokens >= budgets.dailyTokens) {
+    reasons.push(`daily tokens ${today.tokens} of ${budgets.dailyTokens}`);
+  }
+  if (storyId && budgets.storyCost > 0 && storyCost >= budgets.storyCost) {
+    reasons.push(`story cost $${storyCost.toFixed(2)} of $${budgets.storyCost.toFixed(2)}`);
+  }
+
+  return { exceeded: reasons.length > 0, reasons, today, storyCost, budgets };
+}
+
+// ---------------------------------------------------------------------------
+// Summaries
+// ---------------------------------------------------------------------------
+
+const TOTAL_COLUMNS = `
+  COUNT(*) AS calls,
+  SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) AS failures,
+  SUM(prompt_tokens) AS promptTokens,
+  SUM(response_tokens) AS responseTokens,
+  SUM(CASE WHEN kind = 'image' AND success = 1 THEN 1 ELSE 0 END) AS images,
+  SUM(cost) AS cost,
+  CAST(AVG(latency_ms) AS INTEGER) AS avgLatencyMs
+`;
+
+/**
+ * Usage over the last `days` days, optionally for one story.
+ * @returns {{totals: Object, byDay: Array, byStory: Array, bySubsystem: Array, byProvider: Array}}
+ */
+function getSummary({ storyId, days = 30 } = {}) {
+  const since = startOfToday() - (Math.max(1, days) - 1) * DAY_MS;
+  let where = 'WHERE u.created_at >= ?';
+  const params = [since];
+  if (storyId) {
+    where += ' AND u.story_id = ?';
+    params.push(storyId);
+  }
+
+  const query = (select, groupBy, orderBy) => dbInstance.prepare(
+    `SELECT ${select}${select ? ',' : ''} ${TOTAL_COLUMNS} FROM llm_usage u LEFT JOIN stories s ON s.id = u.story_id ${where}` +
+    (groupBy ? ` GROUP BY ${groupBy}` : '') + (orderBy ? ` ORDER BY ${orderBy}` : '')
+  ).all(...params);
+
+  return {
+    totals: query('', '', '')[0],
+    byDay: query("date(u.created_at / 1000, 'unixepoch', 'localtime') AS day", 'day', 'day DESC'),
+    byStory: query("u.story_id AS storyId, COALESCE(s.title, '') AS title", 'u.story_id', 'cost DESC, calls DESC'),
+    bySubsystem: query('u.kind AS kind, u.subsystem AS subsystem', 'u.kind, u.subsystem', 'calls DESC'),
+    byProvider: query('u.kind AS kind, u.provider AS provider, u.model AS model', 'u.kind, u.provider, u.model', 'calls DESC'),
+  };
+}
+
+function clear(storyId) {
+  const removed = storyId
+    ? dbInstance.prepare('DELETE FROM llm_usage WHERE story_id = ?').run(storyId).changes
+    : dbInstance.prepare('DELETE FROM llm_usage').run().changes;
+  exceededStories.clear();
+  console.log(`${LOG_PREFIX} Cleared ${removed} usage row(s)`);
+  return removed;
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  DEFAULT_BUDGETS,
+  init,
+  estimateTokens,
+  estimateMessageTokens,
+  record,
+  getPricing,
+  getBudgets,
+  getBudgetStatus,
+  getSummary,
+  clear,
+};
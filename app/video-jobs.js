@@ -0,0 +1,287 @@
+/**
+ * Video Jobs — background tracking for provider-side video generation (Venice).
+ *
+ * A video is queued with the provider once; the queue id, model and cost quote are
+ * kept in the video_jobs table and the main process polls for the result with
+ * backoff, so a job survives window reloads, story switches and restarts.
+ * Finished videos are saved through hooks.saveVideo — to the story's gallery, and to
+ * the storyboard scene a job was started for (image-to-video from the storyboard); a job
+ * whose video can't be saved is marked failed with the save error.
+ *
+ * Cancelling only stops tracking: the provider has no cancel call, so a cancelled
+ * video may still be charged.
+ */
+
+const LOG_PREFIX = '[VideoJobs]';
+
+const FIRST_POLL_MS = 5000;
+const MIN_POLL_MS = 5000;
+const MAX_POLL_MS = 60000;
+const BACKOFF = 1.5;
+const MAX_POLL_ERRORS = 5;
+const JOB_TIMEOUT_MS = 30 * 60 * 1000;
+
+let dbInstance = null;
+let hooks = {
+  queueVideo: null,      // async (request) => { queue_id, model }
+  retrieveVideo: null,   // async (queueId, model) => { status: 'completed', videoDataUrl } | { status: 'processing', averageExecutionTime, executionDuration }
+  saveVideo: null,       // (job, videoDataUrl) => mediaId | null
+  notify: () => {},      // (channel, payload) => void
+};
+let pollTimer = null;
+const polling = new Set(); // jobIds with a retrieve call in flight
+
+function init(db, jobHooks) {
+  dbInstance = db;
+  hooks = { ...hooks, ...jobHooks };
+
+  const resumed = dbInstance.prepare("SELECT COUNT(*) AS cnt FROM video_jobs WHERE status = 'processing'").get().cnt;
+  if (resumed > 0) console.log(`${LOG_PREFIX} Resuming ${resumed} video job(s)`);
+  dbInstance.prepare("UPDATE video_jobs SET next_poll_at = ? WHERE status = 'processing'").run(Date.now() + FIRST_POLL_MS);
+  schedule();
+}
+
+function generateId() {
+  return 'vjob_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+}
+
+function getRow(jobId) {
+  return dbInstance.prepare('SELECT * FROM video_jobs WHERE id = ?').get(jobId) || null;
+}
+
+function parseJob(row) {
+  return {
+    id: row.id,
+    storyId: row.story_id,
+    provider: row.provider,
+    model: row.model,
+    queueId: row.queue_id,
+    status: row.status,
+    prompt: row.prompt,
+    negativePrompt: row.negative_prompt,
+    opts: JSON.parse(row.opts || '{}'),
+    quote: row.quote,
+    polls: row.polls,
+    etaMs: row.eta_ms,
+    error: row.error,
+    mediaId: row.media_id,
+    storyboardId: row.storyboard_id,
+    sceneId: row.scene_id,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+function changed(storyId) {
+  hooks.notify('video-jobs:changed', { storyId: storyId || null });
+}
+
+// ---------------------------------------------------------------------------
+// Start
+// ---------------------------------------------------------------------------
+
+/**
+ * Queue a video with the provider and start tracking it.
+ * @param {string} storyId
+ * @param {{prompt: string, negativePrompt?: string, imageData?: string, opts?: Object}} request
+ * @param {{provider?: string, quote?: number, storyboardId?: string, sceneId?: string}} [info]
+ * @returns {Promise<{success: boolean, job?: Object, error?: string}>}
+ */
+async function start(storyId, request, { provider = 'venice', quote = null, storyboardId = null, sceneId = null } = {}) {
+  if (!request?.prompt) return { success: false, error: 'No prompt' };
+
+  let queued;
+  try {
+    queued = await hooks.queueVideo(request);
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Queueing failed:`, err.message);
+    return { success: false, error: err.message };
+  }
+  if (!queued?.queue_id) return { success: false, error: 'The provider returned no queue id' };
+
+  const id = generateId();
+  const now = Date.now();
+  dbInstance.prepare(`
+    INSERT INTO video_jobs (id, story_id, provider, model, queue_id, status, prompt, negative_prompt, opts, quote, storyboard_id, scene_id, created_at, next_poll_at)
+    VALUES (?, ?, ?, ?, ?, 'processing', ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, storyId || null, provider, queued.model || request.opts?.model || '', queued.queue_id,
+    request.prompt, request.negativePrompt || '', JSON.stringify(request.opts || {}),
+    Number.isFinite(quote) ? quote : null, storyboardId, sceneId, now, now + FIRST_POLL_MS
+  );
+
+  console.log(`${LOG_PREFIX} Tracking ${id} (queue ${queued.queue_id}, model ${queued.model})`);
+  changed(storyId);
+  schedule();
+  return { success: true, job: parseJob(getRow(id)) };
+}
+
+// ---------------------------------------------------------------------------
+// Polling
+// ---------------------------------------------------------------------------
+
+// One timer for all jobs, set for whichever is due first
+function schedule() {
+  if (!dbInstance) return;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  const next = dbInstance.prepare(
+    "SELECT MIN(next_poll_at) AS due FROM video_jobs WHERE status = 'processing'"
+  ).get().due;
+  if (next == null) return;
+  pollTimer = setTimeout(pollDue, Math.max(0, next - Date.now()));
+}
+
+function pollDue() {
+  pollTimer = null;
+  const due = dbInstance.prepare(
+    "SELECT * FROM video_jobs WHERE status = 'processing' AND next_poll_at <= ?"
+  ).all(Date.now());
+  Promise.all(due.filter(row => !polling.has(row.id)).map(pollJob)).then(schedule, schedule);
+}
+
+function backoffDelay(polls) {
+  return Math.min(MAX_POLL_MS, Math.round(MIN_POLL_MS * Math.pow(BACKOFF, polls)));
+}
+
+async function pollJob(row) {
+  polling.add(row.id);
+  // Push the row out of the due set while its request is in flight, so a reschedule doesn't spin on it
+  dbInstance.prepare('UPDATE video_jobs SET next_poll_at = ? WHERE id = ?').run(Date.now() + MAX_POLL_MS, row.id);
+  try {
+    let result;
+    try {
+      result = await hooks.retrieveVideo(row.queue_id, row.model);
+    } catch (err) {
+      const errors = row.poll_errors + 1;
+      console.warn(`${LOG_PREFIX} Poll of ${row.id} failed (${errors}/${MAX_POLL_ERRORS}):`, err.message);
+      if (errors >= MAX_POLL_ERRORS) {
+        fail(row, err.message);
+        return;
+      }
+      dbInstance.prepare('UPDATE video_jobs SET poll_errors = ?, next_poll_at = ? WHERE id = ?')
+        .run(errors, Date.now() + backoffDelay(row.polls + errors), row.id);
+      return;
+    }
+
+    // Cancelled while the request was in flight
+    if (getRow(row.id)?.status !== 'processing') return;
+
+    if (result?.status === 'completed' && result.videoDataUrl) {
+      complete(row, result.videoDataUrl);
+      return;
+    }
+
+    // Only after asking the provider — a job resumed after a long shutdown may well be
+    // finished (and paid for); only one still processing past the limit times out
+    if (Date.now() - row.created_at > JOB_TIMEOUT_MS) {
+      fail(row, `Timed out after ${Math.round(JOB_TIMEOUT_MS / 60000)} minutes`);
+      return;
+    }
+
+    // Still processing — back off, but not past the provider's own estimate of what's left
+    const polls = row.polls + 1;
+    const remaining = result?.averageExecutionTime
+      ? Math.max(0, result.averageExecutionTime - (result.executionDuration || 0))
+      : null;
+    const delay = remaining != null
+      ? Math.max(MIN_POLL_MS, Math.min(backoffDelay(polls), remaining))
+      : backoffDelay(polls);
+    dbInstance.prepare('UPDATE video_jobs SET polls = ?, poll_errors = 0, eta_ms = ?, next_poll_at = ? WHERE id = ?')
+      .run(polls, remaining, Date.now() + delay, row.id);
+    changed(row.story_id);
+  } finally {
+    polling.delete(row.id);
+  }
+}
+
+function complete(row, videoDataUrl) {
+  const job = parseJob(row);
+  let mediaId = null;
+  try {
+    mediaId = hooks.saveVideo ? hooks.saveVideo(job, videoDataUrl) : null;
+  } catch (err) {
+    console.error(`${LOG_PREFIX} Saving video of ${row.id} failed:`, err.message);
+    fail(row, `Video finished but could not be saved: ${err.message}`);
+    return;
+  }
+  dbInstance.prepare("UPDATE video_jobs SET status = 'done', media_id = ?, eta_ms = NULL, finished_at = ? WHERE id = ?")
+    .run(mediaId, Date.now(), row.id);
+  console.log(`${LOG_PREFIX} ${row.id} done${mediaId ? ` (saved as ${mediaId})` : ''}`);
+  hooks.notify('video-jobs:finished', {
+    jobId: row.id, storyId: row.story_id, success: true, mediaId, prompt: row.prompt,
+    storyboardId: row.storyboard_id, sceneId: row.scene_id,
+  });
+  changed(row.story_id);
+}
+
+function fail(row, error) {
+  dbInstance.prepare("UPDATE video_jobs SET status = 'failed', error = ?, eta_ms = NULL, finished_at = ? WHERE id = ?")
+    .run(error, Date.now(), row.id);
+  console.warn(`${LOG_PREFIX} ${row.id} failed: ${error}`);
+  hooks.notify('video-jobs:finished', {
+    jobId: row.id, storyId: row.story_id, success: false, error, prompt: row.prompt,
+    storyboardId: row.storyboard_id, sceneId: row.scene_id,
+  });
+  changed(row.story_id);
+}
+
+// ---------------------------------------------------------------------------
+// Management
+// ---------------------------------------------------------------------------
+
+function list(storyId, opts = {}) {
+  let sql = 'SELECT * FROM video_jobs';
+  const where = [];
+  const params = [];
+  if (storyId !== undefined) {
+    where.push('story_id IS ?');
+    params.push(storyId || null);
+  }
+  if (opts.storyboardId) {
+    where.push('storyboard_id = ?');
+    params.push(opts.storyboardId);
+  }
+  if (where.length > 0) sql += ' WHERE ' + where.join(' AND ');
+  sql += " ORDER BY CASE status WHEN 'processing' THEN 0 ELSE 1 END, created_at DESC";
+  if (opts.limit) {
+    sql += ' LIMIT ?';
+    params.push(opts.limit);
+  }
+  return dbInstance.prepare(sql).all(...params).map(parseJob);
+}
+
+function getActiveCount(storyId) {
+  return dbInstance.prepare(
+    "SELECT COUNT(*) AS cnt FROM video_jobs WHERE story_id IS ? AND status = 'processing'"
+  ).get(storyId || null).cnt;
+}
+
+function cancel(jobId) {
+  const row = getRow(jobId);
+  if (!row) return { success: false, error: 'Job not found' };
+  if (row.status !== 'processing') return { success: false, error: `Job is already ${row.status}` };
+  dbInstance.prepare("UPDATE video_jobs SET status = 'cancelled', eta_ms = NULL, finished_at = ? WHERE id = ?")
+    .run(Date.now(), jobId);
+  console.log(`${LOG_PREFIX} Stopped tracking ${jobId}`);
+  changed(row.story_id);
+  schedule();
+  return { success: true };
+}
+
+function clearFinished(storyId) {
+  const removed = dbInstance.prepare(
+    "DELETE FROM video_jobs WHERE story_id IS ? AND status != 'processing'"
+  ).run(storyId || null).changes;
+  changed(storyId);
+  return { success: true, removed };
+}
+
+module.exports = {
+  init,
+  start,
+  list,
+  getActiveCount,
+  cancel,
+  clearFinished,
+};